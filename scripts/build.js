@@ -30,6 +30,13 @@ const jsOrder = [
   'src/js/render.js',
   'src/js/market.js',
   'src/js/utils.js',
+  'src/js/engine.js',
+  'src/js/replay.js',
+  'src/js/save.js',
+  'src/js/autosave.js',
+  'src/js/seats.js',
+  'src/js/network.js',
+  'src/js/ai.js',
   'src/js/main.js',
 ];
 
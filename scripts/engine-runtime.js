@@ -0,0 +1,115 @@
+/**
+ * Engine runtime: loads the DOM-free game sources into a Node VM context.
+ * The browser bundle shares globals through concatenation; this loader evaluates
+ * the same files in the same order and returns the public engine entry points.
+ *
+ * Usage:
+ *   import { loadEngineRuntime } from './scripts/engine-runtime.js';
+ *   const { createGameEngine } = loadEngineRuntime();
+ *   const engine = createGameEngine();
+ */
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootDir = path.resolve(__dirname, '..');
+
+export const ENGINE_SOURCES = [
+  'src/js/core.js',
+  'src/js/palette.js',
+  'src/js/market.js',
+  'src/js/engine.js',
+  'src/js/replay.js',
+  'src/js/save.js',
+  'src/js/autosave.js',
+  'src/js/seats.js',
+  'src/js/network.js',
+  'src/js/ai.js',
+];
+
+const EXPORTED_NAMES = [
+  'RADIUS',
+  'TILE_COUNT',
+  'RESOURCE_TYPES',
+  'MARKET_CARD_DEFINITIONS',
+  'DEFAULT_GAME_SETTINGS',
+  'MIN_PLAYERS',
+  'MAX_PLAYERS',
+  'createPlayerProfiles',
+  'SYSTEM_EVENTS',
+  'createGameEngine',
+  'diffExportedState',
+  'patchExportedState',
+  'createGameSettings',
+  'generateAxialGrid',
+  'BOARD_SHAPES',
+  'MIN_BOARD_RADIUS',
+  'MAX_BOARD_RADIUS',
+  'DEFAULT_BOARD',
+  'normalizeBoardSpec',
+  'generateBoardTiles',
+  'buildNeighborData',
+  'computeJunctionMap',
+  'computeSquareTrackLayout',
+  'xorshift32',
+  'cryptoSeed',
+  'normalizeSeed',
+  'deriveSeed',
+  'createPalette',
+  'sampleCombo',
+  'rotationStepsForCombo',
+  'normalizeRotationStep',
+  'orientedSideColors',
+  'getMarketCardDefinition',
+  'CARD_EFFECT_KINDS',
+  'applyCardModifiers',
+  'applyCardCostModifiers',
+  'computeAmenagementResourceStock',
+  'SAVE_SCHEMA_VERSION',
+  'createGameSave',
+  'migrateGameSave',
+  'parseGameSave',
+  'AUTOSAVE_RETENTION_PER_GAME',
+  'createAutosaveRecord',
+  'createAutosaveStore',
+  'applyGameEvent',
+  'checkPlacementPayload',
+  'sameComboTile',
+  'createGameReplay',
+  'NETWORK_PROTOCOL_VERSION',
+  'checkNetworkTurnOrder',
+  'redactHiddenHands',
+  'SEAT_IDLE_LIMIT_MS',
+  'createSeatRoster',
+  'PLAYER_AI_LEVELS',
+  'AI_LEVEL_SETTINGS',
+  'generateLegalMoves',
+  'applyAiMove',
+  'evaluateAiPosition',
+  'chooseAiMove',
+];
+
+// Sources may log through console.log (debugLog, replay warnings); keep Node output quiet by default.
+const quietConsole = {
+  ...console,
+  log: () => {},
+};
+
+/**
+ * Evaluates the engine sources in an isolated context.
+ * @param {Object} [options]
+ * @param {Console} [options.console] - Console given to the sources (debug logs muted by default)
+ * @returns {Object} Engine factories, constants and helpers
+ */
+export function loadEngineRuntime({ console: runtimeConsole = quietConsole } = {}) {
+  const body = ENGINE_SOURCES
+    .map((relPath) => fs.readFileSync(path.join(rootDir, relPath), 'utf8'))
+    .join('\n');
+  const source = `${body}\n({ ${EXPORTED_NAMES.join(', ')} });\n`;
+  const context = vm.createContext({ console: runtimeConsole });
+  return vm.runInContext(source, context, { filename: 'pairleroy-engine.js' });
+}
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+/**
+ * Relay server for network games: a dependency-free WebSocket endpoint that keeps
+ * one reference engine and seat roster per room, checks turn order and seats, and
+ * forwards accepted actions. The room engine owns the game state: clients send
+ * actions, never states (except the host loading a game, and the hello that opens a room).
+ * Placed tiles are read from the room's own palette slot, never taken from the client,
+ * and a player may only remove their own pieces (checkNetworkTurnOrder).
+ * With private hands, each client only receives the hands of its own seats: accepted
+ * actions are then followed by a per-client sync instead of being forwarded.
+ * Malformed messages are answered with an error and never stop the relay; oversized
+ * messages (fragments included) close the connection with 1009, protocol errors with 1002.
+ * A room is deleted when its last client leaves.
+ * Options:
+ *   --port <n>   : listening port (default 8787, or $PORT)
+ *   --host <h>   : listening interface (default 0.0.0.0, every interface of the machine)
+ *
+ * Protocol (JSON text frames):
+ *   client -> relay : hello {room, claims, state, settings}, action {baseSeq, event}, sync,
+ *                     claim {seats}, assign {target, seats} (host), kick {target} (host)
+ *   relay -> client : welcome / sync {seq, state, settings}, ack {seq},
+ *                     action {seq, event, from}, reject {reason, issues?, seq, state, settings}, peers {peers},
+ *                     seats {seats}, seat-reject {reason}, kicked, error {reason}
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { loadEngineRuntime } from './engine-runtime.js';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_FRAME_BYTES = 8 * 1024 * 1024;
+// A message reassembled from fragments is capped like a single frame
+const MAX_MESSAGE_BYTES = MAX_FRAME_BYTES;
+// Close codes (RFC 6455, 7.4.1): protocol error, message too big
+const CLOSE_CODES = { 'frame-unmasked': 1002, 'frame-too-large': 1009, 'message-too-large': 1009 };
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+const args = process.argv.slice(2);
+const readOption = (name, fallback) => {
+  const idx = args.indexOf(`--${name}`);
+  return idx !== -1 && args[idx + 1] ? args[idx + 1] : fallback;
+};
+const port = Number(readOption('port', process.env.PORT ?? 8787));
+const host = readOption('host', '0.0.0.0');
+
+const runtime = loadEngineRuntime();
+const rooms = new Map();
+let nextClientId = 1;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Encodes an unmasked server frame.
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Extracts the complete frames at the start of a buffer.
+ * @param {Buffer} buffer
+ * @returns {{frames: {fin: boolean, opcode: number, payload: Buffer}[], rest: Buffer}|{error: string}}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    const masked = (second & 0x80) !== 0;
+    let length = second & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length - cursor < 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length - cursor < 8) break;
+      const big = buffer.readBigUInt64BE(cursor);
+      if (big > BigInt(MAX_FRAME_BYTES)) return { error: 'frame-too-large' };
+      length = Number(big);
+      cursor += 8;
+    }
+    if (length > MAX_FRAME_BYTES) return { error: 'frame-too-large' };
+    // Client frames are always masked (RFC 6455, 5.1)
+    if (!masked) return { error: 'frame-unmasked' };
+    if (buffer.length - cursor < 4 + length) break;
+    const mask = buffer.subarray(cursor, cursor + 4);
+    cursor += 4;
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset = cursor + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Wraps an upgraded socket: reassembles text messages, answers pings and closes.
+ * @param {import('net').Socket} socket
+ * @param {Function} onMessage - Called with each complete text message
+ * @param {Function} onClose
+ * @returns {{send: Function, close: Function}}
+ */
+function createConnection(socket, onMessage, onClose) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let open = true;
+
+  function write(opcode, payload) {
+    if (open && !socket.destroyed) socket.write(encodeFrame(opcode, payload));
+  }
+
+  function close(code = 1000) {
+    if (!open) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    write(OPCODES.close, payload);
+    open = false;
+    socket.end();
+  }
+
+  socket.on('data', (chunk) => {
+    if (!open) return;
+    buffer = Buffer.concat([buffer, chunk]);
+    const decoded = decodeFrames(buffer);
+    if (decoded.error) {
+      close(CLOSE_CODES[decoded.error]);
+      return;
+    }
+    buffer = decoded.rest;
+    for (const { fin, opcode, payload } of decoded.frames) {
+      if (!open) return;
+      if (opcode === OPCODES.ping) write(OPCODES.pong, payload);
+      else if (opcode === OPCODES.close) close();
+      else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+        fragmentBytes += payload.length;
+        if (fragmentBytes > MAX_MESSAGE_BYTES) {
+          fragments = [];
+          close(CLOSE_CODES['message-too-large']);
+          return;
+        }
+        fragments.push(payload);
+        if (!fin) continue;
+        const text = Buffer.concat(fragments).toString('utf8');
+        fragments = [];
+        fragmentBytes = 0;
+        onMessage(text);
+      }
+    }
+  });
+  socket.on('close', () => {
+    open = false;
+    onClose();
+  });
+  socket.on('error', () => socket.destroy());
+
+  return {
+    send(message) {
+      write(OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8'));
+    },
+    close,
+  };
+}
+
+/**
+ * Opens a room from the state of its first client.
+ * @param {Object} hello - First client's hello message
+ * @returns {{room?: Object, reason?: string}}
+ */
+function createRoom(hello) {
+  // The history is kept so that undo/redo events replay from the room's own stack
+  const engine = runtime.createGameEngine({
+    settings: runtime.createGameSettings(hello.settings ?? {}),
+  });
+  if (hello.state) {
+    const result = engine.importState(hello.state);
+    if (!result.ok) return { reason: result.reason };
+  }
+  return { room: { id: hello.room, engine, seq: 0, clients: new Set(), roster: runtime.createSeatRoster() } };
+}
+
+function handsHidden(room) {
+  return room.engine.state.playerHands.length > 0;
+}
+
+/**
+ * Room state as one client may see it: other seats' hands and the bag are masked
+ * (redactHiddenHands), except the bag tiles its buildings reveal.
+ */
+function roomSnapshot(room, client) {
+  const seats = room.roster.controlledBy(client.id);
+  const visibleBagTiles = (seats ?? []).reduce(
+    (max, player) => Math.max(max, room.engine.getTileBagPreview(player).length),
+    0,
+  );
+  return {
+    seq: room.seq,
+    state: runtime.redactHiddenHands(room.engine.exportState(), seats, { visibleBagTiles }),
+    settings: runtime.createGameSettings(room.engine.settings),
+  };
+}
+
+function broadcastSyncs(room) {
+  room.clients.forEach((client) => client.connection.send({ type: 'sync', ...roomSnapshot(room, client) }));
+}
+
+function broadcastPeers(room) {
+  room.clients.forEach((client) => client.connection.send({ type: 'peers', peers: room.clients.size }));
+}
+
+function broadcastSeats(room) {
+  const seats = room.roster.list();
+  room.clients.forEach((client) => client.connection.send({ type: 'seats', seats }));
+  // Seat changes change which hands each client may see
+  if (handsHidden(room)) broadcastSyncs(room);
+}
+
+function handleHello(client, message) {
+  if (message.version !== runtime.NETWORK_PROTOCOL_VERSION) {
+    client.connection.send({ type: 'error', reason: 'protocol-version' });
+    client.connection.close(1002);
+    return;
+  }
+  const roomId = String(message.room ?? 'default');
+  let room = rooms.get(roomId);
+  if (!room) {
+    const created = createRoom({ ...message, room: roomId });
+    if (!created.room) {
+      client.connection.send({ type: 'error', reason: created.reason });
+      client.connection.close(1008);
+      return;
+    }
+    room = created.room;
+    rooms.set(roomId, room);
+    console.log(`[relay] room ${roomId} opened`);
+  }
+  client.room = room;
+  room.clients.add(client);
+  room.roster.upsert(client.id);
+  room.roster.claim(client.id, message.claims);
+  client.connection.send({
+    type: 'welcome',
+    clientId: client.id,
+    peers: room.clients.size,
+    seats: room.roster.list(),
+    ...roomSnapshot(room, client),
+  });
+  broadcastPeers(room);
+  broadcastSeats(room);
+}
+
+function handleClaim(client, message) {
+  client.room.roster.claim(client.id, message.seats);
+  broadcastSeats(client.room);
+}
+
+// Seat changes decided by the host: reassignment, or removal of an idle client
+function handleHostRequest(client, message) {
+  const { room } = client;
+  const refuse = (reason) => client.connection.send({ type: 'seat-reject', reason });
+  if (room.roster.hostId() !== client.id) return refuse('not-host');
+  const target = [...room.clients].find((other) => other.id === message.target);
+  if (!target) return refuse('unknown-client');
+  if (message.type === 'assign') {
+    room.roster.assign(target.id, message.seats);
+  } else {
+    if (target === client) return refuse('kick-self');
+    if (!room.roster.isIdle(target.id)) return refuse('not-idle');
+    target.connection.send({ type: 'kicked' });
+    target.connection.close(1000);
+    room.clients.delete(target);
+    room.roster.remove(target.id);
+    target.room = null;
+    broadcastPeers(room);
+  }
+  broadcastSeats(room);
+  return null;
+}
+
+function handleAction(client, message) {
+  const { room } = client;
+  const event = message.event;
+  const reject = (reason, issues) => client.connection.send({ type: 'reject', reason, issues, ...roomSnapshot(room, client) });
+  // Another client played first: this action was computed from an outdated state
+  if (message.baseSeq !== room.seq) return reject('stale-action');
+  if (!isPlainObject(event)) return reject('event-invalid');
+  const hiddenBefore = handsHidden(room);
+  const turn = runtime.checkNetworkTurnOrder(room.engine, event, room.roster.controlledBy(client.id), {
+    host: room.roster.hostId() === client.id,
+  });
+  if (!turn.ok) return reject(turn.reason);
+  // The engine checks the seat again, including the author of an undone or redone move
+  room.engine.setControlledSeats(room.roster.controlledBy(client.id));
+  let result = null;
+  try {
+    result = runtime.applyGameEvent(room.engine, event);
+  } finally {
+    room.engine.setControlledSeats(null);
+  }
+  // Refused placements carry their detailed reasons (validatePlacement) back to the sender
+  if (!result?.ok) return reject(result?.reason || 'action-refused', result?.issues);
+  room.seq += 1;
+  room.roster.touch(client.id);
+  client.connection.send({ type: 'ack', seq: room.seq });
+  // Private hands: clients cannot replay draws from a masked bag, they take the new state
+  if (hiddenBefore || handsHidden(room)) {
+    broadcastSyncs(room);
+    return null;
+  }
+  room.clients.forEach((other) => {
+    if (other !== client) other.connection.send({ type: 'action', seq: room.seq, event, from: client.id });
+  });
+  return null;
+}
+
+function dispatchMessage(client, message) {
+  if (message.type === 'hello') {
+    if (!client.room) handleHello(client, message);
+    return;
+  }
+  if (!client.room) {
+    client.connection.send({ type: 'error', reason: 'hello-required' });
+    return;
+  }
+  if (message.type === 'action') handleAction(client, message);
+  else if (message.type === 'sync') client.connection.send({ type: 'sync', ...roomSnapshot(client.room, client) });
+  else if (message.type === 'claim') handleClaim(client, message);
+  else if (message.type === 'assign' || message.type === 'kick') handleHostRequest(client, message);
+}
+
+function handleMessage(client, text) {
+  let message = null;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    client.connection.send({ type: 'error', reason: 'invalid-json' });
+    return;
+  }
+  if (!isPlainObject(message) || typeof message.type !== 'string') {
+    client.connection.send({ type: 'error', reason: 'invalid-message' });
+    return;
+  }
+  // One client's message must not take the other rooms down
+  try {
+    dispatchMessage(client, message);
+  } catch (error) {
+    console.error(`[relay] message ${message.type} from client ${client.id} failed:`, error);
+    // A failed action is answered like a refused one: the sender takes the room state back
+    if (message.type === 'action' && client.room) {
+      client.connection.send({ type: 'reject', reason: 'message-failed', ...roomSnapshot(client.room, client) });
+    } else {
+      client.connection.send({ type: 'error', reason: 'message-failed' });
+    }
+  }
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('Pairleroy relay: connect with WebSocket\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const client = { id: nextClientId++, room: null, connection: null };
+  client.connection = createConnection(
+    socket,
+    (text) => handleMessage(client, text),
+    () => {
+      const { room } = client;
+      if (!room) return;
+      room.clients.delete(client);
+      room.roster.remove(client.id);
+      // The last client closes the room: a returning client reopens it from its own state
+      if (!room.clients.size) {
+        rooms.delete(room.id);
+        console.log(`[relay] room ${room.id} closed`);
+        return;
+      }
+      // Seats are freed; the room (and its game) stays open so players can reconnect
+      broadcastPeers(room);
+      broadcastSeats(room);
+    },
+  );
+});
+
+server.listen(port, host, () => {
+  console.log(`[relay] Pairleroy relay listening on ws://${host}:${port}`);
+});
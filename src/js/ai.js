@@ -0,0 +1,307 @@
+// Fichier: src/js/ai.js
+// Description: Joueurs tenus par l'ordinateur : generation des coups legaux, evaluation heuristique et recherche (sans DOM).
+
+// Reglages de recherche par niveau (PLAYER_AI_LEVELS) : `depth` coups enchaines dans le tour avant
+// d'evaluer, `beam` meilleurs coups prolonges a chaque profondeur, `noise` alea ajoute a l'evaluation.
+const AI_LEVEL_SETTINGS = Object.freeze({
+  easy: Object.freeze({ label: 'Facile', depth: 1, beam: 1, noise: 4 }),
+  medium: Object.freeze({ label: 'Moyen', depth: 2, beam: 6, noise: 1 }),
+  hard: Object.freeze({ label: 'Difficile', depth: 3, beam: 4, noise: 0 }),
+});
+
+// Gain minimal d'un coup sur la position courante ; en dessous, l'ordinateur finit son tour.
+const AI_MIN_GAIN = 0.05;
+
+// Poids de l'evaluation, en points de victoire.
+const AI_WEIGHTS = Object.freeze({
+  crown: 4,
+  resource: 0.8,
+  amenagement: 1,
+  castle: 6,
+  outpost: 2.5,
+  building: 3,
+  contractBuildable: 0.6,
+  contractPending: 0.25,
+  colonCastleSpot: 1.5,
+  colonFreeTile: 1,
+  opponent: 0.5,
+  victory: 100,
+});
+
+// Moteur de simulation par moteur de partie (meme grille), reutilise d'une recherche a l'autre
+const aiSimulators = new WeakMap();
+
+function getAiSimulator(engine) {
+  let simulator = aiSimulators.get(engine);
+  if (!simulator) {
+    // Grille propre au simulateur : un changement de plateau la modifie sur place
+    simulator = createGameEngine({
+      board: engine.state.board,
+      players: engine.state.players,
+      settings: createGameSettings(engine.settings),
+      recordHistory: false,
+    });
+    aiSimulators.set(engine, simulator);
+  }
+  Object.assign(simulator.settings, createGameSettings(engine.settings));
+  return simulator;
+}
+
+function playerHasCastle(engine, player) {
+  for (const owner of engine.state.castleByJunction.values()) {
+    if (owner === player) return true;
+  }
+  return false;
+}
+
+function isJunctionFree(engine, key) {
+  return !engine.state.castleByJunction.has(key) && !engine.state.outpostByJunction.has(key);
+}
+
+function tilePlacementMoves(engine, player) {
+  const { state, settings } = engine;
+  const pIdx = engine.playerIndex(player);
+  const colonTileIdx = state.colonPositions[pIdx];
+  const colonFree = !state.colonPlacementUsed[pIdx] && state.emptyTiles.has(colonTileIdx);
+  const limitReached = (state.turnState.tilesPlacedByPlayer[pIdx] ?? 0) >= settings.tilePlacementsPerTurn;
+  if (limitReached && !colonFree) return [];
+  const targets = limitReached ? [colonTileIdx] : Array.from(state.emptyTiles);
+  const moves = [];
+  const seen = new Set();
+  state.paletteSlots.forEach((combo, paletteSlot) => {
+    // Tuile masquee par le relais : inconnue de ce poste
+    if (!combo || combo.hidden) return;
+    rotationStepsForCombo(combo).forEach((rotationStep) => {
+      const oriented = orientedSideColors(combo, rotationStep);
+      const colorsKey = oriented.join('');
+      targets.forEach((tileIdx) => {
+        // Deux emplacements de palette identiques donnent le meme coup
+        const key = `${tileIdx}:${colorsKey}`;
+        if (seen.has(key) || !engine.canPlace(tileIdx, oriented)) return;
+        seen.add(key);
+        moves.push({ type: 'placeTile', tileIdx, paletteSlot, rotationStep });
+      });
+    });
+  });
+  return moves;
+}
+
+function structureMoves(engine, player) {
+  const { state, settings } = engine;
+  const score = engine.getPlayerScore(player);
+  const hasCastle = playerHasCastle(engine, player);
+  const cost = hasCastle ? settings.outpostCost : engine.getCastleCost(player);
+  if (score < cost) return [];
+  const colonTileIdx = state.colonPositions[engine.playerIndex(player)];
+  const moves = [];
+  engine.junctionMap.forEach((entry, key) => {
+    if (!isJunctionFree(engine, key) || !engine.isJunctionReady(entry)) return;
+    if (hasCastle) {
+      if (!engine.playerHasInfluenceForEntry(player, entry)) return;
+    } else if (settings.requireCastleAdjacencyForCastles && !entry.tiles?.includes(colonTileIdx)) {
+      return;
+    }
+    moves.push({ type: 'buildCastle', key, structure: hasCastle ? 'outpost' : 'castle' });
+  });
+  return moves;
+}
+
+function marketMoves(engine, player) {
+  const record = engine.getPlayerRecord(player);
+  const score = engine.getPlayerScore(player);
+  const moves = [];
+  (engine.state.marketState.slots || []).forEach((slot, slotIdx) => {
+    const def = slot ? getMarketCardDefinition(slot.id) : null;
+    if (!def || record.contracts.has(def.id) || record.buildings.has(def.id)) return;
+    const distance = engine.computeMarketDistance(slotIdx, player);
+    if ((Number.isFinite(distance) ? distance : 0) > score) return;
+    moves.push({ type: 'claimMarketSlot', slotIdx, cardId: def.id });
+  });
+  record.contracts.forEach((cardId) => {
+    const def = getMarketCardDefinition(cardId);
+    if (def && engine.evaluateContractBuildAvailability(player, def).canBuild) {
+      moves.push({ type: 'buildContract', cardId });
+    }
+  });
+  return moves;
+}
+
+// Palette morte : defausse d'un emplacement ou nouveau tirage, selon la regle de la partie
+function mulliganMoves(engine, player) {
+  const { state, settings } = engine;
+  if (settings.mulliganRule === 'none' || !engine.isPaletteDead() || engine.isTilePlayBlocked()) return [];
+  if (engine.getPlayerScore(player) < settings.mulliganCost) return [];
+  if (settings.mulliganRule === 'redrawPalette') return [{ type: 'mulligan', slotIdx: null }];
+  return state.paletteSlots.flatMap((combo, slotIdx) => (combo ? [{ type: 'mulligan', slotIdx }] : []));
+}
+
+function canStillPlaceTile(engine, player) {
+  const { state, settings } = engine;
+  const pIdx = engine.playerIndex(player);
+  const colonFree = !state.colonPlacementUsed[pIdx] && state.emptyTiles.has(state.colonPositions[pIdx]);
+  return colonFree || (state.turnState.tilesPlacedByPlayer[pIdx] ?? 0) < settings.tilePlacementsPerTurn;
+}
+
+/**
+ * Coups legaux du joueur actif : poses de tuiles (emplacement de palette et rotation), deplacements
+ * du colon, chateau ou avant-postes, cartes du marche a prendre, contrats a construire et mulligan
+ * d'une palette morte.
+ * Retirer ses propres structures n'est jamais propose.
+ * @param {Object} engine - Moteur cree par createGameEngine
+ * @param {number} [player] - Joueur (par defaut le joueur actif)
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Types de coups a lister (par defaut tous)
+ * @returns {Object[]} Coups `{type, ...}` a jouer avec applyAiMove
+ */
+function generateLegalMoves(engine, player = engine.state.turnState.activePlayer, { types = null } = {}) {
+  if (!engine.isValidPlayer(player) || engine.isGameOver()) return [];
+  if (player !== engine.state.turnState.activePlayer) return [];
+  const wants = (...kinds) => !types || kinds.some((kind) => types.includes(kind));
+  const moves = [];
+  if (wants('placeTile')) moves.push(...tilePlacementMoves(engine, player));
+  if (wants('moveColon')) {
+    engine.getColonDestinations(player).forEach((tileIdx) => moves.push({ type: 'moveColon', tileIdx }));
+  }
+  if (wants('buildCastle')) moves.push(...structureMoves(engine, player));
+  if (wants('claimMarketSlot', 'buildContract')) moves.push(...marketMoves(engine, player));
+  if (wants('mulligan')) moves.push(...mulliganMoves(engine, player));
+  return types ? moves.filter((move) => types.includes(move.type)) : moves;
+}
+
+/**
+ * Joue un coup produit par generateLegalMoves.
+ * @param {Object} engine
+ * @param {number} player
+ * @param {Object} move
+ * @returns {{ok: boolean, reason: string}}
+ */
+function applyAiMove(engine, player, move) {
+  switch (move?.type) {
+    case 'placeTile': {
+      const combo = engine.state.paletteSlots[move.paletteSlot];
+      return engine.placeTile(move.tileIdx, combo ?? null, {
+        player,
+        paletteSlot: move.paletteSlot,
+        rotationStep: move.rotationStep,
+      });
+    }
+    case 'moveColon':
+      return engine.moveColon(player, move.tileIdx);
+    case 'buildCastle':
+      return engine.buildCastle(player, move.key);
+    case 'claimMarketSlot':
+      return engine.claimMarketSlot(player, move.slotIdx);
+    case 'buildContract':
+      return engine.buildContract(player, move.cardId);
+    case 'mulligan':
+      return engine.mulligan(player, move.slotIdx);
+    default:
+      return { ok: false, reason: 'ai-unknown-move' };
+  }
+}
+
+// Valeur d'un joueur seul : points, puis ce qui en rapportera (ressources, structures, cartes, colon).
+function evaluatePlayerAssets(engine, player) {
+  const { state } = engine;
+  const record = engine.getPlayerRecord(player);
+  if (!record) return 0;
+  let value = engine.getPlayerScore(player) + record.crowns * AI_WEIGHTS.crown;
+  value += Object.values(engine.getPlayerResourceStock(player)).reduce((sum, amount) => sum + amount, 0)
+    * AI_WEIGHTS.resource;
+  value += record.amenagements.size * AI_WEIGHTS.amenagement;
+  value += record.buildings.size * AI_WEIGHTS.building;
+  record.contracts.forEach((cardId) => {
+    const def = getMarketCardDefinition(cardId);
+    const points = Number(def?.reward?.points) || 1;
+    const buildable = def && engine.evaluateContractBuildAvailability(player, def).canBuild;
+    value += points * (buildable ? AI_WEIGHTS.contractBuildable : AI_WEIGHTS.contractPending);
+  });
+  const hasCastle = playerHasCastle(engine, player);
+  if (hasCastle) value += AI_WEIGHTS.castle;
+  state.outpostByJunction.forEach((owner) => {
+    if (owner === player) value += AI_WEIGHTS.outpost;
+  });
+  // Colon bien place pour le tour suivant : tuile libre a poser, ou jonction ou batir le chateau
+  const colonTileIdx = state.colonPositions[engine.playerIndex(player)];
+  if (state.emptyTiles.has(colonTileIdx) && engine.neighborPlacementCount(colonTileIdx) > 0) {
+    value += AI_WEIGHTS.colonFreeTile;
+  }
+  if (!hasCastle) {
+    for (const [key, entry] of engine.junctionMap) {
+      if (entry.tiles?.includes(colonTileIdx) && isJunctionFree(engine, key) && engine.isJunctionReady(entry)) {
+        value += AI_WEIGHTS.colonCastleSpot;
+        break;
+      }
+    }
+  }
+  return value;
+}
+
+/**
+ * Evaluation heuristique de la position pour un joueur : sa valeur moins une part de celle
+ * du meilleur adversaire ; une partie terminee compte surtout le classement final.
+ * @param {Object} engine
+ * @param {number} player
+ * @returns {number}
+ */
+function evaluateAiPosition(engine, player) {
+  const own = evaluatePlayerAssets(engine, player);
+  const opponents = engine.playerIds
+    .filter((other) => other !== player)
+    .map((other) => evaluatePlayerAssets(engine, other));
+  const best = opponents.length ? Math.max(...opponents) : 0;
+  let value = own - best * AI_WEIGHTS.opponent;
+  const endState = engine.state.endState;
+  if (endState) value += endState.ranking?.[0] === player ? AI_WEIGHTS.victory : -AI_WEIGHTS.victory;
+  return value;
+}
+
+// Meilleure suite d'au plus `depth` coups depuis l'etat `snapshot` (le simulateur est modifie).
+function searchAiLine(simulator, snapshot, player, depth, config, random) {
+  simulator.viewState(snapshot);
+  const base = evaluateAiPosition(simulator, player);
+  let best = { value: base, move: null };
+  if (depth <= 0) return best;
+  const scored = [];
+  generateLegalMoves(simulator, player).forEach((move) => {
+    simulator.viewState(snapshot);
+    if (!applyAiMove(simulator, player, move).ok) return;
+    const noise = config.noise > 0 ? random() * config.noise : 0;
+    scored.push({ move, value: evaluateAiPosition(simulator, player) + noise, noise });
+  });
+  scored.sort((a, b) => b.value - a.value);
+  scored.forEach((entry, rank) => {
+    let { value } = entry;
+    if (depth > 1 && rank < config.beam) {
+      simulator.viewState(snapshot);
+      applyAiMove(simulator, player, entry.move);
+      const next = searchAiLine(simulator, simulator.exportState(), player, depth - 1, config, random);
+      value = Math.max(value, next.value + entry.noise);
+    }
+    if (value > best.value) best = { value, move: entry.move };
+  });
+  return best.value > base + AI_MIN_GAIN ? best : { value: base, move: null };
+}
+
+/**
+ * Choisit le prochain coup du joueur actif au niveau donne, en simulant les suites de coups du tour
+ * sur un moteur separe (la partie n'est pas modifiee). Sur une palette morte, le mulligan passe
+ * avant la recherche tant que le joueur peut encore poser une tuile ce tour.
+ * @param {Object} engine - Moteur de la partie
+ * @param {string} level - Niveau (cle de AI_LEVEL_SETTINGS)
+ * @param {Object} [options]
+ * @param {Function} [options.random] - Tirage dans [0, 1) pour l'alea des niveaux faciles
+ * @returns {?Object} Coup a jouer avec applyAiMove, ou null pour finir le tour
+ */
+function chooseAiMove(engine, level, { random = Math.random } = {}) {
+  const config = AI_LEVEL_SETTINGS[level];
+  const player = engine.state.turnState.activePlayer;
+  if (!config || !engine.isValidPlayer(player) || engine.isGameOver()) return null;
+  const mulligans = canStillPlaceTile(engine, player) ? mulliganMoves(engine, player) : [];
+  if (mulligans.length) return mulligans[Math.floor(random() * mulligans.length)];
+  const simulator = getAiSimulator(engine);
+  const { move } = searchAiLine(simulator, engine.exportState(), player, config.depth, config, random);
+  // Les coups simules ne sont pas a garder dans le journal du simulateur
+  simulator.restoreEventLog([]);
+  return move;
+}
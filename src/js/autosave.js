@@ -0,0 +1,145 @@
+// Fichier: src/js/autosave.js
+// Description: Sauvegardes automatiques (IndexedDB, repli localStorage) avec plafond de retention par partie.
+
+const AUTOSAVE_DB_NAME = 'pairleroy';
+const AUTOSAVE_DB_VERSION = 1;
+const AUTOSAVE_STORE_NAME = 'autosaves';
+const AUTOSAVE_FALLBACK_STORAGE_KEY = 'pairleroyAutosaves';
+const AUTOSAVE_RETENTION_PER_GAME = 10;
+const AUTOSAVE_PROMPT_LIMIT = 5;
+
+function generateAutosaveGameId() {
+  return 'game_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Resume affichable d'une sauvegarde, stocke a cote de celle-ci pour lister
+ * les reprises possibles sans relire chaque partie complete.
+ * @param {string} gameId - Identifiant de la partie
+ * @param {Object} save - Sauvegarde produite par createGameSave
+ * @returns {Object} Enregistrement d'autosauvegarde
+ */
+function createAutosaveRecord(gameId, save) {
+  const game = save?.game ?? {};
+  return {
+    gameId,
+    savedAt: save?.savedAt ?? new Date().toISOString(),
+    seed: game.seed ?? null,
+    turnNumber: game.turnState?.turnNumber ?? 1,
+    activePlayer: game.turnState?.activePlayer ?? null,
+    placedCount: Array.isArray(game.placements) ? game.placements.filter(Boolean).length : 0,
+    save,
+  };
+}
+
+function sortAutosavesByDateDesc(records) {
+  return records.slice().sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)) || (b.id ?? 0) - (a.id ?? 0));
+}
+
+function idbRequestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function createIndexedDbAutosaveStore(factory) {
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    const request = factory.open(AUTOSAVE_DB_NAME, AUTOSAVE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(AUTOSAVE_STORE_NAME)) {
+        const store = db.createObjectStore(AUTOSAVE_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('gameId', 'gameId', { unique: false });
+      }
+    };
+    dbPromise = idbRequestToPromise(request);
+    return dbPromise;
+  }
+
+  async function put(record) {
+    const db = await open();
+    const transaction = db.transaction(AUTOSAVE_STORE_NAME, 'readwrite');
+    transaction.objectStore(AUTOSAVE_STORE_NAME).add(record);
+    await idbTransactionToPromise(transaction);
+  }
+
+  async function list() {
+    const db = await open();
+    const transaction = db.transaction(AUTOSAVE_STORE_NAME, 'readonly');
+    const records = await idbRequestToPromise(transaction.objectStore(AUTOSAVE_STORE_NAME).getAll());
+    return sortAutosavesByDateDesc(records);
+  }
+
+  async function prune(gameId, keep) {
+    const db = await open();
+    const transaction = db.transaction(AUTOSAVE_STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(AUTOSAVE_STORE_NAME);
+    const records = await idbRequestToPromise(store.index('gameId').getAll(gameId));
+    sortAutosavesByDateDesc(records).slice(keep).forEach((record) => store.delete(record.id));
+    await idbTransactionToPromise(transaction);
+  }
+
+  return { kind: 'indexeddb', put, list, prune };
+}
+
+function createLocalStorageAutosaveStore(storage) {
+  function read() {
+    try {
+      const parsed = JSON.parse(storage.getItem(AUTOSAVE_FALLBACK_STORAGE_KEY) || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function write(records) {
+    storage.setItem(AUTOSAVE_FALLBACK_STORAGE_KEY, JSON.stringify(records));
+  }
+
+  return {
+    kind: 'localstorage',
+    async put(record) {
+      const records = read();
+      const nextId = records.reduce((max, entry) => Math.max(max, entry.id ?? 0), 0) + 1;
+      records.push({ ...record, id: nextId });
+      write(records);
+    },
+    async list() {
+      return sortAutosavesByDateDesc(read());
+    },
+    async prune(gameId, keep) {
+      const records = read();
+      const stale = new Set(
+        sortAutosavesByDateDesc(records.filter((record) => record.gameId === gameId))
+          .slice(keep)
+          .map((record) => record.id),
+      );
+      if (stale.size) write(records.filter((record) => !stale.has(record.id)));
+    },
+  };
+}
+
+/**
+ * Ouvre le stockage des autosauvegardes : IndexedDB si disponible, sinon localStorage.
+ * @param {Object} [options]
+ * @param {IDBFactory} [options.indexedDB]
+ * @param {Storage} [options.storage]
+ * @returns {?{kind: string, put: Function, list: Function, prune: Function}}
+ */
+function createAutosaveStore({ indexedDB = globalThis.indexedDB, storage = globalThis.localStorage } = {}) {
+  if (indexedDB) return createIndexedDbAutosaveStore(indexedDB);
+  if (storage) return createLocalStorageAutosaveStore(storage);
+  return null;
+}
@@ -28,22 +28,53 @@ function debugLog(...args) {
 
 // ---------------- RNG ----------------
 function xorshift32(seed) {
-  let x = seed >>> 0;
-  return function next() {
+  // Un etat nul bloquerait xorshift sur 0 : on le remplace par une constante fixe.
+  let x = (seed >>> 0) || 0x9e3779b9;
+  function next() {
     x ^= x << 13; x >>>= 0;
     x ^= x >>> 17; x >>>= 0;
     x ^= x << 5; x >>>= 0;
     return x / 0x100000000;
+  }
+  next.getState = () => x;
+  next.setState = (value) => {
+    x = (value >>> 0) || 0x9e3779b9;
   };
+  return next;
 }
 
 function cryptoSeed() {
   const arr = new Uint32Array(1);
-  if (window.crypto && window.crypto.getRandomValues) window.crypto.getRandomValues(arr);
+  const cryptoApi = globalThis.crypto;
+  if (cryptoApi && cryptoApi.getRandomValues) cryptoApi.getRandomValues(arr);
   else arr[0] = Math.floor(Math.random() * 0xffffffff);
   return arr[0] >>> 0;
 }
 
+// Graine de partie : entier 32 bits non signe, ou null si la valeur n'est pas exploitable.
+function normalizeSeed(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) return null;
+  const numeric = Number(text);
+  if (!Number.isSafeInteger(numeric) || numeric > 0xffffffff) return null;
+  return numeric >>> 0;
+}
+
+// Graine derivee pour un flux nomme (palette, marche...) : FNV-1a du nom melange a la graine.
+function deriveSeed(seed, stream) {
+  let h = 0x811c9dc5 ^ (seed >>> 0);
+  const label = String(stream);
+  for (let i = 0; i < label.length; i++) {
+    h ^= label.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b) >>> 0;
+  h ^= h >>> 13;
+  return h >>> 0;
+}
+
 // ---------------- Hex math ----------------
 function axialToPixel(q, r, size) {
   const x = size * Math.sqrt(3) * (q + r / 2);
@@ -141,6 +172,124 @@ function generateAxialGrid(radius = RADIUS) {
   return tiles;
 }
 
+// ---------------- Plateaux ----------------
+// Forme et rayon du plateau, choisis a la creation de la partie (`state.board`). Le rayon fixe la
+// taille des formes regulieres ; un masque personnalise donne ses cases (`cells`, [q, r]).
+const BOARD_SHAPES = Object.freeze(['hexagon', 'triangle', 'rhombus', 'custom']);
+const MIN_BOARD_RADIUS = 4;
+const MAX_BOARD_RADIUS = 8;
+const MIN_CUSTOM_BOARD_CELLS = 7;
+const MAX_CUSTOM_BOARD_CELLS = 3 * MAX_BOARD_RADIUS * (MAX_BOARD_RADIUS + 1) + 1;
+const DEFAULT_BOARD = Object.freeze({ shape: 'hexagon', radius: RADIUS });
+
+function normalizeBoardCells(cells) {
+  const seen = new Set();
+  const normalized = [];
+  (Array.isArray(cells) ? cells : []).forEach((cell) => {
+    const q = Array.isArray(cell) ? cell[0] : cell?.q;
+    const r = Array.isArray(cell) ? cell[1] : cell?.r;
+    if (!Number.isInteger(q) || !Number.isInteger(r)) return;
+    const key = `${q},${r}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    normalized.push([q, r]);
+  });
+  return normalized;
+}
+
+/**
+ * Plateau valide : forme connue, rayon entre MIN_BOARD_RADIUS et MAX_BOARD_RADIUS, masque
+ * personnalise de MIN_CUSTOM_BOARD_CELLS a MAX_CUSTOM_BOARD_CELLS cases (hexagone par defaut sinon).
+ * @param {Object} [board] - `{shape, radius, cells}`
+ * @returns {{shape: string, radius: number, cells?: number[][]}}
+ */
+function normalizeBoardSpec(board) {
+  const radius = Number.isInteger(board?.radius)
+    ? Math.min(MAX_BOARD_RADIUS, Math.max(MIN_BOARD_RADIUS, board.radius))
+    : DEFAULT_BOARD.radius;
+  const shape = BOARD_SHAPES.includes(board?.shape) ? board.shape : DEFAULT_BOARD.shape;
+  if (shape !== 'custom') return { shape, radius };
+  const cells = normalizeBoardCells(board.cells);
+  if (cells.length < MIN_CUSTOM_BOARD_CELLS || cells.length > MAX_CUSTOM_BOARD_CELLS) {
+    return { shape: DEFAULT_BOARD.shape, radius };
+  }
+  return { shape, radius, cells };
+}
+
+function isSameBoard(a, b) {
+  return JSON.stringify(normalizeBoardSpec(a)) === JSON.stringify(normalizeBoardSpec(b));
+}
+
+// Recentre des cases sur l'origine (centre arrondi) : le colon part de la tuile la plus centrale.
+function centerAxialCells(cells) {
+  const meanQ = Math.round(cells.reduce((sum, [q]) => sum + q, 0) / cells.length);
+  const meanR = Math.round(cells.reduce((sum, [, r]) => sum + r, 0) / cells.length);
+  return cells.map(([q, r]) => ({ q: q - meanQ, r: r - meanR, s: -(q - meanQ) - (r - meanR) }));
+}
+
+/**
+ * Tuiles d'un plateau. L'hexagone reprend generateAxialGrid (meme ordre que les parties existantes) ;
+ * le triangle a 2 * rayon + 3 tuiles de cote et le losange 2 * rayon - 1, pour des tailles voisines.
+ * @param {Object} [board] - Plateau (normalizeBoardSpec)
+ * @returns {{q: number, r: number, s: number}[]}
+ */
+function generateBoardTiles(board) {
+  const spec = normalizeBoardSpec(board);
+  if (spec.shape === 'hexagon') return generateAxialGrid(spec.radius);
+  const cells = [];
+  if (spec.shape === 'triangle') {
+    const side = 2 * spec.radius + 3;
+    for (let q = 0; q < side; q++) {
+      for (let r = 0; r < side - q; r++) cells.push([q, r]);
+    }
+  } else if (spec.shape === 'rhombus') {
+    const side = 2 * spec.radius - 1;
+    for (let q = 0; q < side; q++) {
+      for (let r = 0; r < side; r++) cells.push([q, r]);
+    }
+  } else {
+    cells.push(...spec.cells.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+  }
+  return centerAxialCells(cells);
+}
+
+// Tuile la plus proche de l'origine (depart des colons).
+function findCenterTileIdx(tiles) {
+  let best = 0;
+  tiles.forEach((tile, idx) => {
+    if (tileDistance(tile) < tileDistance(tiles[best])) best = idx;
+  });
+  return best;
+}
+
+/**
+ * Emprise en pixels des hexagones d'un plateau (centres + demi-largeur / rayon de tuile).
+ * @param {Object[]} tiles
+ * @param {number} [size=1]
+ * @returns {{width: number, height: number, centerX: number, centerY: number}}
+ */
+function boardPixelBounds(tiles, size = 1) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  tiles.forEach((tile) => {
+    const { x, y } = axialToPixel(tile.q, tile.r, size);
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  });
+  if (!tiles.length) return { width: 0, height: 0, centerX: 0, centerY: 0 };
+  const halfWidth = (Math.sqrt(3) / 2) * size;
+  return {
+    width: maxX - minX + 2 * halfWidth,
+    height: maxY - minY + 2 * size,
+    centerX: (minX + maxX) / 2,
+    centerY: (minY + maxY) / 2,
+  };
+}
+
 function computeJunctionMap(tiles, size) {
   const acc = new Map();
   for (let idx = 0; idx < tiles.length; idx++) {
@@ -173,6 +322,39 @@ function computeJunctionMap(tiles, size) {
   return map;
 }
 
+// Piste de score (bordure sans les coins, sens horaire) et cases du marche, sans DOM.
+// Meme ordre que buildSVG pour que les distances de marche soient identiques.
+function computeSquareTrackLayout(gridRows = SQUARE_GRID_ROWS, gridCols = SQUARE_GRID_COLS) {
+  const track = [];
+  const isTrackCell = (row, col) => {
+    const isBorder = row === 0 || row === gridRows - 1 || col === 0 || col === gridCols - 1;
+    const isCorner = (row === 0 || row === gridRows - 1) && (col === 0 || col === gridCols - 1);
+    return isBorder && !isCorner;
+  };
+  const pushTrackCell = (row, col) => {
+    if (isTrackCell(row, col)) track.push({ row, col });
+  };
+  if (gridRows > 0 && gridCols > 0) {
+    for (let col = 0; col < gridCols; col++) pushTrackCell(0, col);
+    for (let row = 1; row < gridRows - 1; row++) pushTrackCell(row, gridCols - 1);
+    for (let col = gridCols - 1; col >= 0; col--) pushTrackCell(gridRows - 1, col);
+    for (let row = gridRows - 2; row >= 1; row--) pushTrackCell(row, 0);
+  }
+  const marketCells = [];
+  const marketRowStart = Math.max(0, Math.floor((gridRows - 4) / 2));
+  const marketColStart = Math.max(0, Math.floor((gridCols - 4) / 2));
+  const marketSize = Math.min(4, gridRows - marketRowStart, gridCols - marketColStart);
+  for (let localRow = 0; localRow < marketSize; localRow++) {
+    for (let localCol = 0; localCol < marketSize; localCol++) {
+      const row = marketRowStart + localRow;
+      const col = marketColStart + localCol;
+      const isMarket = row >= 1 && row <= gridRows - 2 && col >= 1 && col <= gridCols - 2;
+      if (isMarket) marketCells.push({ index: marketCells.length, row, col });
+    }
+  }
+  return { track, marketCells };
+}
+
 // ---------------- Quotas & assignment ----------------
 function quotasFromPercents(total, percents) {
   const sum = percents.reduce((a, b) => a + b, 0);
@@ -0,0 +1,2779 @@
+// Fichier: src/js/engine.js
+// Description: Moteur de regles sans DOM (tuiles, jonctions, colons, scores, marche), utilisable dans Node.
+
+const POINTS_PER_CROWN = 16;
+
+const AMENAGEMENT_RESOURCE_TYPES = [
+  RESOURCE_TYPES.LABOR,
+  RESOURCE_TYPES.FABRIC,
+  RESOURCE_TYPES.BREAD,
+  RESOURCE_TYPES.WOOD,
+];
+
+const DEFAULT_GAME_SETTINGS = Object.freeze({
+  tilePlacementsPerTurn: 1,
+  edgeMatchRule: 'exact',
+  wildcardColor: 0,
+  mismatchCost: 2,
+  regionScoring: 'none',
+  regionPoints: 1,
+  colonStepsPerTurn: 2,
+  neighborPoints: [0, 1, 1, 2, 2, 4, 4],
+  castleCost: 5,
+  outpostCost: 3,
+  amenagementCost: 0,
+  influenceRadius: 1,
+  requireCastleAdjacencyForCastles: true,
+  endCondition: 'boardFull',
+  endTurnLimit: 12,
+  endScoreThreshold: 60,
+  mulliganRule: 'discardSlot',
+  mulliganCost: 1,
+  privateHands: false,
+  handSize: PALETTE_SIZE,
+});
+
+// Joueurs d'une partie (identifiants 1..n) ; chaque joueur a un blason distinct parmi MAX_PLAYERS.
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 6;
+// Niveaux des joueurs tenus par l'ordinateur (champ `ai` des joueurs, null pour un humain) ; voir ai.js.
+const PLAYER_AI_LEVELS = Object.freeze(['easy', 'medium', 'hard']);
+
+// Quantite maximale de chaque ressource ; les batiments la relevent (modificateur `resourceCapacity.<type>`).
+const BASE_RESOURCE_CAPACITY = 6;
+
+// Conditions de fin de partie (reglage `endCondition`) ; le decompte final suit immediatement.
+const END_CONDITIONS = Object.freeze(['boardFull', 'turnLimit', 'scoreThreshold']);
+
+// Regles de mulligan (reglage `mulliganRule`) quand aucune tuile proposee ne se pose :
+// aucune, defausse d'un emplacement ou nouveau tirage des quatre, pour `mulliganCost` points.
+const MULLIGAN_RULES = Object.freeze(['none', 'discardSlot', 'redrawPalette']);
+
+// Regles d'assortiment des cotes (reglage `edgeMatchRule`) : tous les cotes partages egaux,
+// majorite stricte de cotes egaux, couleur `wildcardColor` assortie a toutes, ou un cote
+// non assorti tolere contre `mismatchCost` points.
+const EDGE_MATCH_RULES = Object.freeze(['exact', 'majority', 'wildcard', 'oneMismatch']);
+
+// Score des regions de couleur (reglage `regionScoring`) : aucun, region fermee par la pose
+// (`regionPoints` par tuile de la region) ou taille de la plus grande region rejointe
+// (`regionPoints` par tranche de REGION_SIZE_STEP tuiles).
+const REGION_SCORING_MODES = Object.freeze(['none', 'closure', 'size']);
+const REGION_SIZE_STEP = 3;
+
+// Mains privees (reglage `privateHands`) : `handSize` tuiles par joueur, completees en fin de tour.
+const MIN_HAND_SIZE = 1;
+const MAX_HAND_SIZE = 6;
+
+const INFLUENCE_DISTANCE_EPSILON = 1e-6;
+
+// Actions enregistrees dans l'historique d'annulation (les autres ne sont pas des coups de jeu).
+const UNDOABLE_ACTIONS = new Set([
+  'placeTile',
+  'removeTile',
+  'claimAmenagement',
+  'releaseAmenagement',
+  'buildCastle',
+  'removeStructure',
+  'moveColon',
+  'claimMarketSlot',
+  'buildContract',
+  'convertResource',
+  'mulligan',
+  'setActivePlayer',
+  'endTurn',
+]);
+const HISTORY_LIMIT = 100;
+
+// Actions absentes du journal de partie : consultation d'un etat sans coup joue.
+const UNLOGGED_ACTIONS = new Set(['viewState']);
+// Evenements sans acteur : ils ne sont joues par aucun joueur.
+const SYSTEM_EVENTS = new Set(['reset', 'importState', 'applySettings', 'remoteHistory', 'fillTileBag']);
+
+function createGameSettings(overrides = {}) {
+  const settings = {
+    tilePlacementsPerTurn: DEFAULT_GAME_SETTINGS.tilePlacementsPerTurn,
+    edgeMatchRule: DEFAULT_GAME_SETTINGS.edgeMatchRule,
+    wildcardColor: DEFAULT_GAME_SETTINGS.wildcardColor,
+    mismatchCost: DEFAULT_GAME_SETTINGS.mismatchCost,
+    regionScoring: DEFAULT_GAME_SETTINGS.regionScoring,
+    regionPoints: DEFAULT_GAME_SETTINGS.regionPoints,
+    colonStepsPerTurn: DEFAULT_GAME_SETTINGS.colonStepsPerTurn,
+    neighborPoints: DEFAULT_GAME_SETTINGS.neighborPoints.slice(),
+    castleCost: DEFAULT_GAME_SETTINGS.castleCost,
+    outpostCost: DEFAULT_GAME_SETTINGS.outpostCost,
+    amenagementCost: DEFAULT_GAME_SETTINGS.amenagementCost,
+    influenceRadius: DEFAULT_GAME_SETTINGS.influenceRadius,
+    requireCastleAdjacencyForCastles: DEFAULT_GAME_SETTINGS.requireCastleAdjacencyForCastles,
+    endCondition: DEFAULT_GAME_SETTINGS.endCondition,
+    endTurnLimit: DEFAULT_GAME_SETTINGS.endTurnLimit,
+    endScoreThreshold: DEFAULT_GAME_SETTINGS.endScoreThreshold,
+    mulliganRule: DEFAULT_GAME_SETTINGS.mulliganRule,
+    mulliganCost: DEFAULT_GAME_SETTINGS.mulliganCost,
+    privateHands: DEFAULT_GAME_SETTINGS.privateHands,
+    handSize: DEFAULT_GAME_SETTINGS.handSize,
+  };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    if (!(key in settings) || value === undefined) return;
+    settings[key] = Array.isArray(value) ? value.slice() : value;
+  });
+  return settings;
+}
+
+/**
+ * Normalise les joueurs d'une partie : entre MIN_PLAYERS et MAX_PLAYERS, identifiants 1..n,
+ * nom (par defaut `Joueur n`), blason (1..MAX_PLAYERS) et niveau d'ordinateur (null : humain).
+ * Un blason absent ou deja pris est remplace par le premier libre.
+ * @param {Array|number} [players] - Profils `{name, crest, ai}` ou nombre de joueurs
+ * @returns {{id: number, name: string, crest: number, ai: ?string}[]}
+ */
+function createPlayerProfiles(players = MAX_PLAYERS) {
+  const source = Array.isArray(players) ? players : Array.from({ length: Number(players) || MAX_PLAYERS }, () => ({}));
+  const count = Math.min(MAX_PLAYERS, Math.max(MIN_PLAYERS, source.length));
+  const used = new Set();
+  const profiles = Array.from({ length: count }, (_, idx) => {
+    const entry = source[idx] ?? {};
+    const crest = Number(entry.crest);
+    const valid = Number.isInteger(crest) && crest >= 1 && crest <= MAX_PLAYERS && !used.has(crest);
+    if (valid) used.add(crest);
+    const name = typeof entry.name === 'string' ? entry.name.trim().slice(0, 24) : '';
+    const ai = PLAYER_AI_LEVELS.includes(entry.ai) ? entry.ai : null;
+    return { id: idx + 1, name: name || `Joueur ${idx + 1}`, crest: valid ? crest : null, ai };
+  });
+  profiles.forEach((profile) => {
+    if (profile.crest !== null) return;
+    for (let crest = 1; crest <= MAX_PLAYERS; crest++) {
+      if (used.has(crest)) continue;
+      profile.crest = crest;
+      used.add(crest);
+      break;
+    }
+  });
+  return profiles;
+}
+
+/**
+ * Categorie d'une source de points : son prefixe (`neighbor:3` -> `neighbor`, `build:<carte>` -> `build`).
+ * @param {string} source
+ * @returns {string}
+ */
+function scoreSourceCategory(source) {
+  const text = typeof source === 'string' && source ? source : 'generic';
+  const sep = text.indexOf(':');
+  return sep === -1 ? text : text.slice(0, sep);
+}
+
+function createEmptyResourceStock() {
+  return {
+    [RESOURCE_TYPES.WOOD]: 0,
+    [RESOURCE_TYPES.BREAD]: 0,
+    [RESOURCE_TYPES.FABRIC]: 0,
+    [RESOURCE_TYPES.LABOR]: 0,
+  };
+}
+
+function createEmptyPlayerResource() {
+  return {
+    tileColors: new Map(),
+    amenagements: new Set(),
+    amenagementColors: new Map(),
+    stock: createEmptyResourceStock(),
+    buildings: new Set(),
+    contracts: new Set(),
+    crowns: 0,
+  };
+}
+
+function crownsFromScore(score) {
+  if (!Number.isFinite(score)) return 0;
+  if (score <= 0) return 0;
+  return Math.floor(score / POINTS_PER_CROWN);
+}
+
+function computeAmenagementResourceStock(record) {
+  const stock = createEmptyResourceStock();
+  if (!record || !(record.amenagementColors instanceof Map)) return stock;
+  record.amenagementColors.forEach((amount, colorIdx) => {
+    const resourceType = AMENAGEMENT_RESOURCE_TYPES[colorIdx];
+    if (!resourceType) return;
+    const numeric = Number(amount);
+    if (!Number.isFinite(numeric) || numeric <= 0) return;
+    stock[resourceType] = (stock[resourceType] || 0) + numeric;
+  });
+  return stock;
+}
+
+function hasEnoughAmenagementResources(cost, stock) {
+  if (!cost || typeof cost !== 'object') return true;
+  for (const resource of Object.values(RESOURCE_TYPES)) {
+    const required = Number(cost[resource]);
+    if (!Number.isFinite(required) || required <= 0) continue;
+    if ((stock?.[resource] ?? 0) < required) return false;
+  }
+  return true;
+}
+
+function replaceArrayContents(target, source) {
+  target.length = 0;
+  source.forEach((value) => target.push(value));
+  return target;
+}
+
+function sameStateValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Changement exact qui mene d'un etat exporte a un autre, cle par cle : une cle inchangee
+ * est omise, un tableau ne garde que sa partie remplacee entre son debut et sa fin communs
+ * (tuile posee, tirage en tete du sac, ecriture ajoutee au releve des points), une autre
+ * valeur est reprise entiere.
+ * @param {Object} from - Etat exporte de depart (exportState)
+ * @param {Object} to - Etat exporte d'arrivee
+ * @returns {Object[]} `{ key, value }` ou `{ key, start, remove, insert }`
+ */
+function diffExportedState(from, to) {
+  const changes = [];
+  Object.keys(to).forEach((key) => {
+    const previous = from[key];
+    const next = to[key];
+    if (sameStateValue(previous, next)) return;
+    if (!Array.isArray(previous) || !Array.isArray(next)) {
+      changes.push({ key, value: JSON.parse(JSON.stringify(next ?? null)) });
+      return;
+    }
+    let start = 0;
+    while (start < previous.length && start < next.length && sameStateValue(previous[start], next[start])) start++;
+    let endPrevious = previous.length;
+    let endNext = next.length;
+    while (endPrevious > start && endNext > start && sameStateValue(previous[endPrevious - 1], next[endNext - 1])) {
+      endPrevious--;
+      endNext--;
+    }
+    changes.push({ key, start, remove: endPrevious - start, insert: JSON.parse(JSON.stringify(next.slice(start, endNext))) });
+  });
+  return changes;
+}
+
+/**
+ * Applique a un etat exporte un changement produit par diffExportedState.
+ * @param {Object} data - Etat exporte, non modifie
+ * @param {Object[]} changes
+ * @returns {Object} Nouvel etat exporte
+ */
+function patchExportedState(data, changes) {
+  const patched = { ...data };
+  changes.forEach((change) => {
+    if (!('start' in change)) {
+      patched[change.key] = JSON.parse(JSON.stringify(change.value));
+      return;
+    }
+    const list = Array.isArray(patched[change.key]) ? patched[change.key].slice() : [];
+    list.splice(change.start, change.remove, ...JSON.parse(JSON.stringify(change.insert)));
+    patched[change.key] = list;
+  });
+  return patched;
+}
+
+/**
+ * Cree un moteur de partie autonome (aucun acces au DOM).
+ *
+ * Le moteur possede les tuiles, les placements, les jonctions, les colons, les scores
+ * et le marche. Ses conteneurs (tableaux, Maps, objets) gardent la meme identite
+ * pendant toute la vie du moteur : `reset()` les vide sur place, ce qui permet a
+ * l'interface d'en garder des alias. Chaque action publique renvoie `{ ok, reason }`
+ * et notifie les abonnes une seule fois avec la liste des domaines modifies.
+ * Tout l'aleatoire passe par `random.palette`, `random.tiles` (assignTileCombos) et
+ * `random.market`, derives de `state.seed` : meme graine + memes actions = meme partie.
+ *
+ * Le plateau (`state.board`) peut changer a `reset` ou au chargement d'un etat : la grille,
+ * les voisins et les jonctions sont alors recalcules sur place et les abonnes recoivent `geometry`.
+ *
+ * @param {Object} [options]
+ * @param {Array} [options.tiles] - Grille axiale de depart, modifiee sur place au changement de plateau
+ * @param {Object} [options.board] - Plateau si `tiles` est omis (normalizeBoardSpec, hexagone par defaut)
+ * @param {number} [options.radius] - Rayon d'un plateau hexagonal si `tiles` et `board` sont omis
+ * @param {Array|number} [options.players] - Joueurs de la premiere partie (createPlayerProfiles, 6 par defaut)
+ * @param {Object} [options.settings] - Reglages de partie, lus a chaque action
+ * @param {number} [options.seed] - Graine de partie (aleatoire si omise)
+ * @param {string} [options.historyOrigin] - Prefixe des identifiants d'historique (onglet)
+ * @param {boolean} [options.recordHistory=true] - Tenir la pile d'annulation (inutile pour une relecture)
+ * @returns {Object} Moteur de partie
+ */
+function createGameEngine(options = {}) {
+  const initialBoard = normalizeBoardSpec(options.board ?? { shape: 'hexagon', radius: options.radius ?? RADIUS });
+  const tiles = Array.isArray(options.tiles) ? options.tiles : generateBoardTiles(initialBoard);
+  // Identifiants des joueurs de la partie, mis a jour sur place a chaque changement de joueurs
+  const playerIds = [];
+  const settings = options.settings || createGameSettings();
+  const { neighbors } = buildNeighborData(tiles);
+  const junctionMap = computeJunctionMap(tiles, 1);
+  const squareLayout = computeSquareTrackLayout();
+  let centerTileIdx = findCenterTileIdx(tiles);
+  // Regions de couleur : union-find sur les triangles (tuile * 6 + cote) des tuiles posees,
+  // -1 pour une tuile vide. Complete a chaque pose, reconstruit apres un retrait ou un chargement.
+  let regionParent = [];
+  let regionsDirty = true;
+  // Moteur d'apercu des poses (previewPlacement), cree a la premiere demande
+  let previewEngine = null;
+  const distanceCache = new Map();
+  // Un flux par usage : tirer une carte de marche ne decale pas la palette, et inversement.
+  const random = {
+    palette: xorshift32(1),
+    tiles: xorshift32(1),
+    market: xorshift32(1),
+  };
+
+  const state = {
+    seed: normalizeSeed(options.seed) ?? cryptoSeed(),
+    // Forme du plateau ; une grille fournie sans plateau est un hexagone de son rayon
+    board: Array.isArray(options.tiles) && !options.board
+      ? normalizeBoardSpec({ shape: 'hexagon', radius: Math.max(...tiles.map(tileDistance)) })
+      : initialBoard,
+    placements: new Array(tiles.length).fill(null),
+    placedCount: 0,
+    emptyTiles: new Set(tiles.map((_, idx) => idx)),
+    // Joueurs de la partie `{id, name, crest, ai}` ; les tableaux par joueur suivent leur ordre.
+    players: [],
+    playerScores: [],
+    // Mouvements de points `{turn, player, delta, source}`, dans l'ordre (gains et depenses).
+    scoreLedger: [],
+    playerResources: [],
+    colonPositions: [],
+    colonMoveRemaining: [],
+    colonPlacementUsed: [],
+    // Gains des effets `colon`, valables jusqu'a la fin du tour : pas hors limite et portee d'un deploiement.
+    colonBonusSteps: [],
+    colonDeployRange: [],
+    // Sac de tuiles fini (prochaine tiree en tete) et tuiles proposees (PALETTE_SIZE emplacements, null si sac vide).
+    tileBag: [],
+    paletteSlots: [],
+    // Mains privees, une par joueur (vide en palette commune) ; paletteSlots reprend alors celle du joueur actif.
+    playerHands: [],
+    turnState: {
+      activePlayer: null,
+      tilesPlacedByPlayer: [],
+      // Conversions (cartes) deja utilisees par chaque joueur pendant son tour.
+      conversionsUsedByPlayer: [],
+      turnNumber: 1,
+    },
+    marketState: {},
+    overlayByJunction: new Map(),
+    castleByJunction: new Map(),
+    outpostByJunction: new Map(),
+    amenagementColorByKey: new Map(),
+    // Fin de partie : null tant que la partie continue, puis raison, tour et decompte final.
+    endState: null,
+  };
+
+  const listeners = new Set();
+  let pendingChange = null;
+  // Verrou pose pendant une relecture : seules les consultations (viewState) passent.
+  let locked = false;
+  // Sieges tenus par ce poste (null : tous). Les coups joues pour un autre joueur sont refuses,
+  // sauf pendant runAsRemote (coup deja valide par un autre poste).
+  let controlledSeats = null;
+  let remoteDepth = 0;
+  // Journal de partie : un evenement type par action jouee ou refusee, vide par reset/importState.
+  const eventLog = [];
+  // Pile d'annulation : chaque entree est une commande qui garde ses deux changements exacts
+  // (annuler, rejouer), limites aux parties de l'etat que l'action a modifiees.
+  const history = {
+    origin: options.historyOrigin ?? 'local',
+    enabled: options.recordHistory !== false,
+    seq: 0,
+    undo: [],
+    redo: [],
+    context: null,
+  };
+
+  function subscribe(listener) {
+    if (typeof listener !== 'function') return () => {};
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function touch(domain, tileIdx = null) {
+    if (!pendingChange) return;
+    pendingChange.dirty.add(domain);
+    if (Number.isInteger(tileIdx)) pendingChange.tiles.add(tileIdx);
+  }
+
+  function runAction(type, payload, fn) {
+    if (pendingChange) return fn();
+    if (locked && type !== 'viewState') return { ok: false, reason: 'engine-locked' };
+    if (state.endState && UNDOABLE_ACTIONS.has(type)) return { ok: false, reason: 'game-over' };
+    const change = {
+      type,
+      payload,
+      dirty: new Set(),
+      tiles: new Set(),
+      result: null,
+      historyEntry: null,
+      event: null,
+      scoreSources: [],
+      notes: [],
+      rejection: null,
+      logged: null,
+    };
+    const before = history.enabled && UNDOABLE_ACTIONS.has(type) ? captureHistorySnapshot() : null;
+    const scoresBefore = state.playerScores.slice();
+    const turnBefore = { ...state.turnState };
+    pendingChange = change;
+    try {
+      change.result = checkSeat(type, payload) ?? fn();
+      if (change.result?.ok !== false && UNDOABLE_ACTIONS.has(type) && isEndConditionReached()) finishGame();
+    } finally {
+      pendingChange = null;
+    }
+    if (before && change.dirty.size > 0 && change.result?.ok !== false) {
+      change.historyEntry = pushHistoryEntry(createHistoryCommand(type, payload, before, turnBefore.activePlayer));
+    }
+    change.event = recordEvent(change, scoresBefore, turnBefore);
+    if (change.dirty.size > 0) {
+      listeners.forEach((listener) => {
+        try {
+          listener(change);
+        } catch (error) {
+          console.error('[engine] listener error', error);
+        }
+      });
+    }
+    return change.result;
+  }
+
+  function checkSeat(type, payload) {
+    if (!controlledSeats || remoteDepth > 0) return null;
+    const player = seatActorOf(type, payload);
+    if (player === null) return null;
+    return controlledSeats.has(player) ? null : fail('seat-not-controlled', { player });
+  }
+
+  // Joueur dont le siege est requis : l'auteur du coup, ou celui du coup annule / retabli.
+  function seatActorOf(type, payload) {
+    if (type === 'undo' || type === 'redo') {
+      const entry = (type === 'undo' ? history.undo : history.redo).at(-1);
+      return entry ? payloadActor(entry.type, entry.payload) ?? entry.actor ?? null : null;
+    }
+    if (!UNDOABLE_ACTIONS.has(type)) return null;
+    return payloadActor(type, payload) ?? state.turnState.activePlayer;
+  }
+
+  // Le changement de joueur revient a celui qui a la main, pas au joueur designe
+  function payloadActor(type, payload) {
+    return type !== 'setActivePlayer' && payload && 'player' in payload ? payload.player : null;
+  }
+
+  function ok(details = {}) {
+    return { ok: true, reason: '', ...details };
+  }
+
+  function fail(reason, details = {}) {
+    if (pendingChange) pendingChange.rejection = { reason, details };
+    return { ok: false, reason };
+  }
+
+  // Fait marquant d'une action reussie (ex. cout impaye), repris dans l'evenement du journal.
+  function note(reason, details = {}) {
+    if (pendingChange) pendingChange.notes.push({ reason, ...details });
+  }
+
+  // Remplace l'action enregistree au journal (ex. coup distant rejoue, etat restaure par annulation).
+  function logAs(type, payload) {
+    if (pendingChange) pendingChange.logged = { type, payload };
+  }
+
+  // ---------------- Journal de partie ----------------
+  function recordEvent(change, scoresBefore, turnBefore) {
+    if (UNLOGGED_ACTIONS.has(change.type) || !change.result) return null;
+    const rejected = change.result.ok === false;
+    if (!rejected && change.dirty.size === 0) return null;
+    const logged = change.logged ?? { type: change.type, payload: change.payload };
+    const payload = logged.payload ? JSON.parse(JSON.stringify(logged.payload)) : {};
+    const scoreDeltas = {};
+    playerIds.forEach((player, idx) => {
+      const delta = (state.playerScores[idx] || 0) - (scoresBefore[idx] || 0);
+      if (delta !== 0) scoreDeltas[player] = delta;
+    });
+    const event = {
+      seq: (eventLog.at(-1)?.seq ?? 0) + 1,
+      type: logged.type,
+      actor: 'player' in payload ? payload.player : SYSTEM_EVENTS.has(logged.type) ? null : turnBefore.activePlayer,
+      turn: turnBefore.turnNumber,
+      at: Date.now(),
+      payload,
+      scoreDeltas,
+      scoreSources: change.scoreSources,
+    };
+    if (change.notes.length) event.notes = change.notes;
+    if (change.type === 'remoteHistory') event.remote = true;
+    if (rejected) {
+      event.rejected = true;
+      event.reason = change.result.reason;
+      if (change.rejection?.reason === change.result.reason) event.details = change.rejection.details;
+    }
+    eventLog.push(event);
+    return event;
+  }
+
+  /**
+   * Journal de la partie, du dernier reset (ou chargement) a maintenant.
+   * Chaque evenement : `{ seq, type, actor, turn, at, payload, scoreDeltas, scoreSources }`,
+   * plus `rejected`/`reason`/`details` pour une action refusee et `notes` pour les faits marquants.
+   * @returns {Object[]}
+   */
+  function getEventLog() {
+    return eventLog.slice();
+  }
+
+  /**
+   * Reprend le journal d'une partie sauvegardee (apres importState de son etat final).
+   * @param {Object[]} events - Journal produit par getEventLog
+   * @returns {boolean} Journal accepte
+   */
+  function restoreEventLog(events) {
+    if (!Array.isArray(events) || !events.every((event) => event && typeof event.type === 'string')) return false;
+    replaceArrayContents(eventLog, events);
+    return true;
+  }
+
+  // ---------------- Joueurs ----------------
+  function setPlayers(profiles) {
+    replaceArrayContents(state.players, profiles);
+    replaceArrayContents(playerIds, profiles.map((profile) => profile.id));
+    touch('players');
+  }
+
+  function isValidPlayer(player) {
+    return Number.isInteger(player) && playerIds.includes(player);
+  }
+
+  function playerIndex(player) {
+    return isValidPlayer(player) ? playerIds.indexOf(player) : -1;
+  }
+
+  function getPlayerRecord(player) {
+    const idx = playerIndex(player);
+    return idx !== -1 ? state.playerResources[idx] ?? null : null;
+  }
+
+  function getPlayerScore(player) {
+    const idx = playerIndex(player);
+    return idx !== -1 ? state.playerScores[idx] || 0 : 0;
+  }
+
+  /**
+   * Evolution des scores d'apres `state.scoreLedger` : score de chaque joueur a la fin de chaque
+   * tour, du tour 0 (depart) au tour courant.
+   * @returns {{turns: number[], scores: Object<number, number[]>}}
+   */
+  function getScoreTimeline() {
+    const ledger = state.scoreLedger;
+    const lastTurn = Math.max(1, state.turnState.turnNumber, ledger.at(-1)?.turn ?? 1);
+    const totals = new Map(playerIds.map((player) => [player, 0]));
+    const scores = Object.fromEntries(playerIds.map((player) => [player, [0]]));
+    let cursor = 0;
+    for (let turn = 1; turn <= lastTurn; turn++) {
+      while (cursor < ledger.length && ledger[cursor].turn <= turn) {
+        const entry = ledger[cursor++];
+        if (totals.has(entry.player)) totals.set(entry.player, totals.get(entry.player) + entry.delta);
+      }
+      playerIds.forEach((player) => scores[player].push(totals.get(player)));
+    }
+    return { turns: Array.from({ length: lastTurn + 1 }, (_, turn) => turn), scores };
+  }
+
+  /**
+   * Points gagnes et depenses par categorie de source (scoreSourceCategory) pour un joueur.
+   * @param {number} player
+   * @returns {{category: string, earned: number, spent: number}[]} Plus gros mouvements d'abord
+   */
+  function getScoreBreakdown(player) {
+    const byCategory = new Map();
+    state.scoreLedger.forEach((entry) => {
+      if (entry.player !== player) return;
+      const category = scoreSourceCategory(entry.source);
+      const row = byCategory.get(category) ?? { category, earned: 0, spent: 0 };
+      if (entry.delta > 0) row.earned += entry.delta;
+      else row.spent -= entry.delta;
+      byCategory.set(category, row);
+    });
+    return Array.from(byCategory.values()).sort((a, b) => (b.earned + b.spent) - (a.earned + a.spent));
+  }
+
+  function awardPoints(player, delta, source = 'generic') {
+    if (!isValidPlayer(player) || !Number.isFinite(delta) || delta === 0) return;
+    const idx = playerIndex(player);
+    const previousScore = state.playerScores[idx] || 0;
+    const nextScore = previousScore + delta;
+    state.playerScores[idx] = nextScore;
+    state.scoreLedger.push({ turn: state.turnState.turnNumber, player, delta, source });
+    const crownDelta = crownsFromScore(nextScore) - crownsFromScore(previousScore);
+    if (crownDelta !== 0) adjustPlayerCrowns(player, crownDelta);
+    touch('scores');
+    if (pendingChange) pendingChange.scoreSources.push({ player, delta, source });
+  }
+
+  function spendPoints(player, cost, reason = 'spend') {
+    if (!isValidPlayer(player) || !Number.isFinite(cost) || cost <= 0) return false;
+    const current = getPlayerScore(player);
+    if (current < cost) return false;
+    awardPoints(player, -cost, reason);
+    return true;
+  }
+
+  function adjustPlayerCrowns(player, delta) {
+    const record = getPlayerRecord(player);
+    if (!record || !Number.isFinite(delta) || delta === 0) return;
+    const next = (record.crowns || 0) + delta;
+    record.crowns = next >= 0 ? next : 0;
+    touch('resources');
+  }
+
+  /**
+   * Capacite de stockage du joueur par ressource, relevee par ses batiments.
+   * @returns {Object} Maximum par type de ressource
+   */
+  function getPlayerResourceCapacity(player) {
+    const buildings = getPlayerRecord(player)?.buildings;
+    const capacity = createEmptyResourceStock();
+    Object.keys(capacity).forEach((type) => {
+      capacity[type] = Math.max(0, applyCardModifiers(`resourceCapacity.${type}`, BASE_RESOURCE_CAPACITY, buildings));
+    });
+    return capacity;
+  }
+
+  /**
+   * Ressources disponibles : production des amenagements + reserve (`record.stock`),
+   * dans la limite de la capacite. La reserve recoit recompenses, production et conversions ;
+   * elle peut etre negative quand une conversion engage une unite produite par un amenagement.
+   * @returns {Object} Quantite par type de ressource
+   */
+  function getPlayerResourceStock(player) {
+    const record = getPlayerRecord(player);
+    const stock = computeAmenagementResourceStock(record);
+    const capacity = getPlayerResourceCapacity(player);
+    Object.keys(stock).forEach((type) => {
+      stock[type] = Math.min(capacity[type], Math.max(0, stock[type] + (Number(record?.stock?.[type]) || 0)));
+    });
+    return stock;
+  }
+
+  // Les gains au-dela de la capacite sont perdus ; une reserve deja au-dessus (capacite reduite) est conservee.
+  function adjustPlayerResourceStock(player, resourceType, delta) {
+    const record = getPlayerRecord(player);
+    if (!record || !resourceType || !Number.isFinite(delta) || delta === 0) return;
+    if (!record.stock || !(resourceType in record.stock)) return;
+    const current = record.stock[resourceType] || 0;
+    let next = current + delta;
+    if (delta > 0) {
+      const produced = computeAmenagementResourceStock(record)[resourceType] || 0;
+      next = Math.min(next, Math.max(current, getPlayerResourceCapacity(player)[resourceType] - produced));
+    }
+    record.stock[resourceType] = next >= 0 ? next : 0;
+    touch('resources');
+  }
+
+  function adjustResourceColorTally(player, colorIdx, delta) {
+    const record = getPlayerRecord(player);
+    if (!record || !Number.isInteger(colorIdx)) return;
+    const map = record.amenagementColors;
+    const next = (map.get(colorIdx) || 0) + delta;
+    if (next > 0) map.set(colorIdx, next);
+    else map.delete(colorIdx);
+    touch('resources');
+  }
+
+  function adjustPlayerTileResources(player, combo, delta) {
+    const record = getPlayerRecord(player);
+    if (!record || !combo) return;
+    const colors = Array.isArray(combo.colors) ? combo.colors : [];
+    const units = Array.isArray(combo.units) ? combo.units : [];
+    for (let i = 0; i < colors.length; i++) {
+      const colorIdx = colors[i];
+      const amount = (units[i] ?? 1) * delta;
+      const next = (record.tileColors.get(colorIdx) || 0) + amount;
+      if (next > 0) record.tileColors.set(colorIdx, next);
+      else record.tileColors.delete(colorIdx);
+    }
+    touch('resources');
+  }
+
+  // ---------------- Plateau ----------------
+  // Remplace la grille (et ce qui en derive) sur place ; toutes les tuiles repartent vides.
+  function applyBoardLayout(board, boardTiles = generateBoardTiles(board)) {
+    state.board = board;
+    replaceArrayContents(tiles, boardTiles);
+    replaceArrayContents(neighbors, buildNeighborData(tiles).neighbors);
+    junctionMap.clear();
+    computeJunctionMap(tiles, 1).forEach((entry, key) => junctionMap.set(key, entry));
+    centerTileIdx = findCenterTileIdx(tiles);
+    distanceCache.clear();
+    replaceArrayContents(state.placements, new Array(tiles.length).fill(null));
+    state.emptyTiles.clear();
+    tiles.forEach((_, idx) => state.emptyTiles.add(idx));
+    touch('geometry');
+  }
+
+  // ---------------- Distances ----------------
+  function hexDistanceBetween(idxA, idxB) {
+    if (idxA === idxB) return 0;
+    const tileA = tiles[idxA];
+    const tileB = tiles[idxB];
+    if (!tileA || !tileB) return Infinity;
+    const dq = tileA.q - tileB.q;
+    const dr = tileA.r - tileB.r;
+    const ds = tileA.s - tileB.s;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(ds)) / 2;
+  }
+
+  function hexDistanceBetweenCached(idxA, idxB) {
+    const a = Math.min(idxA, idxB);
+    const b = Math.max(idxA, idxB);
+    const key = `${a},${b}`;
+    const cached = distanceCache.get(key);
+    if (cached !== undefined) return cached;
+    const dist = hexDistanceBetween(a, b);
+    distanceCache.set(key, dist);
+    return dist;
+  }
+
+  function distanceBetweenJunctionEntries(entryA, entryB) {
+    if (!entryA || !entryB) return Infinity;
+    const tilesA = Array.isArray(entryA.tiles) ? entryA.tiles : [];
+    const tilesB = Array.isArray(entryB.tiles) ? entryB.tiles : [];
+    let best = Infinity;
+    for (let i = 0; i < tilesA.length; i++) {
+      for (let j = 0; j < tilesB.length; j++) {
+        const dist = hexDistanceBetweenCached(tilesA[i], tilesB[j]);
+        if (Number.isFinite(dist) && dist < best) best = dist;
+      }
+    }
+    return best;
+  }
+
+  // ---------------- Tuiles ----------------
+  function edgeMatchRuleValue() {
+    return EDGE_MATCH_RULES.includes(settings.edgeMatchRule) ? settings.edgeMatchRule : DEFAULT_GAME_SETTINGS.edgeMatchRule;
+  }
+
+  // Couleur joker de la regle `wildcard` (null pour les autres regles)
+  function wildcardColorValue() {
+    if (edgeMatchRuleValue() !== 'wildcard') return null;
+    return Number.isInteger(settings.wildcardColor) ? settings.wildcardColor : DEFAULT_GAME_SETTINGS.wildcardColor;
+  }
+
+  function mismatchCostValue() {
+    return Math.max(0, Number.isFinite(settings.mismatchCost) ? settings.mismatchCost : DEFAULT_GAME_SETTINGS.mismatchCost);
+  }
+
+  function edgeColorsMatch(colorA, colorB, wildcard = wildcardColorValue()) {
+    return colorA === colorB || (wildcard !== null && (colorA === wildcard || colorB === wildcard));
+  }
+
+  function mismatchesTolerated(rule, mismatched, shared) {
+    if (rule === 'majority') return mismatched === 0 || (shared - mismatched) * 2 > shared;
+    if (rule === 'oneMismatch') return mismatched <= 1;
+    return mismatched === 0;
+  }
+
+  /**
+   * Controle detaille d'une pose selon `edgeMatchRule`. Raisons possibles : `tile-invalid`
+   * (case ou cotes invalides), `tile-occupied`, `tile-isolated` (aucune tuile voisine hors
+   * premiere pose), `edge-rule` (regles `majority` et `oneMismatch` : `shared` cotes partages,
+   * `mismatched` non assortis) suivie d'une `side-mismatch` par cote en conflit : `side` (cote
+   * oriente de la tuile posee), `neighborIdx`, `neighborSide`, `expected` (couleur du voisin)
+   * et `actual` (couleur proposee).
+   * @param {number} tileIdx
+   * @param {number[]} sideColors - Couleurs des 6 cotes orientes (orientedSideColors)
+   * @param {Object} [options]
+   * @param {boolean} [options.firstOnly=false] - S'arreter a la premiere raison (canPlace)
+   * @returns {{ok: boolean, reason: string, issues: Object[], tolerated: Object[], cost: number}}
+   *   `reason` : premiere raison, vide si la pose est valide ; `tolerated` : cotes non assortis
+   *   acceptes par la regle ; `cost` : points retires a la pose (`oneMismatch`)
+   */
+  function validatePlacement(tileIdx, sideColors, { firstOnly = false } = {}) {
+    const issues = [];
+    let tolerated = [];
+    const rule = edgeMatchRuleValue();
+    if (!Number.isInteger(tileIdx) || !tiles[tileIdx] || !Array.isArray(sideColors) || sideColors.length !== 6) {
+      issues.push({ reason: 'tile-invalid', tileIdx });
+    } else if (state.placements[tileIdx]) {
+      issues.push({ reason: 'tile-occupied', tileIdx });
+    } else {
+      const wildcard = wildcardColorValue();
+      // Regles tolerantes : tous les cotes partages comptent avant de conclure
+      const stopEarly = firstOnly && (rule === 'exact' || rule === 'wildcard');
+      const mismatches = [];
+      let shared = 0;
+      const neighborIndices = neighbors[tileIdx];
+      for (let dir = 0; dir < 6; dir++) {
+        const neighborIdx = neighborIndices[dir];
+        if (neighborIdx === -1) continue;
+        const neighborPlacement = state.placements[neighborIdx];
+        if (!neighborPlacement) continue;
+        shared++;
+        const oppositeDir = (dir + 3) % 6;
+        if (edgeColorsMatch(neighborPlacement.sideColors[oppositeDir], sideColors[dir], wildcard)) continue;
+        mismatches.push({
+          reason: 'side-mismatch',
+          tileIdx,
+          side: dir,
+          neighborIdx,
+          neighborSide: oppositeDir,
+          expected: neighborPlacement.sideColors[oppositeDir],
+          actual: sideColors[dir],
+        });
+        if (stopEarly) break;
+      }
+      if (!shared && state.placedCount > 0) {
+        issues.push({ reason: 'tile-isolated', tileIdx });
+      } else if (mismatchesTolerated(rule, mismatches.length, shared)) {
+        tolerated = mismatches;
+      } else {
+        if (rule === 'majority' || rule === 'oneMismatch') {
+          issues.push({ reason: 'edge-rule', tileIdx, rule, shared, mismatched: mismatches.length });
+        }
+        issues.push(...mismatches);
+      }
+    }
+    const cost = issues.length === 0 && rule === 'oneMismatch' && tolerated.length ? mismatchCostValue() : 0;
+    return { ok: issues.length === 0, reason: issues[0]?.reason ?? '', issues, tolerated, cost };
+  }
+
+  /**
+   * Cotes partages entre tuiles posees dont les couleurs ne s'assortissent pas (regle courante).
+   * @returns {number}
+   */
+  function countEdgeMismatches() {
+    const wildcard = wildcardColorValue();
+    let count = 0;
+    state.placements.forEach((placement, tileIdx) => {
+      if (!placement) return;
+      // Chaque cote partage n'est compte qu'une fois : directions 0 a 2
+      for (let dir = 0; dir < 3; dir++) {
+        const neighborPlacement = state.placements[neighbors[tileIdx][dir]];
+        if (!neighborPlacement) continue;
+        if (!edgeColorsMatch(neighborPlacement.sideColors[(dir + 3) % 6], placement.sideColors[dir], wildcard)) count++;
+      }
+    });
+    return count;
+  }
+
+  // ---------------- Regions de couleur ----------------
+  // Deux triangles voisins de meme couleur sont relies : dans une tuile (cotes consecutifs)
+  // ou de part et d'autre d'un cote partage. Un joker (`wildcard`) ne relie pas deux couleurs.
+  function regionFind(node) {
+    let root = node;
+    while (regionParent[root] !== root) root = regionParent[root];
+    while (regionParent[node] !== root) {
+      const next = regionParent[node];
+      regionParent[node] = root;
+      node = next;
+    }
+    return root;
+  }
+
+  function regionUnion(nodeA, nodeB) {
+    const rootA = regionFind(nodeA);
+    const rootB = regionFind(nodeB);
+    if (rootA !== rootB) regionParent[rootB] = rootA;
+  }
+
+  function linkTileTriangles(tileIdx) {
+    const sides = state.placements[tileIdx].sideColors;
+    for (let dir = 0; dir < 6; dir++) {
+      const node = tileIdx * 6 + dir;
+      if (sides[dir] === sides[(dir + 1) % 6]) regionUnion(node, tileIdx * 6 + (dir + 1) % 6);
+      const neighborIdx = neighbors[tileIdx][dir];
+      const neighborPlacement = neighborIdx === -1 ? null : state.placements[neighborIdx];
+      const oppositeDir = (dir + 3) % 6;
+      if (neighborPlacement?.sideColors[oppositeDir] === sides[dir]) regionUnion(node, neighborIdx * 6 + oppositeDir);
+    }
+  }
+
+  function ensureRegions() {
+    if (!regionsDirty && regionParent.length === tiles.length * 6) return;
+    regionParent = new Array(tiles.length * 6).fill(-1);
+    state.placements.forEach((placement, tileIdx) => {
+      if (!placement) return;
+      for (let dir = 0; dir < 6; dir++) regionParent[tileIdx * 6 + dir] = tileIdx * 6 + dir;
+    });
+    state.placements.forEach((placement, tileIdx) => {
+      if (placement) linkTileTriangles(tileIdx);
+    });
+    regionsDirty = false;
+  }
+
+  function trackPlacedTileRegions(tileIdx) {
+    if (regionsDirty || regionParent.length !== tiles.length * 6) return;
+    for (let dir = 0; dir < 6; dir++) regionParent[tileIdx * 6 + dir] = tileIdx * 6 + dir;
+    linkTileTriangles(tileIdx);
+  }
+
+  // Toutes les regions, par racine : couleur, tuiles, triangles et fermeture (aucun triangle
+  // face a une case vide du plateau ; les bords du plateau ferment une region).
+  function collectRegions() {
+    ensureRegions();
+    const regions = new Map();
+    for (let node = 0; node < regionParent.length; node++) {
+      if (regionParent[node] === -1) continue;
+      const root = regionFind(node);
+      const tileIdx = Math.floor(node / 6);
+      const dir = node % 6;
+      let region = regions.get(root);
+      if (!region) {
+        region = { color: state.placements[tileIdx].sideColors[dir], tiles: new Set(), triangles: [], closed: true };
+        regions.set(root, region);
+      }
+      region.tiles.add(tileIdx);
+      region.triangles.push([tileIdx, dir]);
+      const neighborIdx = neighbors[tileIdx][dir];
+      if (neighborIdx !== -1 && !state.placements[neighborIdx]) region.closed = false;
+    }
+    return regions;
+  }
+
+  function exportRegion(region) {
+    return {
+      color: region.color,
+      size: region.tiles.size,
+      tiles: Array.from(region.tiles),
+      triangles: region.triangles.map((triangle) => triangle.slice()),
+      closed: region.closed,
+    };
+  }
+
+  // Racines des regions bordant une tuile posee : ses triangles et ceux de ses voisins tournes vers elle.
+  function regionRootsAround(tileIdx, { includeNeighbors = true } = {}) {
+    const roots = new Set();
+    for (let dir = 0; dir < 6; dir++) {
+      roots.add(regionFind(tileIdx * 6 + dir));
+      const neighborIdx = neighbors[tileIdx][dir];
+      if (!includeNeighbors || neighborIdx === -1 || !state.placements[neighborIdx]) continue;
+      roots.add(regionFind(neighborIdx * 6 + (dir + 3) % 6));
+    }
+    return roots;
+  }
+
+  function regionScoringValue() {
+    return REGION_SCORING_MODES.includes(settings.regionScoring) ? settings.regionScoring : DEFAULT_GAME_SETTINGS.regionScoring;
+  }
+
+  function regionPointsValue() {
+    return Math.max(0, Number.isFinite(settings.regionPoints) ? settings.regionPoints : DEFAULT_GAME_SETTINGS.regionPoints);
+  }
+
+  // Points de region d'une pose (reglage `regionScoring`) : une region fermee touchait forcement
+  // la case qui vient d'etre remplie, elle est donc fermee par cette pose.
+  function scoreRegionsForPlacement(player, tileIdx) {
+    const mode = regionScoringValue();
+    const perUnit = regionPointsValue();
+    if (mode === 'none' || perUnit <= 0) return 0;
+    const regions = collectRegions();
+    let points = 0;
+    if (mode === 'closure') {
+      regionRootsAround(tileIdx).forEach((root) => {
+        const region = regions.get(root);
+        if (region?.closed) points += region.tiles.size * perUnit;
+      });
+      if (points > 0) awardPoints(player, points, 'region:closed');
+      return points;
+    }
+    let largest = 0;
+    regionRootsAround(tileIdx, { includeNeighbors: false }).forEach((root) => {
+      largest = Math.max(largest, regions.get(root)?.tiles.size ?? 0);
+    });
+    points = Math.floor(largest / REGION_SIZE_STEP) * perUnit;
+    if (points > 0) awardPoints(player, points, 'region:size');
+    return points;
+  }
+
+  /**
+   * Regions de couleur touchant une tuile posee (ses triangles), la plus grande d'abord.
+   * @param {number} tileIdx
+   * @returns {{color: number, size: number, tiles: number[], triangles: number[][], closed: boolean}[]}
+   *   `size` en tuiles ; `triangles` : paires `[tileIdx, cote]`
+   */
+  function getRegionsAt(tileIdx) {
+    if (!state.placements[tileIdx]) return [];
+    const regions = collectRegions();
+    return Array.from(regionRootsAround(tileIdx, { includeNeighbors: false }))
+      .map((root) => exportRegion(regions.get(root)))
+      .sort((a, b) => b.size - a.size);
+  }
+
+  /**
+   * Plus grande region de chaque couleur presente sur le plateau (en tuiles), par couleur croissante.
+   * @returns {{color: number, size: number, tiles: number[], triangles: number[][], closed: boolean}[]}
+   */
+  function getLargestRegions() {
+    const largest = new Map();
+    collectRegions().forEach((region) => {
+      const current = largest.get(region.color);
+      if (!current || region.tiles.size > current.tiles.size) largest.set(region.color, region);
+    });
+    return Array.from(largest.values())
+      .sort((a, b) => a.color - b.color)
+      .map(exportRegion);
+  }
+
+  function canPlace(tileIdx, sideColors) {
+    return validatePlacement(tileIdx, sideColors, { firstOnly: true }).ok;
+  }
+
+  function neighborPlacementCount(tileIdx) {
+    const neighborIndices = neighbors[tileIdx] || [];
+    let count = 0;
+    for (let i = 0; i < neighborIndices.length; i++) {
+      const neighborIdx = neighborIndices[i];
+      if (neighborIdx >= 0 && state.placements[neighborIdx]) count++;
+    }
+    return count;
+  }
+
+  function pointsForNeighborCount(count) {
+    if (!Number.isFinite(count) || count <= 0) {
+      return 0;
+    }
+    const table = Array.isArray(settings.neighborPoints) && settings.neighborPoints.length
+      ? settings.neighborPoints
+      : DEFAULT_GAME_SETTINGS.neighborPoints;
+    const idx = Math.min(table.length - 1, Math.max(0, Math.floor(count)));
+    const value = table[idx];
+    return Number.isFinite(value) ? value : 0;
+  }
+
+  function tilePlacementLimit() {
+    return Math.max(0, Number.isFinite(settings.tilePlacementsPerTurn)
+      ? settings.tilePlacementsPerTurn
+      : DEFAULT_GAME_SETTINGS.tilePlacementsPerTurn);
+  }
+
+  function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, trackResources) {
+    state.placements[tileIdx] = {
+      player: isValidPlayer(player) ? player : null,
+      combo,
+      rotationStep,
+      sideColors: sideColors.slice(),
+    };
+    state.emptyTiles.delete(tileIdx);
+    state.placedCount++;
+    trackPlacedTileRegions(tileIdx);
+    touch('tiles', tileIdx);
+
+    let points = 0;
+    const idx = playerIndex(player);
+    const isColonPlacement = trackResources && idx !== -1 && state.colonPositions[idx] === tileIdx;
+    const colonBonusAvailable = isColonPlacement && !state.colonPlacementUsed[idx];
+    if (trackResources && idx !== -1) {
+      adjustPlayerTileResources(player, combo, 1);
+      if (colonBonusAvailable) {
+        state.colonPlacementUsed[idx] = true;
+        touch('colons');
+      } else {
+        const current = state.turnState.tilesPlacedByPlayer[idx] ?? 0;
+        state.turnState.tilesPlacedByPlayer[idx] = current + 1;
+        touch('turn');
+        const neighborCount = neighborPlacementCount(tileIdx);
+        points = pointsForNeighborCount(neighborCount);
+        if (points > 0) awardPoints(player, points, `neighbor:${neighborCount}`);
+        points += scoreRegionsForPlacement(player, tileIdx);
+      }
+    }
+    evaluateAmenagementsAround(tileIdx, { placingPlayer: player });
+    return points;
+  }
+
+  /**
+   * Pose une combinaison sur une tuile vide.
+   * @param {number} tileIdx - Index de la tuile cible
+   * @param {Object} combo - Combinaison (type, couleurs, rotationStep)
+   * @param {Object} [options]
+   * @param {number} [options.rotationStep] - Rotation (par defaut celle du combo)
+   * @param {?number} [options.player] - Joueur qui pose (par defaut le joueur actif, null pour aucun)
+   * @param {boolean} [options.trackResources=true] - Compter ressources, limite de pose et points
+   * @returns {{ok: boolean, reason: string, points?: number}}
+   */
+  function placeTile(tileIdx, combo, options = {}) {
+    const player = options.player === undefined ? state.turnState.activePlayer : options.player;
+    const trackResources = options.trackResources !== false;
+    const payload = { tileIdx, player, combo, rotationStep: options.rotationStep, trackResources };
+    if (Number.isInteger(options.paletteSlot)) payload.paletteSlot = options.paletteSlot;
+    return runAction('placeTile', payload, () => {
+      if (!combo) return fail('tile-no-combo', { tileIdx });
+      if (state.placements[tileIdx]) return fail('tile-occupied', { tileIdx });
+      const rotation = normalizeRotationStep(combo, options.rotationStep ?? combo.rotationStep);
+      const oriented = orientedSideColors(combo, rotation);
+      const idx = playerIndex(player);
+      if (trackResources && idx !== -1) {
+        const colonFreeAvailable = state.colonPositions[idx] === tileIdx && !state.colonPlacementUsed[idx];
+        const placedThisTurn = state.turnState.tilesPlacedByPlayer[idx] ?? 0;
+        const limit = tilePlacementLimit();
+        if (!colonFreeAvailable && placedThisTurn >= limit) {
+          return fail('tile-limit-reached', { player, tileIdx, limit });
+        }
+      }
+      const validation = validatePlacement(tileIdx, oriented);
+      if (!validation.ok) {
+        // Raisons detaillees renvoyees a l'appelant (aide, relais), pas seulement au journal
+        return { ...fail('tile-placement-invalid', { player, tileIdx, issues: validation.issues }), issues: validation.issues };
+      }
+      let points = commitPlacement(tileIdx, combo, rotation, oriented, player, trackResources);
+      // Cote non assorti tolere (`oneMismatch`) : penalite bornee au score du joueur
+      const penalty = trackResources && idx !== -1 ? Math.min(validation.cost, getPlayerScore(player)) : 0;
+      if (penalty > 0) {
+        awardPoints(player, -penalty, 'edge-mismatch');
+        points -= penalty;
+      }
+      combo.rotationStep = rotation;
+      if (Number.isInteger(options.paletteSlot)) releasePaletteSlot(options.paletteSlot);
+      return ok({ points });
+    });
+  }
+
+  /**
+   * Resultat qu'aurait une pose, calcule par placeTile lui-meme sur un moteur d'apercu
+   * (memes etat et reglages) : voisinage, regions et penalite de cote tolere bornee au score.
+   * La partie n'est pas modifiee.
+   * @param {number} tileIdx
+   * @param {Object} combo
+   * @param {Object} [options]
+   * @param {number} [options.rotationStep] - Rotation (par defaut celle du combo)
+   * @param {?number} [options.player] - Joueur qui pose (par defaut le joueur actif)
+   * @param {Object} [options.snapshot] - Etat de depart deja exporte, pour une serie d'apercus
+   * @returns {{ok: boolean, reason: string, points?: number, issues?: Object[]}}
+   */
+  function previewPlacement(tileIdx, combo, options = {}) {
+    if (!previewEngine) {
+      previewEngine = createGameEngine({ board: state.board, players: state.players, recordHistory: false });
+    }
+    Object.assign(previewEngine.settings, createGameSettings(settings));
+    previewEngine.viewState(options.snapshot ?? exportState());
+    const result = previewEngine.placeTile(tileIdx, cloneCombo(combo), {
+      rotationStep: options.rotationStep,
+      player: options.player === undefined ? state.turnState.activePlayer : options.player,
+    });
+    // Les poses d'apercu ne sont pas a garder dans le journal du moteur d'apercu
+    previewEngine.restoreEventLog([]);
+    return result;
+  }
+
+  // ---------------- Sac de tuiles ----------------
+  function handModeActive() {
+    return state.playerHands.length > 0;
+  }
+
+  function handSizeValue() {
+    const size = Number(settings.handSize);
+    if (!Number.isInteger(size)) return DEFAULT_GAME_SETTINGS.handSize;
+    return Math.min(MAX_HAND_SIZE, Math.max(MIN_HAND_SIZE, size));
+  }
+
+  // Tuiles proposees au joueur actif : sa main en mode prive, la palette commune sinon.
+  function activeSlots() {
+    if (!handModeActive()) return state.paletteSlots;
+    return state.playerHands[playerIndex(state.turnState.activePlayer)] ?? null;
+  }
+
+  // La palette reprend la main du joueur actif (memes objets, rotations comprises).
+  function showActiveHand() {
+    if (!handModeActive()) return;
+    replaceArrayContents(state.paletteSlots, activeSlots() ?? []);
+    touch('palette');
+  }
+
+  function drawIntoPaletteSlot(slotIdx) {
+    const slots = activeSlots();
+    if (!slots || slotIdx < 0 || slotIdx >= slots.length) return;
+    slots[slotIdx] = state.tileBag.shift() ?? null;
+    showActiveHand();
+    touch('palette');
+  }
+
+  // Emplacement joue : la palette commune retire aussitot, une main privee attend la fin du tour.
+  function releasePaletteSlot(slotIdx) {
+    if (!handModeActive()) {
+      drawIntoPaletteSlot(slotIdx);
+      return;
+    }
+    const hand = activeSlots();
+    if (!hand || slotIdx < 0 || slotIdx >= hand.length) return;
+    hand[slotIdx] = null;
+    showActiveHand();
+  }
+
+  function refillHand(player) {
+    const hand = state.playerHands[playerIndex(player)];
+    if (!hand) return;
+    for (let slotIdx = 0; slotIdx < hand.length; slotIdx++) {
+      if (!hand[slotIdx]) hand[slotIdx] = state.tileBag.shift() ?? null;
+    }
+  }
+
+  // Distribue les tuiles en tete du sac selon `privateHands` : une main par joueur ou la palette commune.
+  function dealTiles() {
+    if (settings.privateHands) {
+      const size = handSizeValue();
+      replaceArrayContents(
+        state.playerHands,
+        playerIds.map(() => Array.from({ length: size }, () => state.tileBag.shift() ?? null)),
+      );
+      showActiveHand();
+      return;
+    }
+    replaceArrayContents(state.playerHands, []);
+    replaceArrayContents(state.paletteSlots, new Array(PALETTE_SIZE).fill(null));
+    for (let slotIdx = 0; slotIdx < PALETTE_SIZE; slotIdx++) drawIntoPaletteSlot(slotIdx);
+  }
+
+  // Changement de mode ou de taille de main en cours de partie : les tuiles tenues
+  // reviennent en tete du sac (dans l'ordre des joueurs) puis sont redistribuees.
+  function redealTiles() {
+    const held = handModeActive() ? state.playerHands.flat() : state.paletteSlots.slice();
+    state.tileBag.unshift(...held.filter(Boolean));
+    dealTiles();
+  }
+
+  /**
+   * Remplit un nouveau sac de `tiles.length` tuiles (createTileBag, flux `random.tiles`)
+   * et y tire les tuiles proposees (palette commune ou mains privees). Le sac precedent est abandonne.
+   * @param {Object} [config]
+   * @param {number[]} [config.typesPct] - Pourcentages mono / bi / tri
+   * @param {number[]} [config.colorPct] - Pourcentages des 4 couleurs
+   * @returns {{ok: boolean, reason: string}}
+   */
+  function fillTileBag({ typesPct, colorPct } = {}) {
+    return runAction('fillTileBag', { typesPct, colorPct }, () => {
+      if (!Array.isArray(typesPct) || !Array.isArray(colorPct)) return fail('tile-bag-invalid');
+      replaceArrayContents(state.tileBag, createTileBag(tiles.length, typesPct, colorPct, random.tiles));
+      dealTiles();
+      return ok({ remaining: state.tileBag.length });
+    });
+  }
+
+  // ---------------- Palette bloquee ----------------
+  function canPlaceComboAnywhere(combo) {
+    if (!combo) return false;
+    // Tuile masquee (main d'un autre poste en reseau) : supposee jouable, le relais tranche
+    if (combo.hidden) return true;
+    const orientations = rotationStepsForCombo(combo).map((step) => orientedSideColors(combo, step));
+    for (const tileIdx of state.emptyTiles) {
+      if (orientations.some((sideColors) => canPlace(tileIdx, sideColors))) return true;
+    }
+    return false;
+  }
+
+  function mulliganRuleValue() {
+    return MULLIGAN_RULES.includes(settings.mulliganRule) ? settings.mulliganRule : DEFAULT_GAME_SETTINGS.mulliganRule;
+  }
+
+  function mulliganCostValue() {
+    return Math.max(0, Number.isFinite(settings.mulliganCost) ? settings.mulliganCost : DEFAULT_GAME_SETTINGS.mulliganCost);
+  }
+
+  /**
+   * Palette morte : elle propose des tuiles mais aucune ne se pose sur une case vide, quelle que soit la rotation.
+   * @returns {boolean}
+   */
+  function isPaletteDead() {
+    if (state.placedCount === 0 || state.emptyTiles.size === 0) return false;
+    return state.paletteSlots.some(Boolean) && !state.paletteSlots.some(canPlaceComboAnywhere);
+  }
+
+  /**
+   * Pose bloquee pour tous les joueurs : aucune tuile de la palette (ou d'aucune main) ne se pose
+   * et aucun tirage ne peut en amener une (regle `none` sans main a completer, ou aucune tuile
+   * du sac ne se pose non plus).
+   * @returns {boolean}
+   */
+  function isTilePlayBlocked() {
+    if (state.placedCount === 0 || state.emptyTiles.size === 0) return false;
+    const held = handModeActive() ? state.playerHands.flat() : state.paletteSlots;
+    // Une main entamee se complete en fin de tour : les tuiles du sac restent atteignables
+    const bagReachable = mulliganRuleValue() !== 'none' || (handModeActive() && held.some((combo) => !combo));
+    const candidates = bagReachable ? [...held, ...state.tileBag] : held;
+    // Le sac contient beaucoup de doublons : chaque combinaison n'est testee qu'une fois
+    const tested = new Set();
+    return !candidates.some((combo) => {
+      if (!combo) return false;
+      const key = `${combo.type}:${combo.colors.join(',')}`;
+      if (tested.has(key)) return false;
+      tested.add(key);
+      return canPlaceComboAnywhere(combo);
+    });
+  }
+
+  /**
+   * Mulligan du joueur actif sur une palette morte, selon `mulliganRule` : la tuile de `slotIdx`
+   * (`discardSlot`) ou toutes les tuiles proposees (`redrawPalette`) repartent sous le sac
+   * et sont remplacees par les suivantes, pour `mulliganCost` points. En mains privees,
+   * seule la main du joueur actif change.
+   * @param {number} player
+   * @param {?number} [slotIdx] - Emplacement defausse (regle `discardSlot`)
+   * @returns {{ok: boolean, reason: string, rule?: string, cost?: number}}
+   */
+  function mulligan(player, slotIdx = null) {
+    return runAction('mulligan', { player, slotIdx }, () => {
+      if (!isValidPlayer(player)) return fail('player-invalid', { player });
+      if (player !== state.turnState.activePlayer) return fail('mulligan-not-active', { player });
+      const rule = mulliganRuleValue();
+      if (rule === 'none') return fail('mulligan-disabled', { player });
+      if (!isPaletteDead()) return fail('mulligan-palette-playable', { player });
+      if (isTilePlayBlocked()) return fail('tiles-blocked', { player });
+      const slots = rule === 'discardSlot'
+        ? [slotIdx]
+        : state.paletteSlots.map((_, idx) => idx);
+      if (rule === 'discardSlot' && !(Number.isInteger(slotIdx) && state.paletteSlots[slotIdx])) {
+        return fail('mulligan-slot-invalid', { player, slotIdx });
+      }
+      const cost = mulliganCostValue();
+      if (cost > 0 && !spendPoints(player, cost, 'mulligan')) return fail('mulligan-insufficient-pv', { player, cost });
+      slots.forEach((idx) => {
+        if (state.paletteSlots[idx]) state.tileBag.push(state.paletteSlots[idx]);
+      });
+      slots.forEach(drawIntoPaletteSlot);
+      return ok({ rule, cost });
+    });
+  }
+
+  /**
+   * Prochaines tuiles du sac que le joueur peut voir (modificateur `tileBagPreview`, Observatoire Royal).
+   * @param {number} player
+   * @returns {Object[]} Copies des combinaisons, dans l'ordre de tirage
+   */
+  function getTileBagPreview(player) {
+    const count = Math.max(0, applyCardModifiers('tileBagPreview', 0, getPlayerRecord(player)?.buildings));
+    return state.tileBag.slice(0, count).map(cloneCombo);
+  }
+
+  function removeTile(tileIdx) {
+    return runAction('removeTile', { tileIdx }, () => {
+      const placement = state.placements[tileIdx];
+      if (!placement) return fail('tile-empty', { tileIdx });
+      const owner = placement.player;
+      if (isValidPlayer(owner)) {
+        adjustPlayerTileResources(owner, placement.combo, -1);
+        const idx = playerIndex(owner);
+        const current = state.turnState.tilesPlacedByPlayer[idx] ?? 0;
+        state.turnState.tilesPlacedByPlayer[idx] = Math.max(0, current - 1);
+        touch('turn');
+      }
+      state.placements[tileIdx] = null;
+      state.emptyTiles.add(tileIdx);
+      state.placedCount = Math.max(0, state.placedCount - 1);
+      regionsDirty = true;
+      touch('tiles', tileIdx);
+      pruneStructuresOnBrokenJunctions();
+      return ok();
+    });
+  }
+
+  // ---------------- Jonctions ----------------
+  function isJunctionReady(entry) {
+    if (!entry) return false;
+    const contributing = new Set();
+    if (Array.isArray(entry.entries)) {
+      for (const info of entry.entries) {
+        if (state.placements[info.tileIdx]) contributing.add(info.tileIdx);
+      }
+    }
+    if (contributing.size >= 3) return true;
+    if (Array.isArray(entry.tiles)) {
+      let count = 0;
+      for (const idx of entry.tiles) if (state.placements[idx]) count++;
+      if (count >= 3) return true;
+    }
+    return false;
+  }
+
+  function dominantColorForJunction(entry) {
+    if (!entry) return null;
+    const counts = new Map();
+    const tilesAround = Array.isArray(entry.tiles) ? entry.tiles : [];
+    tilesAround.forEach((tileIdx) => {
+      const combo = state.placements[tileIdx]?.combo;
+      if (!combo || !Array.isArray(combo.colors) || combo.colors.length === 0) return;
+      const primary = combo.colors[0];
+      counts.set(primary, (counts.get(primary) || 0) + 1);
+    });
+    let best = null;
+    let bestCount = 0;
+    counts.forEach((count, colorIdx) => {
+      if (count > bestCount) {
+        best = colorIdx;
+        bestCount = count;
+      }
+    });
+    return best;
+  }
+
+  function dominantPlayerForJunction(entry) {
+    if (!entry) return null;
+    const counts = new Map();
+    const tilesAround = Array.isArray(entry.tiles) ? entry.tiles : [];
+    tilesAround.forEach((tileIdx) => {
+      const owner = state.placements[tileIdx]?.player;
+      if (!isValidPlayer(owner)) return;
+      counts.set(owner, (counts.get(owner) || 0) + 1);
+    });
+    let leader = null;
+    let leaderCount = 0;
+    let tie = false;
+    counts.forEach((count, player) => {
+      if (count > leaderCount) {
+        leader = player;
+        leaderCount = count;
+        tie = false;
+      } else if (count === leaderCount) {
+        tie = true;
+      }
+    });
+    if (tie || leaderCount <= 0) return null;
+    return leader;
+  }
+
+  function influenceTypePriority(type) {
+    if (type === 'castle') return 0;
+    if (type === 'outpost') return 1;
+    return 2;
+  }
+
+  function findCastleKeyForPlayer(player) {
+    for (const [castleKey, owner] of state.castleByJunction.entries()) {
+      if (owner === player) return castleKey;
+    }
+    return null;
+  }
+
+  function getOutpostKeysForPlayer(player) {
+    const keys = [];
+    state.outpostByJunction.forEach((owner, outpostKey) => {
+      if (owner === player) keys.push(outpostKey);
+    });
+    return keys;
+  }
+
+  function getInfluenceEntriesForPlayer(player) {
+    const entries = [];
+    const castleKey = findCastleKeyForPlayer(player);
+    if (castleKey) {
+      const entry = junctionMap.get(castleKey);
+      if (entry) entries.push(entry);
+    }
+    getOutpostKeysForPlayer(player).forEach((outpostKey) => {
+      const entry = junctionMap.get(outpostKey);
+      if (entry) entries.push(entry);
+    });
+    return entries;
+  }
+
+  /**
+   * Rayon d'influence du joueur : reglage de partie, etendu par ses batiments.
+   * @param {number} player
+   * @returns {number}
+   */
+  function getInfluenceRadius(player) {
+    const base = Number.isFinite(settings.influenceRadius)
+      ? settings.influenceRadius
+      : DEFAULT_GAME_SETTINGS.influenceRadius;
+    return Math.max(0, applyCardModifiers('influenceRadius', base, getPlayerRecord(player)?.buildings));
+  }
+
+  function playerHasInfluenceForEntry(player, targetEntry, maxDistance = getInfluenceRadius(player)) {
+    if (!isValidPlayer(player) || !targetEntry) return false;
+    const sources = getInfluenceEntriesForPlayer(player);
+    if (sources.length === 0) return false;
+    const limit = Math.max(0, Number.isFinite(maxDistance) ? maxDistance : getInfluenceRadius(player));
+    for (let i = 0; i < sources.length; i++) {
+      if (distanceBetweenJunctionEntries(sources[i], targetEntry) <= limit) return true;
+    }
+    return false;
+  }
+
+  function nearestInfluenceForEntry(player, targetEntry) {
+    if (!isValidPlayer(player) || !targetEntry) return null;
+    let best = null;
+    const consider = (sourceEntry, type) => {
+      if (!sourceEntry) return;
+      const dist = distanceBetweenJunctionEntries(sourceEntry, targetEntry);
+      if (!Number.isFinite(dist)) return;
+      if (
+        !best
+        || dist < best.distance - INFLUENCE_DISTANCE_EPSILON
+        || (Math.abs(dist - best.distance) <= INFLUENCE_DISTANCE_EPSILON
+          && influenceTypePriority(type) < influenceTypePriority(best.type))
+      ) {
+        best = { distance: dist, type };
+      }
+    };
+    const castleKey = findCastleKeyForPlayer(player);
+    if (castleKey) consider(junctionMap.get(castleKey), 'castle');
+    getOutpostKeysForPlayer(player).forEach((outpostKey) => {
+      consider(junctionMap.get(outpostKey), 'outpost');
+    });
+    return best;
+  }
+
+  function inferAmenagementOwner(entry, placingPlayer = null) {
+    if (!entry) return null;
+    const influenceDetails = [];
+    playerIds.forEach((player) => {
+      if (!playerHasInfluenceForEntry(player, entry)) return;
+      const nearest = nearestInfluenceForEntry(player, entry);
+      if (!nearest) return;
+      influenceDetails.push({ player, distance: nearest.distance, type: nearest.type });
+    });
+    const dominant = dominantPlayerForJunction(entry);
+    if (influenceDetails.length === 0) return dominant;
+    const sorted = influenceDetails.slice().sort((a, b) => {
+      const distA = Number.isFinite(a.distance) ? a.distance : Number.POSITIVE_INFINITY;
+      const distB = Number.isFinite(b.distance) ? b.distance : Number.POSITIVE_INFINITY;
+      if (Math.abs(distA - distB) > INFLUENCE_DISTANCE_EPSILON) return distA - distB;
+      const rankDiff = influenceTypePriority(a.type) - influenceTypePriority(b.type);
+      if (rankDiff !== 0) return rankDiff;
+      return a.player - b.player;
+    });
+    const best = sorted[0];
+    if (!best) return dominant;
+    const bestRank = influenceTypePriority(best.type);
+    const bestPlayers = sorted
+      .filter((detail) => (
+        Math.abs(detail.distance - best.distance) <= INFLUENCE_DISTANCE_EPSILON
+        && influenceTypePriority(detail.type) === bestRank
+      ))
+      .map((detail) => detail.player);
+    if (bestPlayers.length === 1) return bestPlayers[0];
+    let startIdx = playerIndex(placingPlayer);
+    if (startIdx === -1) startIdx = 0;
+    for (let offset = 1; offset <= playerIds.length; offset++) {
+      const candidate = playerIds[(startIdx + offset) % playerIds.length];
+      if (bestPlayers.includes(candidate)) return candidate;
+    }
+    bestPlayers.sort((a, b) => a - b);
+    return bestPlayers[0];
+  }
+
+  function registerAmenagementForPlayer(player, key, colorIdx) {
+    const record = getPlayerRecord(player);
+    if (!record || typeof key !== 'string') return;
+    if (!record.amenagements.has(key)) {
+      record.amenagements.add(key);
+      if (Number.isInteger(colorIdx) && colorIdx >= 0) adjustResourceColorTally(player, colorIdx, 1);
+    }
+    state.amenagementColorByKey.set(key, colorIdx);
+    touch('amenagements');
+  }
+
+  function unregisterAmenagementForPlayer(player, key, colorIdx = null) {
+    const record = getPlayerRecord(player);
+    if (!record || typeof key !== 'string') return;
+    if (record.amenagements.delete(key)) {
+      const storedColor = state.amenagementColorByKey.get(key);
+      const targetColor = Number.isInteger(colorIdx) ? colorIdx : storedColor;
+      if (Number.isInteger(targetColor) && targetColor >= 0) adjustResourceColorTally(player, targetColor, -1);
+    }
+    state.amenagementColorByKey.delete(key);
+    touch('amenagements');
+  }
+
+  function amenagementCostValue() {
+    const value = Number.isFinite(settings.amenagementCost)
+      ? settings.amenagementCost
+      : DEFAULT_GAME_SETTINGS.amenagementCost;
+    return Math.max(0, value);
+  }
+
+  function chargeAmenagementPlacement(player) {
+    const cost = amenagementCostValue();
+    if (cost <= 0) return true;
+    return spendPoints(player, cost, 'amenagement');
+  }
+
+  function evaluateAmenagementsAround(tileIdx, { allowCreation = true, placingPlayer = null } = {}) {
+    if (!Number.isInteger(tileIdx)) return;
+    for (const [key, entry] of junctionMap.entries()) {
+      if (!entry || !Array.isArray(entry.tiles) || !entry.tiles.includes(tileIdx)) continue;
+      if (!isJunctionReady(entry)) continue;
+      const owner = inferAmenagementOwner(entry, placingPlayer);
+      if (!isValidPlayer(owner)) continue;
+      if (!playerHasInfluenceForEntry(owner, entry)) continue;
+      const currentOwner = state.overlayByJunction.get(key) ?? null;
+      if (currentOwner == null && !allowCreation) continue;
+      if (currentOwner === owner) continue;
+      const colorIdx = dominantColorForJunction(entry);
+      if (currentOwner == null) {
+        if (!chargeAmenagementPlacement(owner)) {
+          note('amenagement-cost-unpaid', { key, player: owner });
+          continue;
+        }
+      } else if (isValidPlayer(currentOwner)) {
+        unregisterAmenagementForPlayer(currentOwner, key, state.amenagementColorByKey.get(key));
+      }
+      state.overlayByJunction.set(key, owner);
+      registerAmenagementForPlayer(owner, key, colorIdx);
+    }
+  }
+
+  function cleanupAmenagementsForPlayer(player) {
+    if (!isValidPlayer(player)) return;
+    const toRemove = [];
+    state.overlayByJunction.forEach((owner, key) => {
+      if (owner !== player) return;
+      const entry = junctionMap.get(key);
+      if (!entry || !playerHasInfluenceForEntry(player, entry)) {
+        toRemove.push({ key, colorIdx: state.amenagementColorByKey.get(key) });
+      }
+    });
+    toRemove.forEach(({ key, colorIdx }) => {
+      unregisterAmenagementForPlayer(player, key, colorIdx);
+      state.overlayByJunction.delete(key);
+    });
+  }
+
+  function pruneStructuresOnBrokenJunctions() {
+    for (const [key, player] of Array.from(state.overlayByJunction.entries())) {
+      if (isJunctionReady(junctionMap.get(key))) continue;
+      if (isValidPlayer(player)) unregisterAmenagementForPlayer(player, key, state.amenagementColorByKey.get(key));
+      state.overlayByJunction.delete(key);
+      touch('amenagements');
+    }
+    const affected = new Set();
+    [state.castleByJunction, state.outpostByJunction].forEach((map) => {
+      for (const [key, player] of Array.from(map.entries())) {
+        if (isJunctionReady(junctionMap.get(key)) && isValidPlayer(player)) continue;
+        map.delete(key);
+        affected.add(player);
+        touch('structures');
+      }
+    });
+    affected.forEach((player) => cleanupAmenagementsForPlayer(player));
+  }
+
+  function claimAmenagement(player, key) {
+    return runAction('claimAmenagement', { player, key }, () => {
+      const entry = junctionMap.get(key);
+      if (!entry || !isValidPlayer(player)) return fail('amenagement-invalid', { key, player });
+      if (!isJunctionReady(entry)) return fail('amenagement-junction-not-ready', { key, player });
+      if (!playerHasInfluenceForEntry(player, entry)) return fail('amenagement-out-of-influence', { key, player });
+      const previousOwner = state.overlayByJunction.get(key) ?? null;
+      if (previousOwner === player) return fail('amenagement-already-owned', { key, player });
+      const previousColor = state.amenagementColorByKey.get(key);
+      const colorIdx = dominantColorForJunction(entry);
+      if (!chargeAmenagementPlacement(player)) return fail('amenagement-cost-unpaid', { key, player });
+      if (isValidPlayer(previousOwner)) unregisterAmenagementForPlayer(previousOwner, key, previousColor);
+      state.overlayByJunction.set(key, player);
+      registerAmenagementForPlayer(player, key, colorIdx);
+      return ok();
+    });
+  }
+
+  function releaseAmenagement(key) {
+    return runAction('releaseAmenagement', { key }, () => {
+      const previousOwner = state.overlayByJunction.get(key);
+      if (previousOwner == null) {
+        state.overlayByJunction.delete(key);
+        state.amenagementColorByKey.delete(key);
+        touch('amenagements');
+        return ok();
+      }
+      const colorIdx = state.amenagementColorByKey.get(key);
+      state.overlayByJunction.delete(key);
+      unregisterAmenagementForPlayer(previousOwner, key, colorIdx);
+      return ok();
+    });
+  }
+
+  // ---------------- Chateaux et avant-postes ----------------
+  function isOutpostPlacementValid(player, targetEntry) {
+    if (!targetEntry) return false;
+    return playerHasInfluenceForEntry(player, targetEntry);
+  }
+
+  function isCastlePlacementValid(player, targetEntry) {
+    if (!targetEntry) return false;
+    if (!settings.requireCastleAdjacencyForCastles) return true;
+    const idx = playerIndex(player);
+    if (idx === -1) return false;
+    const colonTileIdx = state.colonPositions[idx];
+    if (!Number.isInteger(colonTileIdx)) return false;
+    const tilesAround = Array.isArray(targetEntry.tiles) ? targetEntry.tiles : [];
+    return tilesAround.some((tileIdx) => tileIdx === colonTileIdx);
+  }
+
+  function castleCostValue(player = null) {
+    const base = Number.isFinite(settings.castleCost) ? settings.castleCost : DEFAULT_GAME_SETTINGS.castleCost;
+    return Math.max(0, applyCardModifiers('castleCost', base, getPlayerRecord(player)?.buildings));
+  }
+
+  function outpostCostValue() {
+    return Math.max(
+      0,
+      Number.isFinite(settings.outpostCost) ? settings.outpostCost : DEFAULT_GAME_SETTINGS.outpostCost,
+    );
+  }
+
+  function reevaluateAroundEntry(entry) {
+    const tilesAround = Array.isArray(entry.tiles) ? entry.tiles : [];
+    tilesAround.forEach((idxTile) => evaluateAmenagementsAround(idxTile, { allowCreation: false }));
+  }
+
+  /**
+   * Action de double-clic sur une jonction : retire la structure du joueur si elle
+   * s'y trouve, sinon pose son chateau (le premier) ou un avant-poste (les suivants).
+   * @returns {{ok: boolean, reason: string, structure?: string, removed?: boolean}}
+   */
+  function buildCastle(player, key) {
+    return runAction('buildCastle', { player, key }, () => {
+      const entry = junctionMap.get(key);
+      if (!entry || !isValidPlayer(player)) return fail('castle-invalid', { key, player });
+      if (!isJunctionReady(entry)) return fail('castle-junction-not-ready', { key, player });
+
+      const currentCastleOwner = state.castleByJunction.get(key) ?? null;
+      if (currentCastleOwner != null) {
+        if (currentCastleOwner !== player) return fail('castle-owned-by-other', { key, player });
+        state.castleByJunction.delete(key);
+        touch('structures');
+        cleanupAmenagementsForPlayer(player);
+        return ok({ structure: 'castle', removed: true });
+      }
+
+      const currentOutpostOwner = state.outpostByJunction.get(key) ?? null;
+      if (currentOutpostOwner != null) {
+        if (currentOutpostOwner !== player) return fail('outpost-owned-by-other', { key, player });
+        state.outpostByJunction.delete(key);
+        touch('structures');
+        cleanupAmenagementsForPlayer(player);
+        return ok({ structure: 'outpost', removed: true });
+      }
+
+      if (!findCastleKeyForPlayer(player)) {
+        if (!isCastlePlacementValid(player, entry)) return fail('castle-adjacency-blocked', { key, player });
+        const castleCost = castleCostValue(player);
+        if (castleCost > 0 && !spendPoints(player, castleCost, 'castle')) {
+          return fail('castle-insufficient-pv', { key, player, cost: castleCost });
+        }
+        state.castleByJunction.set(key, player);
+        touch('structures');
+        reevaluateAroundEntry(entry);
+        return ok({ structure: 'castle', removed: false });
+      }
+
+      if (!isOutpostPlacementValid(player, entry)) return fail('outpost-placement-invalid', { key, player });
+      const outpostCost = outpostCostValue();
+      if (outpostCost > 0 && !spendPoints(player, outpostCost, 'outpost')) {
+        return fail('outpost-insufficient-pv', { key, player, cost: outpostCost });
+      }
+      state.outpostByJunction.set(key, player);
+      touch('structures');
+      reevaluateAroundEntry(entry);
+      return ok({ structure: 'outpost', removed: false });
+    });
+  }
+
+  function removeStructure(key) {
+    return runAction('removeStructure', { key }, () => {
+      const castleOwner = state.castleByJunction.get(key) ?? null;
+      const outpostOwner = state.outpostByJunction.get(key) ?? null;
+      const owner = castleOwner ?? outpostOwner;
+      if (owner == null) return fail('structure-missing', { key });
+      state.castleByJunction.delete(key);
+      state.outpostByJunction.delete(key);
+      touch('structures');
+      cleanupAmenagementsForPlayer(owner);
+      return ok();
+    });
+  }
+
+  // ---------------- Colons ----------------
+  // Pas du tour (bornes par le reglage) puis pas accordes par les cartes.
+  function colonStepBudget(pIdx) {
+    const regular = Math.max(0, Math.min(settings.colonStepsPerTurn, state.colonMoveRemaining[pIdx] ?? 0));
+    return { regular, bonus: Math.max(0, state.colonBonusSteps[pIdx] ?? 0) };
+  }
+
+  /**
+   * Distance maximale que le colon du joueur peut encore parcourir ce tour (pas ou deploiement).
+   * @param {number} player
+   * @returns {number}
+   */
+  function getColonReach(player) {
+    const pIdx = playerIndex(player);
+    if (pIdx === -1) return 0;
+    const { regular, bonus } = colonStepBudget(pIdx);
+    return Math.max(regular + bonus, state.colonDeployRange[pIdx] ?? 0);
+  }
+
+  /**
+   * Tuiles ou le colon du joueur peut se rendre en un deplacement.
+   * @param {number} player
+   * @returns {number[]}
+   */
+  function getColonDestinations(player) {
+    const pIdx = playerIndex(player);
+    const reach = getColonReach(player);
+    if (reach <= 0) return [];
+    const origin = state.colonPositions[pIdx];
+    return tiles.reduce((acc, _, idx) => {
+      const distance = hexDistanceBetweenCached(origin, idx);
+      if (distance > 0 && distance <= reach) acc.push(idx);
+      return acc;
+    }, []);
+  }
+
+  function moveColon(player, tileIdx) {
+    return runAction('moveColon', { player, tileIdx }, () => {
+      const pIdx = playerIndex(player);
+      if (pIdx === -1) return fail('colon-invalid-player', { player });
+      if (player !== state.turnState.activePlayer) return fail('colon-not-active', { player });
+      if (getColonReach(player) <= 0) return fail('colon-exhausted', { player });
+      const distance = hexDistanceBetween(state.colonPositions[pIdx], tileIdx);
+      if (!Number.isFinite(distance)) return fail('colon-out-of-range', { player, tileIdx, distance });
+      if (distance === 0) return fail('colon-same-tile', { player, tileIdx });
+      const { regular, bonus } = colonStepBudget(pIdx);
+      let mode = 'steps';
+      if (distance <= regular + bonus) {
+        const fromRegular = Math.min(regular, distance);
+        state.colonMoveRemaining[pIdx] = Math.max(0, (state.colonMoveRemaining[pIdx] ?? 0) - fromRegular);
+        state.colonBonusSteps[pIdx] = bonus - (distance - fromRegular);
+      } else if (distance <= (state.colonDeployRange[pIdx] ?? 0)) {
+        mode = 'deploy';
+        state.colonDeployRange[pIdx] = 0;
+      } else {
+        return fail('colon-out-of-range', { player, tileIdx, distance });
+      }
+      state.colonPositions[pIdx] = tileIdx;
+      touch('colons');
+      return ok({ distance, mode });
+    });
+  }
+
+  // Effet `colon` d'une carte achetee : pas supplementaires ou deploiement, a utiliser avant la fin du tour.
+  function grantColonEffect(player, effect) {
+    const pIdx = playerIndex(player);
+    if (pIdx === -1) return;
+    if (effect.grant === 'steps' && Number.isFinite(effect.amount)) {
+      state.colonBonusSteps[pIdx] = (state.colonBonusSteps[pIdx] ?? 0) + effect.amount;
+    } else if (effect.grant === 'deploy' && Number.isFinite(effect.range)) {
+      state.colonDeployRange[pIdx] = Math.max(state.colonDeployRange[pIdx] ?? 0, effect.range);
+    } else {
+      return;
+    }
+    touch('colons');
+    note('colonGrant', { card: effect.source, grant: effect.grant });
+  }
+
+  // ---------------- Marche ----------------
+  function computeMarketDistance(slotIdx, player = state.turnState.activePlayer) {
+    if (!Number.isInteger(slotIdx) || slotIdx < 0) return null;
+    const playerIdx = playerIndex(player);
+    if (playerIdx === -1) return null;
+    const { track, marketCells } = squareLayout;
+    const cell = marketCells[slotIdx] ?? null;
+    if (!cell || track.length === 0) return null;
+    const score = state.playerScores[playerIdx] || 0;
+    const normalized = ((score % track.length) + track.length) % track.length;
+    const trackCell = track[normalized];
+    const distance = Math.abs(trackCell.row - cell.row) + Math.abs(trackCell.col - cell.col);
+    return Number.isFinite(distance) ? distance : null;
+  }
+
+  function applyMarketReward(player, reward, source = 'reward') {
+    if (!reward || typeof reward !== 'object') return;
+    if (Number.isFinite(reward.points) && reward.points !== 0) {
+      awardPoints(player, reward.points, source);
+    }
+    if (Number.isFinite(reward.crowns) && reward.crowns !== 0) {
+      adjustPlayerCrowns(player, reward.crowns);
+    }
+    if (reward.stock && typeof reward.stock === 'object') {
+      Object.values(RESOURCE_TYPES).forEach((resource) => {
+        const amount = reward.stock[resource];
+        if (Number.isFinite(amount) && amount !== 0) {
+          adjustPlayerResourceStock(player, resource, amount);
+        }
+      });
+    }
+  }
+
+  function registerBuildingForPlayer(player, cardId, { applyReward = true } = {}) {
+    const record = getPlayerRecord(player);
+    if (!record || !cardId) return;
+    record.buildings.add(cardId);
+    touch('resources');
+    if (applyReward) {
+      const def = getMarketCardDefinition(cardId);
+      if (def?.reward) applyMarketReward(player, def.reward, 'build:' + cardId);
+      collectCardEffects([cardId], CARD_EFFECT_KINDS.COLON).forEach((effect) => grantColonEffect(player, effect));
+    }
+  }
+
+  function registerContractForPlayer(player, cardId) {
+    const record = getPlayerRecord(player);
+    if (!record || !cardId) return;
+    record.contracts.add(cardId);
+    touch('resources');
+  }
+
+  function claimMarketSlot(player, slotIdx) {
+    return runAction('claimMarketSlot', { player, slotIdx }, () => {
+      const slotState = state.marketState?.slots?.[slotIdx] ?? null;
+      if (!slotState) return fail('market-slot-empty', { player, slotIdx });
+      const def = getMarketCardDefinition(slotState.id);
+      if (!def) return fail('market-unknown-card', { player, slotIdx });
+      const record = getPlayerRecord(player);
+      if (!record) return fail('market-invalid-player', { player });
+      if (record.contracts.has(def.id) || record.buildings.has(def.id)) {
+        return fail('market-already-acquired', { player, card: def.id });
+      }
+      const distance = computeMarketDistance(slotIdx, player);
+      const cost = Number.isFinite(distance) && distance > 0 ? distance : 0;
+      if (cost > 0 && !spendPoints(player, cost, 'market-plan')) {
+        return fail('market-insufficient-pv', { player, card: def.id, cost, distance });
+      }
+      state.marketState.slots[slotIdx] = null;
+      if (Array.isArray(state.marketState.discardPile)) state.marketState.discardPile.push(def.id);
+      refillMarketSlot(state.marketState, slotIdx, random.market);
+      touch('market');
+      registerContractForPlayer(player, def.id);
+      return ok({ cardId: def.id, cost, distance });
+    });
+  }
+
+  /**
+   * Cout de construction d'une carte pour un joueur, reductions de ses batiments comprises.
+   * @returns {?Object}
+   */
+  function getBuildCost(player, def) {
+    return applyCardCostModifiers(def?.cost, getPlayerRecord(player)?.buildings);
+  }
+
+  /**
+   * Le joueur peut-il construire ce contrat ? `reason` est un code (contract-insufficient-*).
+   * @returns {{canBuild: boolean, reason: string}}
+   */
+  function evaluateContractBuildAvailability(player, def, providedStock = null) {
+    const cost = getBuildCost(player, def);
+    if (!cost) return { canBuild: true, reason: '' };
+    const record = getPlayerRecord(player);
+    const stock = providedStock ?? getPlayerResourceStock(player);
+    if (!hasEnoughAmenagementResources(cost, stock)) {
+      return { canBuild: false, reason: 'contract-insufficient-resources' };
+    }
+    const pointsRequired = Number(cost.points);
+    if (Number.isFinite(pointsRequired) && pointsRequired > 0 && pointsRequired > getPlayerScore(player)) {
+      return { canBuild: false, reason: 'contract-insufficient-pv' };
+    }
+    const crownsRequired = Number(cost.crowns);
+    if (Number.isFinite(crownsRequired) && crownsRequired > 0 && crownsRequired > Number(record?.crowns ?? 0)) {
+      return { canBuild: false, reason: 'contract-insufficient-crowns' };
+    }
+    return { canBuild: true, reason: '' };
+  }
+
+  function buildContract(player, cardId) {
+    return runAction('buildContract', { player, cardId }, () => {
+      const record = getPlayerRecord(player);
+      if (!record || !record.contracts.has(cardId)) return fail('contract-missing', { player, card: cardId });
+      const def = getMarketCardDefinition(cardId);
+      if (!def) return fail('contract-unknown-card', { player, card: cardId });
+      const status = evaluateContractBuildAvailability(player, def);
+      if (!status.canBuild) return fail(status.reason, { player, card: cardId });
+      const cost = getBuildCost(player, def) || {};
+      const pointsRequired = Number(cost.points);
+      const crownsRequired = Number(cost.crowns);
+      if (Number.isFinite(pointsRequired) && pointsRequired > 0) {
+        if (!spendPoints(player, pointsRequired, `contract-build:${cardId}`)) {
+          return fail('contract-insufficient-pv', { player, card: cardId });
+        }
+      }
+      record.contracts.delete(cardId);
+      if (Number.isFinite(crownsRequired) && crownsRequired > 0) {
+        adjustPlayerCrowns(player, -crownsRequired);
+      }
+      registerBuildingForPlayer(player, cardId);
+      return ok({ cardId });
+    });
+  }
+
+  // ---------------- Effets de fin de tour et conversions ----------------
+  // Conditions des effets de production, evaluees pour le joueur qui termine son tour.
+  const PRODUCTION_CONDITIONS = {
+    // Un amenagement du joueur partage une tuile avec son chateau.
+    amenagementNearCastle(player) {
+      const castleTiles = junctionMap.get(findCastleKeyForPlayer(player))?.tiles ?? [];
+      if (!castleTiles.length) return false;
+      for (const [key, owner] of state.overlayByJunction.entries()) {
+        if (owner !== player) continue;
+        if ((junctionMap.get(key)?.tiles ?? []).some((tileIdx) => castleTiles.includes(tileIdx))) return true;
+      }
+      return false;
+    },
+  };
+
+  function runUpkeepPhase(player) {
+    const record = getPlayerRecord(player);
+    if (!record) return;
+    collectCardEffects(record.buildings, CARD_EFFECT_KINDS.PRODUCTION).forEach((effect) => {
+      const condition = effect.condition ? PRODUCTION_CONDITIONS[effect.condition] : null;
+      if (effect.condition && !condition?.(player)) return;
+      if (!Number.isFinite(effect.amount) || effect.amount <= 0) return;
+      adjustPlayerResourceStock(player, effect.resource, effect.amount);
+      note('production', { player, resource: effect.resource, amount: effect.amount, source: effect.source });
+    });
+  }
+
+  function getConversionEffect(player, cardId) {
+    const record = getPlayerRecord(player);
+    if (!record?.buildings.has(cardId)) return null;
+    return collectCardEffects([cardId], CARD_EFFECT_KINDS.CONVERSION)[0] ?? null;
+  }
+
+  /**
+   * Etat d'une conversion de batiment pour un joueur (bouton du plateau personnel).
+   * `reason` est un code (conversion-*).
+   * @returns {{canConvert: boolean, reason: string, effect: ?Object}}
+   */
+  function evaluateConversion(player, cardId) {
+    const effect = getConversionEffect(player, cardId);
+    if (!effect) return { canConvert: false, reason: 'conversion-missing', effect: null };
+    if (player !== state.turnState.activePlayer) return { canConvert: false, reason: 'conversion-not-your-turn', effect };
+    const used = state.turnState.conversionsUsedByPlayer[playerIndex(player)] ?? [];
+    if (used.includes(cardId)) return { canConvert: false, reason: 'conversion-already-used', effect };
+    const stock = getPlayerResourceStock(player);
+    if ((stock[effect.from] ?? 0) < effect.amount) {
+      return { canConvert: false, reason: 'conversion-insufficient-resources', effect };
+    }
+    if ((stock[effect.to] ?? 0) + effect.amount > getPlayerResourceCapacity(player)[effect.to]) {
+      return { canConvert: false, reason: 'conversion-capacity-full', effect };
+    }
+    return { canConvert: true, reason: '', effect };
+  }
+
+  function convertResource(player, cardId) {
+    return runAction('convertResource', { player, cardId }, () => {
+      const status = evaluateConversion(player, cardId);
+      if (!status.canConvert) return fail(status.reason, { player, card: cardId });
+      const { from, to, amount } = status.effect;
+      const record = getPlayerRecord(player);
+      // Le debit part du stock disponible (plafonne) : une production au-dela de la capacite ne se convertit pas.
+      const available = getPlayerResourceStock(player)[from];
+      const produced = computeAmenagementResourceStock(record)[from] || 0;
+      record.stock[from] = available - amount - produced;
+      record.stock[to] = (record.stock[to] || 0) + amount;
+      state.turnState.conversionsUsedByPlayer[playerIndex(player)].push(cardId);
+      touch('resources');
+      touch('turn');
+      return ok({ from, to, amount });
+    });
+  }
+
+  // ---------------- Fin de partie ----------------
+  function isEndConditionReached() {
+    switch (settings.endCondition) {
+      case 'turnLimit':
+        return state.turnState.turnNumber > settings.endTurnLimit;
+      case 'scoreThreshold':
+        return state.playerScores.some((score) => score >= settings.endScoreThreshold);
+      case 'boardFull':
+      default:
+        return state.placedCount >= tiles.length || isTilePlayBlocked();
+    }
+  }
+
+  // Plus longue ligne droite de tuiles posees par le joueur (sur les 3 axes de la grille).
+  function longestChainForPlayer(player) {
+    let longest = 0;
+    state.placements.forEach((placement, tileIdx) => {
+      if (placement?.player !== player) return;
+      for (let dir = 0; dir < 3; dir++) {
+        const previous = neighbors[tileIdx]?.[dir + 3] ?? -1;
+        if (previous >= 0 && state.placements[previous]?.player === player) continue;
+        let length = 0;
+        let current = tileIdx;
+        while (current >= 0 && state.placements[current]?.player === player) {
+          length++;
+          current = neighbors[current]?.[dir] ?? -1;
+        }
+        longest = Math.max(longest, length);
+      }
+    });
+    return longest;
+  }
+
+  // Regles de decompte des effets `endgame`, par valeur de `effect.scoring`.
+  const ENDGAME_SCORING = {
+    perTaggedCard(player, effect) {
+      const record = getPlayerRecord(player);
+      const cards = [...(record?.contracts ?? []), ...(record?.buildings ?? [])];
+      const matching = cards.filter((cardId) => (
+        cardId !== effect.source && getMarketCardDefinition(cardId)?.tags?.includes(effect.tag)
+      ));
+      return matching.length * effect.points;
+    },
+    longestChain(player, effect) {
+      const own = longestChainForPlayer(player);
+      if (own === 0) return 0;
+      return playerIds.every((other) => longestChainForPlayer(other) <= own) ? effect.points : 0;
+    },
+    colorTiles(player, effect) {
+      const count = state.placements.filter((placement) => (
+        placement?.player === player && placement.combo?.colors?.includes(effect.color)
+      )).length;
+      return count >= effect.count ? effect.points : 0;
+    },
+  };
+
+  function finishGame() {
+    const scoring = [];
+    playerIds.forEach((player) => {
+      const record = getPlayerRecord(player);
+      collectCardEffects(record?.buildings, CARD_EFFECT_KINDS.ENDGAME).forEach((effect) => {
+        const points = ENDGAME_SCORING[effect.scoring]?.(player, effect) ?? 0;
+        if (points !== 0) awardPoints(player, points, `final:${effect.source}`);
+        scoring.push({ player, source: effect.source, points });
+      });
+    });
+    const ranking = playerIds.slice().sort((a, b) => (
+      getPlayerScore(b) - getPlayerScore(a)
+      || (getPlayerRecord(b)?.crowns ?? 0) - (getPlayerRecord(a)?.crowns ?? 0)
+    ));
+    const condition = END_CONDITIONS.includes(settings.endCondition) ? settings.endCondition : 'boardFull';
+    state.endState = {
+      // Plateau incomplet sur lequel plus aucune tuile ne se pose
+      reason: condition === 'boardFull' && state.placedCount < tiles.length ? 'boardBlocked' : condition,
+      turn: state.turnState.turnNumber,
+      scoring,
+      finalScores: state.playerScores.slice(),
+      ranking,
+    };
+    note('gameOver', { condition: state.endState.reason });
+    touch('game');
+  }
+
+  // ---------------- Tours ----------------
+  function setActivePlayer(player) {
+    return runAction('setActivePlayer', { player }, () => {
+      if (!isValidPlayer(player)) return fail('player-invalid', { player });
+      if (state.turnState.activePlayer === player) return ok();
+      state.turnState.activePlayer = player;
+      showActiveHand();
+      touch('turn');
+      return ok();
+    });
+  }
+
+  function endTurn({ reason = 'auto' } = {}) {
+    return runAction('endTurn', { reason }, () => {
+      const currentIdx = playerIndex(state.turnState.activePlayer);
+      if (currentIdx === -1) return fail('end-turn-invalid-player', { reason });
+      runUpkeepPhase(state.turnState.activePlayer);
+      if (handModeActive()) refillHand(state.turnState.activePlayer);
+      state.turnState.tilesPlacedByPlayer[currentIdx] = 0;
+      const nextIdx = (currentIdx + 1) % playerIds.length;
+      state.turnState.conversionsUsedByPlayer[currentIdx] = [];
+      state.turnState.conversionsUsedByPlayer[nextIdx] = [];
+      if (nextIdx === 0) state.turnState.turnNumber += 1;
+      state.turnState.activePlayer = playerIds[nextIdx];
+      showActiveHand();
+      state.colonMoveRemaining[currentIdx] = settings.colonStepsPerTurn;
+      state.colonPlacementUsed[currentIdx] = false;
+      state.colonMoveRemaining[nextIdx] = settings.colonStepsPerTurn;
+      state.colonPlacementUsed[nextIdx] = false;
+      [currentIdx, nextIdx].forEach((idx) => {
+        state.colonBonusSteps[idx] = 0;
+        state.colonDeployRange[idx] = 0;
+      });
+      touch('turn');
+      touch('colons');
+      return ok({ activePlayer: state.turnState.activePlayer });
+    });
+  }
+
+  /**
+   * Reporte sur l'etat courant un changement de reglages (limites de pose et de pas,
+   * palette commune ou mains privees et leur taille).
+   * @param {Object} previous - Reglages avant modification
+   */
+  function applySettingsDiff(previous) {
+    return runAction('applySettings', { previous, settings }, () => {
+      if (settings.tilePlacementsPerTurn !== previous.tilePlacementsPerTurn) {
+        const limit = Math.max(0, settings.tilePlacementsPerTurn);
+        const placed = state.turnState.tilesPlacedByPlayer;
+        for (let i = 0; i < placed.length; i++) {
+          const current = Number.isFinite(placed[i]) ? placed[i] : 0;
+          placed[i] = Math.min(limit, Math.max(0, current));
+        }
+      }
+      const colonLimit = Math.max(0, settings.colonStepsPerTurn);
+      const remaining = state.colonMoveRemaining;
+      for (let i = 0; i < remaining.length; i++) {
+        remaining[i] = settings.colonStepsPerTurn !== previous.colonStepsPerTurn
+          ? colonLimit
+          : Math.min(colonLimit, Math.max(0, remaining[i] ?? colonLimit));
+      }
+      // Sac non tire (avant fillTileBag) : la distribution suivra le reglage
+      const dealt = state.tileBag.length > 0 || state.paletteSlots.some(Boolean) || handModeActive();
+      const handsChanged = Boolean(settings.privateHands) !== handModeActive()
+        || (handModeActive() && state.playerHands[0]?.length !== handSizeValue());
+      if (dealt && handsChanged) redealTiles();
+      touch('turn');
+      touch('colons');
+      return ok();
+    });
+  }
+
+  // ---------------- Sauvegarde ----------------
+  function exportPlayerResource(record) {
+    return {
+      tileColors: Array.from(record.tileColors.entries()),
+      amenagements: Array.from(record.amenagements),
+      amenagementColors: Array.from(record.amenagementColors.entries()),
+      stock: { ...record.stock },
+      buildings: Array.from(record.buildings),
+      contracts: Array.from(record.contracts),
+      crowns: record.crowns,
+    };
+  }
+
+  function importPlayerResource(data) {
+    const record = createEmptyPlayerResource();
+    if (!data) return record;
+    (data.tileColors || []).forEach(([colorIdx, amount]) => record.tileColors.set(colorIdx, amount));
+    (data.amenagements || []).forEach((key) => record.amenagements.add(key));
+    (data.amenagementColors || []).forEach(([colorIdx, amount]) => record.amenagementColors.set(colorIdx, amount));
+    Object.keys(record.stock).forEach((type) => {
+      const amount = Number(data.stock?.[type]);
+      record.stock[type] = Number.isFinite(amount) ? amount : 0;
+    });
+    (data.buildings || []).forEach((cardId) => record.buildings.add(cardId));
+    (data.contracts || []).forEach((cardId) => record.contracts.add(cardId));
+    record.crowns = Number.isFinite(data.crowns) ? data.crowns : 0;
+    return record;
+  }
+
+  function marketCardsFromIds(ids) {
+    return (Array.isArray(ids) ? ids : [])
+      .map((cardId) => getMarketCardDefinition(cardId))
+      .filter(Boolean)
+      .map((card) => ({ ...card }));
+  }
+
+  /**
+   * Photographie complete et serialisable en JSON de l'etat de la partie (flux aleatoires compris).
+   * @returns {Object}
+   */
+  function exportState() {
+    const market = state.marketState;
+    return {
+      seed: state.seed,
+      board: JSON.parse(JSON.stringify(state.board)),
+      random: Object.fromEntries(Object.entries(random).map(([stream, next]) => [stream, next.getState()])),
+      placements: state.placements.map((placement) => (placement
+        ? {
+          player: placement.player,
+          combo: {
+            type: placement.combo.type,
+            colors: placement.combo.colors.slice(),
+            units: placement.combo.units?.slice(),
+            rotationStep: placement.combo.rotationStep,
+          },
+          rotationStep: placement.rotationStep,
+          sideColors: placement.sideColors.slice(),
+        }
+        : null)),
+      players: state.players.map((profile) => ({ ...profile })),
+      playerScores: state.playerScores.slice(),
+      scoreLedger: state.scoreLedger.map((entry) => ({ ...entry })),
+      playerResources: state.playerResources.map(exportPlayerResource),
+      colonPositions: state.colonPositions.slice(),
+      colonMoveRemaining: state.colonMoveRemaining.slice(),
+      colonPlacementUsed: state.colonPlacementUsed.slice(),
+      colonBonusSteps: state.colonBonusSteps.slice(),
+      colonDeployRange: state.colonDeployRange.slice(),
+      tileBag: state.tileBag.map(cloneCombo),
+      paletteSlots: state.paletteSlots.map(cloneCombo),
+      playerHands: state.playerHands.map((hand) => hand.map(cloneCombo)),
+      turnState: {
+        activePlayer: state.turnState.activePlayer,
+        turnNumber: state.turnState.turnNumber,
+        tilesPlacedByPlayer: state.turnState.tilesPlacedByPlayer.slice(),
+        conversionsUsedByPlayer: state.turnState.conversionsUsedByPlayer.map((used) => used.slice()),
+      },
+      marketState: {
+        deck: (market.deck || []).map((card) => card.id),
+        drawPile: (market.drawPile || []).map((card) => card.id),
+        discardPile: (market.discardPile || []).slice(),
+        slots: (market.slots || []).map((slot) => (slot ? { ...slot } : null)),
+        revealedThisTurn: Array.from(market.revealedThisTurn || []),
+      },
+      overlayByJunction: Array.from(state.overlayByJunction.entries()),
+      castleByJunction: Array.from(state.castleByJunction.entries()),
+      outpostByJunction: Array.from(state.outpostByJunction.entries()),
+      amenagementColorByKey: Array.from(state.amenagementColorByKey.entries()),
+      endState: state.endState ? JSON.parse(JSON.stringify(state.endState)) : null,
+    };
+  }
+
+  // Remplace tout l'etat par une photographie; a appeler depuis une action (runAction).
+  function applyState(data) {
+    if (!data || !Array.isArray(data.placements)) return fail('save-invalid');
+    // Etat anterieur aux variantes de plateau : hexagone de rayon RADIUS
+    const board = normalizeBoardSpec(data.board ?? DEFAULT_BOARD);
+    const boardTiles = isSameBoard(board, state.board) ? tiles : generateBoardTiles(board);
+    if (data.placements.length !== boardTiles.length) {
+      return fail('save-board-mismatch', { expected: boardTiles.length, received: data.placements.length });
+    }
+    if (boardTiles !== tiles) applyBoardLayout(board, boardTiles);
+    const seed = normalizeSeed(data.seed) ?? state.seed;
+    reseed(seed);
+    Object.entries(data.random || {}).forEach(([stream, value]) => {
+      if (random[stream] && Number.isInteger(value)) random[stream].setState(value);
+    });
+
+    // Joueurs d'abord : la propriete des tuiles, colons et structures se verifie contre eux.
+    // Etat anterieur aux parties de 2 a 6 joueurs : six joueurs
+    setPlayers(createPlayerProfiles(Array.isArray(data.players) ? data.players : MAX_PLAYERS));
+
+    state.emptyTiles.clear();
+    state.placedCount = 0;
+    regionsDirty = true;
+    data.placements.forEach((placement, tileIdx) => {
+      if (!placement || !Array.isArray(placement.sideColors) || !placement.combo) {
+        state.placements[tileIdx] = null;
+        state.emptyTiles.add(tileIdx);
+        return;
+      }
+      state.placements[tileIdx] = {
+        player: isValidPlayer(placement.player) ? placement.player : null,
+        combo: { ...placement.combo },
+        rotationStep: placement.rotationStep ?? 0,
+        sideColors: placement.sideColors.slice(),
+      };
+      state.placedCount++;
+      touch('tiles', tileIdx);
+    });
+
+    const perPlayer = (source, fallback) => playerIds.map((_, idx) => (
+      Array.isArray(source) && source[idx] !== undefined && source[idx] !== null ? source[idx] : fallback()
+    ));
+    replaceArrayContents(state.playerScores, perPlayer(data.playerScores, () => 0));
+    // Etat anterieur a l'historique des points : historique vide
+    replaceArrayContents(
+      state.scoreLedger,
+      (Array.isArray(data.scoreLedger) ? data.scoreLedger : [])
+        .filter((entry) => entry && isValidPlayer(entry.player) && Number.isFinite(entry.delta))
+        .map((entry) => ({ turn: entry.turn, player: entry.player, delta: entry.delta, source: entry.source })),
+    );
+    replaceArrayContents(state.playerResources, playerIds.map((_, idx) => importPlayerResource(data.playerResources?.[idx])));
+    replaceArrayContents(state.colonPositions, perPlayer(data.colonPositions, () => centerTileIdx));
+    replaceArrayContents(state.colonMoveRemaining, perPlayer(data.colonMoveRemaining, () => settings.colonStepsPerTurn));
+    replaceArrayContents(state.colonPlacementUsed, perPlayer(data.colonPlacementUsed, () => false));
+    replaceArrayContents(state.colonBonusSteps, perPlayer(data.colonBonusSteps, () => 0));
+    replaceArrayContents(state.colonDeployRange, perPlayer(data.colonDeployRange, () => 0));
+    replaceArrayContents(state.tileBag, (Array.isArray(data.tileBag) ? data.tileBag : []).map(cloneCombo).filter(Boolean));
+    replaceArrayContents(
+      state.paletteSlots,
+      Array.from({ length: PALETTE_SIZE }, (_, idx) => cloneCombo(data.paletteSlots?.[idx])),
+    );
+    // Etat anterieur aux mains privees : palette commune
+    const hands = Array.isArray(data.playerHands) && data.playerHands.length ? data.playerHands : null;
+    replaceArrayContents(
+      state.playerHands,
+      hands ? playerIds.map((_, idx) => (Array.isArray(hands[idx]) ? hands[idx] : []).map(cloneCombo)) : [],
+    );
+    replaceArrayContents(state.turnState.tilesPlacedByPlayer, perPlayer(data.turnState?.tilesPlacedByPlayer, () => 0));
+    replaceArrayContents(
+      state.turnState.conversionsUsedByPlayer,
+      perPlayer(data.turnState?.conversionsUsedByPlayer, () => []).map((used) => (Array.isArray(used) ? used.slice() : [])),
+    );
+    state.turnState.activePlayer = isValidPlayer(data.turnState?.activePlayer) ? data.turnState.activePlayer : playerIds[0];
+    state.turnState.turnNumber = Number.isInteger(data.turnState?.turnNumber) ? data.turnState.turnNumber : 1;
+    showActiveHand();
+
+    const market = data.marketState;
+    Object.keys(state.marketState).forEach((key) => delete state.marketState[key]);
+    if (market) {
+      Object.assign(state.marketState, {
+        deck: marketCardsFromIds(market.deck),
+        drawPile: marketCardsFromIds(market.drawPile),
+        discardPile: Array.isArray(market.discardPile) ? market.discardPile.slice() : [],
+        slots: createEmptyMarketSlots().map((_, idx) => {
+          const slot = market.slots?.[idx];
+          return slot && getMarketCardDefinition(slot.id) ? { ...slot } : null;
+        }),
+        revealedThisTurn: new Set(market.revealedThisTurn || []),
+      });
+    } else {
+      Object.assign(state.marketState, createInitialMarketState(random.market));
+      seedMarketSlotsFromDeck(state.marketState, random.market);
+    }
+
+    [
+      [state.overlayByJunction, data.overlayByJunction],
+      [state.castleByJunction, data.castleByJunction],
+      [state.outpostByJunction, data.outpostByJunction],
+      [state.amenagementColorByKey, data.amenagementColorByKey],
+    ].forEach(([target, entries]) => {
+      target.clear();
+      (entries || []).forEach(([key, value]) => {
+        if (junctionMap.has(key)) target.set(key, value);
+      });
+    });
+
+    state.endState = data.endState ? JSON.parse(JSON.stringify(data.endState)) : null;
+
+    ['board', 'players', 'scores', 'resources', 'colons', 'turn', 'market', 'amenagements', 'structures', 'game', 'palette']
+      .forEach((domain) => touch(domain));
+    return ok();
+  }
+
+  /**
+   * Recharge une photographie produite par exportState. Les abonnes recoivent une seule
+   * notification couvrant toutes les tuiles posees, comme apres une serie d'actions.
+   * L'historique d'annulation repart de zero.
+   * @param {Object} data - Etat exporte
+   * @returns {{ok: boolean, reason: string}}
+   */
+  function importState(data) {
+    return runAction('importState', { state: data }, () => {
+      const result = applyState(data);
+      if (result.ok) {
+        clearHistory();
+        eventLog.length = 0;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Affiche un etat exporte sans jouer de coup : ni historique, ni journal, ni verrou.
+   * Sert a la relecture ; l'appelant remet ensuite l'etat de la partie en cours.
+   * @param {Object} data - Etat exporte
+   * @returns {{ok: boolean, reason: string}}
+   */
+  function viewState(data) {
+    return runAction('viewState', {}, () => applyState(data));
+  }
+
+  /**
+   * Bloque les actions de jeu (relecture en cours). viewState reste autorise.
+   * @param {boolean} value
+   */
+  function setLocked(value) {
+    locked = Boolean(value);
+  }
+
+  /**
+   * Limite les coups de ce poste aux joueurs dont il tient le siege.
+   * @param {?number[]} seats - Joueurs controles (null : tous)
+   */
+  function setControlledSeats(seats) {
+    controlledSeats = Array.isArray(seats) ? new Set(seats.filter(isValidPlayer)) : null;
+  }
+
+  function getControlledSeats() {
+    return controlledSeats ? [...controlledSeats] : null;
+  }
+
+  function controlsPlayer(player) {
+    return !controlledSeats || controlledSeats.has(player);
+  }
+
+  /**
+   * Execute des coups recus d'un autre poste, qui en a deja verifie le siege.
+   * @param {Function} fn
+   * @returns {*} Valeur renvoyee par fn
+   */
+  function runAsRemote(fn) {
+    remoteDepth += 1;
+    try {
+      return fn();
+    } finally {
+      remoteDepth -= 1;
+    }
+  }
+
+  // ---------------- Historique (annuler / retablir) ----------------
+  /**
+   * Branche un contexte externe (etat propre a l'interface) capture et restaure avec chaque etat.
+   * @param {?{capture: Function, restore: Function}} context
+   */
+  function setHistoryContext(context) {
+    history.context = context && typeof context.capture === 'function' ? context : null;
+  }
+
+  function captureHistorySnapshot() {
+    return { state: exportState(), context: history.context ? history.context.capture() : null };
+  }
+
+  function restoreHistorySnapshot(snapshot) {
+    const result = applyState(snapshot?.state);
+    if (result.ok && history.context?.restore && snapshot.context != null) {
+      history.context.restore(snapshot.context);
+    }
+    return result;
+  }
+
+  /**
+   * Commande d'historique d'une action jouee : changement inverse (annuler) et changement
+   * direct (rejouer) entre les etats avant et apres l'action (diffExportedState).
+   * @param {string} type
+   * @param {Object} payload
+   * @param {{state: Object, context: *}} before - Etat avant l'action (captureHistorySnapshot)
+   * @param {?number} actor - Joueur actif avant l'action
+   * @returns {{id: string, type: string, payload: Object, actor: ?number, undo: Object[], redo: Object[], context: Object}}
+   */
+  function createHistoryCommand(type, payload, before, actor) {
+    const after = exportState();
+    return {
+      id: `${history.origin}:${++history.seq}`,
+      type,
+      payload: payload ? JSON.parse(JSON.stringify(payload)) : {},
+      actor,
+      undo: diffExportedState(after, before.state),
+      redo: diffExportedState(before.state, after),
+      context: { before: before.context, after: null },
+    };
+  }
+
+  // Rejoue un changement de commande sur l'etat courant, puis le contexte externe qui l'accompagne.
+  function applyHistoryChange(changes, context) {
+    const result = applyState(patchExportedState(exportState(), changes));
+    if (result.ok && history.context?.restore && context != null) history.context.restore(context);
+    return result;
+  }
+
+  function pushHistoryEntry(entry) {
+    history.undo.push(entry);
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo.length = 0;
+    return entry;
+  }
+
+  function clearHistory() {
+    history.undo.length = 0;
+    history.redo.length = 0;
+  }
+
+  function canUndo() {
+    return history.undo.length > 0;
+  }
+
+  function canRedo() {
+    return history.redo.length > 0;
+  }
+
+  /**
+   * Annule la derniere action enregistree en appliquant le changement inverse de sa commande.
+   * Le journal ne garde que l'identifiant de l'entree : un autre moteur de la meme partie
+   * (relecture, relais, autre poste) annule avec sa propre pile.
+   * @returns {{ok: boolean, reason: string, entry?: Object}}
+   */
+  function undo() {
+    return runAction('undo', {}, () => {
+      const entry = history.undo.pop();
+      if (!entry) return fail('history-empty');
+      if (history.context) entry.context.after = history.context.capture();
+      applyHistoryChange(entry.undo, entry.context.before);
+      history.redo.push(entry);
+      logAs('undo', { entryId: entry.id });
+      return ok({ entry });
+    });
+  }
+
+  /**
+   * Rejoue la derniere action annulee (changement direct de sa commande).
+   * @returns {{ok: boolean, reason: string, entry?: Object}}
+   */
+  function redo() {
+    return runAction('redo', {}, () => {
+      const entry = history.redo.pop();
+      if (!entry) return fail('history-empty');
+      applyHistoryChange(entry.redo, entry.context.after);
+      history.undo.push(entry);
+      logAs('redo', { entryId: entry.id });
+      return ok({ entry });
+    });
+  }
+
+  /**
+   * Reproduit une operation d'historique faite par un autre moteur de la meme partie
+   * (autre onglet, relais reseau). Les piles restent alignees tant que les identifiants
+   * d'entree correspondent : une annulation ou un retablissement applique alors la commande
+   * de la pile locale. Sinon l'etat distant est repris tel quel et l'historique local vide.
+   * @param {Object} message
+   * @param {string} message.kind - Operation distante ('command', 'undo', 'redo'; autre : etat repris)
+   * @param {Object} [message.entry] - Entree ajoutee (kind 'command')
+   * @param {string} [message.entryId] - Entree annulee ou retablie
+   * @param {Object} message.snapshot - Etat distant apres l'operation (captureHistorySnapshot)
+   * @returns {{ok: boolean, reason: string}}
+   */
+  function applyRemoteHistory(message) {
+    return runAction('remoteHistory', { kind: message?.kind }, () => {
+      if (!message?.snapshot) return fail('history-remote-invalid');
+      let aligned = true;
+      let result = null;
+      if (message.kind === 'command' && message.entry) {
+        pushHistoryEntry(message.entry);
+        result = restoreHistorySnapshot(message.snapshot);
+      } else if (message.kind === 'undo' && history.undo.at(-1)?.id === message.entryId) {
+        const entry = history.undo.pop();
+        if (history.context) entry.context.after = history.context.capture();
+        result = applyHistoryChange(entry.undo, entry.context.before);
+        history.redo.push(entry);
+      } else if (message.kind === 'redo' && history.redo.at(-1)?.id === message.entryId) {
+        const entry = history.redo.pop();
+        result = applyHistoryChange(entry.redo, entry.context.after);
+        history.undo.push(entry);
+      } else {
+        aligned = false;
+        result = restoreHistorySnapshot(message.snapshot);
+      }
+      if (!aligned) clearHistory();
+      // Operation distante alignee : journalisee comme l'operation elle-meme ; sinon, l'etat repris.
+      if (aligned && message.kind === 'command') logAs(message.entry.type, message.entry.payload);
+      else if (aligned) logAs(message.kind, { entryId: message.entryId });
+      else logAs('remoteHistory', { kind: message.kind ?? null, state: exportState() });
+      return result;
+    });
+  }
+
+  function reseed(seed) {
+    state.seed = seed;
+    Object.entries(random).forEach(([stream, next]) => next.setState(deriveSeed(seed, stream)));
+  }
+
+  /**
+   * Remet la partie a zero. Sans graine, la graine courante est rejouee a l'identique ;
+   * sans joueurs, ceux de la partie courante sont repris.
+   * @param {Object} [options]
+   * @param {number|string} [options.seed] - Nouvelle graine de partie
+   * @param {Array|number} [options.players] - Joueurs de la nouvelle partie (createPlayerProfiles)
+   * @param {Object} [options.board] - Plateau de la nouvelle partie (normalizeBoardSpec), le courant sinon
+   */
+  function reset(options = {}) {
+    const nextSeed = normalizeSeed(options.seed) ?? state.seed;
+    const players = options.players != null || !state.players.length
+      ? createPlayerProfiles(options.players ?? MAX_PLAYERS)
+      : state.players.map((profile) => ({ ...profile }));
+    const board = options.board ? normalizeBoardSpec(options.board) : state.board;
+    return runAction('reset', { seed: nextSeed, settings, players, board }, () => {
+      clearHistory();
+      eventLog.length = 0;
+      reseed(nextSeed);
+      setPlayers(players);
+      if (!isSameBoard(board, state.board)) applyBoardLayout(board);
+      state.placements.fill(null);
+      regionsDirty = true;
+      state.placedCount = 0;
+      state.emptyTiles.clear();
+      tiles.forEach((_, idx) => state.emptyTiles.add(idx));
+      replaceArrayContents(state.playerScores, playerIds.map(() => 0));
+      replaceArrayContents(state.scoreLedger, []);
+      replaceArrayContents(state.playerResources, playerIds.map(() => createEmptyPlayerResource()));
+      replaceArrayContents(state.colonPositions, playerIds.map(() => centerTileIdx));
+      replaceArrayContents(state.colonMoveRemaining, playerIds.map(() => settings.colonStepsPerTurn));
+      replaceArrayContents(state.colonPlacementUsed, playerIds.map(() => false));
+      replaceArrayContents(state.colonBonusSteps, playerIds.map(() => 0));
+      replaceArrayContents(state.colonDeployRange, playerIds.map(() => 0));
+      replaceArrayContents(state.tileBag, []);
+      replaceArrayContents(state.paletteSlots, new Array(PALETTE_SIZE).fill(null));
+      replaceArrayContents(state.playerHands, []);
+      replaceArrayContents(state.turnState.tilesPlacedByPlayer, playerIds.map(() => 0));
+      replaceArrayContents(state.turnState.conversionsUsedByPlayer, playerIds.map(() => []));
+      state.turnState.activePlayer = playerIds[0];
+      state.turnState.turnNumber = 1;
+      Object.keys(state.marketState).forEach((key) => delete state.marketState[key]);
+      Object.assign(state.marketState, createInitialMarketState(random.market));
+      seedMarketSlotsFromDeck(state.marketState, random.market);
+      state.overlayByJunction.clear();
+      state.castleByJunction.clear();
+      state.outpostByJunction.clear();
+      state.amenagementColorByKey.clear();
+      state.endState = null;
+      ['board', 'tiles', 'players', 'scores', 'resources', 'colons', 'turn', 'market', 'amenagements', 'structures', 'game', 'palette']
+        .forEach((domain) => touch(domain));
+      return ok();
+    });
+  }
+
+  reset({ players: options.players });
+
+  return {
+    tiles,
+    neighbors,
+    junctionMap,
+    playerIds,
+    settings,
+    get centerTileIdx() {
+      return centerTileIdx;
+    },
+    state,
+    random,
+    subscribe,
+    isValidPlayer,
+    playerIndex,
+    getPlayerRecord,
+    getPlayerScore,
+    getPlayerResourceStock,
+    getPlayerResourceCapacity,
+    getInfluenceRadius,
+    isGameOver: () => Boolean(state.endState),
+    getColonReach,
+    getColonDestinations,
+    fillTileBag,
+    getTileBagPreview,
+    isPaletteDead,
+    isTilePlayBlocked,
+    mulligan,
+    hexDistance: hexDistanceBetweenCached,
+    canPlace,
+    validatePlacement,
+    countEdgeMismatches,
+    getRegionsAt,
+    getScoreTimeline,
+    getScoreBreakdown,
+    getLargestRegions,
+    neighborPlacementCount,
+    pointsForNeighborCount,
+    isJunctionReady,
+    playerHasInfluenceForEntry,
+    computeMarketDistance,
+    getBuildCost,
+    getCastleCost: castleCostValue,
+    evaluateContractBuildAvailability,
+    placeTile,
+    previewPlacement,
+    removeTile,
+    claimAmenagement,
+    releaseAmenagement,
+    buildCastle,
+    removeStructure,
+    moveColon,
+    claimMarketSlot,
+    buildContract,
+    evaluateConversion,
+    convertResource,
+    setActivePlayer,
+    endTurn,
+    applySettingsDiff,
+    exportState,
+    importState,
+    viewState,
+    setLocked,
+    setControlledSeats,
+    getControlledSeats,
+    controlsPlayer,
+    runAsRemote,
+    getEventLog,
+    restoreEventLog,
+    setHistoryContext,
+    captureHistorySnapshot,
+    canUndo,
+    canRedo,
+    undo,
+    redo,
+    applyRemoteHistory,
+    reset,
+  };
+}
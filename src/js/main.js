@@ -2,22 +2,31 @@
 // Description: Orchestration de l'application (lecture config, generation de la grille, interactions UI).
 
 
+// Grille de la partie : le moteur la modifie sur place quand le plateau change (forme, rayon)
 const tiles = generateAxialGrid(RADIUS);
-const { neighbors: tileNeighbors } = buildNeighborData(tiles);
-const tileAngles = tiles.map(tileAngle);
-const tileDistances = tiles.map(tileDistance);
+const tileNeighbors = [];
+const tileAngles = [];
+const tileDistances = [];
 const ringsByDistance = [];
-for (let idx = 0; idx < tiles.length; idx++) {
-  const dist = tileDistances[idx];
-  if (!ringsByDistance[dist]) ringsByDistance[dist] = [];
-  ringsByDistance[dist].push(idx);
+
+// Donnees derivees de la grille, recalculees sur place apres un changement de plateau
+function refreshBoardGeometry() {
+  replaceArrayContents(tileNeighbors, buildNeighborData(tiles).neighbors);
+  replaceArrayContents(tileAngles, tiles.map(tileAngle));
+  replaceArrayContents(tileDistances, tiles.map(tileDistance));
+  ringsByDistance.length = 0;
+  for (let idx = 0; idx < tiles.length; idx++) {
+    const dist = tileDistances[idx];
+    if (!ringsByDistance[dist]) ringsByDistance[dist] = [];
+    ringsByDistance[dist].push(idx);
+  }
+  ringsByDistance.forEach((ring) => {
+    if (ring) ring.sort((a, b) => tileAngles[a] - tileAngles[b]);
+  });
 }
-ringsByDistance.forEach((ring) => {
-  if (ring) ring.sort((a, b) => tileAngles[a] - tileAngles[b]);
-});
+refreshBoardGeometry();
 
-const PLAYER_IDS = [1, 2, 3, 4, 5, 6];
-const PLAYER_COUNT = PLAYER_IDS.length;
+// Blasons proposes aux joueurs (champ `crest` des joueurs de la partie)
 const PLAYER_CRESTS = {
   1: 'crests/belier.svg',
   2: 'crests/cerf.svg',
@@ -26,6 +35,14 @@ const PLAYER_CRESTS = {
   5: 'crests/taureau.svg',
   6: 'crests/tortue.svg',
 };
+const PLAYER_CREST_LABELS = {
+  1: 'B\u00e9lier',
+  2: 'Cerf',
+  3: 'Faucon',
+  4: 'Salamandre',
+  5: 'Taureau',
+  6: 'Tortue',
+};
 
 const PLAYER_COLON_COLORS = [
   '#d46a6a',
@@ -38,14 +55,7 @@ const PLAYER_COLON_COLORS = [
 
 const DEFAULT_COLOR_HEX = ['#e57373', '#64b5f6', '#81c784', '#ffd54f'];
 const DEFAULT_COLOR_LABELS = ['Main-d\u2019\u0153uvre', 'Tissu', 'Pain', 'Bois'];
-const AMENAGEMENT_RESOURCE_TYPES = [
-  RESOURCE_TYPES.LABOR,
-  RESOURCE_TYPES.FABRIC,
-  RESOURCE_TYPES.BREAD,
-  RESOURCE_TYPES.WOOD,
-];
 const AMENAGEMENT_RESOURCE_LABELS = DEFAULT_COLOR_LABELS.slice();
-const POINTS_PER_CROWN = 16;
 
 // Système de synchronisation entre onglets
 const TAB_SYNC_CHANNEL_NAME = 'pairleroy_game_sync';
@@ -70,7 +80,7 @@ function getGameState() {
     timestamp: Date.now(),
     data: {
       placements: placements.slice(),
-      placedCount: placedCount,
+      placedCount: gameEngine.state.placedCount,
       turnState: { ...turnState },
       playerScores: playerScores.slice(),
       selectedPalette: selectedPalette,
@@ -80,6 +90,8 @@ function getGameState() {
       colonPositions: colonPositions.slice(),
       colonMoveRemaining: colonMoveRemaining.slice(),
       colonPlacementUsed: colonPlacementUsed.slice(),
+      colonBonusSteps: colonBonusSteps.slice(),
+      colonDeployRange: colonDeployRange.slice(),
       // Inclure les données d'aménagement
       amenagementColorByKey: amenagementColorByKey ? Array.from(amenagementColorByKey.entries()) : [],
       svgState: {
@@ -98,19 +110,25 @@ function getGameState() {
 // Appliquer l'état reçu à l'onglet actuel
 function applyGameState(syncState) {
   if (!syncState || !syncState.data || syncState.tabId === currentTabId) return;
+  // Pendant une relecture le plateau montre une etape passee ; l'historique partage suit.
+  if (replaySession) return;
   
   isSyncing = true;
   
   try {
-    // Synchroniser les placements
-    placements = syncState.data.placements.slice();
-    placedCount = syncState.data.placedCount;
+    // Synchroniser les placements (les conteneurs du moteur sont mis à jour sur place)
+    syncArray(placements, syncState.data.placements);
+    gameEngine.state.placedCount = syncState.data.placedCount;
+    emptyTiles.clear();
+    placements.forEach((placement, idx) => {
+      if (!placement) emptyTiles.add(idx);
+    });
     
     // Synchroniser l'état du tour
     Object.assign(turnState, syncState.data.turnState);
     
     // Synchroniser les scores
-    playerScores = syncState.data.playerScores.slice();
+    syncArray(playerScores, syncState.data.playerScores);
     
     // Synchroniser la sélection de palette
     selectedPalette = syncState.data.selectedPalette;
@@ -127,15 +145,11 @@ function applyGameState(syncState) {
     selectedColonPlayer = syncState.data.selectedColonPlayer;
     
     // Synchroniser les données des colons
-    if (Array.isArray(syncState.data.colonPositions)) {
-      colonPositions = syncState.data.colonPositions.slice();
-    }
-    if (Array.isArray(syncState.data.colonMoveRemaining)) {
-      colonMoveRemaining = syncState.data.colonMoveRemaining.slice();
-    }
-    if (Array.isArray(syncState.data.colonPlacementUsed)) {
-      colonPlacementUsed = syncState.data.colonPlacementUsed.slice();
-    }
+    syncArray(colonPositions, syncState.data.colonPositions);
+    syncArray(colonMoveRemaining, syncState.data.colonMoveRemaining);
+    syncArray(colonPlacementUsed, syncState.data.colonPlacementUsed);
+    syncArray(colonBonusSteps, syncState.data.colonBonusSteps);
+    syncArray(colonDeployRange, syncState.data.colonDeployRange);
     
     // Synchroniser les couleurs d'aménagement
     if (syncState.data.amenagementColorByKey && Array.isArray(syncState.data.amenagementColorByKey)) {
@@ -148,12 +162,6 @@ function applyGameState(syncState) {
     // Synchroniser l'état SVG
     const svgState = syncState.data.svgState;
     if (svg && svg.__state) {
-      // Toujours réinitialiser les Maps, même si vides
-      svg.__state.overlayByJunction = new Map(svgState.overlayByJunction || []);
-      svg.__state.castleByJunction = new Map(svgState.castleByJunction || []);
-      svg.__state.outpostByJunction = new Map(svgState.outpostByJunction || []);
-
-      // Mettre à jour les structures globales utilisées par le rendu
       // Synchroniser les configurations
       if (svgState.colors) svg.__state.colors = svgState.colors;
       if (svgState.typesPct) svg.__state.typesPct = svgState.typesPct;
@@ -178,7 +186,7 @@ function applyGameState(syncState) {
 
 // Envoyer l'état aux autres onglets
 function broadcastGameState() {
-  if (isSyncing) return;
+  if (isSyncing || networkClient) return;
   
   const state = getGameState();
   tabChannel.postMessage({
@@ -190,8 +198,20 @@ function broadcastGameState() {
 // Écouter les messages de synchronisation
 tabChannel.addEventListener('message', (event) => {
   const message = event.data;
+  // En partie reseau, chaque onglet suit le relais
+  if (networkClient) return;
 
   
+  if (message.type === 'history') {
+    applyRemoteHistoryMessage(message);
+    return;
+  }
+
+  if (['seats', 'seatLeave', 'seatAssign', 'seatKick'].includes(message.type)) {
+    handleSeatMessage(message);
+    return;
+  }
+
   if (message.type === 'gameState') {
     const incomingState = message.data;
 
@@ -206,6 +226,640 @@ tabChannel.addEventListener('message', (event) => {
   }
 });
 
+// Historique partage : chaque coup, annulation ou retablissement est rejoue dans les autres onglets
+function broadcastHistoryChange(change) {
+  let message = null;
+  if (change.historyEntry) {
+    message = { kind: 'command', entry: change.historyEntry };
+  } else if ((change.type === 'undo' || change.type === 'redo') && change.result?.ok) {
+    message = { kind: change.type, entryId: change.result.entry.id };
+  }
+  if (message) postHistoryMessage(message);
+}
+
+// Nouvelle partie ou import volontaire : les autres onglets reprennent l'etat et vident leur historique.
+// (Le reset du chargement de page n'est pas diffuse, pour ne pas effacer la partie des onglets ouverts.)
+function broadcastHistoryClear() {
+  postHistoryMessage({ kind: 'clear' });
+}
+
+function postHistoryMessage(message) {
+  if (networkClient) return;
+  // Differe apres la fin du geste (ex. remplacement de la tuile jouee dans la palette).
+  queueMicrotask(() => {
+    tabChannel.postMessage({
+      type: 'history',
+      tabId: currentTabId,
+      ...message,
+      snapshot: gameEngine.captureHistorySnapshot(),
+    });
+  });
+}
+
+function applyRemoteHistoryMessage(message) {
+  if (!message || message.tabId === currentTabId) return;
+  // Un coup joue ailleurs ramene a la partie en cours avant d'etre applique.
+  closeReplayViewer();
+  isSyncing = true;
+  try {
+    selectedColonPlayer = null;
+    hoveredMarketSlot = null;
+    gameEngine.applyRemoteHistory(message);
+    updateMarketDetailPanel(null);
+  } catch (error) {
+    console.error("Erreur lors de la synchronisation de l'historique:", error);
+  } finally {
+    isSyncing = false;
+  }
+}
+
+// ---------------- Partie en reseau ----------------
+// ?relay=ws://hote:8787&room=salle&seat=2 : les coups passent par le relais (scripts/relay-server.js),
+// qui les ordonne et verifie l'ordre du tour et les sieges.
+let networkClient = null;
+let networkRoom = null;
+let networkPeers = 1;
+let networkStatusTimerId = null;
+
+const NETWORK_REJECT_LABELS = {
+  'not-your-turn': "ce n'est pas votre tour",
+  'turn-order': "hors de l'ordre du tour",
+  'stale-action': 'un autre joueur a jou\u00e9 avant',
+  'not-host': "seul l'h\u00f4te peut le faire",
+  'event-invalid': 'coup illisible',
+  'event-local': 'coup propre \u00e0 ce poste',
+  'state-refused': '\u00e9tat complet refus\u00e9',
+  'seat-not-controlled': "coup d'un joueur dont vous ne tenez pas le si\u00e8ge",
+  'not-owner': "pi\u00e8ce d'un autre joueur",
+  'placement-slot-required': 'tuile sans emplacement de palette',
+  'placement-slot-empty': 'emplacement de palette vide',
+  'placement-slot-mismatch': "tuile diff\u00e9rente de celle de l'emplacement",
+  'placement-untracked': 'pose hors du suivi des ressources',
+  'not-idle': 'ce poste est encore actif',
+};
+
+/**
+ * Ouvre la partie reseau demandee par l'URL (parametre `relay`).
+ * @returns {boolean} true si une session reseau demarre
+ */
+function startNetworkSession() {
+  const u = new URL(window.location.href);
+  const url = u.searchParams.get('relay');
+  if (!url || typeof WebSocket === 'undefined') return false;
+  networkRoom = u.searchParams.get('room') || 'default';
+  networkClient = createNetworkClient({
+    url,
+    room: networkRoom,
+    claims: readInitialSeatClaims(),
+    getInitialState: () => ({ state: gameEngine.exportState(), settings: snapshotGameSettings() }),
+    onAction: applyNetworkAction,
+    onState: applyNetworkState,
+    onSeats: applyNetworkSeats,
+    // Pose refusee par le relais : premiere raison detaillee (validatePlacement)
+    onReject: (reason, issues) => renderNetworkStatus('rejected', issues?.length ? describePlacementIssue(issues[0]) : reason),
+    onStatus: renderNetworkStatus,
+  });
+  return true;
+}
+
+// Coup accepte par le relais : envoye tel qu'enregistre au journal local
+function sendNetworkEvent(change) {
+  if (!networkClient || isSyncing || !change.event || change.event.rejected) return;
+  networkClient.sendAction(change.event);
+}
+
+function applyNetworkAction(event) {
+  closeReplayViewer();
+  isSyncing = true;
+  try {
+    selectedColonPlayer = null;
+    hoveredMarketSlot = null;
+    // Le relais a deja verifie le siege de l'auteur
+    const result = gameEngine.runAsRemote(() => applyNetworkEvent(gameEngine, event));
+    if (!result?.ok) {
+      console.warn('[network] coup distant non applique', event?.type, result?.reason);
+      networkClient?.requestSync();
+    }
+    if (event?.type === 'reset' || event?.type === 'applySettings') syncSettingsPanelInputs();
+    updateMarketDetailPanel(null);
+  } catch (error) {
+    console.error('Erreur lors de la synchronisation reseau:', error);
+  } finally {
+    isSyncing = false;
+  }
+}
+
+// Etat de reference du relais (arrivee dans la salle, coup refuse ou concurrent)
+function applyNetworkState(message) {
+  closeReplayViewer();
+  isSyncing = true;
+  try {
+    selectedColonPlayer = null;
+    hoveredMarketSlot = null;
+    applySavedSettings(message.settings);
+    gameEngine.applyRemoteHistory({ kind: 'sync', snapshot: { state: message.state } });
+    getBoardSvg()?.__state?.setSelectedPalette?.(-1);
+    updateMarketDetailPanel(null);
+  } catch (error) {
+    console.error("Erreur lors de la reprise de l'etat du relais:", error);
+  } finally {
+    isSyncing = false;
+  }
+}
+
+function renderNetworkStatus(status, detail = null) {
+  const el = document.getElementById('network-status');
+  if (!el) return;
+  clearTimeout(networkStatusTimerId);
+  networkStatusTimerId = null;
+  el.hidden = false;
+  el.dataset.status = status;
+  const seats = seatRoster.seatsOf(localSeatId());
+  const seatLabel = seats.length ? ` \u00b7 ${seats.map((player) => `J${player}`).join(', ')}` : '';
+  if (status === 'connected') {
+    if (detail?.peers) networkPeers = detail.peers;
+    el.textContent = `R\u00e9seau : ${networkRoom} \u00b7 ${networkPeers} poste${networkPeers > 1 ? 's' : ''}${seatLabel}`;
+  } else if (status === 'rejected') {
+    el.textContent = `Coup refus\u00e9 : ${NETWORK_REJECT_LABELS[detail] ?? detail}`;
+    // Le statut de connexion revient apres quelques secondes
+    networkStatusTimerId = setTimeout(() => renderNetworkStatus(networkClient?.status ?? 'closed'), 3000);
+  } else if (status === 'connecting') {
+    el.textContent = 'R\u00e9seau : connexion au relais\u2026';
+  } else if (status === 'disconnected') {
+    el.textContent = 'R\u00e9seau : relais injoignable, nouvel essai\u2026';
+  } else if (status === 'error') {
+    el.textContent = `R\u00e9seau : erreur (${detail})`;
+  } else if (status === 'kicked') {
+    el.textContent = "R\u00e9seau : exclu par l'h\u00f4te";
+  } else {
+    el.textContent = 'R\u00e9seau : d\u00e9connect\u00e9';
+  }
+}
+
+// ---------------- Sieges ----------------
+// Chaque poste (onglet, ou client du relais) revendique des sieges ; ses coups pour un autre
+// joueur sont refuses par le moteur. Entre onglets, le registre circule sur tabChannel ; en
+// reseau, le relais le tient et le diffuse. L'hote (poste arrive le premier) reattribue les
+// sieges et exclut les postes inactifs.
+const SEAT_HEARTBEAT_MS = 5000;
+const SEAT_TAB_TIMEOUT_MS = 15000;
+const SEAT_CLAIMS_STORAGE_KEY = 'pairleroy_seat_claims';
+
+const seatRoster = createSeatRoster();
+let seatHeartbeatId = null;
+let seatStatusTimerId = null;
+let seatPanelElements = null;
+let seatPanelVisible = false;
+// Plateau personnel affiche a la demande (clic sur un blason) a la place du siege du poste
+let viewedBoardPlayer = null;
+
+function localSeatId() {
+  return networkClient ? networkClient.clientId : currentTabId;
+}
+
+function parseSeatList(value) {
+  if (!value) return [];
+  return String(value)
+    .split(',')
+    .map((part) => Number.parseInt(part, 10))
+    .filter(isValidPlayer);
+}
+
+// ?seat=2 ou ?seat=1,3 ; a defaut, les sieges de cet onglet avant rechargement
+function readInitialSeatClaims() {
+  const fromUrl = parseSeatList(new URL(window.location.href).searchParams.get('seat'));
+  if (fromUrl.length) return fromUrl;
+  try {
+    return parseSeatList(sessionStorage.getItem(SEAT_CLAIMS_STORAGE_KEY));
+  } catch (error) {
+    return [];
+  }
+}
+
+function persistSeatClaims() {
+  try {
+    sessionStorage.setItem(SEAT_CLAIMS_STORAGE_KEY, seatRoster.claimsOf(localSeatId()).join(','));
+  } catch (error) {
+    // Stockage indisponible : les sieges seront a revendiquer apres rechargement
+  }
+}
+
+// Partie entre onglets : cet onglet entre dans le registre et s'annonce regulierement
+function startTabSeatSession() {
+  seatRoster.upsert(currentTabId);
+  seatRoster.claim(currentTabId, readInitialSeatClaims());
+  announceSeats();
+  seatHeartbeatId = setInterval(() => {
+    const now = Date.now();
+    seatRoster.upsert(currentTabId, { lastSeenAt: now });
+    const removed = seatRoster.prune(now, SEAT_TAB_TIMEOUT_MS);
+    announceSeats();
+    // Les sieges d'un onglet ferme sans au revoir se liberent ; sinon seuls les postes inactifs changent
+    if (removed.length) applySeatControl();
+    else renderSeatPanel();
+  }, SEAT_HEARTBEAT_MS);
+  applySeatControl();
+}
+
+function announceSeats() {
+  if (networkClient) return;
+  const own = seatRoster.list().find((entry) => entry.id === currentTabId);
+  if (!own) return;
+  tabChannel.postMessage({
+    type: 'seats',
+    tabId: currentTabId,
+    record: { claims: own.claims, joinedAt: own.joinedAt, lastActiveAt: own.lastActiveAt },
+  });
+}
+
+function leaveTabSeatSession() {
+  if (networkClient || seatHeartbeatId === null) return;
+  clearInterval(seatHeartbeatId);
+  seatHeartbeatId = null;
+  tabChannel.postMessage({ type: 'seatLeave', tabId: currentTabId });
+}
+
+function handleSeatMessage(message) {
+  if (!message || message.tabId === currentTabId) return;
+  if (message.type === 'seats') {
+    const known = seatRoster.has(message.tabId);
+    seatRoster.upsert(message.tabId, { ...message.record, lastSeenAt: Date.now() });
+    // Un nouvel onglet apprend aussitot les sieges deja pris
+    if (!known) announceSeats();
+  } else if (message.type === 'seatLeave') {
+    seatRoster.remove(message.tabId);
+  } else if (message.tabId !== seatRoster.hostId()) {
+    return;
+  } else if (message.type === 'seatAssign') {
+    seatRoster.assign(message.target, message.seats);
+    persistSeatClaims();
+  } else if (message.type === 'seatKick') {
+    if (message.target === currentTabId) {
+      seatRoster.claim(currentTabId, []);
+      persistSeatClaims();
+      announceSeats();
+      showSeatNotice("Exclu par l'hôte : ce poste ne tient plus de siège");
+    } else {
+      seatRoster.remove(message.target);
+    }
+  }
+  applySeatControl();
+}
+
+// Registre tenu par le relais
+function applyNetworkSeats(entries) {
+  seatRoster.load(entries);
+  persistSeatClaims();
+  applySeatControl();
+  if (networkClient?.status === 'connected') renderNetworkStatus('connected');
+}
+
+// Le moteur refuse les coups des joueurs dont ce poste ne tient pas le siege
+function applySeatControl() {
+  gameEngine.setControlledSeats(seatRoster.controlledBy(localSeatId()));
+  // Mains privees : la main visible depend des sieges tenus
+  const state = getBoardSvg()?.__state;
+  if (gameEngine.state.playerHands.length && state) {
+    state.setSelectedPalette(-1);
+    state.renderPalette(state.paletteCombos);
+  }
+  renderGameHud();
+  renderSeatPanel();
+}
+
+function noteSeatActivity(change) {
+  if (networkClient || isSyncing || !UNDOABLE_ACTIONS.has(change.type) || change.result?.ok === false) return;
+  seatRoster.touch(currentTabId);
+}
+
+/**
+ * Remplace les sieges revendiques par ce poste.
+ * @param {number[]} seats
+ */
+function claimSeats(seats) {
+  const claims = seats.filter(isValidPlayer);
+  if (networkClient) {
+    networkClient.claimSeats(claims);
+    return;
+  }
+  seatRoster.claim(currentTabId, claims);
+  persistSeatClaims();
+  announceSeats();
+  applySeatControl();
+}
+
+function toggleSeatClaim(player) {
+  const claims = seatRoster.claimsOf(localSeatId());
+  claimSeats(claims.includes(player) ? claims.filter((seat) => seat !== player) : [...claims, player]);
+}
+
+/**
+ * Decision de l'hote : donne le siege d'un joueur a un poste (null : siege libere).
+ * @param {number} player
+ * @param {?(string|number)} targetId
+ */
+function assignSeat(player, targetId) {
+  const selfId = localSeatId();
+  if (seatRoster.hostId() !== selfId) return;
+  const ownerId = targetId ?? seatRoster.ownerOf(player);
+  if (ownerId === null || !seatRoster.has(ownerId)) return;
+  const claims = seatRoster.claimsOf(ownerId).filter((seat) => seat !== player);
+  const seats = targetId === null ? claims : [...claims, player];
+  if (networkClient) {
+    networkClient.assignSeats(ownerId, seats);
+    return;
+  }
+  seatRoster.assign(ownerId, seats);
+  tabChannel.postMessage({ type: 'seatAssign', tabId: selfId, target: ownerId, seats });
+  persistSeatClaims();
+  announceSeats();
+  applySeatControl();
+}
+
+// Decision de l'hote : le poste inactif perd ses sieges (en reseau, il est deconnecte)
+function kickSeatClient(targetId) {
+  const selfId = localSeatId();
+  if (seatRoster.hostId() !== selfId || targetId === selfId || !seatRoster.isIdle(targetId)) return;
+  if (networkClient) {
+    networkClient.kickClient(targetId);
+    return;
+  }
+  seatRoster.remove(targetId);
+  tabChannel.postMessage({ type: 'seatKick', tabId: selfId, target: targetId });
+  applySeatControl();
+}
+
+// Joueur du plateau personnel : choix explicite, sinon le siege du poste (le joueur actif s'il en fait partie)
+function getPersonalBoardPlayer() {
+  const active = turnState.activePlayer ?? playerIds[0];
+  if (isValidPlayer(viewedBoardPlayer)) return viewedBoardPlayer;
+  const seats = gameEngine.getControlledSeats();
+  if (!seats?.length || seats.includes(active)) return active;
+  return Math.min(...seats);
+}
+
+function reportSeatRejection(result) {
+  if (result?.reason !== 'seat-not-controlled') return;
+  const owner = seatRoster.ownerOf(turnState.activePlayer);
+  showSeatNotice(owner === null
+    ? `${playerName(turnState.activePlayer)} : siège libre, à revendiquer (SIE)`
+    : `${playerName(turnState.activePlayer)} : siège tenu par un autre poste`);
+}
+
+function showSeatNotice(text) {
+  const el = document.getElementById('seat-status');
+  if (!el) return;
+  clearTimeout(seatStatusTimerId);
+  el.dataset.status = 'rejected';
+  el.textContent = text;
+  el.hidden = false;
+  seatStatusTimerId = setTimeout(() => {
+    seatStatusTimerId = null;
+    renderSeatStatus();
+  }, 3000);
+}
+
+function renderSeatStatus() {
+  const el = document.getElementById('seat-status');
+  if (!el || seatStatusTimerId !== null) return;
+  const seats = gameEngine.getControlledSeats();
+  el.hidden = seats === null;
+  if (seats === null) return;
+  el.dataset.status = seats.length ? 'seated' : 'spectator';
+  const host = seatRoster.hostId() === localSeatId() ? ' · hôte' : '';
+  el.textContent = seats.length
+    ? `Siège : ${seats.map(playerName).join(', ')}${host}`
+    : `Spectateur${host}`;
+}
+
+function describeSeatClient(entry) {
+  if (entry.id === localSeatId()) return 'Ce poste';
+  const rank = seatRoster.list().findIndex((other) => other.id === entry.id) + 1;
+  return `Poste ${rank}`;
+}
+
+function ensureSeatPanel() {
+  if (seatPanelElements) return seatPanelElements;
+  const modal = document.createElement('div');
+  modal.className = 'stats-modal seat-panel';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-label', 'Sièges des joueurs');
+  modal.tabIndex = -1;
+  const header = document.createElement('div');
+  header.className = 'stats-modal-header';
+  const title = document.createElement('span');
+  title.textContent = 'Sièges';
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'stats-modal-close';
+  closeBtn.setAttribute('aria-label', 'Fermer');
+  closeBtn.textContent = '×';
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+  const body = document.createElement('div');
+  body.className = 'stats-modal-body seat-panel__body';
+  const seats = document.createElement('div');
+  seats.className = 'seat-panel__seats';
+  const clients = document.createElement('ul');
+  clients.className = 'seat-panel__clients';
+  body.appendChild(seats);
+  body.appendChild(clients);
+  modal.appendChild(header);
+  modal.appendChild(body);
+  document.body.appendChild(modal);
+
+  closeBtn.addEventListener('click', () => hideSeatPanel());
+  modal.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    hideSeatPanel();
+  });
+  seatPanelElements = { modal, seats, clients };
+  return seatPanelElements;
+}
+
+function renderSeatPanel() {
+  renderSeatStatus();
+  if (!seatPanelVisible) return;
+  const { seats, clients } = ensureSeatPanel();
+  const selfId = localSeatId();
+  const entries = seatRoster.list();
+  const isHost = seatRoster.hostId() === selfId;
+  const ownClaims = seatRoster.claimsOf(selfId);
+
+  seats.innerHTML = '';
+  playerIds.forEach((player) => {
+    const ownerId = seatRoster.ownerOf(player);
+    const row = document.createElement('div');
+    row.className = 'seat-panel__seat';
+    row.classList.toggle('seat-panel__seat--mine', ownerId !== null && ownerId === selfId);
+    const crest = document.createElement('img');
+    crest.className = 'seat-panel__crest';
+    crest.src = playerCrestUrl(player);
+    crest.alt = '';
+    const label = document.createElement('span');
+    label.className = 'seat-panel__player';
+    label.textContent = playerName(player);
+    row.appendChild(crest);
+    row.appendChild(label);
+    if (isHost) {
+      // L'hote choisit le poste de chaque siege
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', `Poste du joueur ${player}`);
+      const free = document.createElement('option');
+      free.value = '';
+      free.textContent = 'Libre';
+      select.appendChild(free);
+      entries.forEach((entry, idx) => {
+        const option = document.createElement('option');
+        option.value = String(idx);
+        option.textContent = describeSeatClient(entry);
+        option.selected = entry.id === ownerId;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => {
+        assignSeat(player, select.value === '' ? null : entries[Number(select.value)].id);
+      });
+      row.appendChild(select);
+    } else {
+      const claimBtn = document.createElement('button');
+      claimBtn.type = 'button';
+      const claimed = ownClaims.includes(player);
+      const takenElsewhere = ownerId !== null && ownerId !== selfId;
+      claimBtn.textContent = claimed ? 'Libérer' : takenElsewhere ? 'Pris' : 'Prendre';
+      claimBtn.disabled = takenElsewhere && !claimed;
+      claimBtn.addEventListener('click', () => toggleSeatClaim(player));
+      row.appendChild(claimBtn);
+    }
+    seats.appendChild(row);
+  });
+
+  clients.innerHTML = '';
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = 'seat-panel__client';
+    item.classList.toggle('seat-panel__client--idle', entry.idle);
+    const name = document.createElement('span');
+    const seatText = entry.seats.length ? entry.seats.map((player) => `J${player}`).join(', ') : 'spectateur';
+    name.textContent = `${describeSeatClient(entry)}${entry.host ? ' (hôte)' : ''} · ${seatText}${entry.idle ? ' · inactif' : ''}`;
+    item.appendChild(name);
+    if (isHost && entry.id !== selfId && entry.idle) {
+      const kickBtn = document.createElement('button');
+      kickBtn.type = 'button';
+      kickBtn.textContent = 'Exclure';
+      kickBtn.addEventListener('click', () => kickSeatClient(entry.id));
+      item.appendChild(kickBtn);
+    }
+    clients.appendChild(item);
+  });
+}
+
+function showSeatPanel() {
+  const { modal } = ensureSeatPanel();
+  seatPanelVisible = true;
+  modal.classList.add('visible');
+  renderSeatPanel();
+  modal.focus({ preventScroll: true });
+  updateTopbarQuickActions();
+}
+
+function hideSeatPanel() {
+  seatPanelVisible = false;
+  seatPanelElements?.modal.classList.remove('visible');
+  updateTopbarQuickActions();
+}
+
+function toggleSeatPanel() {
+  if (seatPanelVisible) hideSeatPanel();
+  else showSeatPanel();
+}
+
+function undoLastAction() {
+  if (!gameEngine.canUndo()) return false;
+  selectedColonPlayer = null;
+  const result = gameEngine.undo();
+  afterHistoryStep();
+  return result.ok;
+}
+
+function redoLastAction() {
+  if (!gameEngine.canRedo()) return false;
+  selectedColonPlayer = null;
+  const result = gameEngine.redo();
+  afterHistoryStep();
+  return result.ok;
+}
+
+function afterHistoryStep() {
+  const state = getBoardSvg()?.__state ?? null;
+  if (state?.autoState) {
+    state.autoState.done = false;
+    state.autoState.pendingPalette = null;
+  }
+  state?.refreshPreview?.();
+  updateMarketDetailPanel(null);
+}
+
+// Redessiner une tuile à partir du placement détenu par le moteur
+function renderPlacementAt(svg, state, tileIdx) {
+  const placement = placements[tileIdx];
+  if (!placement) {
+    svg.querySelector(`.tile[data-idx="${tileIdx}"] .fills`)?.remove();
+    gridSideColors[tileIdx] = null;
+    return;
+  }
+  const mapped = mapSideColorIndices(placement.sideColors, state.colors);
+  gridSideColors[tileIdx] = mapped;
+  placement.colors = mapped.slice();
+  renderTileFill(tileIdx, placement.sideColors, svg, state.tiles, state.size, state.colors);
+}
+
+// Abonné du moteur : une seule passe de rendu par action, limitée aux domaines modifiés
+function handleGameEngineChange(change) {
+  if (change.dirty.has('geometry')) rebuildBoardView();
+  const svg = getBoardSvg();
+  const state = svg?.__state ?? null;
+  if (state) {
+    if (change.dirty.has('board')) {
+      svg.querySelectorAll('#grid .tile .fills').forEach((n) => n.remove());
+      gridSideColors = new Array(tiles.length).fill(null);
+    }
+    change.tiles.forEach((tileIdx) => renderPlacementAt(svg, state, tileIdx));
+    if (change.dirty.has('tiles') || change.dirty.has('board')) renderRegionHighlight(null);
+    if (change.dirty.has('players')) {
+      state.renderSquarePlayerMarkers?.();
+      renderColonMarkers();
+    }
+    if (['board', 'tiles', 'amenagements', 'structures'].some((domain) => change.dirty.has(domain))) {
+      state.renderJunctionOverlays?.();
+    } else if (change.dirty.has('resources')) {
+      // Un batiment peut etendre le rayon d'influence de son proprietaire
+      state.renderInfluenceZones?.();
+    }
+    if (change.dirty.has('palette')) {
+      state.setSelectedPalette(-1);
+      state.renderPalette(state.paletteCombos);
+    } else if (['board', 'tiles', 'turn', 'colons'].some((domain) => change.dirty.has(domain))) {
+      renderPlacementHints();
+    }
+  }
+  updateClearButtonState();
+  renderGameHud();
+  refreshStatsModal();
+  if (change.dirty.has('game') && change.type !== 'viewState') {
+    const { endState } = gameEngine.state;
+    if (endState) showGameResults(endState);
+    else hideGameResults();
+  }
+  if (change.type !== 'remoteHistory' && change.type !== 'viewState') {
+    scheduleAutosave(change);
+    broadcastHistoryChange(change);
+    sendNetworkEvent(change);
+    noteSeatActivity(change);
+  }
+  scheduleAiStep();
+}
+
 // Fonction pour rendre tous les éléments de l'interface
 function renderAll() {
   const svg = document.querySelector('#board-container svg');
@@ -283,12 +937,12 @@ function renderAll() {
     }
   }
   
-  // Réactualiser la palette si la fonction est disponible
-  if (state.regenPalette) {
+  // Réactualiser la palette (tirée du sac du moteur)
+  if (state.renderPalette) {
     try {
-      state.regenPalette();
+      state.renderPalette(state.paletteCombos);
     } catch (e) {
-      console.warn('Erreur regenPalette:', e);
+      console.warn('Erreur renderPalette:', e);
     }
   }
   
@@ -321,6 +975,21 @@ const MARKET_TYPE_LABELS = {
   [MARKET_CARD_TYPES.CONTRACT]: 'Accord',
 };
 
+// Raisons de evaluateContractBuildAvailability
+const CONTRACT_BUILD_REASON_LABELS = {
+  'contract-insufficient-resources': 'Ressources insuffisantes',
+  'contract-insufficient-pv': 'Points insuffisants',
+  'contract-insufficient-crowns': 'Couronnes insuffisantes',
+};
+
+const CONVERSION_REASON_LABELS = {
+  'conversion-missing': 'Aucune conversion',
+  'conversion-not-your-turn': 'Pas votre tour',
+  'conversion-already-used': 'D\u00e9j\u00e0 utilis\u00e9e ce tour',
+  'conversion-insufficient-resources': 'Ressources insuffisantes',
+  'conversion-capacity-full': 'R\u00e9serve pleine',
+};
+
 const MARKET_RESOURCE_TOKEN_CLASS_MAP = {
   [RESOURCE_TYPES.WOOD]: 'wood',
   [RESOURCE_TYPES.BREAD]: 'bread',
@@ -339,52 +1008,39 @@ if (typeof window !== 'undefined') {
   window.__pairleroyActiveColors = activeColors.slice();
 }
 
-const DEFAULT_CENTER_TILE_INDEX = (() => {
-  const idx = tiles.findIndex((t) => t.q === 0 && t.r === 0 && t.s === 0);
-  return idx >= 0 ? idx : 0;
-})();
-
-const DEFAULT_GAME_SETTINGS = Object.freeze({
-  tilePlacementsPerTurn: 1,
-  colonStepsPerTurn: 2,
-  neighborPoints: [0, 1, 1, 2, 2, 4, 4],
-  castleCost: 5,
-  outpostCost: 3,
-  amenagementCost: 0,
-  influenceRadius: 1,
-  requireCastleAdjacencyForCastles: true,
-});
-
-const gameSettings = {
-  tilePlacementsPerTurn: DEFAULT_GAME_SETTINGS.tilePlacementsPerTurn,
-  colonStepsPerTurn: DEFAULT_GAME_SETTINGS.colonStepsPerTurn,
-  neighborPoints: DEFAULT_GAME_SETTINGS.neighborPoints.slice(),
-  castleCost: DEFAULT_GAME_SETTINGS.castleCost,
-  outpostCost: DEFAULT_GAME_SETTINGS.outpostCost,
-  amenagementCost: DEFAULT_GAME_SETTINGS.amenagementCost,
-  influenceRadius: DEFAULT_GAME_SETTINGS.influenceRadius,
-  requireCastleAdjacencyForCastles: DEFAULT_GAME_SETTINGS.requireCastleAdjacencyForCastles,
-};
+const gameSettings = createGameSettings();
 
 if (typeof window !== 'undefined') {
   window.__pairleroySettings = gameSettings;
 }
 
-let colonPositions = Array.from({ length: PLAYER_COUNT }, () => DEFAULT_CENTER_TILE_INDEX);
-let colonMoveRemaining = Array.from({ length: PLAYER_COUNT }, () => gameSettings.colonStepsPerTurn);
-let colonPlacementUsed = Array.from({ length: PLAYER_COUNT }, () => false);
+// Etat de partie : le moteur en est proprietaire, l'interface n'en garde que des alias.
+const gameEngine = createGameEngine({
+  tiles,
+  settings: gameSettings,
+  historyOrigin: currentTabId,
+});
+const {
+  placements,
+  emptyTiles,
+  playerScores,
+  playerResources,
+  colonPositions,
+  colonMoveRemaining,
+  colonPlacementUsed,
+  colonBonusSteps,
+  colonDeployRange,
+  turnState,
+  marketState,
+  amenagementColorByKey,
+} = gameEngine.state;
+// Joueurs de la partie (2 a 6), mis a jour sur place a chaque nouvelle partie
+const { playerIds } = gameEngine;
+gameEngine.subscribe(handleGameEngineChange);
+
 let selectedColonPlayer = null;
 let colonMarkers = new Map();
 
-function createEmptyResourceStock() {
-  return {
-    [RESOURCE_TYPES.WOOD]: 0,
-    [RESOURCE_TYPES.BREAD]: 0,
-    [RESOURCE_TYPES.FABRIC]: 0,
-    [RESOURCE_TYPES.LABOR]: 0,
-  };
-}
-
 function isPointWithinRect(rect, x, y) {
   if (!rect || typeof x !== 'number' || typeof y !== 'number') return false;
   return x >= rect.left && x <= rect.right
@@ -398,36 +1054,15 @@ function isPointWithinRectWithPadding(rect, x, y, padding = 0) {
     && y >= rect.top - safePadding && y <= rect.bottom + safePadding;
 }
 
-function createEmptyPlayerResource() {
-  return {
-    tileColors: new Map(),
-    amenagements: new Set(),
-    amenagementColors: new Map(),
-    stock: createEmptyResourceStock(),
-    buildings: new Set(),
-    contracts: new Set(),
-    crowns: 0,
-  };
-}
-
-let playerScores = Array.from({ length: PLAYER_COUNT }, () => 0);
-let playerResources = Array.from({ length: PLAYER_COUNT }, () => createEmptyPlayerResource());
-
-const turnState = {
-  activePlayer: PLAYER_IDS[0],
-  tilesPlacedByPlayer: Array.from({ length: PLAYER_COUNT }, () => 0),
-  turnNumber: 1,
-};
-
-let marketState = createInitialMarketState();
 let hoveredMarketSlot = null;
 let lockedMarketSlot = null;
-const influenceMap = new Map();
 
 const hudElements = {
   scoreboard: null,
   collapsedScoreboard: null,
   turnIndicator: null,
+  seedInput: null,
+  seedReplayButton: null,
   endTurnButton: null,
   collapsedEndTurnButton: null,
 };
@@ -709,6 +1344,7 @@ function finishCollapsedHudDrag({ cancel = false } = {}) {
 
 if (typeof window !== 'undefined') {
   loadCollapsedHudPosition();
+  loadPlacementHintsPreference();
   window.addEventListener('resize', handleCollapsedHudResize, { passive: true });
 }
 
@@ -719,6 +1355,9 @@ function ensureTopbarControls() {
     toggle: document.getElementById('toggle-topbar'),
     personalBoardToggle: document.getElementById('toggle-personal-board'),
     stats: document.getElementById('open-stats'),
+    replay: document.getElementById('open-replay'),
+    seats: document.getElementById('open-seats'),
+    hints: document.getElementById('toggle-placement-hints'),
     settings: document.getElementById('open-settings'),
     group: document.getElementById('topbar-volet'),
   };
@@ -730,6 +1369,15 @@ function updateTopbarQuickActions() {
   if (elements.stats) {
     elements.stats.setAttribute('aria-pressed', statsModalVisible ? 'true' : 'false');
   }
+  if (elements.replay) {
+    elements.replay.setAttribute('aria-pressed', replaySession ? 'true' : 'false');
+  }
+  if (elements.seats) {
+    elements.seats.setAttribute('aria-pressed', seatPanelVisible ? 'true' : 'false');
+  }
+  if (elements.hints) {
+    elements.hints.setAttribute('aria-pressed', placementHintsEnabled ? 'true' : 'false');
+  }
   if (elements.settings) {
     elements.settings.setAttribute('aria-pressed', settingsPanelVisible ? 'true' : 'false');
   }
@@ -834,7 +1482,7 @@ function toggleTopbarCollapsed() {
 
 function initTopbarControls() {
   const elements = ensureTopbarControls();
-  const { toggle, personalBoardToggle, stats, settings } = elements;
+  const { toggle, personalBoardToggle, stats, replay, seats, hints, settings } = elements;
   if (toggle && !toggle.__pairleroyBound) {
     toggle.__pairleroyBound = true;
     toggle.addEventListener('click', toggleTopbarCollapsed);
@@ -850,6 +1498,18 @@ function initTopbarControls() {
       else showStatsModal();
     });
   }
+  if (replay && !replay.__pairleroyBound) {
+    replay.__pairleroyBound = true;
+    replay.addEventListener('click', toggleReplayViewer);
+  }
+  if (seats && !seats.__pairleroyBound) {
+    seats.__pairleroyBound = true;
+    seats.addEventListener('click', toggleSeatPanel);
+  }
+  if (hints && !hints.__pairleroyBound) {
+    hints.__pairleroyBound = true;
+    hints.addEventListener('click', togglePlacementHints);
+  }
   if (settings && !settings.__pairleroyBound) {
     settings.__pairleroyBound = true;
     settings.addEventListener('click', () => {
@@ -861,32 +1521,28 @@ function initTopbarControls() {
   updateTopbarQuickActions();
 }
 
-const amenagementColorByKey = new Map();
-
 function isValidPlayer(player) {
-  return Number.isInteger(player) && player >= 1 && player <= PLAYER_COUNT;
+  return gameEngine.isValidPlayer(player);
 }
 
 function playerIndex(player) {
-  return isValidPlayer(player) ? player - 1 : -1;
+  return gameEngine.playerIndex(player);
 }
 
-function resetTurnCounters() {
-  if (!Array.isArray(turnState.tilesPlacedByPlayer)) {
-    turnState.tilesPlacedByPlayer = Array.from({ length: PLAYER_COUNT }, () => 0);
-  } else {
-    turnState.tilesPlacedByPlayer.fill(0);
-  }
-  colonMoveRemaining = Array.from({ length: PLAYER_COUNT }, () => gameSettings.colonStepsPerTurn);
-  colonPlacementUsed = Array.from({ length: PLAYER_COUNT }, () => false);
-  selectedColonPlayer = null;
-  updateColonMarkersPositions();
-  influenceMap.clear();
+function playerName(player) {
+  return gameEngine.state.players[playerIndex(player)]?.name ?? `Joueur ${player}`;
+}
+
+function playerCrestUrl(player) {
+  return PLAYER_CRESTS[gameEngine.state.players[playerIndex(player)]?.crest] || '';
 }
 
 function snapshotGameSettings() {
   return {
     tilePlacementsPerTurn: gameSettings.tilePlacementsPerTurn,
+    edgeMatchRule: gameSettings.edgeMatchRule,
+    wildcardColor: gameSettings.wildcardColor,
+    mismatchCost: gameSettings.mismatchCost,
     colonStepsPerTurn: gameSettings.colonStepsPerTurn,
     neighborPoints: Array.isArray(gameSettings.neighborPoints)
       ? gameSettings.neighborPoints.slice()
@@ -896,6 +1552,15 @@ function snapshotGameSettings() {
     amenagementCost: gameSettings.amenagementCost,
     influenceRadius: gameSettings.influenceRadius,
     requireCastleAdjacencyForCastles: gameSettings.requireCastleAdjacencyForCastles,
+    endCondition: gameSettings.endCondition,
+    endTurnLimit: gameSettings.endTurnLimit,
+    endScoreThreshold: gameSettings.endScoreThreshold,
+    mulliganRule: gameSettings.mulliganRule,
+    mulliganCost: gameSettings.mulliganCost,
+    privateHands: gameSettings.privateHands,
+    handSize: gameSettings.handSize,
+    regionScoring: gameSettings.regionScoring,
+    regionPoints: gameSettings.regionPoints,
   };
 }
 
@@ -910,36 +1575,18 @@ function normalizeIntegerSetting(value, fallback, { min = 0, max = Number.POSITI
 }
 
 function applyGameSettingsDiff(previous) {
-  if (gameSettings.tilePlacementsPerTurn !== previous.tilePlacementsPerTurn) {
-    const limit = Math.max(0, gameSettings.tilePlacementsPerTurn);
-    if (!Array.isArray(turnState.tilesPlacedByPlayer)) {
-      turnState.tilesPlacedByPlayer = Array.from({ length: PLAYER_COUNT }, () => 0);
-    }
-    turnState.tilesPlacedByPlayer = turnState.tilesPlacedByPlayer.map((value) => {
-      const current = Number.isFinite(value) ? value : 0;
-      return Math.min(limit, Math.max(0, current));
-    });
-  }
-
-  const colonLimit = Math.max(0, gameSettings.colonStepsPerTurn);
-  if (gameSettings.colonStepsPerTurn !== previous.colonStepsPerTurn) {
-    colonMoveRemaining = Array.from({ length: PLAYER_COUNT }, () => colonLimit);
-  } else {
-    colonMoveRemaining = Array.from({ length: PLAYER_COUNT }, (_, idx) =>
-      Math.min(colonLimit, Math.max(0, colonMoveRemaining[idx] ?? colonLimit)),
-    );
-  }
+  gameEngine.applySettingsDiff(previous);
   updateColonMarkersPositions();
 
-  if (gameSettings.influenceRadius !== previous.influenceRadius) {
-    influenceMap.clear();
-  }
-
   const svg = getBoardSvg();
   if (gameSettings.requireCastleAdjacencyForCastles !== previous.requireCastleAdjacencyForCastles) {
     svg?.__state?.renderJunctionOverlays?.();
   }
   svg?.__state?.renderInfluenceZones?.();
+  if (['edgeMatchRule', 'wildcardColor', 'mismatchCost'].some((key) => gameSettings[key] !== previous[key])) {
+    renderPlacementHints();
+    svg?.__state?.refreshPreview?.();
+  }
   renderGameHud();
 }
 
@@ -959,6 +1606,38 @@ function updateGameSettings(changes = {}) {
     }
   }
 
+  if (Object.prototype.hasOwnProperty.call(changes, 'edgeMatchRule')) {
+    const next = EDGE_MATCH_RULES.includes(changes.edgeMatchRule) ? changes.edgeMatchRule : previous.edgeMatchRule;
+    if (next !== gameSettings.edgeMatchRule) {
+      gameSettings.edgeMatchRule = next;
+      changed = true;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(changes, 'wildcardColor')) {
+    const next = normalizeIntegerSetting(
+      changes.wildcardColor,
+      previous.wildcardColor,
+      { min: 0, max: DEFAULT_COLOR_LABELS.length - 1 },
+    );
+    if (next !== gameSettings.wildcardColor) {
+      gameSettings.wildcardColor = next;
+      changed = true;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(changes, 'mismatchCost')) {
+    const next = normalizeIntegerSetting(
+      changes.mismatchCost,
+      previous.mismatchCost,
+      { min: 0, max: 20 },
+    );
+    if (next !== gameSettings.mismatchCost) {
+      gameSettings.mismatchCost = next;
+      changed = true;
+    }
+  }
+
   if (Object.prototype.hasOwnProperty.call(changes, 'colonStepsPerTurn')) {
     const next = normalizeIntegerSetting(
       changes.colonStepsPerTurn,
@@ -1027,25 +1706,117 @@ function updateGameSettings(changes = {}) {
     }
   }
 
-  if (changes.neighborPoint && Number.isInteger(changes.neighborPoint.index)) {
-    const desiredLen = DEFAULT_GAME_SETTINGS.neighborPoints.length;
-    const idx = Math.min(desiredLen - 1, Math.max(0, changes.neighborPoint.index));
-    const table = Array.isArray(gameSettings.neighborPoints)
-      ? gameSettings.neighborPoints.slice()
-      : DEFAULT_GAME_SETTINGS.neighborPoints.slice();
-    const nextValue = normalizeIntegerSetting(
-      changes.neighborPoint.value,
-      table[idx],
-      { min: 0, max: 20 },
-    );
-    if (nextValue !== table[idx]) {
-      table[idx] = nextValue;
-      gameSettings.neighborPoints = table;
+  if (Object.prototype.hasOwnProperty.call(changes, 'endCondition')) {
+    const next = END_CONDITIONS.includes(changes.endCondition) ? changes.endCondition : previous.endCondition;
+    if (next !== gameSettings.endCondition) {
+      gameSettings.endCondition = next;
       changed = true;
     }
   }
 
-  if (changed) {
+  if (Object.prototype.hasOwnProperty.call(changes, 'endTurnLimit')) {
+    const next = normalizeIntegerSetting(
+      changes.endTurnLimit,
+      previous.endTurnLimit,
+      { min: 1, max: 99 },
+    );
+    if (next !== gameSettings.endTurnLimit) {
+      gameSettings.endTurnLimit = next;
+      changed = true;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(changes, 'endScoreThreshold')) {
+    const next = normalizeIntegerSetting(
+      changes.endScoreThreshold,
+      previous.endScoreThreshold,
+      { min: 1, max: 500 },
+    );
+    if (next !== gameSettings.endScoreThreshold) {
+      gameSettings.endScoreThreshold = next;
+      changed = true;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(changes, 'mulliganRule')) {
+    const next = MULLIGAN_RULES.includes(changes.mulliganRule) ? changes.mulliganRule : previous.mulliganRule;
+    if (next !== gameSettings.mulliganRule) {
+      gameSettings.mulliganRule = next;
+      changed = true;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(changes, 'mulliganCost')) {
+    const next = normalizeIntegerSetting(
+      changes.mulliganCost,
+      previous.mulliganCost,
+      { min: 0, max: 20 },
+    );
+    if (next !== gameSettings.mulliganCost) {
+      gameSettings.mulliganCost = next;
+      changed = true;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(changes, 'regionScoring')) {
+    const next = REGION_SCORING_MODES.includes(changes.regionScoring) ? changes.regionScoring : previous.regionScoring;
+    if (next !== gameSettings.regionScoring) {
+      gameSettings.regionScoring = next;
+      changed = true;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(changes, 'regionPoints')) {
+    const next = normalizeIntegerSetting(
+      changes.regionPoints,
+      previous.regionPoints,
+      { min: 0, max: 20 },
+    );
+    if (next !== gameSettings.regionPoints) {
+      gameSettings.regionPoints = next;
+      changed = true;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(changes, 'privateHands')) {
+    const next = Boolean(changes.privateHands);
+    if (next !== gameSettings.privateHands) {
+      gameSettings.privateHands = next;
+      changed = true;
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(changes, 'handSize')) {
+    const next = normalizeIntegerSetting(
+      changes.handSize,
+      previous.handSize,
+      { min: MIN_HAND_SIZE, max: MAX_HAND_SIZE },
+    );
+    if (next !== gameSettings.handSize) {
+      gameSettings.handSize = next;
+      changed = true;
+    }
+  }
+
+  if (changes.neighborPoint && Number.isInteger(changes.neighborPoint.index)) {
+    const desiredLen = DEFAULT_GAME_SETTINGS.neighborPoints.length;
+    const idx = Math.min(desiredLen - 1, Math.max(0, changes.neighborPoint.index));
+    const table = Array.isArray(gameSettings.neighborPoints)
+      ? gameSettings.neighborPoints.slice()
+      : DEFAULT_GAME_SETTINGS.neighborPoints.slice();
+    const nextValue = normalizeIntegerSetting(
+      changes.neighborPoint.value,
+      table[idx],
+      { min: 0, max: 20 },
+    );
+    if (nextValue !== table[idx]) {
+      table[idx] = nextValue;
+      gameSettings.neighborPoints = table;
+      changed = true;
+    }
+  }
+
+  if (changed) {
     applyGameSettingsDiff(previous);
     if (typeof window !== 'undefined') {
       window.__pairleroySettings = gameSettings;
@@ -1105,6 +1876,28 @@ function createToggleSettingControl(container, { label, setting, dataset = {} })
   return input;
 }
 
+function createSelectSettingControl(container, { label, setting, options }) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'settings-panel__control';
+  const text = document.createElement('span');
+  text.className = 'settings-panel__label';
+  text.textContent = label;
+  const select = document.createElement('select');
+  select.className = 'settings-panel__input';
+  select.dataset.setting = setting;
+  options.forEach(({ value, label: optionLabel }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = optionLabel;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', handleGameSettingInput);
+  wrapper.appendChild(text);
+  wrapper.appendChild(select);
+  container.appendChild(wrapper);
+  return select;
+}
+
 function ensureSettingsPanel() {
   if (settingsPanelElements) return settingsPanelElements;
 
@@ -1156,7 +1949,11 @@ function ensureSettingsPanel() {
   const influenceGrid = createSection('Influence');
   const costGrid = createSection('Co\u00fbts');
   const restrictionsGrid = createSection('Restrictions');
+  const handGrid = createSection('Mains');
+  const mulliganGrid = createSection('Palette bloqu\u00e9e');
+  const endGrid = createSection('Fin de partie');
   const neighborGrid = createSection('Points par voisins');
+  const regionGrid = createSection('R\u00e9gions de couleur');
 
   const inputs = {
     tilePlacements: createNumberSettingControl(turnGrid, {
@@ -1165,6 +1962,22 @@ function ensureSettingsPanel() {
       min: 0,
       max: 6,
     }),
+    edgeMatchRule: createSelectSettingControl(turnGrid, {
+      label: 'Assortiment des c\u00f4t\u00e9s',
+      setting: 'edgeMatchRule',
+      options: EDGE_MATCH_RULES.map((value) => ({ value, label: EDGE_MATCH_RULE_LABELS[value] })),
+    }),
+    wildcardColor: createSelectSettingControl(turnGrid, {
+      label: 'Couleur joker',
+      setting: 'wildcardColor',
+      options: DEFAULT_COLOR_LABELS.map((_, idx) => ({ value: String(idx), label: colorLabelForIndex(idx) })),
+    }),
+    mismatchCost: createNumberSettingControl(turnGrid, {
+      label: 'Co\u00fbt d\u2019un c\u00f4t\u00e9 non assorti',
+      setting: 'mismatchCost',
+      min: 0,
+      max: 20,
+    }),
     colonSteps: createNumberSettingControl(turnGrid, {
       label: 'Pas du colon par tour',
       setting: 'colonStepsPerTurn',
@@ -1199,6 +2012,55 @@ function ensureSettingsPanel() {
       label: 'Ch\u00e2teau adjacent au colon',
       setting: 'requireCastleAdjacencyForCastles',
     }),
+    privateHands: createToggleSettingControl(handGrid, {
+      label: 'Mains priv\u00e9es',
+      setting: 'privateHands',
+    }),
+    handSize: createNumberSettingControl(handGrid, {
+      label: 'Tuiles en main',
+      setting: 'handSize',
+      min: MIN_HAND_SIZE,
+      max: MAX_HAND_SIZE,
+    }),
+    mulliganRule: createSelectSettingControl(mulliganGrid, {
+      label: 'Mulligan',
+      setting: 'mulliganRule',
+      options: MULLIGAN_RULES.map((value) => ({ value, label: MULLIGAN_RULE_LABELS[value] })),
+    }),
+    mulliganCost: createNumberSettingControl(mulliganGrid, {
+      label: 'Co\u00fbt du mulligan',
+      setting: 'mulliganCost',
+      min: 0,
+      max: 20,
+    }),
+    regionScoring: createSelectSettingControl(regionGrid, {
+      label: 'Score des r\u00e9gions',
+      setting: 'regionScoring',
+      options: REGION_SCORING_MODES.map((value) => ({ value, label: REGION_SCORING_LABELS[value] })),
+    }),
+    regionPoints: createNumberSettingControl(regionGrid, {
+      label: 'Points de r\u00e9gion',
+      setting: 'regionPoints',
+      min: 0,
+      max: 20,
+    }),
+    endCondition: createSelectSettingControl(endGrid, {
+      label: 'Condition de fin',
+      setting: 'endCondition',
+      options: END_CONDITIONS.map((value) => ({ value, label: END_CONDITION_LABELS[value] })),
+    }),
+    endTurnLimit: createNumberSettingControl(endGrid, {
+      label: 'Nombre de tours',
+      setting: 'endTurnLimit',
+      min: 1,
+      max: 99,
+    }),
+    endScoreThreshold: createNumberSettingControl(endGrid, {
+      label: 'Score \u00e0 atteindre',
+      setting: 'endScoreThreshold',
+      min: 1,
+      max: 500,
+    }),
   };
 
   const neighborInputs = [];
@@ -1240,6 +2102,17 @@ function syncSettingsPanelInputs() {
   if (elements.inputs.tilePlacements) {
     elements.inputs.tilePlacements.value = String(gameSettings.tilePlacementsPerTurn);
   }
+  if (elements.inputs.edgeMatchRule) {
+    elements.inputs.edgeMatchRule.value = gameSettings.edgeMatchRule;
+  }
+  if (elements.inputs.wildcardColor) {
+    elements.inputs.wildcardColor.value = String(gameSettings.wildcardColor);
+    elements.inputs.wildcardColor.disabled = gameSettings.edgeMatchRule !== 'wildcard';
+  }
+  if (elements.inputs.mismatchCost) {
+    elements.inputs.mismatchCost.value = String(gameSettings.mismatchCost);
+    elements.inputs.mismatchCost.disabled = gameSettings.edgeMatchRule !== 'oneMismatch';
+  }
   if (elements.inputs.colonSteps) {
     elements.inputs.colonSteps.value = String(gameSettings.colonStepsPerTurn);
   }
@@ -1258,6 +2131,38 @@ function syncSettingsPanelInputs() {
   if (elements.inputs.requireCastleAdjacencyForCastles) {
     elements.inputs.requireCastleAdjacencyForCastles.checked = Boolean(gameSettings.requireCastleAdjacencyForCastles);
   }
+  if (elements.inputs.regionScoring) {
+    elements.inputs.regionScoring.value = gameSettings.regionScoring;
+  }
+  if (elements.inputs.regionPoints) {
+    elements.inputs.regionPoints.value = String(gameSettings.regionPoints);
+    elements.inputs.regionPoints.disabled = gameSettings.regionScoring === 'none';
+  }
+  if (elements.inputs.privateHands) {
+    elements.inputs.privateHands.checked = Boolean(gameSettings.privateHands);
+  }
+  if (elements.inputs.handSize) {
+    elements.inputs.handSize.value = String(gameSettings.handSize);
+    elements.inputs.handSize.disabled = !gameSettings.privateHands;
+  }
+  if (elements.inputs.mulliganRule) {
+    elements.inputs.mulliganRule.value = gameSettings.mulliganRule;
+  }
+  if (elements.inputs.mulliganCost) {
+    elements.inputs.mulliganCost.value = String(gameSettings.mulliganCost);
+    elements.inputs.mulliganCost.disabled = gameSettings.mulliganRule === 'none';
+  }
+  if (elements.inputs.endCondition) {
+    elements.inputs.endCondition.value = gameSettings.endCondition;
+  }
+  if (elements.inputs.endTurnLimit) {
+    elements.inputs.endTurnLimit.value = String(gameSettings.endTurnLimit);
+    elements.inputs.endTurnLimit.disabled = gameSettings.endCondition !== 'turnLimit';
+  }
+  if (elements.inputs.endScoreThreshold) {
+    elements.inputs.endScoreThreshold.value = String(gameSettings.endScoreThreshold);
+    elements.inputs.endScoreThreshold.disabled = gameSettings.endCondition !== 'scoreThreshold';
+  }
   elements.neighborInputs.forEach((input, idx) => {
     if (input) {
       input.value = String(table[Math.min(table.length - 1, idx)] ?? 0);
@@ -1265,88 +2170,944 @@ function syncSettingsPanelInputs() {
   });
 }
 
-function showSettingsPanel() {
-  const elements = ensureSettingsPanel();
-  settingsPanelVisible = true;
-  elements.panel.classList.add('settings-panel--visible');
-  syncSettingsPanelInputs();
-  elements.panel.focus({ preventScroll: true });
-  updateTopbarQuickActions();
+function showSettingsPanel() {
+  const elements = ensureSettingsPanel();
+  settingsPanelVisible = true;
+  elements.panel.classList.add('settings-panel--visible');
+  syncSettingsPanelInputs();
+  elements.panel.focus({ preventScroll: true });
+  updateTopbarQuickActions();
+}
+
+function hideSettingsPanel() {
+  if (!settingsPanelVisible) return;
+  const elements = ensureSettingsPanel();
+  elements.panel.classList.remove('settings-panel--visible');
+  settingsPanelVisible = false;
+  settingsPressedKeys.clear();
+  settingsComboLatched = false;
+  updateTopbarQuickActions();
+}
+
+function toggleSettingsPanel() {
+  if (settingsPanelVisible) hideSettingsPanel();
+  else showSettingsPanel();
+}
+
+function handleGameSettingInput(event) {
+  const target = event.currentTarget;
+  if (!(target instanceof HTMLInputElement) && !(target instanceof HTMLSelectElement)) return;
+  const setting = target.dataset.setting;
+  if (!setting) return;
+  if (target instanceof HTMLSelectElement) {
+    updateGameSettings({ [setting]: target.value });
+  } else if (setting === 'neighborPoint') {
+    const index = Number(target.dataset.index);
+    const value = Number(target.value);
+    updateGameSettings({ neighborPoint: { index, value } });
+  } else if (target.dataset.type === 'boolean' || target.type === 'checkbox') {
+    updateGameSettings({ [setting]: target.checked });
+  } else {
+    const value = Number(target.value);
+    updateGameSettings({ [setting]: value });
+  }
+  syncSettingsPanelInputs();
+}
+
+function handleSettingsKeyDown(event) {
+  const key = event.key?.toLowerCase();
+  if (!key) return false;
+  if (key === 'escape') {
+    if (settingsPanelVisible) {
+      hideSettingsPanel();
+      return true;
+    }
+    return false;
+  }
+  if (!SETTINGS_KEYS.has(key)) return false;
+  const active = document.activeElement;
+  if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable)) {
+    return false;
+  }
+  settingsPressedKeys.add(key);
+  if (settingsPressedKeys.size === SETTINGS_KEYS.size && !settingsComboLatched) {
+    toggleSettingsPanel();
+    settingsComboLatched = true;
+    return true;
+  }
+  return false;
+}
+
+function handleSettingsKeyUp(event) {
+  const key = event.key?.toLowerCase();
+  if (!key) return;
+  if (SETTINGS_KEYS.has(key)) {
+    settingsPressedKeys.delete(key);
+    if (settingsPressedKeys.size === 0) settingsComboLatched = false;
+  } else {
+    settingsPressedKeys.clear();
+    settingsComboLatched = false;
+  }
+}
+
+function bindEndTurnButton(button) {
+  if (!button || button.__pairleroyBound) return;
+  button.__pairleroyBound = true;
+  button.addEventListener('click', () => endCurrentTurn({ reason: 'manual' }));
+}
+
+function bindSeedControls() {
+  const { seedInput, seedReplayButton } = hudElements;
+  if (!seedInput || !seedReplayButton || seedReplayButton.__pairleroyBound) return;
+  seedReplayButton.__pairleroyBound = true;
+  const replay = () => {
+    const seed = normalizeSeed(seedInput.value);
+    if (seed == null) {
+      seedInput.value = String(gameEngine.state.seed);
+      return;
+    }
+    restartGameWithSeed(seed);
+  };
+  seedReplayButton.addEventListener('click', replay);
+  seedInput.addEventListener('keydown', (event) => {
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+    replay();
+  });
+}
+
+function restartGameWithSeed(seed) {
+  const svg = getBoardSvg();
+  const state = svg?.__state ?? null;
+  if (!state) return;
+  state.clearGrid?.({ seed });
+  state.regenPalette?.();
+  state.setSelectedPalette?.(-1);
+}
+
+// ---------------- Sauvegarde / chargement ----------------
+function buildCurrentGameSave() {
+  const state = getBoardSvg()?.__state ?? null;
+  const cfg = readConfig();
+  return createGameSave(gameEngine, {
+    settings: snapshotGameSettings(),
+    palette: {
+      ...cfg,
+      selected: state?.selectedPalette ?? -1,
+    },
+  });
+}
+
+function exportGameToFile() {
+  const save = buildCurrentGameSave();
+  const blob = new Blob([JSON.stringify(save, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `pairleroy-tour${turnState.turnNumber}-${save.savedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function applySavedPaletteConfig(palette) {
+  if (!palette) return;
+  const fields = [
+    ['pct-mono', palette.typesPct?.[0]],
+    ['pct-bi', palette.typesPct?.[1]],
+    ['pct-tri', palette.typesPct?.[2]],
+    ['pct-c1', palette.colorPct?.[0]],
+    ['pct-c2', palette.colorPct?.[1]],
+    ['pct-c3', palette.colorPct?.[2]],
+    ['pct-c4', palette.colorPct?.[3]],
+  ];
+  const typesValid = Array.isArray(palette.typesPct) && palette.typesPct.length === 3;
+  const colorsValid = Array.isArray(palette.colorPct) && palette.colorPct.length === 4;
+  fields.forEach(([id, value], idx) => {
+    if ((idx < 3 && !typesValid) || (idx >= 3 && !colorsValid)) return;
+    const input = document.getElementById(id);
+    if (input && Number.isFinite(Number(value))) input.value = String(value);
+  });
+  if (Array.isArray(palette.colors) && palette.colors.length === 4) setActiveColors(palette.colors);
+}
+
+function applySavedSettings(settings) {
+  if (!settings) return;
+  const { neighborPoints, ...scalarSettings } = settings;
+  updateGameSettings(scalarSettings);
+  if (Array.isArray(neighborPoints)) {
+    neighborPoints.forEach((value, index) => updateGameSettings({ neighborPoint: { index, value } }));
+  }
+  syncSettingsPanelInputs();
+}
+
+/**
+ * Recharge une sauvegarde (deja migree) en repassant par les memes chemins que le jeu :
+ * configuration de palette, reglages, puis etat du moteur et rendu via son abonne.
+ * @param {Object} save - Sauvegarde au format SAVE_SCHEMA_VERSION
+ * @param {Object} [options]
+ * @param {string} [options.gameId] - Partie d'autosauvegarde a poursuivre (nouvelle partie sinon)
+ */
+function applyGameSave(save, { gameId = generateAutosaveGameId() } = {}) {
+  closeReplayViewer();
+  applySavedPaletteConfig(save.palette);
+  generateAndRender();
+  applySavedSettings(save.settings);
+
+  hoveredMarketSlot = null;
+  selectedColonPlayer = null;
+  const result = gameEngine.importState(save.game);
+  if (!result.ok) throw new Error(`Sauvegarde incompatible avec ce plateau (${result.reason})`);
+  if (Array.isArray(save.events) && save.events.length) gameEngine.restoreEventLog(save.events);
+  autosaveGameId = gameId;
+  updateMarketDetailPanel(null);
+
+  const state = getBoardSvg()?.__state ?? null;
+  if (state) {
+    state.autoState.done = false;
+    state.autoState.pendingPalette = null;
+    // Sauvegarde anterieure au sac de tuiles : un nouveau sac est tire
+    if (!Array.isArray(save.game.tileBag)) state.regenPalette?.();
+    const selected = save.palette?.selected ?? -1;
+    state.setSelectedPalette(selected >= 0 && selected < state.paletteCombos.length ? selected : -1);
+  }
+  serializeConfigToURL(readConfig());
+  broadcastGameState();
+  broadcastHistoryClear();
+}
+
+async function importGameFromFile(file) {
+  if (!file) return;
+  try {
+    const save = parseGameSave(await file.text());
+    applyGameSave(save);
+  } catch (error) {
+    console.error('Import de sauvegarde impossible:', error);
+    alert(`Import impossible : ${error.message}`);
+  }
+}
+
+function bindSaveControls() {
+  const exportBtn = document.getElementById('export-game');
+  const importBtn = document.getElementById('import-game');
+  const fileInput = document.getElementById('import-game-file');
+  if (exportBtn) exportBtn.addEventListener('click', exportGameToFile);
+  if (importBtn && fileInput) {
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const [file] = fileInput.files || [];
+      // Vider la valeur permet de recharger deux fois le meme fichier.
+      importGameFromFile(file).finally(() => { fileInput.value = ''; });
+    });
+  }
+}
+
+// ---------------- Autosauvegarde ----------------
+const AUTOSAVE_DEBOUNCE_MS = 400;
+let autosaveStore = null;
+let autosaveGameId = generateAutosaveGameId();
+let autosaveTimerId = null;
+let autosaveChain = Promise.resolve();
+let autosavePromptElements = null;
+
+function getAutosaveStore() {
+  if (autosaveStore) return autosaveStore;
+  try {
+    autosaveStore = createAutosaveStore();
+  } catch (error) {
+    console.warn('Autosauvegarde indisponible', error);
+  }
+  return autosaveStore;
+}
+
+function writeAutosaveNow() {
+  if (autosaveTimerId != null) {
+    clearTimeout(autosaveTimerId);
+    autosaveTimerId = null;
+  }
+  const store = getAutosaveStore();
+  if (!store) return autosaveChain;
+  const record = createAutosaveRecord(autosaveGameId, buildCurrentGameSave());
+  autosaveChain = autosaveChain
+    .then(() => store.put(record))
+    .then(() => store.prune(record.gameId, AUTOSAVE_RETENTION_PER_GAME))
+    .catch((error) => console.warn("Echec de l'autosauvegarde", error));
+  return autosaveChain;
+}
+
+// Appele pour chaque action validee du moteur; les rafales (remplissage auto) sont regroupees.
+function scheduleAutosave(change) {
+  if (change.type === 'reset') {
+    // Nouvelle partie : les sauvegardes de la precedente restent disponibles a la reprise.
+    if (autosaveTimerId != null) clearTimeout(autosaveTimerId);
+    autosaveTimerId = null;
+    autosaveGameId = generateAutosaveGameId();
+    return;
+  }
+  if (autosaveTimerId != null) clearTimeout(autosaveTimerId);
+  autosaveTimerId = setTimeout(writeAutosaveNow, AUTOSAVE_DEBOUNCE_MS);
+}
+
+function flushPendingAutosave() {
+  if (autosaveTimerId != null) writeAutosaveNow();
+}
+
+function formatAutosaveLabel(record) {
+  const date = new Date(record.savedAt);
+  const when = Number.isNaN(date.getTime())
+    ? ''
+    : date.toLocaleString('fr-FR', { dateStyle: 'short', timeStyle: 'short' });
+  const player = record.activePlayer != null ? ` - Joueur ${record.activePlayer}` : '';
+  return `Tour ${record.turnNumber}${player} - ${record.placedCount} tuiles - ${when}`;
+}
+
+function ensureAutosavePrompt() {
+  if (autosavePromptElements) return autosavePromptElements;
+  const modal = document.createElement('div');
+  modal.className = 'autosave-prompt';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+  modal.setAttribute('aria-labelledby', 'autosave-prompt-title');
+  const title = document.createElement('h2');
+  title.id = 'autosave-prompt-title';
+  title.className = 'autosave-prompt__title';
+  title.textContent = 'Reprendre la partie';
+  const list = document.createElement('ul');
+  list.className = 'autosave-prompt__list';
+  const dismissBtn = document.createElement('button');
+  dismissBtn.type = 'button';
+  dismissBtn.className = 'autosave-prompt__dismiss';
+  dismissBtn.textContent = 'Nouvelle partie';
+  modal.appendChild(title);
+  modal.appendChild(list);
+  modal.appendChild(dismissBtn);
+  document.body.appendChild(modal);
+
+  dismissBtn.addEventListener('click', () => hideAutosavePrompt());
+  modal.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    hideAutosavePrompt();
+  });
+  autosavePromptElements = { modal, list, dismissBtn };
+  return autosavePromptElements;
+}
+
+function hideAutosavePrompt() {
+  autosavePromptElements?.modal.classList.remove('visible');
+}
+
+function resumeFromAutosave(record) {
+  hideAutosavePrompt();
+  try {
+    applyGameSave(migrateGameSave(record.save), { gameId: record.gameId });
+  } catch (error) {
+    console.error('Reprise impossible:', error);
+    alert(`Reprise impossible : ${error.message}`);
+  }
+}
+
+async function promptResumeFromAutosave() {
+  const store = getAutosaveStore();
+  if (!store) return;
+  let records = [];
+  try {
+    records = await store.list();
+  } catch (error) {
+    console.warn('Lecture des autosauvegardes impossible', error);
+    return;
+  }
+  if (!records.length) return;
+  const { modal, list, dismissBtn } = ensureAutosavePrompt();
+  list.innerHTML = '';
+  records.slice(0, AUTOSAVE_PROMPT_LIMIT).forEach((record) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'autosave-prompt__entry';
+    button.textContent = formatAutosaveLabel(record);
+    button.addEventListener('click', () => resumeFromAutosave(record));
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+  modal.classList.add('visible');
+  (list.querySelector('button') || dismissBtn).focus();
+}
+
+// ---------------- Relecture ----------------
+const GAME_EVENT_LABELS = {
+  reset: 'Nouvelle partie',
+  importState: 'Partie chargée',
+  applySettings: 'Réglages modifiés',
+  placeTile: 'Pose de tuile',
+  removeTile: 'Retrait de tuile',
+  claimAmenagement: 'Aménagement',
+  releaseAmenagement: 'Aménagement libéré',
+  buildCastle: 'Château / avant-poste',
+  removeStructure: 'Structure retirée',
+  moveColon: 'Déplacement de colon',
+  claimMarketSlot: 'Carte du marché',
+  buildContract: 'Construction',
+  convertResource: 'Conversion',
+  mulligan: 'Mulligan',
+  fillTileBag: 'Nouveau sac de tuiles',
+  setActivePlayer: 'Changement de joueur',
+  endTurn: 'Fin du tour',
+  undo: 'Annulation',
+  redo: 'Rétablissement',
+  remoteHistory: 'Synchronisation',
+};
+
+// Session ouverte : relecture du journal + etat de la partie en cours a remettre en sortie.
+let replaySession = null;
+let replayPanelElements = null;
+
+function describeGameEvent(event) {
+  const label = GAME_EVENT_LABELS[event.type] ?? event.type;
+  const actor = isValidPlayer(event.actor) ? playerName(event.actor) : '';
+  const deltas = Object.entries(event.scoreDeltas || {})
+    .map(([player, delta]) => `J${player} ${delta > 0 ? '+' : ''}${delta} PV`)
+    .join(', ');
+  return [actor, label, deltas].filter(Boolean).join(' · ');
+}
+
+function ensureReplayPanel() {
+  if (replayPanelElements) return replayPanelElements;
+  const modal = document.createElement('div');
+  modal.className = 'stats-modal replay-panel';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-label', 'Relecture de la partie');
+  modal.tabIndex = -1;
+  const header = document.createElement('div');
+  header.className = 'stats-modal-header';
+  const title = document.createElement('span');
+  title.textContent = 'Relecture';
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'stats-modal-close';
+  closeBtn.setAttribute('aria-label', 'Fermer');
+  closeBtn.textContent = '×';
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+  const body = document.createElement('div');
+  body.className = 'stats-modal-body replay-panel__body';
+  const position = document.createElement('div');
+  position.className = 'replay-panel__position';
+  const description = document.createElement('div');
+  description.className = 'replay-panel__event';
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = '0';
+  slider.step = '1';
+  slider.className = 'replay-panel__slider';
+  slider.setAttribute('aria-label', 'Étape de la relecture');
+  const controls = document.createElement('div');
+  controls.className = 'replay-panel__controls';
+  const buttons = [
+    ['first', '⏮', 'Début'],
+    ['prev', '◀', 'Étape précédente'],
+    ['next', '▶', 'Étape suivante'],
+    ['last', '⏭', 'Fin'],
+  ].reduce((acc, [name, text, label]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    controls.appendChild(button);
+    acc[name] = button;
+    return acc;
+  }, {});
+  body.appendChild(position);
+  body.appendChild(description);
+  body.appendChild(slider);
+  body.appendChild(controls);
+  modal.appendChild(header);
+  modal.appendChild(body);
+  document.body.appendChild(modal);
+
+  closeBtn.addEventListener('click', () => closeReplayViewer());
+  buttons.first.addEventListener('click', () => showReplayStep(0));
+  buttons.prev.addEventListener('click', () => showReplayStep((replaySession?.replay.index ?? 0) - 1));
+  buttons.next.addEventListener('click', () => showReplayStep((replaySession?.replay.index ?? 0) + 1));
+  buttons.last.addEventListener('click', () => showReplayStep(Number.POSITIVE_INFINITY));
+  slider.addEventListener('input', () => showReplayStep(Number(slider.value)));
+  modal.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeReplayViewer();
+    else if (event.key === 'ArrowLeft' && event.target !== slider) showReplayStep(replaySession.replay.index - 1);
+    else if (event.key === 'ArrowRight' && event.target !== slider) showReplayStep(replaySession.replay.index + 1);
+    else return;
+    event.preventDefault();
+  });
+
+  replayPanelElements = { modal, position, description, slider, buttons };
+  return replayPanelElements;
+}
+
+/**
+ * Ouvre la relecture du journal de la partie courante. Le moteur est verrouille :
+ * le plateau affiche l'etat de chaque etape jusqu'a la fermeture du panneau.
+ */
+function openReplayViewer() {
+  if (replaySession) return;
+  const replay = createGameReplay(gameEngine.getEventLog(), { board: gameEngine.state.board, players: gameEngine.state.players });
+  if (!replay.steps.length) return;
+  flushPendingAutosave();
+  hoveredMarketSlot = null;
+  selectedColonPlayer = null;
+  replaySession = { replay, liveState: gameEngine.exportState() };
+  gameEngine.setLocked(true);
+  const { modal } = ensureReplayPanel();
+  modal.classList.add('visible');
+  showReplayStep(replay.steps.length - 1);
+  modal.focus({ preventScroll: true });
+  updateTopbarQuickActions();
+}
+
+function closeReplayViewer() {
+  if (!replaySession) return;
+  const { liveState } = replaySession;
+  replaySession = null;
+  gameEngine.setLocked(false);
+  gameEngine.viewState(liveState);
+  replayPanelElements?.modal.classList.remove('visible');
+  afterHistoryStep();
+  updateTopbarQuickActions();
+}
+
+function showReplayStep(index) {
+  if (!replaySession) return;
+  const { replay } = replaySession;
+  const snapshot = replay.seek(index);
+  if (snapshot) gameEngine.viewState(snapshot);
+  const { position, description, slider, buttons } = ensureReplayPanel();
+  const current = replay.index;
+  const event = replay.steps[current];
+  position.textContent = `Étape ${current + 1} / ${replay.steps.length} · Tour ${event?.turn ?? 1}`;
+  description.textContent = event ? describeGameEvent(event) : '';
+  slider.max = String(replay.steps.length - 1);
+  slider.value = String(current);
+  buttons.first.disabled = current <= 0;
+  buttons.prev.disabled = current <= 0;
+  buttons.next.disabled = current >= replay.steps.length - 1;
+  buttons.last.disabled = current >= replay.steps.length - 1;
+}
+
+function toggleReplayViewer() {
+  if (replaySession) closeReplayViewer();
+  else openReplayViewer();
+}
+
+// ---------------- Fin de partie ----------------
+const EDGE_MATCH_RULE_LABELS = {
+  exact: 'Tous les c\u00f4t\u00e9s',
+  majority: 'Majorit\u00e9 des c\u00f4t\u00e9s',
+  wildcard: 'Couleur joker',
+  oneMismatch: 'Un c\u00f4t\u00e9 tol\u00e9r\u00e9',
+};
+
+const END_CONDITION_LABELS = {
+  boardFull: 'Plateau complet',
+  turnLimit: 'Limite de tours',
+  scoreThreshold: 'Score atteint',
+  boardBlocked: 'Plateau bloqu\u00e9',
+};
+
+let gameResultsElements = null;
+
+function ensureGameResults() {
+  if (gameResultsElements) return gameResultsElements;
+  const modal = document.createElement('div');
+  modal.className = 'autosave-prompt game-results';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+  modal.setAttribute('aria-labelledby', 'game-results-title');
+  modal.tabIndex = -1;
+  const title = document.createElement('h2');
+  title.id = 'game-results-title';
+  title.className = 'autosave-prompt__title';
+  title.textContent = 'Fin de partie';
+  const summary = document.createElement('div');
+  summary.className = 'game-results__summary';
+  const list = document.createElement('ol');
+  list.className = 'game-results__list';
+  const actions = document.createElement('div');
+  actions.className = 'game-results__actions';
+  const replayBtn = document.createElement('button');
+  replayBtn.type = 'button';
+  replayBtn.textContent = 'Relecture';
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.textContent = 'Fermer';
+  actions.appendChild(replayBtn);
+  actions.appendChild(closeBtn);
+  modal.appendChild(title);
+  modal.appendChild(summary);
+  modal.appendChild(list);
+  modal.appendChild(actions);
+  document.body.appendChild(modal);
+
+  replayBtn.addEventListener('click', () => {
+    hideGameResults();
+    openReplayViewer();
+  });
+  closeBtn.addEventListener('click', () => hideGameResults());
+  modal.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    hideGameResults();
+  });
+  gameResultsElements = { modal, summary, list, closeBtn };
+  return gameResultsElements;
+}
+
+// Detail par source : points marques en cours de partie, puis chaque batiment du decompte final.
+function describeFinalScore(endState, player) {
+  const bonuses = endState.scoring.filter((entry) => entry.player === player);
+  const total = endState.finalScores[playerIndex(player)] || 0;
+  const bonusTotal = bonuses.reduce((sum, entry) => sum + entry.points, 0);
+  return [
+    { label: 'Partie', points: total - bonusTotal, bonus: false },
+    ...bonuses.map((entry) => ({
+      label: getMarketCardDefinition(entry.source)?.name ?? entry.source,
+      points: entry.points,
+      bonus: true,
+    })),
+  ];
+}
+
+function showGameResults(endState) {
+  const { modal, summary, list, closeBtn } = ensureGameResults();
+  summary.textContent = `${END_CONDITION_LABELS[endState.reason] ?? endState.reason} · Tour ${endState.turn}`;
+  list.innerHTML = '';
+  endState.ranking.forEach((player) => {
+    const item = document.createElement('li');
+    item.className = 'game-results__player';
+    const heading = document.createElement('div');
+    heading.className = 'game-results__total';
+    heading.textContent = `${playerName(player)} · ${endState.finalScores[playerIndex(player)] || 0} PV`;
+    const sources = document.createElement('ul');
+    sources.className = 'game-results__sources';
+    describeFinalScore(endState, player).forEach(({ label, points, bonus }) => {
+      const line = document.createElement('li');
+      line.textContent = `${label} : ${bonus ? '+' : ''}${points} PV`;
+      sources.appendChild(line);
+    });
+    item.appendChild(heading);
+    item.appendChild(sources);
+    list.appendChild(item);
+  });
+  modal.classList.add('visible');
+  closeBtn.focus({ preventScroll: true });
+}
+
+function hideGameResults() {
+  gameResultsElements?.modal.classList.remove('visible');
+}
+
+// ---------------- Nouvelle partie ----------------
+let gameSetupElements = null;
+
+const BOARD_SHAPE_LABELS = {
+  hexagon: 'Hexagone',
+  triangle: 'Triangle',
+  rhombus: 'Losange',
+  custom: 'Personnalis\u00e9',
+};
+
+function boardLabel(board) {
+  const spec = normalizeBoardSpec(board);
+  const count = generateBoardTiles(spec).length;
+  const size = spec.shape === 'custom' ? '' : `rayon ${spec.radius}, `;
+  return `${BOARD_SHAPE_LABELS[spec.shape]} (${size}${count} tuiles)`;
+}
+
+// Masque de plateau JSON : `{ "cells": [[q, r], ...] }` ou directement la liste des cases
+async function readBoardMaskFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (error) {
+    throw new Error('Masque de plateau illisible (JSON invalide).');
+  }
+  const cells = normalizeBoardCells(Array.isArray(data) ? data : data?.cells);
+  if (cells.length < MIN_CUSTOM_BOARD_CELLS || cells.length > MAX_CUSTOM_BOARD_CELLS) {
+    throw new Error(`Le masque doit compter de ${MIN_CUSTOM_BOARD_CELLS} \u00e0 ${MAX_CUSTOM_BOARD_CELLS} cases.`);
+  }
+  return cells;
+}
+
+function ensureGameSetup() {
+  if (gameSetupElements) return gameSetupElements;
+  const modal = document.createElement('form');
+  modal.className = 'autosave-prompt game-setup';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+  modal.setAttribute('aria-labelledby', 'game-setup-title');
+  modal.tabIndex = -1;
+  const title = document.createElement('h2');
+  title.id = 'game-setup-title';
+  title.className = 'autosave-prompt__title';
+  title.textContent = 'Nouvelle partie';
+  const countLabel = document.createElement('label');
+  countLabel.className = 'game-setup__count';
+  countLabel.textContent = 'Joueurs';
+  const countSelect = document.createElement('select');
+  for (let count = MIN_PLAYERS; count <= MAX_PLAYERS; count++) {
+    const option = document.createElement('option');
+    option.value = String(count);
+    option.textContent = String(count);
+    countSelect.appendChild(option);
+  }
+  countLabel.appendChild(countSelect);
+  const board = document.createElement('div');
+  board.className = 'game-setup__board';
+  const shapeSelect = document.createElement('select');
+  shapeSelect.setAttribute('aria-label', 'Forme du plateau');
+  BOARD_SHAPES.forEach((shape) => {
+    const option = document.createElement('option');
+    option.value = shape;
+    option.textContent = BOARD_SHAPE_LABELS[shape];
+    shapeSelect.appendChild(option);
+  });
+  const radiusSelect = document.createElement('select');
+  radiusSelect.setAttribute('aria-label', 'Rayon du plateau');
+  for (let radius = MIN_BOARD_RADIUS; radius <= MAX_BOARD_RADIUS; radius++) {
+    const option = document.createElement('option');
+    option.value = String(radius);
+    option.textContent = `Rayon ${radius}`;
+    radiusSelect.appendChild(option);
+  }
+  const maskInput = document.createElement('input');
+  maskInput.type = 'file';
+  maskInput.accept = 'application/json,.json';
+  maskInput.setAttribute('aria-label', 'Masque de plateau (JSON)');
+  const boardSummary = document.createElement('span');
+  boardSummary.className = 'game-setup__board-summary';
+  const boardTitle = document.createElement('span');
+  boardTitle.className = 'game-setup__board-title';
+  boardTitle.textContent = 'Plateau';
+  board.appendChild(boardTitle);
+  board.appendChild(shapeSelect);
+  board.appendChild(radiusSelect);
+  board.appendChild(maskInput);
+  board.appendChild(boardSummary);
+  const list = document.createElement('ol');
+  list.className = 'game-setup__players';
+  // Une ligne par joueur possible ; seules les `count` premieres sont affichees
+  const rows = Array.from({ length: MAX_PLAYERS }, (_, idx) => {
+    const item = document.createElement('li');
+    item.className = 'game-setup__player';
+    const crest = document.createElement('img');
+    crest.className = 'game-setup__crest';
+    crest.alt = '';
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.maxLength = 24;
+    name.setAttribute('aria-label', `Nom du joueur ${idx + 1}`);
+    const crestSelect = document.createElement('select');
+    crestSelect.setAttribute('aria-label', `Blason du joueur ${idx + 1}`);
+    Object.entries(PLAYER_CREST_LABELS).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      crestSelect.appendChild(option);
+    });
+    crestSelect.addEventListener('change', () => {
+      crest.src = PLAYER_CRESTS[crestSelect.value] || '';
+    });
+    const aiSelect = document.createElement('select');
+    aiSelect.setAttribute('aria-label', `Joueur ${idx + 1} : humain ou ordinateur`);
+    [['', 'Humain'], ...PLAYER_AI_LEVELS.map((level) => [level, `Ordinateur ${AI_LEVEL_SETTINGS[level].label.toLowerCase()}`])]
+      .forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        aiSelect.appendChild(option);
+      });
+    item.appendChild(crest);
+    item.appendChild(name);
+    item.appendChild(crestSelect);
+    item.appendChild(aiSelect);
+    list.appendChild(item);
+    return { item, crest, name, crestSelect, aiSelect };
+  });
+  const error = document.createElement('div');
+  error.className = 'game-setup__error';
+  error.setAttribute('role', 'alert');
+  const actions = document.createElement('div');
+  actions.className = 'game-results__actions';
+  const startBtn = document.createElement('button');
+  startBtn.type = 'submit';
+  startBtn.textContent = 'Commencer';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.type = 'button';
+  cancelBtn.textContent = 'Annuler';
+  actions.appendChild(cancelBtn);
+  actions.appendChild(startBtn);
+  modal.appendChild(title);
+  modal.appendChild(countLabel);
+  modal.appendChild(board);
+  modal.appendChild(list);
+  modal.appendChild(error);
+  modal.appendChild(actions);
+  document.body.appendChild(modal);
+
+  const showRows = () => {
+    const count = Number(countSelect.value);
+    rows.forEach((row, idx) => {
+      row.item.hidden = idx >= count;
+    });
+    error.textContent = '';
+  };
+  countSelect.addEventListener('change', showRows);
+  // Masque personnalise charge depuis un fichier, garde jusqu'au prochain choix
+  let customCells = null;
+  const readBoard = () => ({
+    shape: shapeSelect.value,
+    radius: Number(radiusSelect.value),
+    ...(shapeSelect.value === 'custom' ? { cells: customCells } : {}),
+  });
+  const showBoard = () => {
+    const custom = shapeSelect.value === 'custom';
+    radiusSelect.hidden = custom;
+    maskInput.hidden = !custom;
+    boardSummary.textContent = custom && !customCells ? 'Choisissez un masque JSON' : boardLabel(readBoard());
+  };
+  shapeSelect.addEventListener('change', () => {
+    error.textContent = '';
+    showBoard();
+  });
+  radiusSelect.addEventListener('change', showBoard);
+  maskInput.addEventListener('change', async () => {
+    const file = maskInput.files?.[0];
+    maskInput.value = '';
+    if (!file) return;
+    try {
+      customCells = await readBoardMaskFile(file);
+      error.textContent = '';
+    } catch (err) {
+      error.textContent = err.message;
+    }
+    showBoard();
+  });
+  const setBoard = (spec) => {
+    shapeSelect.value = spec.shape;
+    radiusSelect.value = String(spec.radius);
+    if (spec.cells) customCells = spec.cells.map((cell) => cell.slice());
+    showBoard();
+  };
+  cancelBtn.addEventListener('click', () => hideGameSetup());
+  modal.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const players = rows
+      .slice(0, Number(countSelect.value))
+      .map((row) => ({ name: row.name.value, crest: Number(row.crestSelect.value), ai: row.aiSelect.value || null }));
+    if (new Set(players.map((player) => player.crest)).size !== players.length) {
+      error.textContent = 'Chaque joueur doit avoir un blason différent.';
+      return;
+    }
+    if (shapeSelect.value === 'custom' && !customCells) {
+      error.textContent = 'Choisissez un masque de plateau (JSON).';
+      return;
+    }
+    hideGameSetup();
+    startNewGameWithPlayers(players, readBoard());
+  });
+  modal.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    hideGameSetup();
+  });
+  gameSetupElements = { modal, countSelect, rows, showRows, setBoard };
+  return gameSetupElements;
+}
+
+// Dialogue prerempli avec les joueurs de la partie en cours
+function showGameSetup() {
+  const { modal, countSelect, rows, showRows, setBoard } = ensureGameSetup();
+  setBoard(gameEngine.state.board);
+  const current = gameEngine.state.players;
+  const defaults = createPlayerProfiles(MAX_PLAYERS);
+  // Les lignes au-dela de la partie en cours proposent les blasons restants
+  const used = new Set(current.map((profile) => profile.crest));
+  const spare = defaults.map((profile) => profile.crest).filter((crest) => !used.has(crest));
+  rows.forEach((row, idx) => {
+    const profile = current[idx] ?? { name: defaults[idx].name, crest: spare.shift() };
+    row.name.value = profile.name;
+    row.crestSelect.value = String(profile.crest);
+    row.aiSelect.value = profile.ai ?? '';
+    row.crest.src = PLAYER_CRESTS[profile.crest] || '';
+  });
+  countSelect.value = String(current.length);
+  showRows();
+  modal.classList.add('visible');
+  rows[0].name.focus({ preventScroll: true });
+}
+
+function hideGameSetup() {
+  gameSetupElements?.modal.classList.remove('visible');
 }
 
-function hideSettingsPanel() {
-  if (!settingsPanelVisible) return;
-  const elements = ensureSettingsPanel();
-  elements.panel.classList.remove('settings-panel--visible');
-  settingsPanelVisible = false;
-  settingsPressedKeys.clear();
-  settingsComboLatched = false;
-  updateTopbarQuickActions();
+/**
+ * Nouvelle partie (nouvelle graine) avec les joueurs et le plateau choisis.
+ * @param {{name: string, crest: number, ai: ?string}[]} players
+ * @param {Object} [board] - Plateau (normalizeBoardSpec), le courant sinon
+ */
+function startNewGameWithPlayers(players, board) {
+  const state = getBoardSvg()?.__state ?? null;
+  if (!state) return;
+  viewedBoardPlayer = null;
+  state.clearGrid?.({ players, board });
+  // Un autre plateau a reconstruit le SVG : la suite passe par son nouvel etat
+  const current = getBoardSvg()?.__state ?? state;
+  current.regenPalette?.();
+  current.setSelectedPalette?.(-1);
 }
 
-function toggleSettingsPanel() {
-  if (settingsPanelVisible) hideSettingsPanel();
-  else showSettingsPanel();
+// ---------------- Joueurs ordinateur ----------------
+// Un joueur dont le profil porte un niveau (`ai`) joue seul : un coup choisi par chooseAiMove a
+// chaque pas, puis la fin du tour. Un seul poste le fait jouer : celui qui tient son siege, sinon l'hote.
+const AI_STEP_DELAY_MS = 450;
+// Alea des niveaux faciles, hors des flux de la partie (qui doivent rester rejouables)
+const aiRandom = xorshift32(cryptoSeed());
+let aiTimerId = null;
+
+function playerAiLevel(player) {
+  return gameEngine.state.players[playerIndex(player)]?.ai ?? null;
 }
 
-function handleGameSettingInput(event) {
-  const target = event.currentTarget;
-  if (!(target instanceof HTMLInputElement)) return;
-  const setting = target.dataset.setting;
-  if (!setting) return;
-  if (setting === 'neighborPoint') {
-    const index = Number(target.dataset.index);
-    const value = Number(target.value);
-    updateGameSettings({ neighborPoint: { index, value } });
-  } else if (target.dataset.type === 'boolean' || target.type === 'checkbox') {
-    updateGameSettings({ [setting]: target.checked });
-  } else {
-    const value = Number(target.value);
-    updateGameSettings({ [setting]: value });
-  }
-  syncSettingsPanelInputs();
+function runsAiFor(player) {
+  if (!gameEngine.controlsPlayer(player)) return false;
+  const owner = seatRoster.ownerOf(player);
+  if (owner !== null) return owner === localSeatId();
+  const host = seatRoster.hostId();
+  return host === null || host === localSeatId();
 }
 
-function handleSettingsKeyDown(event) {
-  const key = event.key?.toLowerCase();
-  if (!key) return false;
-  if (key === 'escape') {
-    if (settingsPanelVisible) {
-      hideSettingsPanel();
-      return true;
-    }
-    return false;
-  }
-  if (!SETTINGS_KEYS.has(key)) return false;
-  const active = document.activeElement;
-  if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable)) {
-    return false;
-  }
-  settingsPressedKeys.add(key);
-  if (settingsPressedKeys.size === SETTINGS_KEYS.size && !settingsComboLatched) {
-    toggleSettingsPanel();
-    settingsComboLatched = true;
-    return true;
-  }
-  return false;
+function canPlayAiTurn() {
+  const player = turnState.activePlayer;
+  return Boolean(playerAiLevel(player)) && !gameEngine.isGameOver() && !replaySession && runsAiFor(player);
 }
 
-function handleSettingsKeyUp(event) {
-  const key = event.key?.toLowerCase();
-  if (!key) return;
-  if (SETTINGS_KEYS.has(key)) {
-    settingsPressedKeys.delete(key);
-    if (settingsPressedKeys.size === 0) settingsComboLatched = false;
-  } else {
-    settingsPressedKeys.clear();
-    settingsComboLatched = false;
-  }
+// Appele apres chaque changement du moteur : le coup suivant part apres un court delai, pour etre suivi a l'ecran
+function scheduleAiStep() {
+  if (aiTimerId !== null || !canPlayAiTurn()) return;
+  aiTimerId = setTimeout(() => {
+    aiTimerId = null;
+    playAiStep();
+  }, AI_STEP_DELAY_MS);
 }
 
-function bindEndTurnButton(button) {
-  if (!button || button.__pairleroyBound) return;
-  button.__pairleroyBound = true;
-  button.addEventListener('click', () => endCurrentTurn({ reason: 'manual' }));
+function playAiStep() {
+  if (!canPlayAiTurn()) return;
+  const player = turnState.activePlayer;
+  const move = chooseAiMove(gameEngine, playerAiLevel(player), { random: aiRandom });
+  const result = move ? applyAiMove(gameEngine, player, move) : null;
+  if (!result?.ok) {
+    if (move) console.warn('[ai] coup refuse', move, result?.reason);
+    endCurrentTurn({ reason: 'ai' });
+  }
 }
 
 function ensureHudElements() {
@@ -1355,6 +3116,9 @@ function ensureHudElements() {
     hudElements.collapsedScoreboard = document.getElementById('collapsed-scoreboard');
   }
   if (!hudElements.turnIndicator) hudElements.turnIndicator = document.getElementById('turn-indicator');
+  if (!hudElements.seedInput) hudElements.seedInput = document.getElementById('game-seed');
+  if (!hudElements.seedReplayButton) hudElements.seedReplayButton = document.getElementById('replay-seed');
+  bindSeedControls();
   if (!hudElements.endTurnButton) hudElements.endTurnButton = document.getElementById('end-turn');
   if (!hudElements.collapsedEndTurnButton) {
     hudElements.collapsedEndTurnButton = document.getElementById('collapsed-end-turn');
@@ -1363,75 +3127,8 @@ function ensureHudElements() {
   bindEndTurnButton(hudElements.collapsedEndTurnButton);
 }
 
-function crownsFromScore(score) {
-  if (!Number.isFinite(score)) return 0;
-  if (score <= 0) return 0;
-  return Math.floor(score / POINTS_PER_CROWN);
-}
-
-function awardPoints(player, delta, source = 'generic') {
-  if (!isValidPlayer(player) || !Number.isFinite(delta) || delta === 0) return;
-  const idx = playerIndex(player);
-  if (idx === -1) return;
-  const previousScore = playerScores[idx] || 0;
-  const nextScore = previousScore + delta;
-  playerScores[idx] = nextScore;
-  const prevCrownsFromScore = crownsFromScore(previousScore);
-  const nextCrownsFromScore = crownsFromScore(nextScore);
-  const crownDelta = nextCrownsFromScore - prevCrownsFromScore;
-  if (crownDelta !== 0) adjustPlayerCrowns(player, crownDelta);
-  debugLog('awardPoints', {
-    player,
-    delta,
-    source,
-    next: playerScores[idx],
-    crownDelta,
-  });
-  renderGameHud();
-}
-
 function getPlayerScore(player) {
-  const idx = playerIndex(player);
-  return idx !== -1 ? playerScores[idx] || 0 : 0;
-}
-
-function spendPoints(player, cost, reason = 'spend') {
-  if (!isValidPlayer(player) || !Number.isFinite(cost) || cost <= 0) return false;
-  const current = getPlayerScore(player);
-  if (current < cost) {
-    debugLog('insufficient-points', { player, cost, current, reason });
-    return false;
-  }
-  awardPoints(player, -cost, reason);
-  return true;
-}
-
-function adjustResourceColorTally(player, colorIdx, delta) {
-  if (!isValidPlayer(player) || !Number.isInteger(colorIdx)) return;
-  const idx = playerIndex(player);
-  const record = playerResources[idx];
-  if (!record) return;
-  const map = record.amenagementColors;
-  const next = (map.get(colorIdx) || 0) + delta;
-  if (next > 0) map.set(colorIdx, next);
-  else map.delete(colorIdx);
-}
-
-function adjustPlayerTileResources(player, combo, delta) {
-  if (!isValidPlayer(player) || !combo) return;
-  const idx = playerIndex(player);
-  const record = playerResources[idx];
-  if (!record) return;
-  const colors = Array.isArray(combo.colors) ? combo.colors : [];
-  const units = Array.isArray(combo.units) ? combo.units : [];
-  for (let i = 0; i < colors.length; i++) {
-    const colorIdx = colors[i];
-    const amount = (units[i] ?? 1) * delta;
-    const current = record.tileColors.get(colorIdx) || 0;
-    const next = current + amount;
-    if (next > 0) record.tileColors.set(colorIdx, next);
-    else record.tileColors.delete(colorIdx);
-  }
+  return gameEngine.getPlayerScore(player);
 }
 
 function ensureMarketDetailElements() {
@@ -1531,8 +3228,12 @@ function ensurePersonalBoardElements() {
   amenagementEmpty.className = 'personal-board__empty';
   amenagementEmpty.textContent = 'Aucun amenagement controle.';
 
+  const resourceSummary = document.createElement('div');
+  resourceSummary.className = 'personal-board__section-count personal-board__resources';
+
   amenagementSection.appendChild(amenagementTitle);
   amenagementSection.appendChild(amenagementCount);
+  amenagementSection.appendChild(resourceSummary);
   amenagementSection.appendChild(amenagementList);
   amenagementSection.appendChild(amenagementEmpty);
   container.appendChild(amenagementSection);
@@ -1592,6 +3293,7 @@ function ensurePersonalBoardElements() {
   personalBoardElements.pointsValue = pointsValue;
   personalBoardElements.crownsValue = crownsValue;
   personalBoardElements.amenagementCount = amenagementCount;
+  personalBoardElements.resourceSummary = resourceSummary;
   personalBoardElements.amenagementList = amenagementList;
   personalBoardElements.amenagementEmpty = amenagementEmpty;
   personalBoardElements.buildingsCount = buildingsCount;
@@ -1613,17 +3315,18 @@ function renderPersonalBoard() {
   const container = elements.container;
   if (!container) return;
 
-  const activePlayer = turnState.activePlayer ?? PLAYER_IDS[0];
+  const activePlayer = getPersonalBoardPlayer();
   const idx = playerIndex(activePlayer);
   const record = idx !== -1 ? playerResources[idx] : null;
 
   container.dataset.player = String(activePlayer);
+  container.classList.toggle('personal-board--inactive', activePlayer !== turnState.activePlayer);
 
-  if (elements.playerLabel) elements.playerLabel.textContent = `Joueur ${activePlayer}`;
+  if (elements.playerLabel) elements.playerLabel.textContent = playerName(activePlayer);
   if (elements.subtitle) elements.subtitle.textContent = `Tour ${turnState.turnNumber}`;
 
   if (elements.crest) {
-    const crestUrl = PLAYER_CRESTS[activePlayer] || '';
+    const crestUrl = playerCrestUrl(activePlayer);
     if (crestUrl) {
       elements.crest.src = crestUrl;
       elements.crest.alt = `Blason joueur ${activePlayer}`;
@@ -1650,6 +3353,14 @@ function renderPersonalBoard() {
     }
   }
 
+  if (elements.resourceSummary) {
+    const stock = record ? gameEngine.getPlayerResourceStock(activePlayer) : {};
+    const capacity = record ? gameEngine.getPlayerResourceCapacity(activePlayer) : {};
+    const parts = RESOURCE_ORDER
+      .map((resource) => `${RESOURCE_LABELS[resource] || resource} ${stock[resource] ?? 0}/${capacity[resource] ?? 0}`);
+    elements.resourceSummary.textContent = record ? `Ressources : ${parts.join(', ')}` : 'Aucune ressource';
+  }
+
   const amenagementList = elements.amenagementList;
   if (amenagementList) {
     amenagementList.innerHTML = '';
@@ -1724,6 +3435,25 @@ function renderPersonalBoard() {
           meta.textContent = metaText;
           item.appendChild(meta);
         }
+        const conversion = gameEngine.evaluateConversion(activePlayer, cardId);
+        if (conversion.effect) {
+          const { from, to, amount } = conversion.effect;
+          const actions = document.createElement('div');
+          actions.className = 'personal-board__contract-actions';
+          const convertBtn = document.createElement('button');
+          convertBtn.type = 'button';
+          convertBtn.className = 'personal-board__contract-build personal-board__building-convert';
+          convertBtn.textContent = `${amount} ${RESOURCE_LABELS[from] || from} \u2192 ${amount} ${RESOURCE_LABELS[to] || to}`;
+          convertBtn.disabled = !conversion.canConvert;
+          convertBtn.title = conversion.canConvert
+            ? 'Convertir (une fois par tour)'
+            : CONVERSION_REASON_LABELS[conversion.reason] || conversion.reason;
+          if (conversion.canConvert) {
+            convertBtn.addEventListener('click', () => gameEngine.convertResource(activePlayer, cardId));
+          }
+          actions.appendChild(convertBtn);
+          item.appendChild(actions);
+        }
         buildingsList.appendChild(item);
       });
       if (elements.buildingsEmpty) elements.buildingsEmpty.hidden = true;
@@ -1745,7 +3475,7 @@ function renderPersonalBoard() {
     }
   }
 
-  const amenagementStock = record ? computeAmenagementResourceStock(record) : null;
+  const amenagementStock = record ? gameEngine.getPlayerResourceStock(activePlayer) : null;
 
   const contractsList = elements.contractsList;
   if (contractsList) {
@@ -1774,9 +3504,9 @@ function renderPersonalBoard() {
           meta.textContent = details;
           item.appendChild(meta);
         }
-        const costBreakdown = createContractCostBreakdown(def?.cost, amenagementStock);
+        const costBreakdown = createContractCostBreakdown(gameEngine.getBuildCost(activePlayer, def), amenagementStock);
         if (costBreakdown) item.appendChild(costBreakdown);
-        const buildStatus = evaluateContractBuildAvailability(activePlayer, record, def, amenagementStock);
+        const buildStatus = gameEngine.evaluateContractBuildAvailability(activePlayer, def, amenagementStock);
         const actions = document.createElement('div');
         actions.className = 'personal-board__contract-actions';
         const buildBtn = document.createElement('button');
@@ -1786,7 +3516,7 @@ function renderPersonalBoard() {
         buildBtn.disabled = !buildStatus.canBuild;
         buildBtn.title = buildStatus.canBuild
           ? 'Construire ce bâtiment'
-          : buildStatus.reason || 'Conditions non remplies';
+          : CONTRACT_BUILD_REASON_LABELS[buildStatus.reason] || 'Conditions non remplies';
         if (buildStatus.canBuild) {
           buildBtn.addEventListener('click', () => attemptBuildFromContract(cardId));
         }
@@ -1802,26 +3532,6 @@ function renderPersonalBoard() {
   }
 }
 
-function adjustPlayerResourceStock(player, resourceType, delta) {
-  if (!isValidPlayer(player) || !resourceType || !Number.isFinite(delta) || delta === 0) return;
-  const idx = playerIndex(player);
-  const record = playerResources[idx];
-  if (!record || !record.stock || !(resourceType in record.stock)) return;
-  const current = record.stock[resourceType] || 0;
-  const next = current + delta;
-  record.stock[resourceType] = next >= 0 ? next : 0;
-}
-
-function adjustPlayerCrowns(player, delta) {
-  if (!isValidPlayer(player) || !Number.isFinite(delta) || delta === 0) return;
-  const idx = playerIndex(player);
-  const record = playerResources[idx];
-  if (!record) return;
-  const current = record.crowns || 0;
-  const next = current + delta;
-  record.crowns = next >= 0 ? next : 0;
-}
-
 function colonColorForIndex(idx) {
   return PLAYER_COLON_COLORS[idx % PLAYER_COLON_COLORS.length];
 }
@@ -1841,26 +3551,8 @@ function getBoardSvg() {
   return document.querySelector('#board-container svg');
 }
 
-function hexDistanceBetween(idxA, idxB) {
-  if (idxA === idxB) return 0;
-  const tileA = tiles[idxA];
-  const tileB = tiles[idxB];
-  if (!tileA || !tileB) return Infinity;
-  const dq = tileA.q - tileB.q;
-  const dr = tileA.r - tileB.r;
-  const ds = tileA.s - tileB.s;
-  return (Math.abs(dq) + Math.abs(dr) + Math.abs(ds)) / 2;
-}
-
 function hexDistanceBetweenCached(idxA, idxB) {
-  const a = Math.min(idxA, idxB);
-  const b = Math.max(idxA, idxB);
-  const key = `${a},${b}`;
-  const cached = influenceMap.get(key);
-  if (cached !== undefined) return cached;
-  const dist = hexDistanceBetween(a, b);
-  influenceMap.set(key, dist);
-  return dist;
+  return gameEngine.hexDistance(idxA, idxB);
 }
 
 function handleColonMarkerClick(event) {
@@ -1880,7 +3572,7 @@ function handleColonMarkerClick(event) {
     svgState.setSelectedPalette?.(-1);
   }
 
-  if (colonMoveRemaining[idx] <= 0) {
+  if (gameEngine.getColonReach(player) <= 0) {
     selectedColonPlayer = null;
     updateColonMarkersPositions();
     return;
@@ -1898,7 +3590,7 @@ function renderColonMarkers() {
   colonMarkers = new Map();
   const { size } = svg.__state;
   const radius = size * 0.3;
-  PLAYER_IDS.forEach((player) => {
+  playerIds.forEach((player) => {
     const idx = playerIndex(player);
     if (idx === -1) return;
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -1927,7 +3619,7 @@ function updateColonMarkersPositions() {
   const occupancy = new Map();
   colonPositions.forEach((tileIdx, idx) => {
     if (!Number.isInteger(tileIdx)) return;
-    const player = PLAYER_IDS[idx];
+    const player = playerIds[idx];
     const arr = occupancy.get(tileIdx) ?? [];
     arr.push(player);
     occupancy.set(tileIdx, arr);
@@ -1965,8 +3657,17 @@ function updateColonMarkersPositions() {
     marker.style.display = 'block';
     marker.classList.toggle('colon-marker--active', player === turnState.activePlayer);
     marker.classList.toggle('colon-marker--selected', player === selectedColonPlayer);
-    const remaining = colonMoveRemaining[idx] ?? 0;
-    marker.classList.toggle('colon-marker--exhausted', remaining <= 0);
+    marker.classList.toggle('colon-marker--exhausted', gameEngine.getColonReach(player) <= 0);
+  });
+  renderColonDestinations(svg);
+}
+
+// Surligne les tuiles atteignables par le colon selectionne (pas du tour, pas bonus ou deploiement).
+function renderColonDestinations(svg) {
+  svg.querySelectorAll('.tile--colon-target').forEach((node) => node.classList.remove('tile--colon-target'));
+  if (!isValidPlayer(selectedColonPlayer)) return;
+  gameEngine.getColonDestinations(selectedColonPlayer).forEach((tileIdx) => {
+    svg.querySelector(`.tile[data-idx="${tileIdx}"]`)?.classList.add('tile--colon-target');
   });
 }
 
@@ -1982,33 +3683,9 @@ function attemptColonMoveTo(tileIdx) {
     clearColonSelection();
     return true;
   }
-  const pIdx = playerIndex(player);
-  if (pIdx === -1) {
-    clearColonSelection();
-    return true;
-  }
-  if (colonMoveRemaining[pIdx] <= 0) {
-    clearColonSelection();
-    return true;
-  }
-  const currentIdx = colonPositions[pIdx];
-  const distance = hexDistanceBetween(currentIdx, tileIdx);
-  if (
-    !Number.isFinite(distance)
-    || distance > gameSettings.colonStepsPerTurn
-    || distance > colonMoveRemaining[pIdx]
-  ) {
-    return true;
-  }
-  if (distance === 0) {
-    clearColonSelection();
-    return true;
-  }
-  colonPositions[pIdx] = tileIdx;
-  colonMoveRemaining[pIdx] = Math.max(0, colonMoveRemaining[pIdx] - distance);
+  const result = gameEngine.moveColon(player, tileIdx);
+  if (!result.ok && result.reason === 'colon-out-of-range') return true;
   clearColonSelection();
-  updateColonMarkersPositions();
-  renderGameHud();
   return true;
 }
 
@@ -2082,7 +3759,7 @@ function createScorecardIcon(player) {
   base.setAttributeNS('http://www.w3.org/1999/xlink', 'href', `#${shapeId}`);
   base.setAttribute('class', 'scorecard-shape');
   svg.appendChild(base);
-  const crestHref = PLAYER_CRESTS[player];
+  const crestHref = playerCrestUrl(player);
   if (crestHref) {
     const image = document.createElementNS(svgNS, 'image');
     image.setAttribute('href', crestHref);
@@ -2211,97 +3888,12 @@ function setActiveColors(list) {
   }
 }
 
-function registerAmenagementForPlayer(player, key, colorIdx) {
-  if (!isValidPlayer(player) || typeof key !== 'string') return;
-  const idx = playerIndex(player);
-  const record = playerResources[idx];
-  if (!record) return;
-  if (!record.amenagements.has(key)) {
-    record.amenagements.add(key);
-    if (Number.isInteger(colorIdx) && colorIdx >= 0) adjustResourceColorTally(player, colorIdx, 1);
-  }
-  amenagementColorByKey.set(key, colorIdx);
-  renderGameHud();
-}
-
-function unregisterAmenagementForPlayer(player, key, colorIdx = null) {
-  if (!isValidPlayer(player) || typeof key !== 'string') return;
-  const idx = playerIndex(player);
-  const record = playerResources[idx];
-  if (!record) return;
-  if (record.amenagements.delete(key)) {
-    const storedColor = amenagementColorByKey.get(key);
-    const targetColor = Number.isInteger(colorIdx) ? colorIdx : storedColor;
-    if (Number.isInteger(targetColor) && targetColor >= 0) adjustResourceColorTally(player, targetColor, -1);
-  }
-  amenagementColorByKey.delete(key);
-  renderGameHud();
-}
-
-function amenagementCostValue() {
-  const value = Number.isFinite(gameSettings.amenagementCost)
-    ? gameSettings.amenagementCost
-    : DEFAULT_GAME_SETTINGS.amenagementCost;
-  return Math.max(0, value);
-}
-
-function chargeAmenagementPlacement(player) {
-  const cost = amenagementCostValue();
-  if (cost <= 0) return true;
-  return spendPoints(player, cost, 'amenagement');
-}
-
-function registerBuildingForPlayer(player, cardId, { applyReward = true } = {}) {
-  if (!isValidPlayer(player) || !cardId) return;
-  const idx = playerIndex(player);
-  const record = playerResources[idx];
-  if (!record) return;
-  record.buildings.add(cardId);
-  if (applyReward) {
-    const def = getMarketCardDefinition(cardId);
-    if (def?.reward) applyMarketReward(player, record, def.reward, 'build:' + cardId);
-  }
-  renderGameHud();
-}
-
-function registerContractForPlayer(player, cardId) {
-  if (!isValidPlayer(player) || !cardId) return;
-  const idx = playerIndex(player);
-  const record = playerResources[idx];
-  if (!record) return;
-  record.contracts.add(cardId);
-  renderGameHud();
-}
-
-function resetGameDataForNewBoard() {
-  playerScores = Array.from({ length: PLAYER_COUNT }, () => 0);
-  playerResources = Array.from({ length: PLAYER_COUNT }, () => createEmptyPlayerResource());
-  marketState = createInitialMarketState();
-  seedMarketSlotsFromDeck(marketState);
+function resetGameDataForNewBoard(options = {}) {
+  closeReplayViewer();
   hoveredMarketSlot = null;
-  influenceMap.clear();
-  resetTurnCounters();
-  turnState.turnNumber = 1;
-  turnState.activePlayer = PLAYER_IDS[0];
-  amenagementColorByKey.clear();
-  const svg = getBoardSvg();
-  const castleMap = svg?.__state?.castleByJunction ?? null;
-  const outpostMap = svg?.__state?.outpostByJunction ?? null;
-  if (castleMap) {
-    castleMap.clear();
-    svg?.__state?.renderCastleOverlays?.();
-  }
-  if (outpostMap) {
-    outpostMap.clear();
-    svg?.__state?.renderOutpostOverlays?.();
-  }
-  svg?.__state?.renderInfluenceZones?.();
-  colonPositions = Array.from({ length: PLAYER_COUNT }, () => DEFAULT_CENTER_TILE_INDEX);
-  colonMoveRemaining = Array.from({ length: PLAYER_COUNT }, () => gameSettings.colonStepsPerTurn);
-  colonPlacementUsed = Array.from({ length: PLAYER_COUNT }, () => false);
   selectedColonPlayer = null;
-  updateColonMarkersPositions();
-  renderGameHud();
+  flushPendingAutosave();
+  gameEngine.reset(options);
   updateMarketDetailPanel(null);
 }
 
@@ -2311,33 +3903,19 @@ function setActivePlayer(player, { advanceTurn = false } = {}) {
     renderGameHud();
     return;
   }
-  turnState.activePlayer = player;
   selectedColonPlayer = null;
-  updateColonMarkersPositions();
-  renderGameHud();
+  reportSeatRejection(gameEngine.setActivePlayer(player));
 }
 
 function endCurrentTurn({ reason = 'auto' } = {}) {
-  const currentIdx = playerIndex(turnState.activePlayer);
-  if (currentIdx === -1) return;
-  turnState.tilesPlacedByPlayer[currentIdx] = 0;
-  const nextIdx = (currentIdx + 1) % PLAYER_COUNT;
-  if (nextIdx === 0) turnState.turnNumber += 1;
-  turnState.activePlayer = PLAYER_IDS[nextIdx];
-  colonMoveRemaining[currentIdx] = gameSettings.colonStepsPerTurn;
-  colonPlacementUsed[currentIdx] = false;
-  colonMoveRemaining[nextIdx] = gameSettings.colonStepsPerTurn;
-  colonPlacementUsed[nextIdx] = false;
   selectedColonPlayer = null;
-  updateColonMarkersPositions();
-  renderGameHud();
-  debugLog('endCurrentTurn', { reason, activePlayer: turnState.activePlayer, turn: turnState.turnNumber });
+  reportSeatRejection(gameEngine.endTurn({ reason }));
 }
 
 function renderScoreboard(target) {
   if (!target) return;
   target.innerHTML = '';
-  PLAYER_IDS.forEach((player) => {
+  playerIds.forEach((player) => {
     const idx = playerIndex(player);
     const scoreValue = playerScores[idx] || 0;
     const card = document.createElement('button');
@@ -2345,12 +3923,24 @@ function renderScoreboard(target) {
     card.className = 'scorecard';
     card.dataset.player = String(player);
     const isActive = player === turnState.activePlayer;
-    const labelText = `Joueur ${player} - ${scoreValue} points${isActive ? ' (actif)' : ''}`;
+    const aiLevel = playerAiLevel(player);
+    const aiText = aiLevel ? ` (ordinateur ${AI_LEVEL_SETTINGS[aiLevel].label.toLowerCase()})` : '';
+    const labelText = `${playerName(player)}${aiText} - ${scoreValue} points${isActive ? ' (actif)' : ''}`;
     card.title = labelText;
     card.setAttribute('aria-label', labelText);
     card.setAttribute('aria-pressed', isActive ? 'true' : 'false');
     card.classList.toggle('scorecard--active', isActive);
+    const seats = gameEngine.getControlledSeats();
+    const viewed = player === getPersonalBoardPlayer();
+    card.classList.toggle('scorecard--viewed', Boolean(seats) && viewed);
+    card.classList.toggle('scorecard--seat', seats?.includes(player) ?? false);
     card.addEventListener('click', () => {
+      // Avec des sieges, le blason montre le plateau personnel du joueur (le tour reste au joueur actif)
+      if (seats) {
+        viewedBoardPlayer = viewed && isValidPlayer(viewedBoardPlayer) ? null : player;
+        renderGameHud();
+        return;
+      }
       if (player !== turnState.activePlayer) setActivePlayer(player);
     });
 
@@ -2368,12 +3958,17 @@ function renderScoreboard(target) {
 
 function renderGameHud() {
   ensureHudElements();
-  const { scoreboard, collapsedScoreboard, turnIndicator } = hudElements;
+  const { scoreboard, collapsedScoreboard, turnIndicator, seedInput } = hudElements;
   renderScoreboard(scoreboard);
   renderScoreboard(collapsedScoreboard);
   renderPersonalBoard();
   if (turnIndicator) {
-    turnIndicator.textContent = `Tour ${turnState.turnNumber} - Joueur ${turnState.activePlayer}`;
+    turnIndicator.textContent = gameEngine.state.endState
+      ? `Partie termin\u00e9e - Tour ${gameEngine.state.endState.turn}`
+      : `Tour ${turnState.turnNumber} - ${playerName(turnState.activePlayer)}`;
+  }
+  if (seedInput && document.activeElement !== seedInput) {
+    seedInput.value = String(gameEngine.state.seed);
   }
   const svg = document.querySelector('#board-container svg');
   if (svg?.__state?.updateSquareIndicator) {
@@ -2386,6 +3981,85 @@ function renderGameHud() {
   updateColonMarkersPositions();
   if (svg?.__state?.renderCastleOverlays) svg.__state.renderCastleOverlays();
   renderMarketDisplay();
+  renderTileBagStatus();
+  renderPaletteStatus();
+}
+
+// Tuiles restantes dans le sac, et apercu des prochaines pour le joueur actif (Observatoire)
+function renderTileBagStatus() {
+  const countEl = document.getElementById('tile-bag-count');
+  const previewEl = document.getElementById('tile-bag-preview');
+  if (countEl) {
+    const remaining = gameEngine.state.tileBag.length;
+    countEl.textContent = `Sac : ${remaining} tuile${remaining > 1 ? 's' : ''}`;
+  }
+  if (!previewEl) return;
+  const preview = gameEngine.getTileBagPreview(turnState.activePlayer);
+  previewEl.innerHTML = '';
+  previewEl.hidden = preview.length === 0;
+  if (!preview.length) return;
+  const label = document.createElement('span');
+  label.className = 'tile-bag__label';
+  label.textContent = '\u00c0 venir';
+  previewEl.appendChild(label);
+  const colors = getBoardSvg()?.__state?.colors ?? activeColors;
+  preview.forEach((combo) => previewEl.appendChild(renderComboSVG(combo, 40, colors)));
+}
+
+// Mains privees : la palette montre la main du joueur actif si ce poste tient son siege
+// (toujours en hot-seat), des tuiles face cachee sinon.
+function isActiveHandHidden() {
+  return gameEngine.state.playerHands.length > 0 && !gameEngine.controlsPlayer(turnState.activePlayer);
+}
+
+// ---------------- Palette bloquee ----------------
+const MULLIGAN_RULE_LABELS = {
+  none: 'Aucun',
+  discardSlot: 'D\u00e9fausser une tuile',
+  redrawPalette: 'Nouveau tirage',
+};
+
+// Palette morte : message sous la palette et bouton de mulligan (reglage `mulliganRule`) ;
+// pose bloquee pour tous les joueurs : message seul.
+function renderPaletteStatus() {
+  const statusEl = document.getElementById('palette-status');
+  const textEl = document.getElementById('palette-status-text');
+  const button = document.getElementById('palette-mulligan');
+  if (!statusEl || !textEl || !button) return;
+  if (!button.__pairleroyBound) {
+    button.__pairleroyBound = true;
+    button.addEventListener('click', handleMulliganClick);
+  }
+  const blocked = gameEngine.isTilePlayBlocked();
+  const dead = !blocked && !isActiveHandHidden() && gameEngine.isPaletteDead();
+  statusEl.hidden = !blocked && !dead;
+  statusEl.classList.toggle('palette-status--blocked', blocked);
+  button.hidden = !dead;
+  if (blocked) {
+    textEl.textContent = 'Plus aucune tuile ne peut \u00eatre pos\u00e9e : la pose est termin\u00e9e.';
+    return;
+  }
+  if (!dead) return;
+  const cost = gameSettings.mulliganCost;
+  const costLabel = cost > 0 ? ` (${cost} PV)` : '';
+  const affordable = gameEngine.getPlayerScore(turnState.activePlayer) >= cost;
+  if (gameSettings.mulliganRule === 'discardSlot') {
+    const slotIdx = getBoardSvg()?.__state?.selectedPalette ?? -1;
+    textEl.textContent = 'Aucune tuile propos\u00e9e ne se pose. Choisissez la tuile \u00e0 d\u00e9fausser.';
+    button.textContent = `D\u00e9fausser${costLabel}`;
+    button.disabled = slotIdx < 0 || !affordable;
+  } else {
+    textEl.textContent = 'Aucune tuile propos\u00e9e ne se pose.';
+    button.textContent = `Nouveau tirage${costLabel}`;
+    button.disabled = !affordable;
+  }
+  button.title = affordable ? '' : 'Points insuffisants';
+}
+
+function handleMulliganClick() {
+  const slotIdx = getBoardSvg()?.__state?.selectedPalette ?? -1;
+  const result = gameEngine.mulligan(turnState.activePlayer, slotIdx >= 0 ? slotIdx : null);
+  if (!result.ok) console.warn('[palette] mulligan refuse', result.reason);
 }
 
 function renderMarketDisplay() {
@@ -2717,163 +4391,24 @@ function createContractCostBreakdown(cost, stock) {
   return wrapper;
 }
 
-function applyMarketReward(player, record, reward, source = 'reward') {
-  if (!reward || typeof reward !== 'object') return;
-  if (Number.isFinite(reward.points) && reward.points !== 0) {
-    awardPoints(player, reward.points, source);
-  }
-  if (Number.isFinite(reward.crowns) && reward.crowns !== 0) {
-    adjustPlayerCrowns(player, reward.crowns);
-  }
-  if (reward.stock && typeof reward.stock === 'object') {
-    RESOURCE_ORDER.forEach((resource) => {
-      const amount = reward.stock[resource];
-      if (Number.isFinite(amount) && amount !== 0) {
-        adjustPlayerResourceStock(player, resource, amount);
-      }
-    });
-  }
-}
-
-function computeAmenagementResourceStock(record) {
-  const stock = {
-    [RESOURCE_TYPES.WOOD]: 0,
-    [RESOURCE_TYPES.BREAD]: 0,
-    [RESOURCE_TYPES.FABRIC]: 0,
-    [RESOURCE_TYPES.LABOR]: 0,
-  };
-  if (!record || !(record.amenagementColors instanceof Map)) return stock;
-  record.amenagementColors.forEach((amount, colorIdx) => {
-    const resourceType = AMENAGEMENT_RESOURCE_TYPES[colorIdx];
-    if (!resourceType) return;
-    const numeric = Number(amount);
-    if (!Number.isFinite(numeric) || numeric <= 0) return;
-    stock[resourceType] = (stock[resourceType] || 0) + numeric;
-  });
-  return stock;
-}
-
-function hasEnoughAmenagementResources(cost, stock) {
-  if (!cost || typeof cost !== 'object') return true;
-  for (const resource of RESOURCE_ORDER) {
-    const required = Number(cost[resource]);
-    if (!Number.isFinite(required) || required <= 0) continue;
-    if ((stock?.[resource] ?? 0) < required) return false;
-  }
-  return true;
-}
-
-function evaluateContractBuildAvailability(player, record, def, providedStock = null) {
-  const cost = def?.cost;
-  if (!cost) return { canBuild: true, reason: '' };
-  const stock = providedStock ?? computeAmenagementResourceStock(record);
-  if (!hasEnoughAmenagementResources(cost, stock)) {
-    return { canBuild: false, reason: 'Ressources insuffisantes' };
-  }
-  const pointsRequired = Number(cost.points);
-  if (Number.isFinite(pointsRequired) && pointsRequired > 0 && pointsRequired > getPlayerScore(player)) {
-    return { canBuild: false, reason: 'Points insuffisants' };
-  }
-  const crownsRequired = Number(cost.crowns);
-  if (Number.isFinite(crownsRequired) && crownsRequired > 0 && crownsRequired > Number(record?.crowns ?? 0)) {
-    return { canBuild: false, reason: 'Couronnes insuffisantes' };
-  }
-  return { canBuild: true, reason: '' };
-}
-
 function attemptBuildFromContract(cardId) {
-  const player = turnState.activePlayer ?? PLAYER_IDS[0];
-  const idx = playerIndex(player);
-  if (idx === -1) return;
-  const record = playerResources[idx];
-  if (!record || !record.contracts || !record.contracts.has(cardId)) return;
-  const def = getMarketCardDefinition(cardId);
-  if (!def) return;
-  const stock = computeAmenagementResourceStock(record);
-  const status = evaluateContractBuildAvailability(player, record, def, stock);
-  if (!status.canBuild) {
-    debugLog('contract-build-blocked', { player, card: cardId, reason: status.reason });
-    return;
-  }
-  const cost = def.cost || {};
-  const pointsRequired = Number(cost.points);
-  const crownsRequired = Number(cost.crowns);
-  if (Number.isFinite(pointsRequired) && pointsRequired > 0 && pointsRequired > getPlayerScore(player)) {
-    return;
-  }
-  if (Number.isFinite(crownsRequired) && crownsRequired > 0 && crownsRequired > Number(record?.crowns ?? 0)) {
-    return;
-  }
-  record.contracts.delete(cardId);
-  if (Number.isFinite(pointsRequired) && pointsRequired > 0) {
-    if (!spendPoints(player, pointsRequired, `contract-build:${cardId}`)) {
-      record.contracts.add(cardId);
-      return;
-    }
-  }
-  if (Number.isFinite(crownsRequired) && crownsRequired > 0) {
-    adjustPlayerCrowns(player, -crownsRequired);
-  }
-  registerBuildingForPlayer(player, cardId);
-  debugLog('contract-build', { player, card: cardId });
+  const player = turnState.activePlayer ?? playerIds[0];
+  gameEngine.buildContract(player, cardId);
 }
 
 function computeMarketDistance(slotIdx, player = turnState.activePlayer) {
-  if (!Number.isInteger(slotIdx) || slotIdx < 0) return null;
-  if (!isValidPlayer(player)) return null;
-  const svg = getBoardSvg();
-  const state = svg?.__state ?? null;
-  const marketCells = Array.isArray(state?.marketCells) ? state.marketCells : null;
-  const track = Array.isArray(state?.squareTrack) ? state.squareTrack : null;
-  if (!marketCells || !track || track.length === 0) return null;
-  const cell = marketCells[slotIdx] ?? null;
-  if (!cell) return null;
-  const playerIdx = playerIndex(player);
-  if (playerIdx === -1) return null;
-  const score = playerScores[playerIdx] || 0;
-  const normalized = ((score % track.length) + track.length) % track.length;
-  const trackCell = track[normalized] ?? null;
-  if (!trackCell) return null;
-  const rowA = Number(trackCell.row ?? 0);
-  const colA = Number(trackCell.col ?? 0);
-  const rowB = Number(cell.row ?? 0);
-  const colB = Number(cell.col ?? 0);
-  const distance = Math.abs(rowA - rowB) + Math.abs(colA - colB);
-  return Number.isFinite(distance) ? distance : null;
+  return gameEngine.computeMarketDistance(slotIdx, player);
 }
 
 function handleMarketCardPurchase(event) {
   const target = event.currentTarget;
   const slotIdx = Number(target?.dataset?.slot ?? -1);
   if (!Number.isInteger(slotIdx) || slotIdx < 0) return;
-  const slotState = marketState?.slots?.[slotIdx] ?? null;
-  if (!slotState) return;
-  const def = getMarketCardDefinition(slotState.id);
-  if (!def) return;
-  const player = turnState.activePlayer;
-  if (!isValidPlayer(player)) return;
-  const playerIdx = playerIndex(player);
-  if (playerIdx === -1) return;
-  const record = playerResources[playerIdx];
-  if (!record) return;
-  if (record.contracts.has(def.id) || record.buildings.has(def.id)) {
-    debugLog('market-already-acquired', { player, card: def.id });
-    return;
-  }
-  const distance = computeMarketDistance(slotIdx, player);
-  const cost = Number.isFinite(distance) && distance > 0 ? distance : 0;
-  if (cost > 0 && !spendPoints(player, cost, 'market-plan')) {
-    debugLog('market-insufficient-pv', { player, card: def.id, cost, distance });
-    return;
-  }
-  marketState.slots[slotIdx] = null;
-  if (Array.isArray(marketState.discardPile)) marketState.discardPile.push(def.id);
-  refillMarketSlot(marketState, slotIdx);
+  const result = gameEngine.claimMarketSlot(turnState.activePlayer, slotIdx);
+  if (!result.ok) return;
   hoveredMarketSlot = null;
   lockedMarketSlot = null;
-  registerContractForPlayer(player, def.id);
   updateMarketDetailPanel(null);
-  debugLog('market-claimed', { player, card: def.id, cost, distance });
 }
 
 function setHoveredMarketSlot(slotIdx, element = null, options = {}) {
@@ -2977,7 +4512,7 @@ function updateMarketDetailPanel(slotIdx) {
   const distanceLabel = Number.isFinite(distance) ? ` - Distance ${distance}` : '';
   elements.slot.textContent = 'Case ' + String(slotIdx + 1).padStart(2, '0') + distanceLabel;
   elements.name.textContent = def.name || 'Carte inconnue';
-  elements.cost.textContent = summarizeMarketCost(def.cost) || '--';
+  elements.cost.textContent = formatMarketDetailCost(def);
   elements.reward.textContent = summarizeMarketReward(def.reward) || '--';
   elements.description.textContent = def.description || '--';
   
@@ -3088,7 +4623,7 @@ function applyMarketEdits(slotIdx) {
   const costChanged = Object.keys(newCost).some(key => (def.cost?.[key] || 0) !== newCost[key]);
   if (costChanged) {
     def.cost = newCost;
-    elements.cost.textContent = summarizeMarketCost(def.cost) || '--';
+    elements.cost.textContent = formatMarketDetailCost(def);
     changed = true;
   }
   
@@ -3121,59 +4656,39 @@ function buyBuildingContract(slotIdx) {
   if (!slotState) return;
   
   const def = getMarketCardDefinition(slotState.id);
-  if (!def) return;
-  
-  const player = turnState.activePlayer;
-  if (!isValidPlayer(player)) return;
-  
-  const playerIdx = playerIndex(player);
-  if (playerIdx === -1) return;
-  
-  const record = playerResources[playerIdx];
-  if (!record) return;
-  
-  // Vérifier si le joueur possède déjà ce contrat ou bâtiment
-  if (record.contracts.has(def.id) || record.buildings.has(def.id)) {
-    alert(`Vous possédez déjà "${def.name}".`);
-    debugLog('market-already-acquired', { player, card: def.id });
-    return;
-  }
-  
-  // Calculer la distance et le coût en points
-  const distance = computeMarketDistance(slotIdx, player);
-  const cost = Number.isFinite(distance) && distance > 0 ? distance : 0;
+  if (!def) return;
   
-  // Dépenser les points selon la distance
-  if (cost > 0 && !spendPoints(player, cost, 'market-plan')) {
-    alert(`Points insuffisants pour acquérir "${def.name}". Coût: ${cost} PV.`);
-    debugLog('market-insufficient-pv', { player, card: def.id, cost, distance });
+  // Le moteur vérifie la possession, débite la distance en PV et enregistre le CONTRAT
+  const player = turnState.activePlayer;
+  const result = gameEngine.claimMarketSlot(player, slotIdx);
+  if (!result.ok) {
+    if (result.reason === 'market-already-acquired') {
+      alert(`Vous possédez déjà "${def.name}".`);
+    } else if (result.reason === 'market-insufficient-pv') {
+      const cost = computeMarketDistance(slotIdx, player) ?? 0;
+      alert(`Points insuffisants pour acquérir "${def.name}". Coût: ${cost} PV.`);
+    }
     return;
   }
   
-  // Retirer la carte du marché
-  marketState.slots[slotIdx] = null;
-  if (Array.isArray(marketState.discardPile)) {
-    marketState.discardPile.push(def.id);
-  }
-  
-  // Remplir le slot avec une nouvelle carte
-  refillMarketSlot(marketState, slotIdx);
-  
   // Réinitialiser les sélections
   hoveredMarketSlot = null;
   lockedMarketSlot = null;
   
-  // Enregistrer le CONTRAT pour le joueur (pas le bâtiment construit)
-  registerContractForPlayer(player, def.id);
-  
   // Mettre à jour l'affichage
   updateMarketDetailPanel(null);
   hideMarketEditSection();
-  
-  debugLog('market-claimed', { player, card: def.id, cost, distance });
 }
 
 
+// Cout pour le joueur actif : les reductions de ses batiments s'affichent a cote du cout de base.
+function formatMarketDetailCost(def) {
+  const baseCost = summarizeMarketCost(def?.cost);
+  const playerCost = summarizeMarketCost(gameEngine.getBuildCost(turnState.activePlayer, def));
+  if (playerCost === baseCost) return baseCost || '--';
+  return `${playerCost || 'Gratuit'} (au lieu de ${baseCost || '--'})`;
+}
+
 function summarizeMarketCost(cost) {
   if (!cost) return '';
   const parts = [];
@@ -3215,9 +4730,6 @@ function summarizeMarketReward(reward) {
 
 
 let gridSideColors = [];
-let placements = [];
-let emptyTiles = new Set();
-let placedCount = 0;
 let autoState = { done: false, pendingPalette: null };
 let panSuppressClick = false;
 let boardInitialized = false;
@@ -3239,13 +4751,16 @@ function renderPlacementPreview(tileIdx) {
   if (!previewLayer) return;
   previewLayer.innerHTML = '';
   hoveredTileIdx = tileIdx;
-  if (tileIdx == null || selectedPalette < 0) return;
+  // Selection tenue par le plateau (generateAndRender), pas par les variables globales de palette
+  const slotIdx = svg.__state?.selectedPalette ?? -1;
+  if (tileIdx == null || slotIdx < 0) return;
   if (panPointerId != null && panMoved) return;
-  const combo = paletteCombos[selectedPalette];
+  const combo = gameEngine.state.paletteSlots[slotIdx];
   if (!combo) return;
   const rotation = normalizeRotationStep(combo, combo.rotationStep);
   const oriented = orientedSideColors(combo, rotation);
-  const can = canPlace(tileIdx, oriented);
+  const validation = gameEngine.validatePlacement(tileIdx, oriented);
+  const can = validation.ok;
   const paletteColors = (svg?.__state?.colors && Array.isArray(svg.__state.colors))
     ? svg.__state.colors
     : activeColors;
@@ -3269,18 +4784,201 @@ function renderPlacementPreview(tileIdx) {
   outline.setAttribute('stroke-width', '2.2');
   outline.setAttribute('stroke-dasharray', can ? '0' : '6,4');
   previewLayer.appendChild(outline);
+  // Cotes en conflit avec une tuile voisine (ou toleres par la regle d'assortiment) : arete du triangle correspondant
+  const mismatches = can ? validation.tolerated : validation.issues.filter((issue) => issue.reason === 'side-mismatch');
+  mismatches.forEach((issue) => {
+    const triangle = ORIENTED_INDEX_FOR_TRIANGLE.indexOf(issue.side);
+    const a = verts[triangle];
+    const b = verts[(triangle + 1) % 6];
+    previewLayer.appendChild(createSVGElementWithAttributes('line', {
+      class: can ? 'placement-preview__edge placement-preview__edge--tolerated' : 'placement-preview__edge',
+      x1: a.x.toFixed(3),
+      y1: a.y.toFixed(3),
+      x2: b.x.toFixed(3),
+      y2: b.y.toFixed(3),
+    }));
+  });
+  if (!can) {
+    previewLayer.appendChild(createPlacementTooltip(center, boardSize, validation.issues.map(describePlacementIssue)));
+  } else if (validation.cost > 0) {
+    const line = `C\u00f4t\u00e9 non assorti : -${validation.cost} PV`;
+    previewLayer.appendChild(createPlacementTooltip(center, boardSize, [line]));
+  }
+}
+
+/**
+ * Raison de refus d'une pose (voir gameEngine.validatePlacement), en clair.
+ * @param {{reason: string, side?: number, expected?: number, actual?: number}} issue
+ * @returns {string}
+ */
+function describePlacementIssue(issue) {
+  switch (issue?.reason) {
+    case 'tile-occupied':
+      return 'Case d\u00e9j\u00e0 occup\u00e9e';
+    case 'tile-isolated':
+      return 'Aucune tuile voisine';
+    case 'edge-rule':
+      return issue.rule === 'majority'
+        ? `${issue.shared - issue.mismatched}/${issue.shared} c\u00f4t\u00e9s assortis : majorit\u00e9 requise`
+        : `${issue.mismatched} c\u00f4t\u00e9s non assortis : un seul tol\u00e9r\u00e9`;
+    case 'side-mismatch':
+      return `C\u00f4t\u00e9 ${issue.side + 1} : ${colorLabelForIndex(issue.actual)} contre ${colorLabelForIndex(issue.expected)}`;
+    default:
+      return 'Pose impossible';
+  }
+}
+
+// Bulle au-dessus de la tuile survolee : une ligne par raison de refus
+function createPlacementTooltip(center, boardSize, lines) {
+  const fontSize = Math.max(9, boardSize * 0.36);
+  const lineHeight = fontSize * 1.3;
+  const padding = fontSize * 0.5;
+  const width = Math.max(...lines.map((line) => line.length)) * fontSize * 0.56 + padding * 2;
+  const height = lines.length * lineHeight + padding * 2;
+  const x = center.x - width / 2;
+  const y = center.y - boardSize - height - fontSize * 0.4;
+  const group = createSVGElementWithAttributes('g', { class: 'placement-preview__tooltip' });
+  group.appendChild(createSVGElementWithAttributes('rect', {
+    x: x.toFixed(3),
+    y: y.toFixed(3),
+    width: width.toFixed(3),
+    height: height.toFixed(3),
+    rx: (fontSize * 0.4).toFixed(3),
+  }));
+  lines.forEach((line, idx) => {
+    const text = createSVGElementWithAttributes('text', {
+      x: (x + padding).toFixed(3),
+      y: (y + padding + lineHeight * (idx + 0.5)).toFixed(3),
+      'font-size': fontSize.toFixed(2),
+    });
+    text.textContent = line;
+    group.appendChild(text);
+  });
+  return group;
+}
+
+// ---------------- Regions de couleur ----------------
+const REGION_SCORING_LABELS = {
+  none: 'Aucun',
+  closure: 'R\u00e9gion ferm\u00e9e',
+  size: 'Taille de la r\u00e9gion',
+};
+
+// Survol d'une tuile posee (sans tuile choisie) : triangles des regions qu'elle touche
+function renderRegionHighlight(tileIdx) {
+  const svg = getBoardSvg();
+  const layer = svg?.querySelector('#region-highlight');
+  if (!layer) return;
+  layer.innerHTML = '';
+  if (tileIdx == null || !gameEngine.state.placements[tileIdx]) return;
+  const boardSize = svg.__state?.size ?? 32;
+  gameEngine.getRegionsAt(tileIdx).forEach((region) => {
+    region.triangles.forEach(([regionTileIdx, side]) => {
+      const tile = tiles[regionTileIdx];
+      const center = axialToPixel(tile.q, tile.r, boardSize);
+      const verts = hexVerticesAt(center.x, center.y, Math.max(4, boardSize - 0.6));
+      const triangle = ORIENTED_INDEX_FOR_TRIANGLE.indexOf(side);
+      layer.appendChild(createTrianglePathElement(center, verts[triangle], verts[(triangle + 1) % 6], {
+        class: region.closed ? 'region-highlight__cell region-highlight__cell--closed' : 'region-highlight__cell',
+      }));
+    });
+  });
+}
+
+// ---------------- Aide au placement ----------------
+// Bouton AID : avec une tuile choisie dans la palette, chaque tuile vide ou elle peut etre posee
+// (dans au moins une de ses rotations) est surlignee avec les points que rapporterait la pose.
+const PLACEMENT_HINTS_STORAGE_KEY = 'pairleroyPlacementHints';
+let placementHintsEnabled = false;
+
+function loadPlacementHintsPreference() {
+  try {
+    placementHintsEnabled = window.localStorage?.getItem(PLACEMENT_HINTS_STORAGE_KEY) === '1';
+  } catch (error) {
+    placementHintsEnabled = false;
+  }
+}
+
+function setPlacementHintsEnabled(enabled) {
+  placementHintsEnabled = Boolean(enabled);
+  try {
+    window.localStorage?.setItem(PLACEMENT_HINTS_STORAGE_KEY, placementHintsEnabled ? '1' : '0');
+  } catch (error) {
+    // Preference non conservee : l'aide reste active pour cette session
+  }
+  renderPlacementHints();
+  updateTopbarQuickActions();
+}
+
+function togglePlacementHints() {
+  setPlacementHintsEnabled(!placementHintsEnabled);
+}
+
+/**
+ * Poses possibles d'une tuile de la palette pour un joueur, limite de pose du tour comprise :
+ * une fois la limite atteinte, seule la tuile libre de son colon reste jouable (sans points).
+ * Les points deduisent le cout d'un cote non assorti (regle `oneMismatch`) de la meilleure rotation.
+ * @param {Object} combo
+ * @param {number} player
+ * @returns {{tileIdx: number, points: number, rotations: number[]}[]} Rotations qui s'y posent
+ */
+function computePlacementHints(combo, player) {
+  const idx = playerIndex(player);
+  if (!combo || idx === -1) return [];
+  const colonTileIdx = colonPositions[idx];
+  const colonFree = !colonPlacementUsed[idx] && emptyTiles.has(colonTileIdx);
+  const limitReached = (turnState.tilesPlacedByPlayer[idx] ?? 0) >= gameSettings.tilePlacementsPerTurn;
+  const candidates = limitReached ? (colonFree ? [colonTileIdx] : []) : Array.from(emptyTiles);
+  const orientations = rotationStepsForCombo(combo).map((step) => ({ step, sides: orientedSideColors(combo, step) }));
+  // Points donnes par placeTile lui-meme (regions, penalite bornee au score), sur un apercu du moteur
+  const snapshot = gameEngine.exportState();
+  return candidates.reduce((hints, tileIdx) => {
+    const previews = orientations
+      .filter(({ sides }) => gameEngine.validatePlacement(tileIdx, sides).ok)
+      .map(({ step }) => ({ step, result: gameEngine.previewPlacement(tileIdx, combo, { rotationStep: step, player, snapshot }) }))
+      .filter(({ result }) => result.ok);
+    if (!previews.length) return hints;
+    const points = Math.max(...previews.map(({ result }) => result.points));
+    hints.push({ tileIdx, points, rotations: previews.map(({ step }) => step) });
+    return hints;
+  }, []);
+}
+
+function renderPlacementHints() {
+  const svg = getBoardSvg();
+  const layer = svg?.querySelector('#placement-hints');
+  if (!layer) return;
+  layer.innerHTML = '';
+  // Selection tenue par le plateau (generateAndRender), pas par les variables globales de palette
+  const slotIdx = svg.__state?.selectedPalette ?? -1;
+  if (!placementHintsEnabled || slotIdx < 0 || gameEngine.isGameOver()) return;
+  const boardSize = svg.__state?.size ?? 32;
+  computePlacementHints(gameEngine.state.paletteSlots[slotIdx], turnState.activePlayer).forEach(({ tileIdx, points }) => {
+    const tile = tiles[tileIdx];
+    const center = axialToPixel(tile.q, tile.r, boardSize);
+    const outline = createHexOutlineElement(center.x, center.y, boardSize - 2, { class: 'placement-hint' });
+    const label = createSVGElementWithAttributes('text', {
+      class: 'placement-hint__points',
+      x: center.x.toFixed(3),
+      y: center.y.toFixed(3),
+    });
+    label.textContent = points < 0 ? `${points}` : `+${points}`;
+    layer.appendChild(outline);
+    layer.appendChild(label);
+  });
 }
 
 function updateClearButtonState() {
   const btn = document.getElementById('clear');
   if (!btn) return;
-  btn.classList.toggle('danger', placedCount > 0);
+  btn.classList.toggle('danger', gameEngine.state.placedCount > 0);
 }
 
 function setSelectedPalette(idx) {
   selectedPalette = idx;
   updateClearButtonState();
   renderPlacementPreview(hoveredTileIdx);
+  renderPlacementHints();
 }
 
 function syncArray(target, source) {
@@ -3308,8 +5006,9 @@ function assert100(array, label) {
 function layoutSize(container) {
   const W = container.clientWidth;
   const H = container.clientHeight;
-  const hexWidthFactor = Math.sqrt(3) * (2 * RADIUS + 1);
-  const hexHeightFactor = 1.5 * (2 * RADIUS) + 2;
+  const boardBounds = boardPixelBounds(tiles);
+  const hexWidthFactor = boardBounds.width;
+  const hexHeightFactor = boardBounds.height;
   const squareWidthFactor = SQUARE_CELL_FACTOR * (SQUARE_GRID_COLS + (SQUARE_GRID_COLS - 1) * SQUARE_GAP_FACTOR);
   const squareHeightFactor = SQUARE_CELL_FACTOR * (SQUARE_GRID_ROWS + (SQUARE_GRID_ROWS - 1) * SQUARE_GAP_FACTOR);
   const totalWidthFactor = hexWidthFactor + SQUARE_MARGIN_FACTOR + squareWidthFactor;
@@ -3338,9 +5037,15 @@ function serializeConfigToURL(cfg) {
   u.searchParams.set('pct', p);
   const col = cfg.colors.join(',');
   u.searchParams.set('col', col);
+  u.searchParams.set('seed', String(gameEngine.state.seed));
   history.replaceState(null, '', u.toString());
 }
 
+function readSeedFromURL() {
+  const u = new URL(window.location.href);
+  return normalizeSeed(u.searchParams.get('seed'));
+}
+
 function parseConfigFromURL() {
   const u = new URL(window.location.href);
   const pctStr = u.searchParams.get('pct');
@@ -3366,23 +5071,23 @@ function parseConfigFromURL() {
 }
 
 function isJunctionReady(entry) {
-  if (!entry) return false;
-  const contributing = new Set();
-  if (Array.isArray(entry.entries)) {
-    for (const info of entry.entries) {
-      if (placements[info.tileIdx]) contributing.add(info.tileIdx);
-    }
-  }
-  if (contributing.size >= 3) return true;
-  if (Array.isArray(entry.tiles)) {
-    let count = 0;
-    for (const idx of entry.tiles) if (placements[idx]) count++;
-    if (count >= 3) return true;
-  }
-  return false;
+  return gameEngine.isJunctionReady(entry);
+}
+
+// Autre plateau (nouvelle partie, chargement) : SVG reconstruit sur l'etat courant de la partie
+function rebuildBoardView() {
+  refreshBoardGeometry();
+  if (!boardInitialized) return;
+  boardInitialized = false;
+  generateAndRender({ keepGame: true });
 }
 
-function generateAndRender() {
+/**
+ * Construit le plateau SVG (ou, deja construit, applique la configuration de couleurs).
+ * @param {Object} [options]
+ * @param {boolean} [options.keepGame=false] - Garder la partie en cours (sinon nouvelle partie, graine de l'URL)
+ */
+function generateAndRender({ keepGame = false } = {}) {
   const boardContainer = document.getElementById('board-container');
   const surface = document.getElementById('board-surface') || boardContainer;
   if (!surface) return;
@@ -3432,17 +5137,20 @@ function generateAndRender() {
   }
 
   surface.innerHTML = '';
-  const rng = xorshift32(cryptoSeed());
+  // Recharger la page rejoue la graine de l'URL; sans graine, une nouvelle partie est tiree.
+  if (!keepGame) resetGameDataForNewBoard({ seed: readSeedFromURL() ?? cryptoSeed() });
+  const rng = gameEngine.random.palette;
 
   const { width, height, size } = layoutSize(surface);
   const svg = buildSVG({ width, height, size, tiles, combos: null, colors });
   surface.appendChild(svg);
-  resetGameDataForNewBoard();
 
-  const junctionMap = computeJunctionMap(tiles, size);
-  const overlayByJunction = new Map();
-  const castleByJunction = new Map();
-  const outpostByJunction = new Map();
+  // Memes cles que le moteur (calculees a la taille 1), coordonnees mises a l'echelle du plateau
+  const junctionMap = new Map();
+  gameEngine.junctionMap.forEach((entry, key) => {
+    junctionMap.set(key, { ...entry, x: entry.x * size, y: entry.y * size });
+  });
+  const { overlayByJunction, castleByJunction, outpostByJunction } = gameEngine.state;
   window.__pairleroySyncHooks = window.__pairleroySyncHooks || {};
   window.__pairleroySyncHooks.updateStructures = (incomingState = {}) => {
     const applyEntries = (targetMap, entries) => {
@@ -3475,9 +5183,12 @@ function generateAndRender() {
   const squareCellSize = squareGridMeta?.cellSize ?? (squareTrack[0]?.size ?? size * SQUARE_CELL_FACTOR);
   const squarePlayerMarkers = squarePlayersLayer ? new Map() : null;
   const squareMarketCells = Array.isArray(squareGridMeta?.marketCells) ? squareGridMeta.marketCells : [];
-  if (squarePlayersLayer && squarePlayerMarkers) {
+  // Un jeton par joueur sur la piste de score, refait quand les joueurs de la partie changent
+  function renderSquarePlayerMarkers() {
+    if (!squarePlayersLayer || !squarePlayerMarkers) return;
     squarePlayersLayer.innerHTML = '';
-    PLAYER_IDS.forEach((player, idx) => {
+    squarePlayerMarkers.clear();
+    playerIds.forEach((player, idx) => {
       const marker = document.createElementNS('http://www.w3.org/2000/svg', 'g');
       marker.setAttribute('class', 'square-player-marker');
       marker.dataset.player = String(player);
@@ -3501,6 +5212,7 @@ function generateAndRender() {
       squarePlayerMarkers.set(player, marker);
     });
   }
+  renderSquarePlayerMarkers();
 
   function updateSquareIndicator(player, score = 0) {
     if (!squareIndicator || squareTrack.length === 0) {
@@ -3533,7 +5245,7 @@ function generateAndRender() {
     squareIndicator.setAttribute('transform', `translate(${target.centerX.toFixed(3)} ${target.centerY.toFixed(3)})`);
     squareIndicator.style.display = 'block';
     if (squareIndicatorCrest) {
-      const crestHref = PLAYER_CRESTS[player] || '';
+      const crestHref = playerCrestUrl(player);
       if (crestHref) {
         squareIndicatorCrest.setAttribute('href', crestHref);
         squareIndicatorCrest.setAttributeNS('http://www.w3.org/1999/xlink', 'href', crestHref);
@@ -3551,7 +5263,7 @@ function generateAndRender() {
       marker.classList.remove('square-player-marker--active');
     });
     const occupancy = new Map();
-    PLAYER_IDS.forEach((player) => {
+    playerIds.forEach((player) => {
       const idx = playerIndex(player);
       if (idx === -1) return;
       const marker = squarePlayerMarkers.get(player);
@@ -3590,366 +5302,6 @@ function generateAndRender() {
     });
   }
 
-  function dominantColorForJunction(entry) {
-    if (!entry) return null;
-    const counts = new Map();
-    const tilesAround = Array.isArray(entry.tiles) ? entry.tiles : [];
-    tilesAround.forEach((tileIdx) => {
-      const placement = placements[tileIdx];
-      const combo = placement?.combo;
-      if (!combo || !Array.isArray(combo.colors) || combo.colors.length === 0) return;
-      const primary = combo.colors[0];
-      counts.set(primary, (counts.get(primary) || 0) + 1);
-    });
-    let best = null;
-    let bestCount = 0;
-    counts.forEach((count, colorIdx) => {
-      if (count > bestCount) {
-        best = colorIdx;
-        bestCount = count;
-      }
-    });
-    return best;
-  }
-
-  function dominantPlayerForJunction(entry) {
-    if (!entry) return null;
-    const counts = new Map();
-    const tilesAround = Array.isArray(entry.tiles) ? entry.tiles : [];
-    tilesAround.forEach((tileIdx) => {
-      const placement = placements[tileIdx];
-      const owner = placement?.player;
-      if (!isValidPlayer(owner)) return;
-      counts.set(owner, (counts.get(owner) || 0) + 1);
-    });
-    let leader = null;
-    let leaderCount = 0;
-    let tie = false;
-    counts.forEach((count, player) => {
-      if (count > leaderCount) {
-        leader = player;
-        leaderCount = count;
-        tie = false;
-      } else if (count === leaderCount) {
-        tie = true;
-      }
-    });
-    if (tie || leaderCount <= 0) return null;
-    return leader;
-  }
-
-  const INFLUENCE_DISTANCE_EPSILON = 1e-6;
-
-  function influenceTypePriority(type) {
-    if (type === 'castle') return 0;
-    if (type === 'outpost') return 1;
-    return 2;
-  }
-
-  function nearestInfluenceForEntry(player, targetEntry) {
-    if (!isValidPlayer(player) || !targetEntry) return null;
-    let best = null;
-    const consider = (sourceEntry, type) => {
-      if (!sourceEntry) return;
-      const dist = distanceBetweenJunctionEntries(sourceEntry, targetEntry);
-      if (!Number.isFinite(dist)) return;
-      if (
-        !best
-        || dist < best.distance - INFLUENCE_DISTANCE_EPSILON
-        || (Math.abs(dist - best.distance) <= INFLUENCE_DISTANCE_EPSILON
-          && influenceTypePriority(type) < influenceTypePriority(best.type))
-      ) {
-        best = { distance: dist, type };
-      }
-    };
-    const castleKey = findCastleKeyForPlayer(player);
-    if (castleKey) {
-      const castleEntry = junctionMap.get(castleKey);
-      consider(castleEntry, 'castle');
-    }
-    outpostByJunction.forEach((owner, outpostKey) => {
-      if (owner !== player) return;
-      const outpostEntry = junctionMap.get(outpostKey);
-      consider(outpostEntry, 'outpost');
-    });
-    return best;
-  }
-
-  function inferAmenagementOwner(entry, placingPlayer = null) {
-    if (!entry) return null;
-    const influenceDetails = [];
-    PLAYER_IDS.forEach((player) => {
-      if (!playerHasInfluenceForEntry(player, entry)) return;
-      const nearest = nearestInfluenceForEntry(player, entry);
-      if (!nearest) return;
-      influenceDetails.push({ player, distance: nearest.distance, type: nearest.type });
-    });
-    const dominant = dominantPlayerForJunction(entry);
-    if (influenceDetails.length === 0) return dominant;
-    const sorted = influenceDetails.slice().sort((a, b) => {
-      const distA = Number.isFinite(a.distance) ? a.distance : Number.POSITIVE_INFINITY;
-      const distB = Number.isFinite(b.distance) ? b.distance : Number.POSITIVE_INFINITY;
-      if (Math.abs(distA - distB) > INFLUENCE_DISTANCE_EPSILON) return distA - distB;
-      const rankDiff = influenceTypePriority(a.type) - influenceTypePriority(b.type);
-      if (rankDiff !== 0) return rankDiff;
-      return a.player - b.player;
-    });
-    const best = sorted[0];
-    if (!best) return dominant;
-    const bestDistance = best.distance;
-    const bestRank = influenceTypePriority(best.type);
-    const bestPlayers = sorted
-      .filter((detail) => (
-        Math.abs(detail.distance - bestDistance) <= INFLUENCE_DISTANCE_EPSILON
-        && influenceTypePriority(detail.type) === bestRank
-      ))
-      .map((detail) => detail.player);
-    if (bestPlayers.length === 1) return bestPlayers[0];
-    const pickNextCandidate = (startPlayer, pool) => {
-      if (!Array.isArray(pool) || pool.length === 0) return null;
-      let idx = isValidPlayer(startPlayer) ? playerIndex(startPlayer) : -1;
-      if (idx === -1) idx = 0;
-      for (let offset = 1; offset <= PLAYER_COUNT; offset++) {
-        const candidate = PLAYER_IDS[(idx + offset) % PLAYER_COUNT];
-        if (pool.includes(candidate)) return candidate;
-      }
-      return null;
-    };
-    const next = pickNextCandidate(placingPlayer, bestPlayers);
-    if (isValidPlayer(next)) return next;
-    bestPlayers.sort((a, b) => a - b);
-    return bestPlayers[0];
-  }
-
-  function evaluateAmenagementsAround(tileIdx, options = {}) {
-    const allowCreation = options.allowCreation !== false;
-    const placingPlayer = options.placingPlayer ?? null;
-    if (!Number.isInteger(tileIdx)) return;
-    let changed = false;
-    for (const [key, entry] of junctionMap.entries()) {
-      if (!entry || !Array.isArray(entry.tiles) || !entry.tiles.includes(tileIdx)) continue;
-      if (!isJunctionReady(entry)) continue;
-      const owner = inferAmenagementOwner(entry, placingPlayer);
-      if (!isValidPlayer(owner)) continue;
-      if (!playerHasInfluenceForEntry(owner, entry)) continue;
-      const currentOwner = overlayByJunction.get(key) ?? null;
-      if (currentOwner == null && !allowCreation) continue;
-      if (currentOwner === owner) continue;
-      const colorIdx = dominantColorForJunction(entry);
-      if (currentOwner == null) {
-        if (!chargeAmenagementPlacement(owner)) {
-          debugLog('amenagement-cost-unpaid', { key, player: owner });
-          continue;
-        }
-      } else if (isValidPlayer(currentOwner) && currentOwner !== owner) {
-        const previousColor = amenagementColorByKey.get(key);
-        unregisterAmenagementForPlayer(currentOwner, key, previousColor);
-      }
-      overlayByJunction.set(key, owner);
-      registerAmenagementForPlayer(owner, key, colorIdx);
-      changed = true;
-    }
-    if (changed) renderJunctionOverlays();
-  }
-
-  function assignAmenagementOwner(key, player) {
-    if (!junctionMap.has(key) || !isValidPlayer(player)) return;
-    const entry = junctionMap.get(key);
-  if (!playerHasInfluenceForEntry(player, entry)) return;
-  const previousOwner = overlayByJunction.get(key) ?? null;
-  if (previousOwner === player) return;
-  const previousColor = amenagementColorByKey.get(key);
-  const colorIdx = dominantColorForJunction(entry);
-  if (!chargeAmenagementPlacement(player)) {
-    debugLog('amenagement-cost-unpaid', { key, player });
-    return;
-  }
-  if (isValidPlayer(previousOwner) && previousOwner !== player) {
-    unregisterAmenagementForPlayer(previousOwner, key, previousColor);
-  }
-  overlayByJunction.set(key, player);
-  registerAmenagementForPlayer(player, key, colorIdx);
-    renderJunctionOverlays();
-    broadcastGameState();
-  }
-
-  function removeAmenagementOwner(key) {
-    const previousOwner = overlayByJunction.get(key);
-    if (previousOwner == null) {
-      overlayByJunction.delete(key);
-      amenagementColorByKey.delete(key);
-      broadcastGameState();
-      return;
-    }
-    const colorIdx = amenagementColorByKey.get(key);
-    overlayByJunction.delete(key);
-    unregisterAmenagementForPlayer(previousOwner, key, colorIdx);
-    renderJunctionOverlays();
-    broadcastGameState();
-  }
-
-  function findCastleKeyForPlayer(player) {
-    for (const [castleKey, owner] of castleByJunction.entries()) {
-      if (owner === player) return castleKey;
-    }
-    return null;
-  }
-
-  function getOutpostKeysForPlayer(player) {
-    const keys = [];
-    outpostByJunction.forEach((owner, outpostKey) => {
-      if (owner === player) keys.push(outpostKey);
-    });
-    return keys;
-  }
-
-  function getInfluenceEntriesForPlayer(player) {
-    const entries = [];
-    const castleKey = findCastleKeyForPlayer(player);
-    if (castleKey) {
-      const entry = junctionMap.get(castleKey);
-      if (entry) entries.push(entry);
-    }
-    outpostByJunction.forEach((owner, outpostKey) => {
-      if (owner !== player) return;
-      const entry = junctionMap.get(outpostKey);
-      if (entry) entries.push(entry);
-    });
-    return entries;
-  }
-
-  function playerHasInfluenceForEntry(player, targetEntry, maxDistance = gameSettings.influenceRadius) {
-    if (!isValidPlayer(player) || !targetEntry) return false;
-    const sources = getInfluenceEntriesForPlayer(player);
-    if (!Array.isArray(sources) || sources.length === 0) return false;
-    const limit = Math.max(
-      0,
-      Number.isFinite(maxDistance)
-        ? maxDistance
-        : (Number.isFinite(gameSettings.influenceRadius)
-          ? gameSettings.influenceRadius
-          : DEFAULT_GAME_SETTINGS.influenceRadius),
-    );
-    for (let i = 0; i < sources.length; i++) {
-      if (distanceBetweenJunctionEntries(sources[i], targetEntry) <= limit) return true;
-    }
-    return false;
-  }
-
-  function cleanupAmenagementsForPlayer(player) {
-    if (!isValidPlayer(player)) return;
-    const toRemove = [];
-    overlayByJunction.forEach((owner, key) => {
-      if (owner !== player) return;
-      const entry = junctionMap.get(key);
-      if (!entry || !playerHasInfluenceForEntry(player, entry)) {
-        const colorIdx = amenagementColorByKey.get(key);
-        toRemove.push({ key, colorIdx });
-      }
-    });
-    toRemove.forEach(({ key, colorIdx }) => {
-      unregisterAmenagementForPlayer(player, key, colorIdx);
-      overlayByJunction.delete(key);
-    });
-  }
-
-  function distanceBetweenJunctionEntries(entryA, entryB) {
-    if (!entryA || !entryB) return Infinity;
-    const tilesA = Array.isArray(entryA.tiles) ? entryA.tiles : [];
-    const tilesB = Array.isArray(entryB.tiles) ? entryB.tiles : [];
-    let best = Infinity;
-    for (let i = 0; i < tilesA.length; i++) {
-      for (let j = 0; j < tilesB.length; j++) {
-        const dist = hexDistanceBetweenCached(tilesA[i], tilesB[j]);
-        if (Number.isFinite(dist) && dist < best) best = dist;
-      }
-    }
-    return best;
-  }
-
-  function isOutpostPlacementValid(player, targetEntry) {
-    if (!targetEntry) return false;
-    return playerHasInfluenceForEntry(player, targetEntry);
-  }
-
-  function isCastlePlacementValid(player, targetEntry) {
-    if (!targetEntry) return false;
-    if (!gameSettings.requireCastleAdjacencyForCastles) return true;
-    const idx = playerIndex(player);
-    if (idx === -1) return false;
-    const colonTileIdx = colonPositions[idx];
-    if (!Number.isInteger(colonTileIdx)) return false;
-    const tilesAround = Array.isArray(targetEntry.tiles) ? targetEntry.tiles : [];
-    if (tilesAround.length === 0) return false;
-    return tilesAround.some((tileIdx) => tileIdx === colonTileIdx);
-  }
-
-  function toggleCastleAtJunction(key, player) {
-    if (!junctionMap.has(key) || !isValidPlayer(player)) return;
-    const entry = junctionMap.get(key);
-    if (!isJunctionReady(entry)) return;
-    const idx = playerIndex(player);
-    if (idx === -1) return;
-
-    const finalizeCastleChange = () => {
-      renderJunctionOverlays();
-      renderInfluenceZones();
-      refreshStatsModal();
-      broadcastGameState();
-    };
-
-    const currentCastleOwner = castleByJunction.get(key) ?? null;
-    if (currentCastleOwner != null) {
-      if (currentCastleOwner !== player) return;
-      castleByJunction.delete(key);
-      cleanupAmenagementsForPlayer(player);
-      finalizeCastleChange();
-      return;
-    }
-
-    const currentOutpostOwner = outpostByJunction.get(key) ?? null;
-    if (currentOutpostOwner != null) {
-      if (currentOutpostOwner !== player) return;
-      outpostByJunction.delete(key);
-      cleanupAmenagementsForPlayer(player);
-      finalizeCastleChange();
-      return;
-    }
-
-    const existingCastleKey = findCastleKeyForPlayer(player);
-
-    if (!existingCastleKey) {
-      if (!isCastlePlacementValid(player, entry)) {
-        debugLog('castle-adjacency-blocked', { key, player });
-        return;
-      }
-      const castleCost = Math.max(
-        0,
-        Number.isFinite(gameSettings.castleCost) ? gameSettings.castleCost : DEFAULT_GAME_SETTINGS.castleCost,
-      );
-      if (castleCost > 0 && !spendPoints(player, castleCost, 'castle')) return;
-      castleByJunction.set(key, player);
-      const tilesAround = Array.isArray(entry.tiles) ? entry.tiles : [];
-      tilesAround.forEach((idxTile) => evaluateAmenagementsAround(idxTile, { allowCreation: false }));
-      finalizeCastleChange();
-      return;
-    }
-
-    if (!isOutpostPlacementValid(player, entry)) {
-      debugLog('outpost-placement-invalid', { key, player });
-      return;
-    }
-    const outpostCost = Math.max(
-      0,
-      Number.isFinite(gameSettings.outpostCost) ? gameSettings.outpostCost : DEFAULT_GAME_SETTINGS.outpostCost,
-    );
-    if (outpostCost > 0 && !spendPoints(player, outpostCost, 'outpost')) return;
-    outpostByJunction.set(key, player);
-    const tilesAround = Array.isArray(entry.tiles) ? entry.tiles : [];
-    tilesAround.forEach((idxTile) => evaluateAmenagementsAround(idxTile, { allowCreation: false }));
-    finalizeCastleChange();
-  }
-
   function renderCastleOverlays() {
     const layer = svg.__castleLayer ?? svg.querySelector('#junction-castles');
     if (!layer) return;
@@ -3958,15 +5310,9 @@ function generateAndRender() {
     const crestOffset = -(sizeFactor / 2);
     for (const [key, player] of castleByJunction.entries()) {
       const entry = junctionMap.get(key);
-      if (!entry || !isJunctionReady(entry) || !isValidPlayer(player)) {
-        castleByJunction.delete(key);
-        continue;
-      }
-      const crestHref = PLAYER_CRESTS[player] || '';
-      if (!crestHref) {
-        castleByJunction.delete(key);
-        continue;
-      }
+      if (!entry || !isJunctionReady(entry) || !isValidPlayer(player)) continue;
+      const crestHref = playerCrestUrl(player);
+      if (!crestHref) continue;
       const marker = document.createElementNS('http://www.w3.org/2000/svg', 'g');
       marker.setAttribute('class', 'castle-marker');
       marker.dataset.key = key;
@@ -3988,11 +5334,7 @@ function generateAndRender() {
       });
       marker.addEventListener('contextmenu', (event) => {
         event.preventDefault();
-        castleByJunction.delete(key);
-        cleanupAmenagementsForPlayer(player);
-        renderJunctionOverlays();
-        renderInfluenceZones();
-        refreshStatsModal();
+        gameEngine.removeStructure(key);
       });
       marker.classList.toggle('castle-marker--active', player === turnState.activePlayer);
       layer.appendChild(marker);
@@ -4007,15 +5349,9 @@ function generateAndRender() {
     const radius = size * 0.32;
     for (const [key, player] of outpostByJunction.entries()) {
       const entry = junctionMap.get(key);
-      if (!entry || !isJunctionReady(entry) || !isValidPlayer(player)) {
-        outpostByJunction.delete(key);
-        continue;
-      }
+      if (!entry || !isJunctionReady(entry) || !isValidPlayer(player)) continue;
       const pIdx = playerIndex(player);
-      if (pIdx === -1) {
-        outpostByJunction.delete(key);
-        continue;
-      }
+      if (pIdx === -1) continue;
       const marker = document.createElementNS('http://www.w3.org/2000/svg', 'g');
       marker.setAttribute('class', 'outpost-marker');
       marker.dataset.key = key;
@@ -4042,11 +5378,7 @@ function generateAndRender() {
       });
       marker.addEventListener('contextmenu', (event) => {
         event.preventDefault();
-        outpostByJunction.delete(key);
-        cleanupAmenagementsForPlayer(player);
-        renderJunctionOverlays();
-        renderInfluenceZones();
-        refreshStatsModal();
+        gameEngine.removeStructure(key);
       });
       layer.appendChild(marker);
     }
@@ -4061,12 +5393,9 @@ function generateAndRender() {
     }
     console.log('✅ Layer influence-zones trouvé');
     layer.innerHTML = '';
-    const radiusSetting = Number.isFinite(gameSettings.influenceRadius)
-      ? gameSettings.influenceRadius
-      : DEFAULT_GAME_SETTINGS.influenceRadius;
-    // Forcer un rayon minimum de 1 pour garantir la visibilité
-    const radiusLimit = Math.max(1, radiusSetting);
-    console.log('🔍 Rayon d\'influence:', radiusLimit, '(setting:', radiusSetting, ')');
+    // Rayon propre à chaque joueur (bâtiments) ; minimum de 1 pour garantir la visibilité
+    const radiusByPlayer = new Map(playerIds.map((player) => [player, Math.max(1, gameEngine.getInfluenceRadius(player))]));
+    console.log('🔍 Rayons d\'influence:', Array.from(radiusByPlayer.entries()));
     
     const influencedTilesByPlayer = new Map();
     const influenceCentersByPlayer = new Map();
@@ -4114,6 +5443,7 @@ function generateAndRender() {
       if (!influencedTilesByPlayer.has(player)) influencedTilesByPlayer.set(player, new Set());
       const tileSet = influencedTilesByPlayer.get(player);
       const centerTileSet = centerKey ? ensureCenterTileSet(centerKey) : null;
+      const radiusLimit = radiusByPlayer.get(player) ?? 1;
       for (let tileIdx = 0; tileIdx < tiles.length; tileIdx++) {
         const tile = tiles[tileIdx];
         if (!tile) continue;
@@ -4428,9 +5758,6 @@ function generateAndRender() {
   }
 
   gridSideColors = new Array(tiles.length).fill(null);
-  placements = new Array(tiles.length).fill(null);
-  emptyTiles = new Set(tiles.map((_, idx) => idx));
-  placedCount = 0;
   autoState = { done: false, pendingPalette: null };
   panSuppressClick = false;
   updateClearButtonState();
@@ -4492,20 +5819,26 @@ function generateAndRender() {
     }
   }
 
+  function assignAmenagementOwner(key, player) {
+    if (gameEngine.claimAmenagement(player, key).ok) broadcastGameState();
+  }
+
+  function removeAmenagementOwner(key) {
+    gameEngine.releaseAmenagement(key);
+    broadcastGameState();
+  }
+
+  function toggleCastleAtJunction(key, player) {
+    if (gameEngine.buildCastle(player, key).ok) broadcastGameState();
+  }
+
   function renderJunctionOverlays() {
     const g = svg.querySelector('#junction-overlays');
     g.innerHTML = '';
     const r = size * 0.38;
     for (const [key, player] of overlayByJunction.entries()) {
       const entry = junctionMap.get(key);
-      if (!entry || !isJunctionReady(entry)) {
-        if (isValidPlayer(player)) {
-          const colorIdx = amenagementColorByKey.get(key);
-          unregisterAmenagementForPlayer(player, key, colorIdx);
-        }
-        overlayByJunction.delete(key);
-        continue;
-      }
+      if (!entry || !isJunctionReady(entry) || !PLAYER_SHAPES[player]) continue;
       const ng = document.createElementNS('http://www.w3.org/2000/svg', 'g');
       PLAYER_SHAPES[player].draw(ng, entry.x, entry.y, r);
       ng.setAttribute('data-key', key);
@@ -4534,7 +5867,8 @@ function generateAndRender() {
   }
   renderJunctionOverlays();
 
-  let paletteCombos = [];
+  // Tuiles proposees : emplacements tenus par le moteur (alias, meme tableau)
+  const paletteCombos = gameEngine.state.paletteSlots;
   let selectedPalette = -1;
   let hoveredTileIdx = null;
 
@@ -4543,7 +5877,7 @@ function generateAndRender() {
   function updateClearButtonState() {
     const btn = document.getElementById('clear');
     if (!btn) return;
-    btn.classList.toggle('danger', placedCount > 0);
+    btn.classList.toggle('danger', gameEngine.state.placedCount > 0);
   }
 
   function setSelectedPalette(idx) {
@@ -4557,16 +5891,27 @@ function generateAndRender() {
     }
     if (hoveredTileIdx != null && idx >= 0) renderPlacementPreview(hoveredTileIdx);
     else renderPlacementPreview(null);
+    renderPlacementHints();
+    renderPaletteStatus();
   }
 
   function renderPaletteUI(combos) {
     if (!paletteEl) return;
     paletteEl.innerHTML = '';
+    const hidden = isActiveHandHidden();
     combos.forEach((combo, idx) => {
-      combo.rotationStep = normalizeRotationStep(combo, combo.rotationStep);
-
       const optionDiv = document.createElement('div');
       optionDiv.className = 'palette-option';
+      if (!combo || hidden || combo.hidden) {
+        // Sac vide : l'emplacement reste sans tuile ; main d'un autre poste : tuile face cachee
+        optionDiv.classList.add(combo ? 'palette-option--hidden' : 'palette-option--empty');
+        const emptyShape = document.createElement('div');
+        emptyShape.className = 'palette-shape';
+        optionDiv.appendChild(emptyShape);
+        paletteEl.appendChild(optionDiv);
+        return;
+      }
+      combo.rotationStep = normalizeRotationStep(combo, combo.rotationStep);
 
       const input = document.createElement('input');
       input.type = 'radio';
@@ -4605,8 +5950,9 @@ function generateAndRender() {
     refreshStatsModal();
   }
 
+  // Nouveau sac aux pourcentages courants ; le moteur y tire les tuiles proposees
   function regenPalette() {
-    paletteCombos = createPalette(typesPct, colorPct, rng);
+    gameEngine.fillTileBag({ typesPct: typesPct.slice(), colorPct: colorPct.slice() });
     renderPaletteUI(paletteCombos);
     setSelectedPalette(-1);
     refreshStatsModal();
@@ -4614,117 +5960,25 @@ function generateAndRender() {
   }
 
   function canPlace(tileIdx, sideColors) {
-    if (gridSideColors[tileIdx]) return false;
-    const candidateColors = mapSideColorIndices(sideColors, colors);
-    let hasNeighbor = false;
-    const neighborIndices = tileNeighbors[tileIdx];
-    for (let dir = 0; dir < 6; dir++) {
-      const neighborIdx = neighborIndices[dir];
-      if (neighborIdx === -1) continue;
-      const neighborColorsRaw = gridSideColors[neighborIdx];
-      if (!neighborColorsRaw) continue;
-      let neighborColors;
-      if (typeof neighborColorsRaw[0] === 'string') {
-        neighborColors = neighborColorsRaw;
-      } else {
-        neighborColors = mapSideColorIndices(neighborColorsRaw, colors);
-        gridSideColors[neighborIdx] = neighborColors;
-      }
-      hasNeighbor = true;
-      const oppositeDir = (dir + 3) % 6;
-      if (neighborColors[oppositeDir] !== candidateColors[dir]) return false;
-  }
-  return hasNeighbor || placedCount === 0;
-}
-
-function neighborPlacementCount(tileIdx) {
-  const neighbors = tileNeighbors[tileIdx] || [];
-  let count = 0;
-  for (let i = 0; i < neighbors.length; i++) {
-    const neighborIdx = neighbors[i];
-    if (neighborIdx >= 0 && placements[neighborIdx]) count++;
-  }
-  return count;
-}
-
-function pointsForNeighborCount(count) {
-  if (!Number.isFinite(count) || count <= 0) {
-    return 0;
-  }
-  const table = Array.isArray(gameSettings.neighborPoints) && gameSettings.neighborPoints.length
-    ? gameSettings.neighborPoints
-    : DEFAULT_GAME_SETTINGS.neighborPoints;
-  const idx = Math.min(table.length - 1, Math.max(0, Math.floor(count)));
-  const value = table[idx];
-  return Number.isFinite(value) ? value : 0;
-}
-
-function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, options = {}) {
-  const sideColorValues = mapSideColorIndices(sideColors, colors);
-  gridSideColors[tileIdx] = sideColorValues;
-  placements[tileIdx] = {
-    player: isValidPlayer(player) ? player : null,
-    combo,
-    rotationStep,
-    sideColors: sideColors.slice(),
-    colors: sideColorValues.slice(),
-  };
-  emptyTiles.delete(tileIdx);
-  placedCount++;
-
-  renderTileFill(tileIdx, sideColors, svg, tiles, size, colors);
-  updateClearButtonState();
-  const trackResources = options.trackResources !== false;
-  const idx = isValidPlayer(player) ? playerIndex(player) : -1;
-  const isColonPlacement = trackResources && idx !== -1 && colonPositions[idx] === tileIdx;
-  const colonBonusAvailable = isColonPlacement && !colonPlacementUsed[idx];
-  if (trackResources && idx !== -1) {
-    adjustPlayerTileResources(player, combo, 1);
-    if (colonBonusAvailable) {
-      colonPlacementUsed[idx] = true;
-    } else {
-      const current = turnState.tilesPlacedByPlayer[idx] ?? 0;
-      turnState.tilesPlacedByPlayer[idx] = current + 1;
-      const neighborCount = neighborPlacementCount(tileIdx);
-      const points = pointsForNeighborCount(neighborCount);
-      if (points > 0) awardPoints(player, points, `neighbor:${neighborCount}`);
-    }
-    renderGameHud();
+    return gameEngine.canPlace(tileIdx, sideColors);
   }
-  evaluateAmenagementsAround(tileIdx, { placingPlayer: player });
-  refreshStatsModal();
-  return true;
-}
 
   function tryPlaceComboOnTile(tileIdx, combo, player = turnState.activePlayer, options = {}) {
     if (!combo) return false;
-    if (gridSideColors[tileIdx]) return false;
-    const rotation = normalizeRotationStep(combo, combo.rotationStep);
-    const oriented = orientedSideColors(combo, rotation);
-    if (!canPlace(tileIdx, oriented)) return false;
-    if (commitPlacement(tileIdx, combo, rotation, oriented, player, options)) {
-      combo.rotationStep = rotation;
-      renderJunctionOverlays();
-      // Synchroniser avec les autres onglets
-      broadcastGameState();
-      return true;
-    }
-    return false;
+    const result = gameEngine.placeTile(tileIdx, combo, { player, trackResources: options.trackResources });
+    if (!result.ok) return false;
+    // Synchroniser avec les autres onglets
+    broadcastGameState();
+    return true;
   }
 
-  function clearGrid() {
-    svg.querySelectorAll('#grid .tile .fills').forEach((n) => n.remove());
-    gridSideColors = new Array(tiles.length).fill(null);
-    placements = new Array(tiles.length).fill(null);
-    emptyTiles = new Set(tiles.map((_, idx) => idx));
-    placedCount = 0;
+  function clearGrid({ seed = cryptoSeed(), players, board } = {}) {
     autoState.done = false;
     autoState.pendingPalette = null;
-    renderJunctionOverlays();
     renderPlacementPreview(null);
-    updateClearButtonState();
-    refreshStatsModal();
-    resetGameDataForNewBoard();
+    resetGameDataForNewBoard({ seed, players, board });
+    serializeConfigToURL(readConfig());
+    broadcastHistoryClear();
   }
 
 
@@ -4794,36 +6048,11 @@ function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, optio
     }
   }
 
-  const paletteState = { paletteCombos, setSelectedPalette, renderPaletteUI };
-
   function handleTileContextRemoval(tileIdx) {
     const group = svg.querySelector(`.tile[data-idx="${tileIdx}"]`);
     if (!group) return;
-    const fillGroup = group.querySelector('.fills');
-    if (fillGroup) fillGroup.remove();
-    const placement = placements[tileIdx];
-    const owner = placement?.player;
-    const hadPlacement = placement != null;
-    if (hadPlacement && isValidPlayer(owner)) {
-      adjustPlayerTileResources(owner, placement.combo, -1);
-      const idx = playerIndex(owner);
-      if (idx !== -1) {
-        const current = turnState.tilesPlacedByPlayer[idx] ?? 0;
-        turnState.tilesPlacedByPlayer[idx] = Math.max(0, current - 1);
-      }
-      renderGameHud();
-    }
-    gridSideColors[tileIdx] = null;
-    placements[tileIdx] = null;
-    emptyTiles.add(tileIdx);
-    if (hadPlacement) {
-      placedCount = Math.max(0, placedCount - 1);
-      autoState.done = false;
-    }
+    if (gameEngine.removeTile(tileIdx).ok) autoState.done = false;
     renderPlacementPreview(null);
-    renderJunctionOverlays();
-    updateClearButtonState();
-    refreshStatsModal();
     
     // Synchroniser avec les autres onglets
     broadcastGameState();
@@ -4833,30 +6062,17 @@ function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, optio
     if (panSuppressClick) return;
     if (selectedPalette < 0) return;
     const player = turnState.activePlayer;
-    const pIdx = playerIndex(player);
-    if (pIdx !== -1) {
-      const isColonTile = colonPositions[pIdx] === tileIdx;
-      const colonFreeAvailable = isColonTile && !colonPlacementUsed[pIdx];
-      const placedThisTurn = turnState.tilesPlacedByPlayer[pIdx] ?? 0;
-      const limit = Math.max(0, Number.isFinite(gameSettings.tilePlacementsPerTurn)
-        ? gameSettings.tilePlacementsPerTurn
-        : DEFAULT_GAME_SETTINGS.tilePlacementsPerTurn);
-      if (!colonFreeAvailable && placedThisTurn >= limit) {
-        debugLog('tile-limit-reached', { player, tileIdx, limit });
-        renderPlacementPreview(null);
-        return;
-      }
-    }
     const usedIndex = selectedPalette;
     const combo = paletteCombos[usedIndex];
     if (!combo) return;
-    if (tryPlaceComboOnTile(tileIdx, combo, player)) {
-      const replacement = sampleCombo(typesPct, colorPct, rng);
-      const steps = rotationStepsForCombo(replacement);
-      replacement.rotationStep = steps[0] ?? 0;
-      paletteCombos[usedIndex] = replacement;
-      renderPaletteUI(paletteCombos);
-      svg.__state.paletteCombos = paletteCombos;
+    // Le moteur remplace la tuile jouee par la suivante du sac
+    const result = gameEngine.placeTile(tileIdx, combo, { player, paletteSlot: usedIndex });
+    reportSeatRejection(result);
+    if (result.reason === 'tile-limit-reached') {
+      renderPlacementPreview(null);
+      return;
+    }
+    if (result.ok) {
       setSelectedPalette(-1);
       renderPlacementPreview(null);
       clearColonSelection();
@@ -4885,12 +6101,14 @@ function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, optio
       });
       area.addEventListener('mouseenter', () => {
         if (selectedPalette >= 0) renderPlacementPreview(idx);
+        else renderRegionHighlight(idx);
       });
       area.addEventListener('mousemove', () => {
         if (selectedPalette >= 0) renderPlacementPreview(idx);
       });
       area.addEventListener('mouseleave', () => {
         renderPlacementPreview(null);
+        renderRegionHighlight(null);
       });
     });
   }
@@ -4904,7 +6122,6 @@ function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, optio
 
   function regenerateAndRenderPalette() {
     regenPalette();
-    if (svg.__state) svg.__state.paletteCombos = paletteCombos;
   }
 
   function attemptPlacementWithPalette(palette) {
@@ -4930,11 +6147,12 @@ function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, optio
           const oriented = orientedSideColors(combo, step);
           for (const tileIdx of availableTiles) {
             if (!canPlace(tileIdx, oriented)) continue;
-            if (commitPlacement(tileIdx, combo, step, oriented, null, { trackResources: false })) {
-              combo.rotationStep = step;
-              renderJunctionOverlays();
-              return true;
-            }
+            const result = gameEngine.placeTile(tileIdx, combo, {
+              rotationStep: step,
+              player: null,
+              trackResources: false,
+            });
+            if (result.ok) return true;
           }
         }
       }
@@ -4949,18 +6167,19 @@ function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, optio
       return 'done';
     }
     const MAX_ATTEMPTS = 12;
+    // Remplissage de debug : tirages independants, hors du sac de la partie
     let palette = autoState.pendingPalette;
     autoState.pendingPalette = null;
     for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
       if (!palette || palette.length === 0) {
-        palette = regenPalette();
+        palette = createPalette(typesPct, colorPct, rng);
         if (!palette || palette.length === 0) {
           autoState.pendingPalette = null;
           return 'halt';
         }
       }
       if (attemptPlacementWithPalette(palette)) {
-        autoState.pendingPalette = regenPalette();
+        autoState.pendingPalette = createPalette(typesPct, colorPct, rng);
         return 'placed';
       }
       palette = null;
@@ -4990,10 +6209,6 @@ function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, optio
     getGridSideColors: () => gridSideColors.slice(),
     get placements() { return placements; },
     get paletteCombos() { return paletteCombos; },
-    set paletteCombos(value) {
-      paletteCombos = Array.isArray(value) ? value : [];
-      renderPaletteUI(paletteCombos);
-    },
     get selectedPalette() { return selectedPalette; },
     set selectedPalette(value) { setSelectedPalette(Number(value)); },
     setSelectedPalette,
@@ -5010,6 +6225,7 @@ function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, optio
     squareIndicator,
     squareIndicatorCrest,
     updateSquareIndicator,
+    renderSquarePlayerMarkers,
     updateSquarePlayers,
     marketCells: squareMarketCells,
     marketLayer: squareMarketLayer,
@@ -5029,7 +6245,9 @@ function commitPlacement(tileIdx, combo, rotationStep, sideColors, player, optio
   updateSquareIndicator(activePlayerForIndicator, initialScore);
   updateSquarePlayers();
 
-  regenerateAndRenderPalette();
+  // Partie gardee : son sac et ses tuiles posees restent (le moteur notifie les tuiles a redessiner)
+  if (keepGame) renderPaletteUI(paletteCombos);
+  else regenerateAndRenderPalette();
 
   function handleMouseMove(event) {
     if (selectedPalette < 0) return;
@@ -5073,6 +6291,8 @@ let statsComboLatched = false;
 let statsModalVisible = false;
 let statsModalElements = null;
 let statsDragState = null;
+// Joueur du detail des points par source (joueur actif par defaut)
+let statsBreakdownPlayer = null;
 
 function ensureStatsModal() {
   if (statsModalElements) return statsModalElements;
@@ -5099,6 +6319,12 @@ function ensureStatsModal() {
   document.body.appendChild(modal);
 
   closeBtn.addEventListener('click', () => hideStatsModal());
+  // Le corps est reconstruit a chaque rafraichissement : choix du joueur delegue
+  body.addEventListener('change', (event) => {
+    if (!event.target?.matches?.('.stats-breakdown__player')) return;
+    statsBreakdownPlayer = Number(event.target.value);
+    refreshStatsModal();
+  });
 
   header.addEventListener('pointerdown', (event) => {
     if (event.button !== 0) return;
@@ -5168,6 +6394,89 @@ function toggleStatsModal() {
   else showStatsModal();
 }
 
+// Noms de joueurs saisis librement : echappes avant insertion dans le HTML
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// Couleur de la courbe d'un joueur, selon son blason
+const SCORE_CHART_COLORS = ['#a23b2a', '#2f5d8a', '#3f7d3a', '#b8860b', '#6a4c93', '#1f7a7a'];
+
+// Categories de sources de points (scoreSourceCategory)
+const SCORE_CATEGORY_LABELS = {
+  neighbor: 'Voisinage',
+  region: 'R\u00e9gions',
+  castle: 'Ch\u00e2teaux',
+  outpost: 'Avant-postes',
+  amenagement: 'Am\u00e9nagements',
+  'market-plan': 'March\u00e9',
+  build: 'B\u00e2timents',
+  'contract-build': 'Contrats',
+  final: 'D\u00e9compte final',
+  mulligan: 'Mulligans',
+  'edge-mismatch': 'C\u00f4t\u00e9s non assortis',
+};
+
+/**
+ * Courbe des scores par tour (gameEngine.getScoreTimeline), une ligne par joueur.
+ * @returns {string} SVG et legende, en HTML
+ */
+function renderScoreChartHtml() {
+  const { turns, scores } = gameEngine.getScoreTimeline();
+  const width = 248;
+  const height = 120;
+  const left = 26;
+  const bottom = 16;
+  const values = playerIds.flatMap((player) => scores[player] ?? []);
+  const max = Math.max(1, ...values);
+  const min = Math.min(0, ...values);
+  const lastTurn = turns.at(-1) ?? 1;
+  const x = (turn) => left + (turn / Math.max(1, lastTurn)) * (width - left - 4);
+  const y = (value) => 4 + (1 - (value - min) / (max - min)) * (height - bottom - 4);
+  const colorOf = (player) => SCORE_CHART_COLORS[(gameEngine.state.players[playerIndex(player)]?.crest ?? 1) - 1];
+  const lines = playerIds.map((player) => {
+    const points = (scores[player] ?? []).map((value, turn) => `${x(turn).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+    return `<polyline class="score-chart__line" points="${points}" stroke="${colorOf(player)}"/>`;
+  }).join('');
+  const legend = playerIds
+    .map((player) => `<span class="score-chart__key"><i style="background:${colorOf(player)}"></i>${escapeHtml(playerName(player))}</span>`)
+    .join('');
+  return `
+    <svg class="score-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Score par tour">
+      <line class="score-chart__axis" x1="${left}" y1="${y(min)}" x2="${width - 4}" y2="${y(min)}"/>
+      <line class="score-chart__axis" x1="${left}" y1="4" x2="${left}" y2="${y(min)}"/>
+      <text class="score-chart__label" x="${left - 4}" y="${y(max) + 4}" text-anchor="end">${max}</text>
+      <text class="score-chart__label" x="${left - 4}" y="${y(min)}" text-anchor="end">${min}</text>
+      <text class="score-chart__label" x="${width - 4}" y="${height - 2}" text-anchor="end">Tour ${lastTurn}</text>
+      ${lines}
+    </svg>
+    <div class="score-chart__legend">${legend}</div>
+  `;
+}
+
+// Points gagnes et depenses par categorie de source pour le joueur choisi
+function renderScoreBreakdownHtml() {
+  if (!isValidPlayer(statsBreakdownPlayer)) statsBreakdownPlayer = turnState.activePlayer ?? playerIds[0];
+  const options = playerIds
+    .map((player) => `<option value="${player}"${player === statsBreakdownPlayer ? ' selected' : ''}>${escapeHtml(playerName(player))}</option>`)
+    .join('');
+  const rows = gameEngine.getScoreBreakdown(statsBreakdownPlayer)
+    .map(({ category, earned, spent }) => `
+      <div>${escapeHtml(SCORE_CATEGORY_LABELS[category] ?? category)}</div>
+      <div>${earned ? `+${earned}` : '0'}</div>
+      <div>${spent ? `\u2212${spent}` : '0'}</div>`)
+    .join('');
+  return `
+    <select class="stats-breakdown__player" aria-label="Joueur">${options}</select>
+    <div class="stats-breakdown">
+      <div class="stats-breakdown__head">Source</div>
+      <div class="stats-breakdown__head">Gagn\u00e9s</div>
+      <div class="stats-breakdown__head">D\u00e9pens\u00e9s</div>
+      ${rows || '<div>Aucun point</div><div></div><div></div>'}
+    </div>
+  `;
+}
+
 function refreshStatsModal() {
   if (!statsModalVisible) return;
   const elements = ensureStatsModal();
@@ -5178,9 +6487,9 @@ function refreshStatsModal() {
   const state = svg?.__state || {};
   
   // Statistiques générales
-  const placed = placedCount || 0;
-  const remaining = Math.max(0, TILE_COUNT - placed);
-  const completionPercentage = ((placed / TILE_COUNT) * 100).toFixed(1);
+  const placed = gameEngine.state.placedCount || 0;
+  const remaining = Math.max(0, tiles.length - placed);
+  const completionPercentage = ((placed / tiles.length) * 100).toFixed(1);
   
   // Statistiques de répartition des combos
   const counts = { 1: 0, 2: 0, 3: 0 };
@@ -5220,23 +6529,28 @@ function refreshStatsModal() {
   );
   
   // Statistiques des blasons (overlays et châteaux)
-  const crestCounts = [0, 0, 0, 0, 0, 0];
+  const crestCounts = playerIds.map(() => 0);
   const overlayMap = state.overlayByJunction || null;
   const castleMap = state.castleByJunction || null;
   
   if (overlayMap && typeof overlayMap.forEach === 'function') {
     for (const player of overlayMap.values()) {
-      if (player >= 1 && player <= 6) crestCounts[player - 1]++;
+      if (isValidPlayer(player)) crestCounts[playerIndex(player)]++;
     }
   }
   if (castleMap && typeof castleMap.forEach === 'function') {
     for (const player of castleMap.values()) {
-      if (player >= 1 && player <= 6) crestCounts[player - 1]++;
+      if (isValidPlayer(player)) crestCounts[playerIndex(player)]++;
     }
   }
 
   const crestRows = crestCounts
-    .map((value, idx) => `<div>J${idx + 1}</div><div>${value}</div>`)
+    .map((value, idx) => `<div>${escapeHtml(playerName(playerIds[idx]))}</div><div>${value}</div>`)
+    .join('');
+
+  // Plus grande region de chaque couleur (en tuiles)
+  const regionRows = gameEngine.getLargestRegions()
+    .map((region) => `<div>${escapeHtml(colorLabelForIndex(region.color))}</div><div>${region.size} tuile${region.size > 1 ? 's' : ''}${region.closed ? ' (ferm\u00e9e)' : ''}</div>`)
     .join('');
 
   // Créer les lignes pour les couleurs avec leurs pourcentages
@@ -5250,10 +6564,13 @@ function refreshStatsModal() {
   body.innerHTML = `
     <div class="stats-section-title">Général</div>
     <div class="stats-grid">
+      <div>Plateau</div><div>${escapeHtml(boardLabel(gameEngine.state.board))}</div>
       <div>Tuiles posées</div><div>${placed}</div>
       <div>Tuiles restantes</div><div>${remaining}</div>
       <div>Avancement</div><div>${completionPercentage}%</div>
       <div>Total combos</div><div>${totalCombos}</div>
+      <div>Assortiment des côtés</div><div>${escapeHtml(EDGE_MATCH_RULE_LABELS[gameSettings.edgeMatchRule] ?? gameSettings.edgeMatchRule)}</div>
+      <div>Côtés non assortis</div><div>${gameEngine.countEdgeMismatches()}</div>
     </div>
     <div class="stats-section-title">Répartition des Combos</div>
     <div class="stats-grid">
@@ -5265,10 +6582,18 @@ function refreshStatsModal() {
     <div class="stats-grid">
       ${colorRows}
     </div>
+    <div class="stats-section-title">Plus grande région par couleur</div>
+    <div class="stats-grid">
+      ${regionRows || '<div>Aucune tuile posée</div><div></div>'}
+    </div>
     <div class="stats-section-title">Blasons par Joueur</div>
     <div class="stats-grid">
       ${crestRows}
     </div>
+    <div class="stats-section-title">Score par tour</div>
+    ${renderScoreChartHtml()}
+    <div class="stats-section-title">Points par source</div>
+    ${renderScoreBreakdownHtml()}
   `;
 }
 
@@ -5317,6 +6642,10 @@ function bindUI() {
   ensureMarketRegionMonitor();
   const generateBtn = document.getElementById('generate');
   const clearBtn = document.getElementById('clear');
+  document.getElementById('new-game')?.addEventListener('click', () => {
+    stopAutoPlacement();
+    showGameSetup();
+  });
   let holdPointerId = null;
   let holdDelayId = null;
   let holdIntervalId = null;
@@ -5412,6 +6741,8 @@ function bindUI() {
     state.setSelectedPalette?.(-1);
   });
 
+  bindSaveControls();
+
   const ids = [
     'pct-mono', 'pct-bi', 'pct-tri',
     'pct-c1', 'pct-c2', 'pct-c3', 'pct-c4',
@@ -5438,7 +6769,7 @@ function bindUI() {
           const steps = rotationStepsForCombo(combo);
           if (steps.length > 1) {
             combo.rotationStep = nextRotationStep(combo, combo.rotationStep);
-            state.paletteCombos = combos;
+            state.renderPalette?.(combos);
             state.setSelectedPalette?.(selected);
             state.refreshPreview?.();
             event.preventDefault();
@@ -5448,6 +6779,15 @@ function bindUI() {
       return;
     }
 
+    const isModifier = event.ctrlKey || event.metaKey;
+    const key = event.key.toLowerCase();
+    if (isModifier && !isEditing && (key === 'z' || key === 'y')) {
+      event.preventDefault();
+      if (key === 'y' || event.shiftKey) redoLastAction();
+      else undoLastAction();
+      return;
+    }
+
     if (event.key >= '1' && event.key <= '6') {
       const playerId = Number(event.key);
       if (isValidPlayer(playerId)) setActivePlayer(playerId);
@@ -5491,6 +6831,21 @@ window.addEventListener('DOMContentLoaded', () => {
   parseConfigFromURL();
   bindUI();
   generateAndRender();
+  // En reseau, la partie de la salle prime sur les autosauvegardes locales
+  if (!startNetworkSession()) {
+    startTabSeatSession();
+    promptResumeFromAutosave();
+  }
+});
+
+window.addEventListener('pagehide', () => {
+  flushPendingAutosave();
+  leaveTabSeatSession();
+});
+
+// Page restauree depuis le cache de navigation : l'onglet reprend ses annonces de sieges
+window.addEventListener('pageshow', (event) => {
+  if (event.persisted && !networkClient && seatHeartbeatId === null) startTabSeatSession();
 });
 
 
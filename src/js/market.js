@@ -15,6 +15,21 @@ const RESOURCE_TYPES = Object.freeze({
   LABOR: 'labor',
 });
 
+// Effets declaratifs des cartes (champ `effects`), lus par le moteur une fois le batiment construit.
+// modifier : `{ kind, target, set?, add?, max? }` ajuste la valeur nommee `target` ('buildingCost.wood',
+// 'castleCost', ...) : `set` fixe la valeur, puis `add` s'ajoute, puis `max` plafonne.
+// production : `{ kind, resource, amount, condition? }` ajoute a la reserve en fin de tour.
+// conversion : `{ kind, from, to, amount }` echange une fois par tour, sur action du joueur.
+// endgame : `{ kind, scoring, points, ... }` rapporte des points au decompte final (regle `scoring`).
+// colon : `{ kind, grant, amount | range }` accorde a l'achat des pas de colon ('steps') ou un deploiement ('deploy').
+const CARD_EFFECT_KINDS = Object.freeze({
+  MODIFIER: 'modifier',
+  PRODUCTION: 'production',
+  CONVERSION: 'conversion',
+  ENDGAME: 'endgame',
+  COLON: 'colon',
+});
+
 const MARKET_CARD_DEFINITIONS = [
   {
     id: 'building-lumber-yard',
@@ -25,6 +40,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 3, crowns: 1 },
     tags: ['production', 'wood'],
     description: 'R\u00e9duit de 1 le co\u00fbt en bois des futurs b\u00e2timents.',
+    effects: [{ kind: CARD_EFFECT_KINDS.MODIFIER, target: `buildingCost.${RESOURCE_TYPES.WOOD}`, add: -1 }],
   },
   {
     id: 'building-bakery',
@@ -35,6 +51,12 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 5 },
     tags: ['production', 'bread'],
     description: '\u00c0 chaque fin de tour, gagnez 1 pain si vous contr\u00f4lez un am\u00e9nagement adjacent.',
+    effects: [{
+      kind: CARD_EFFECT_KINDS.PRODUCTION,
+      resource: RESOURCE_TYPES.BREAD,
+      amount: 1,
+      condition: 'amenagementNearCastle',
+    }],
   },
   {
     id: 'building-weaver',
@@ -45,6 +67,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 6, crowns: 1 },
     tags: ['fabric', 'craft'],
     description: 'Accorde +2 points par contrat textile \u00e0 la fin de la partie.',
+    effects: [{ kind: CARD_EFFECT_KINDS.ENDGAME, scoring: 'perTaggedCard', tag: 'fabric', points: 2 }],
   },
   {
     id: 'building-garrison',
@@ -55,6 +78,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 8 },
     tags: ['military'],
     description: 'Permet un d\u00e9ploiement gratuit d\u2019un colon \u00e0 port\u00e9e 2 d\u00e8s l\u2019achat.',
+    effects: [{ kind: CARD_EFFECT_KINDS.COLON, grant: 'deploy', range: 2 }],
   },
   {
     id: 'building-harvest-hall',
@@ -65,6 +89,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 6 },
     tags: ['agriculture', 'storage'],
     description: 'Entrep\u00f4t couvert qui optimise les r\u00e9coltes. Score +2 PV si vous contr\u00f4lez 3 tuiles vertes.',
+    effects: [{ kind: CARD_EFFECT_KINDS.ENDGAME, scoring: 'colorTiles', color: 2, count: 3, points: 2 }],
   },
   {
     id: 'building-arsenal-annex',
@@ -75,6 +100,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 7, crowns: 1 },
     tags: ['military', 'fabric'],
     description: 'Atelier m\u00e9tallurgique qui ravitaille les d\u00e9fenses. Permet d\u2019acheter des ch\u00e2teaux \u00e0 15 PV au lieu de 20.',
+    effects: [{ kind: CARD_EFFECT_KINDS.MODIFIER, target: 'castleCost', set: 15 }],
   },
   {
     id: 'building-guild-house',
@@ -85,6 +111,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 5, influence: 1 },
     tags: ['guild', 'influence'],
     description: 'Quartier administratif qui coordonne les corporations. \u00c9tend votre zone d\u2019influence de 1 autour du ch\u00e2teau.',
+    effects: [{ kind: CARD_EFFECT_KINDS.MODIFIER, target: 'influenceRadius', add: 1 }],
   },
   {
     id: 'building-merchant-relay',
@@ -95,6 +122,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 4, crowns: 1 },
     tags: ['trade', 'route'],
     description: 'Halte commerciale qui s\u00e9curise les caravanes. Fin de partie : +3 PV si vous d\u00e9tenez la plus longue cha\u00eene orthogonale.',
+    effects: [{ kind: CARD_EFFECT_KINDS.ENDGAME, scoring: 'longestChain', points: 3 }],
   },
   {
     id: 'building-observatory',
@@ -105,6 +133,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 7, crowns: 1 },
     tags: ['science'],
     description: 'R\u00e9v\u00e8le deux tuiles du sachet suppl\u00e9mentaire \u00e0 chaque pr\u00e9paration de tour.',
+    effects: [{ kind: CARD_EFFECT_KINDS.MODIFIER, target: 'tileBagPreview', add: 2 }],
   },
   {
     id: 'building-harbor',
@@ -115,6 +144,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 6, influence: 1 },
     tags: ['trade', 'water'],
     description: 'Autorise un \u00e9change bois contre tissu par tour sans co\u00fbt additionnel.',
+    effects: [{ kind: CARD_EFFECT_KINDS.CONVERSION, from: RESOURCE_TYPES.WOOD, to: RESOURCE_TYPES.FABRIC, amount: 1 }],
   },
   {
     id: 'building-guildhall',
@@ -135,6 +165,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 4, stock: { [RESOURCE_TYPES.BREAD]: 2 } },
     tags: ['storage'],
     description: 'Augmente votre r\u00e9serve maximale de pain de 2 unit\u00e9s.',
+    effects: [{ kind: CARD_EFFECT_KINDS.MODIFIER, target: `resourceCapacity.${RESOURCE_TYPES.BREAD}`, add: 2 }],
   },
   {
     id: 'building-expedition-hall',
@@ -145,6 +176,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 8 },
     tags: ['exploration'],
     description: 'Centre de cartographie qui finance des expes. Octroie un d\u00e9placement gratuit de colon apr\u00e8s achat.',
+    effects: [{ kind: CARD_EFFECT_KINDS.COLON, grant: 'steps', amount: 2 }],
   },
   {
     id: 'building-cathedral-works',
@@ -165,6 +197,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 5, crowns: 1 },
     tags: ['trade'],
     description: 'Maison des n\u00e9gociants qui traite toute marchandise. R\u00e9duit de 1 le co\u00fbt en tissu de vos futurs projets.',
+    effects: [{ kind: CARD_EFFECT_KINDS.MODIFIER, target: `buildingCost.${RESOURCE_TYPES.FABRIC}`, add: -1 }],
   },
   {
     id: 'building-artisan-hall',
@@ -175,6 +208,7 @@ const MARKET_CARD_DEFINITIONS = [
     reward: { points: 6 },
     tags: ['guild', 'workshop'],
     description: 'Atelier collectif qui valorise chaque savoir faire. Permet de convertir 1 main d\u2019\u0153uvre en 1 pain \u00e0 chaque tour.',
+    effects: [{ kind: CARD_EFFECT_KINDS.CONVERSION, from: RESOURCE_TYPES.LABOR, to: RESOURCE_TYPES.BREAD, amount: 1 }],
   },
 ];
 
@@ -182,16 +216,73 @@ function getMarketCardDefinition(cardId) {
   return MARKET_CARD_DEFINITIONS.find((card) => card.id === cardId) ?? null;
 }
 
+/**
+ * Effets des cartes donnees, dans l'ordre des cartes.
+ * @param {Iterable<string>} cardIds - Batiments d'un joueur
+ * @param {string} [kind] - Filtre sur le type d'effet (CARD_EFFECT_KINDS)
+ * @returns {Object[]}
+ */
+function collectCardEffects(cardIds, kind = null) {
+  const effects = [];
+  for (const cardId of cardIds || []) {
+    const def = getMarketCardDefinition(cardId);
+    (def?.effects || []).forEach((effect) => {
+      if (!kind || effect?.kind === kind) effects.push({ ...effect, source: cardId });
+    });
+  }
+  return effects;
+}
+
+/**
+ * Pipeline des modificateurs : part de `value` et applique chaque modificateur visant `target`
+ * (la valeur fixee `set`, puis tous les `add`, puis les plafonds `max`).
+ * @param {string} target - Valeur modifiee (ex. 'castleCost')
+ * @param {number} value - Valeur de base
+ * @param {Iterable<string>} cardIds - Batiments du joueur
+ * @returns {number}
+ */
+function applyCardModifiers(target, value, cardIds) {
+  const modifiers = collectCardEffects(cardIds, CARD_EFFECT_KINDS.MODIFIER).filter((effect) => effect.target === target);
+  let result = Number.isFinite(value) ? value : 0;
+  modifiers.forEach((modifier) => {
+    if (Number.isFinite(modifier.set)) result = modifier.set;
+  });
+  modifiers.forEach((modifier) => {
+    if (Number.isFinite(modifier.add)) result += modifier.add;
+  });
+  modifiers.forEach((modifier) => {
+    if (Number.isFinite(modifier.max)) result = Math.min(result, modifier.max);
+  });
+  return result;
+}
+
+/**
+ * Cout d'une carte apres les reductions des batiments possedes (jamais negatif).
+ * @param {Object} cost - Cout de base (`def.cost`)
+ * @param {Iterable<string>} cardIds - Batiments du joueur
+ * @returns {?Object} Cout modifie, memes cles que `cost`
+ */
+function applyCardCostModifiers(cost, cardIds) {
+  if (!cost || typeof cost !== 'object') return cost ?? null;
+  const modified = {};
+  Object.entries(cost).forEach(([key, amount]) => {
+    modified[key] = Number.isFinite(amount)
+      ? Math.max(0, applyCardModifiers(`buildingCost.${key}`, amount, cardIds))
+      : amount;
+  });
+  return modified;
+}
+
 function createInitialMarketDeck(definitions = MARKET_CARD_DEFINITIONS) {
   return definitions
     .filter((card) => card?.type === MARKET_CARD_TYPES.BUILDING)
     .map((card) => ({ ...card }));
 }
 
-function shuffleArray(source) {
+function shuffleArray(source, random = Math.random) {
   const array = Array.isArray(source) ? source : [];
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     const tmp = array[i];
     array[i] = array[j];
     array[j] = tmp;
@@ -203,41 +294,41 @@ function createEmptyMarketSlots() {
   return Array.from({ length: MARKET_SLOT_COUNT }, () => null);
 }
 
-function createInitialMarketState() {
+function createInitialMarketState(random = Math.random) {
   const deck = createInitialMarketDeck();
   return {
     deck,
-    drawPile: shuffleArray(deck.map((card) => ({ ...card }))),
+    drawPile: shuffleArray(deck.map((card) => ({ ...card })), random),
     discardPile: [],
     slots: createEmptyMarketSlots(),
     revealedThisTurn: new Set(),
   };
 }
 
-function replenishMarketDrawPile(state) {
+function replenishMarketDrawPile(state, random = Math.random) {
   if (!state || !Array.isArray(state.discardPile) || state.discardPile.length === 0) return;
   const refreshed = state.discardPile
     .map((cardId) => getMarketCardDefinition(cardId))
     .filter((card) => card && card.type === MARKET_CARD_TYPES.BUILDING)
     .map((card) => ({ ...card }));
-  shuffleArray(refreshed);
+  shuffleArray(refreshed, random);
   if (!Array.isArray(state.drawPile)) state.drawPile = [];
   state.drawPile.push(...refreshed);
   state.discardPile = [];
 }
 
-function drawMarketCard(state) {
+function drawMarketCard(state, random = Math.random) {
   if (!state) return null;
   if (!Array.isArray(state.drawPile)) state.drawPile = [];
-  if (state.drawPile.length === 0) replenishMarketDrawPile(state);
+  if (state.drawPile.length === 0) replenishMarketDrawPile(state, random);
   const next = state.drawPile.shift() ?? null;
   return next ? { ...next } : null;
 }
 
-function refillMarketSlot(state, slotIdx) {
+function refillMarketSlot(state, slotIdx, random = Math.random) {
   if (!state || !Array.isArray(state.slots)) return;
   if (!Number.isInteger(slotIdx) || slotIdx < 0 || slotIdx >= state.slots.length) return;
-  const card = drawMarketCard(state);
+  const card = drawMarketCard(state, random);
   if (card) {
     state.slots[slotIdx] = {
       id: card.id,
@@ -248,9 +339,9 @@ function refillMarketSlot(state, slotIdx) {
   }
 }
 
-function seedMarketSlotsFromDeck(state) {
+function seedMarketSlotsFromDeck(state, random = Math.random) {
   if (!state || !Array.isArray(state.deck) || !Array.isArray(state.slots)) return;
   for (let slotIdx = 0; slotIdx < state.slots.length; slotIdx++) {
-    refillMarketSlot(state, slotIdx);
+    refillMarketSlot(state, slotIdx, random);
   }
 }
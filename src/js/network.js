@@ -0,0 +1,340 @@
+// Fichier: src/js/network.js
+// Description: Partie en reseau : client du relais WebSocket (scripts/relay-server.js) et controle de l'ordre du tour.
+
+const NETWORK_PROTOCOL_VERSION = 2;
+const NETWORK_RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000];
+// Evenements qui transportent un etat complet : repris tel quel plutot que rejoues.
+// Annulations et retablissements sont rejoues par chaque poste avec sa propre pile.
+const NETWORK_STATE_EVENTS = new Set(['importState']);
+// Evenements propres a un poste : jamais envoyes au relais.
+const NETWORK_LOCAL_EVENTS = new Set(['remoteHistory']);
+
+function isPlainNetworkObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Proprietaire de la piece visee par un retrait (undefined : l'evenement ne retire rien).
+function networkRemovalOwner(engine, type, payload) {
+  const { placements, castleByJunction, outpostByJunction, overlayByJunction } = engine.state;
+  switch (type) {
+    case 'removeTile':
+      return Number.isInteger(payload.tileIdx) ? placements[payload.tileIdx]?.player ?? null : null;
+    case 'removeStructure':
+      return castleByJunction.get(payload.key) ?? outpostByJunction.get(payload.key) ?? null;
+    case 'releaseAmenagement':
+      return overlayByJunction.get(payload.key) ?? null;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Verifie qu'un evenement respecte l'ordre du tour : le joueur qui agit doit etre le
+ * joueur actif, et le poste doit tenir le siege du joueur actif.
+ * Les evenements systeme (nouvelle partie, chargement, reglages, sac) ne dependent pas
+ * du tour mais sont reserves a l'hote. Seul un chargement peut porter un etat complet :
+ * le relais garde l'etat de reference, les annulations passent par sa propre pile.
+ * Un joueur ne retire que ses propres pieces, et une pose prend la tuile de son
+ * emplacement de palette (checkPlacementPayload) : ni tuile fournie par le poste,
+ * ni pose hors du suivi des ressources.
+ * @param {Object} engine - Moteur de reference (celui du relais)
+ * @param {{type: string, payload: Object}} event - Evenement propose
+ * @param {?number[]} [seats] - Joueurs tenus par le poste emetteur (null : tous)
+ * @param {Object} [options]
+ * @param {boolean} [options.host=true] - Le poste emetteur est l'hote de la salle
+ * @returns {{ok: boolean, reason: string}}
+ */
+function checkNetworkTurnOrder(engine, event, seats = null, { host = true } = {}) {
+  if (!isPlainNetworkObject(event) || typeof event.type !== 'string') return { ok: false, reason: 'event-invalid' };
+  if (event.payload !== undefined && !isPlainNetworkObject(event.payload)) return { ok: false, reason: 'event-invalid' };
+  const { type } = event;
+  const payload = event.payload ?? {};
+  if (NETWORK_LOCAL_EVENTS.has(type)) return { ok: false, reason: 'event-local' };
+  if ('state' in payload && !NETWORK_STATE_EVENTS.has(type)) return { ok: false, reason: 'state-refused' };
+  if (SYSTEM_EVENTS.has(type)) return host ? { ok: true, reason: '' } : { ok: false, reason: 'not-host' };
+  // Le tour ne passe que par endTurn
+  if (type === 'setActivePlayer') return { ok: false, reason: 'turn-order' };
+  const active = engine.state.turnState.activePlayer;
+  const actor = 'player' in payload ? payload.player : active;
+  if (actor !== active) return { ok: false, reason: 'turn-order' };
+  if (seats && !seats.includes(active)) return { ok: false, reason: 'not-your-turn' };
+  const owner = networkRemovalOwner(engine, type, payload);
+  if (owner !== undefined && owner !== active) return { ok: false, reason: 'not-owner' };
+  if (type === 'placeTile') {
+    const placement = checkPlacementPayload(engine, payload);
+    if (!placement.ok) return { ok: false, reason: placement.reason };
+  }
+  return { ok: true, reason: '' };
+}
+
+/**
+ * Masque, dans un etat exporte, les mains privees des joueurs dont le poste ne tient pas
+ * le siege, ainsi que le sac qui les complete (sauf les tuiles que ses batiments lui
+ * devoilent, voir getTileBagPreview). Les emplacements gardent leur place : le poste
+ * affiche des tuiles face cachee (`hidden`).
+ * @param {Object} state - Etat exporte (exportState), non modifie
+ * @param {?number[]} seats - Joueurs tenus par le poste (null : tous, rien n'est masque)
+ * @param {Object} [options]
+ * @param {number} [options.visibleBagTiles=0] - Tuiles en tete du sac laissees visibles
+ * @returns {Object} Etat a envoyer au poste
+ */
+function redactHiddenHands(state, seats, { visibleBagTiles = 0 } = {}) {
+  if (!seats || !Array.isArray(state?.playerHands) || !state.playerHands.length) return state;
+  const mask = (combo) => (combo ? { type: null, colors: [], hidden: true } : null);
+  const held = (idx) => seats.includes(state.players?.[idx]?.id);
+  const activeIdx = (state.players ?? []).findIndex((profile) => profile.id === state.turnState?.activePlayer);
+  return {
+    ...state,
+    playerHands: state.playerHands.map((hand, idx) => (held(idx) ? hand : hand.map(mask))),
+    paletteSlots: held(activeIdx) ? state.paletteSlots : state.paletteSlots.map(mask),
+    tileBag: state.tileBag.map((combo, idx) => (idx < visibleBagTiles ? combo : mask(combo))),
+  };
+}
+
+/**
+ * Applique sur un moteur de poste un evenement accepte par le relais. Les coups et les
+ * annulations sont rejoues ; un etat complet (chargement) est repris comme un etat distant.
+ * @param {Object} engine - Moteur du poste
+ * @param {{type: string, payload: Object}} event
+ * @returns {{ok: boolean, reason: string}}
+ */
+function applyNetworkEvent(engine, event) {
+  if (NETWORK_STATE_EVENTS.has(event?.type)) {
+    return engine.applyRemoteHistory({ kind: event.type, snapshot: { state: event.payload?.state } });
+  }
+  return applyGameEvent(engine, event);
+}
+
+/**
+ * Client du relais. Les coups joues localement partent comme evenements du journal ;
+ * le relais les ordonne (numero de sequence) et renvoie ceux des autres postes.
+ * Un coup refuse ou concurrent est suivi de l'etat de reference du relais.
+ * Le relais tient aussi le registre des sieges de la salle (voir createSeatRoster).
+ * @param {Object} options
+ * @param {string} options.url - Adresse du relais (ws://hote:port)
+ * @param {string} options.room - Salle de jeu partagee
+ * @param {number[]} [options.claims] - Sieges revendiques a la connexion
+ * @param {Function} options.getInitialState - Renvoie `{state, settings}` pour ouvrir une salle vide
+ * @param {Function} options.onAction - Evenement accepte d'un autre poste
+ * @param {Function} options.onState - Etat de reference `{seq, state, settings}` a reprendre
+ * @param {Function} [options.onSeats] - Registre des sieges de la salle `(entries)` (voir roster.list)
+ * @param {Function} [options.onReject] - Coup ou demande de siege refuse `(reason, issues)` (issues : raisons detaillees d'une pose, voir validatePlacement)
+ * @param {Function} [options.onStatus] - Changement de statut `(status, detail)` ('kicked' : exclu par l'hote)
+ * @param {Function} [options.WebSocketImpl] - Constructeur WebSocket (celui du navigateur par defaut)
+ * @returns {{sendAction: Function, requestSync: Function, claimSeats: Function, assignSeats: Function, kickClient: Function, close: Function, status: string, clientId: ?number, seq: number, pending: number}}
+ */
+function createNetworkClient({
+  url,
+  room,
+  claims = [],
+  getInitialState,
+  onAction,
+  onState,
+  onSeats = () => {},
+  onReject = () => {},
+  onStatus = () => {},
+  WebSocketImpl = globalThis.WebSocket,
+}) {
+  let socket = null;
+  let status = 'idle';
+  let clientId = null;
+  let seq = 0;
+  let pending = 0;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let closed = false;
+
+  function setStatus(next, detail = null) {
+    status = next;
+    onStatus(next, detail);
+  }
+
+  function send(message) {
+    if (!socket || socket.readyState !== 1) return false;
+    socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  function takeState(message) {
+    seq = message.seq;
+    pending = 0;
+    onState(message);
+  }
+
+  // Les sieges attribues par l'hote sont revendiques a nouveau apres une reconnexion
+  function takeSeats(entries) {
+    const list = Array.isArray(entries) ? entries : [];
+    const own = list.find((entry) => entry.id === clientId);
+    if (own) claims = own.claims.slice();
+    onSeats(list);
+  }
+
+  function handleMessage(message) {
+    switch (message?.type) {
+      case 'welcome':
+        attempts = 0;
+        clientId = message.clientId;
+        takeState(message);
+        takeSeats(message.seats);
+        setStatus('connected', { clientId: message.clientId, peers: message.peers ?? 1 });
+        break;
+      case 'sync':
+        takeState(message);
+        break;
+      case 'ack':
+        pending = Math.max(0, pending - 1);
+        seq = Math.max(seq, message.seq);
+        break;
+      case 'reject':
+        onReject(message.reason, message.issues);
+        takeState(message);
+        break;
+      case 'action':
+        // Un coup local attend encore sa reponse : le relais l'a refuse, l'etat suivra.
+        if (pending > 0) break;
+        if (message.seq !== seq + 1) {
+          requestSync();
+          break;
+        }
+        seq = message.seq;
+        onAction(message.event);
+        break;
+      case 'peers':
+        if (status === 'connected') setStatus('connected', { peers: message.peers });
+        break;
+      case 'seats':
+        takeSeats(message.seats);
+        break;
+      case 'seat-reject':
+        onReject(message.reason);
+        break;
+      case 'kicked':
+        // Exclu par l'hote : pas de reconnexion automatique
+        closed = true;
+        setStatus('kicked');
+        break;
+      case 'error':
+        setStatus('error', message.reason);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function connect() {
+    if (closed) return;
+    setStatus('connecting');
+    try {
+      socket = new WebSocketImpl(url);
+    } catch (error) {
+      setStatus('error', error.message);
+      scheduleReconnect();
+      return;
+    }
+    socket.addEventListener('open', () => {
+      const { state, settings } = getInitialState();
+      send({ type: 'hello', version: NETWORK_PROTOCOL_VERSION, room, claims, state, settings });
+    });
+    socket.addEventListener('message', (event) => {
+      let message = null;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.warn('[network] message illisible', error);
+        return;
+      }
+      handleMessage(message);
+    });
+    socket.addEventListener('close', () => {
+      socket = null;
+      pending = 0;
+      if (closed) return;
+      setStatus('disconnected');
+      scheduleReconnect();
+    });
+  }
+
+  function scheduleReconnect() {
+    if (closed || reconnectTimer) return;
+    const delay = NETWORK_RECONNECT_DELAYS_MS[Math.min(attempts, NETWORK_RECONNECT_DELAYS_MS.length - 1)];
+    attempts += 1;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  /**
+   * Envoie un evenement du journal local. Il porte le numero de sequence attendu :
+   * si un autre poste a joue entre-temps, le relais le refuse.
+   * @param {{type: string, payload: Object}} event
+   * @returns {boolean} false hors connexion ou pour un evenement local
+   */
+  function sendAction(event) {
+    if (status !== 'connected' || !event || NETWORK_LOCAL_EVENTS.has(event.type)) return false;
+    const sent = send({ type: 'action', baseSeq: seq + pending, event: { type: event.type, payload: event.payload } });
+    if (sent) pending += 1;
+    return sent;
+  }
+
+  // Etat de reference redemande (ex. coup distant qui ne s'applique pas localement)
+  function requestSync() {
+    return send({ type: 'sync' });
+  }
+
+  /**
+   * Remplace les sieges revendiques par ce poste (ceux d'un autre poste restent a lui).
+   * @param {number[]} seats
+   * @returns {boolean} false hors connexion
+   */
+  function claimSeats(seats) {
+    claims = seats.slice();
+    return send({ type: 'claim', seats: claims });
+  }
+
+  /**
+   * Demande de l'hote : donne des sieges a un poste, qui les perd ailleurs.
+   * @param {number} target - Identifiant du poste (roster.list)
+   * @param {number[]} seats - Sieges du poste apres attribution
+   * @returns {boolean} false hors connexion
+   */
+  function assignSeats(target, seats) {
+    return send({ type: 'assign', target, seats });
+  }
+
+  // Demande de l'hote : exclut un poste inactif (SEAT_IDLE_LIMIT_MS)
+  function kickClient(target) {
+    return send({ type: 'kick', target });
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    socket?.close();
+    setStatus('closed');
+  }
+
+  connect();
+
+  return {
+    sendAction,
+    requestSync,
+    claimSeats,
+    assignSeats,
+    kickClient,
+    close,
+    get status() {
+      return status;
+    },
+    get clientId() {
+      return clientId;
+    },
+    get seq() {
+      return seq;
+    },
+    get pending() {
+      return pending;
+    },
+  };
+}
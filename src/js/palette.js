@@ -2,6 +2,28 @@
 // Description: Fonctions liées à la palette de tuiles (sélection, rotation, rendu miniatures).
 
 
+// Nombre de tuiles proposees au joueur.
+const PALETTE_SIZE = 4;
+
+function cloneCombo(combo) {
+  if (!combo || !Array.isArray(combo.colors)) return null;
+  const clone = {
+    type: combo.type,
+    colors: combo.colors.slice(),
+    units: Array.isArray(combo.units) ? combo.units.slice() : undefined,
+    rotationStep: combo.rotationStep ?? 0,
+  };
+  // Tuile masquee par le relais (main d'un autre siege) : seule sa place est connue
+  if (combo.hidden) clone.hidden = true;
+  return clone;
+}
+
+// Meme tuile (type et couleurs), quelle que soit sa rotation.
+function sameComboTile(a, b) {
+  if (!a || !b || !Array.isArray(a.colors) || !Array.isArray(b.colors)) return false;
+  return a.type === b.type && a.colors.length === b.colors.length && a.colors.every((color, idx) => color === b.colors[idx]);
+}
+
 function colorFromIndex(colorIdx, colors) {
   if (typeof colorIdx === 'string') {
     const trimmed = colorIdx.trim();
@@ -169,7 +191,7 @@ function renderPalette(combos, colors, setSelectedPalette) {
 
 function createPalette(typesPct, colorPct, rng) {
   const combos = [];
-  for (let i = 0; i < 4; i++) {
+  for (let i = 0; i < PALETTE_SIZE; i++) {
     const combo = sampleCombo(typesPct, colorPct, rng);
     const steps = rotationStepsForCombo(combo);
     combo.rotationStep = steps[0] ?? 0;
@@ -177,3 +199,31 @@ function createPalette(typesPct, colorPct, rng) {
   }
   return combos;
 }
+
+/**
+ * Sac de tuiles fini : `count` combinaisons aux quotas exacts (types, puis unites de
+ * couleur via assignTileCombos), melangees dans l'ordre de tirage. Si les pourcentages
+ * rendent les quotas irrealisables (ex. tricolores avec moins de 3 couleurs), le sac
+ * est rempli par tirages independants.
+ * @param {number} count - Nombre de tuiles du sac
+ * @param {number[]} typesPct - Pourcentages mono / bi / tri
+ * @param {number[]} colorPct - Pourcentages des 4 couleurs
+ * @param {Function} rng - Generateur aleatoire
+ * @returns {Object[]} Combinaisons, la prochaine tiree en tete
+ */
+function createTileBag(count, typesPct, colorPct, rng) {
+  let combos;
+  try {
+    const types = [];
+    quotasFromPercents(count, typesPct).forEach((amount, idx) => {
+      for (let k = 0; k < amount; k++) types.push(idx + 1);
+    });
+    combos = assignTileCombos(types, quotasFromPercents(3 * count, colorPct), rng);
+  } catch (error) {
+    combos = Array.from({ length: count }, () => sampleCombo(typesPct, colorPct, rng));
+  }
+  combos.forEach((combo) => {
+    combo.rotationStep = rotationStepsForCombo(combo)[0] ?? 0;
+  });
+  return seededShuffle(combos, rng);
+}
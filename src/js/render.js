@@ -102,8 +102,10 @@ function buildSVG({ width, height, size, tiles, combos, colors }) {
   const svgNS = 'http://www.w3.org/2000/svg';
   const svg = document.createElementNS(svgNS, 'svg');
 
-  const hexWidth = Math.sqrt(3) * size * (2 * RADIUS + 1);
-  const hexHeight = 1.5 * size * (2 * RADIUS) + 2 * size;
+  // Emprise du plateau, quelle que soit sa forme ; il est centre dans sa zone
+  const boardBounds = boardPixelBounds(tiles, size);
+  const hexWidth = boardBounds.width;
+  const hexHeight = boardBounds.height;
   const margin = size * SQUARE_MARGIN_FACTOR;
   const gridCols = SQUARE_GRID_COLS;
   const gridRows = SQUARE_GRID_ROWS;
@@ -126,6 +128,12 @@ function buildSVG({ width, height, size, tiles, combos, colors }) {
   const previewG = document.createElementNS(svgNS, 'g');
   previewG.setAttribute('id', 'preview');
   previewG.style.pointerEvents = 'none';
+  const hintsG = document.createElementNS(svgNS, 'g');
+  hintsG.setAttribute('id', 'placement-hints');
+  hintsG.style.pointerEvents = 'none';
+  const regionsG = document.createElementNS(svgNS, 'g');
+  regionsG.setAttribute('id', 'region-highlight');
+  regionsG.style.pointerEvents = 'none';
   const overlaysG = document.createElementNS(svgNS, 'g');
   overlaysG.setAttribute('id', 'overlays');
   const junctionsG = document.createElementNS(svgNS, 'g');
@@ -142,7 +150,10 @@ function buildSVG({ width, height, size, tiles, combos, colors }) {
   colonsLayer.setAttribute('id', 'colons');
   const hexLayer = document.createElementNS(svgNS, 'g');
   hexLayer.setAttribute('id', 'hex-layer');
-  hexLayer.setAttribute('transform', `translate(${hexTranslateX.toFixed(3)} 0)`);
+  hexLayer.setAttribute(
+    'transform',
+    `translate(${(hexTranslateX - boardBounds.centerX).toFixed(3)} ${(-boardBounds.centerY).toFixed(3)})`,
+  );
 
   tiles.forEach((t, idx) => {
     const { x, y } = axialToPixel(t.q, t.r, size);
@@ -363,6 +374,8 @@ function buildSVG({ width, height, size, tiles, combos, colors }) {
 
   hexLayer.appendChild(gridG);
   hexLayer.appendChild(overlaysG);
+  hexLayer.appendChild(regionsG);
+  hexLayer.appendChild(hintsG);
   hexLayer.appendChild(previewG);
   hexLayer.appendChild(colonsLayer);
   hexLayer.appendChild(junctionsG);
@@ -0,0 +1,152 @@
+// Fichier: src/js/replay.js
+// Description: Relecture d'une partie a partir de son journal d'evenements, sur un moteur separe (sans DOM).
+
+// Etat exporte tous les N evenements : revenir en arriere repart du point le plus proche.
+const REPLAY_CHECKPOINT_INTERVAL = 20;
+// Evenements qui reprennent la pile d'annulation du moteur de relecture.
+const REPLAY_HISTORY_EVENTS = new Set(['undo', 'redo']);
+
+/**
+ * Verifie qu'une pose enregistree est jouable telle quelle, comme en partie : une pose
+ * qui compte pour un joueur prend la tuile d'un emplacement de la palette (de sa main
+ * privee en mode mains privees), et la tuile annoncee doit etre celle de cet emplacement. Seul le remplissage automatique (sans
+ * joueur ni ressources) pose hors palette.
+ * @param {Object} engine - Moteur sur lequel la pose sera jouee
+ * @param {Object} payload - Donnees d'un evenement placeTile
+ * @returns {{ok: boolean, reason: string, combo?: Object}} combo : tuile a poser
+ */
+function checkPlacementPayload(engine, payload) {
+  if (payload.trackResources === false) {
+    return payload.player === null ? { ok: true, reason: '', combo: payload.combo ?? null } : { ok: false, reason: 'placement-untracked' };
+  }
+  if (!Number.isInteger(payload.paletteSlot)) return { ok: false, reason: 'placement-slot-required' };
+  const { playerHands, players, paletteSlots, turnState } = engine.state;
+  const player = payload.player === undefined ? turnState.activePlayer : payload.player;
+  const slots = playerHands.length ? playerHands[players.findIndex((profile) => profile.id === player)] ?? [] : paletteSlots;
+  const combo = slots[payload.paletteSlot];
+  if (!combo || combo.hidden) return { ok: false, reason: 'placement-slot-empty' };
+  if (payload.combo && !sameComboTile(payload.combo, combo)) return { ok: false, reason: 'placement-slot-mismatch' };
+  return { ok: true, reason: '', combo };
+}
+
+/**
+ * Rejoue un evenement du journal sur un moteur. Les coups sont rejoues tels quels
+ * (meme graine, memes parametres), les poses avec la tuile de leur emplacement (checkPlacementPayload) ; annulations et retablissements passent par la
+ * pile du moteur, qui doit tenir son historique. Chargements et etats distants
+ * reprennent l'etat enregistre dans l'evenement.
+ * @param {Object} engine - Moteur cree par createGameEngine
+ * @param {Object} event - Evenement produit par getEventLog
+ * @returns {{ok: boolean, reason: string}}
+ */
+function applyGameEvent(engine, event) {
+  const payload = event?.payload ?? {};
+  switch (event?.type) {
+    case 'reset':
+      Object.assign(engine.settings, createGameSettings(payload.settings));
+      return engine.reset({ seed: payload.seed, players: payload.players, board: payload.board });
+    case 'importState':
+    case 'remoteHistory':
+      return engine.viewState(payload.state);
+    case 'undo':
+    case 'redo':
+      // Journal anterieur : l'annulation portait l'etat obtenu
+      if (payload.state) return engine.viewState(payload.state);
+      return event.type === 'undo' ? engine.undo() : engine.redo();
+    case 'applySettings':
+      Object.assign(engine.settings, createGameSettings(payload.settings));
+      return engine.applySettingsDiff(payload.previous ?? {});
+    case 'placeTile': {
+      // La tuile posee est celle de l'emplacement, pas une copie fournie par le journal
+      const placement = checkPlacementPayload(engine, payload);
+      if (!placement.ok) return placement;
+      return engine.placeTile(payload.tileIdx, cloneCombo(placement.combo), {
+        rotationStep: payload.rotationStep,
+        player: payload.player,
+        trackResources: payload.trackResources,
+        paletteSlot: payload.paletteSlot,
+      });
+    }
+    case 'fillTileBag':
+      return engine.fillTileBag({ typesPct: payload.typesPct, colorPct: payload.colorPct });
+    case 'removeTile':
+      return engine.removeTile(payload.tileIdx);
+    case 'claimAmenagement':
+      return engine.claimAmenagement(payload.player, payload.key);
+    case 'releaseAmenagement':
+      return engine.releaseAmenagement(payload.key);
+    case 'buildCastle':
+      return engine.buildCastle(payload.player, payload.key);
+    case 'removeStructure':
+      return engine.removeStructure(payload.key);
+    case 'moveColon':
+      return engine.moveColon(payload.player, payload.tileIdx);
+    case 'claimMarketSlot':
+      return engine.claimMarketSlot(payload.player, payload.slotIdx);
+    case 'buildContract':
+      return engine.buildContract(payload.player, payload.cardId);
+    case 'convertResource':
+      return engine.convertResource(payload.player, payload.cardId);
+    case 'mulligan':
+      return engine.mulligan(payload.player, payload.slotIdx);
+    case 'setActivePlayer':
+      return engine.setActivePlayer(payload.player);
+    case 'endTurn':
+      return engine.endTurn({ reason: payload.reason });
+    default:
+      return { ok: false, reason: 'replay-unknown-event' };
+  }
+}
+
+/**
+ * Prepare la relecture d'un journal. Les actions refusees n'ont pas change l'etat :
+ * elles ne forment pas d'etape. Un journal avec annulations n'a pas de points de reprise
+ * (ils ne gardent pas la pile d'annulation) : revenir en arriere le rejoue depuis le debut.
+ * @param {Object[]} events - Journal produit par getEventLog
+ * @param {Object} [options]
+ * @param {Object} [options.board] - Plateau de la partie relue (celui de son premier evenement sinon)
+ * @param {Array} [options.players] - Joueurs de la partie relue (ceux de son premier evenement sinon)
+ * @returns {{steps: Object[], index: number, seek: Function}} `seek(i)` renvoie l'etat exporte apres l'etape i
+ */
+function createGameReplay(events, { board, players } = {}) {
+  const steps = (Array.isArray(events) ? events : []).filter((event) => event && !event.rejected);
+  const usesHistory = steps.some((event) => REPLAY_HISTORY_EVENTS.has(event.type) && !event.payload?.state);
+  const createReplayEngine = () => createGameEngine({ board, players, settings: createGameSettings(), recordHistory: usesHistory });
+  let engine = createReplayEngine();
+  const checkpoints = [];
+  let cursor = -1;
+
+  function restoreCheckpoint(target) {
+    const checkpoint = checkpoints.filter((entry) => entry.index <= target).at(-1);
+    if (!checkpoint) {
+      if (usesHistory) engine = createReplayEngine();
+      cursor = -1;
+      return;
+    }
+    Object.assign(engine.settings, createGameSettings(checkpoint.settings));
+    engine.viewState(checkpoint.state);
+    cursor = checkpoint.index;
+  }
+
+  function seek(index) {
+    if (!steps.length) return null;
+    const target = Math.min(steps.length - 1, Math.max(0, Math.trunc(index) || 0));
+    if (target < cursor) restoreCheckpoint(target);
+    while (cursor < target) {
+      cursor += 1;
+      const result = applyGameEvent(engine, steps[cursor]);
+      if (!result?.ok) console.warn('[replay] evenement non rejoue', steps[cursor], result?.reason);
+      if (!usesHistory && cursor % REPLAY_CHECKPOINT_INTERVAL === 0 && !checkpoints.some((entry) => entry.index === cursor)) {
+        checkpoints.push({ index: cursor, state: engine.exportState(), settings: createGameSettings(engine.settings) });
+      }
+    }
+    return engine.exportState();
+  }
+
+  return {
+    steps,
+    get index() {
+      return cursor;
+    },
+    seek,
+  };
+}
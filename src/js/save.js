@@ -0,0 +1,163 @@
+// Fichier: src/js/save.js
+// Description: Format de sauvegarde JSON versionne (enveloppe, migrations entre versions), sans DOM.
+
+const SAVE_FORMAT = 'pairleroy-save';
+const SAVE_SCHEMA_VERSION = 6;
+
+/**
+ * Version 1 : photographie de synchronisation entre onglets (`getGameState()`), sans
+ * ressources, marche, reglages ni palette. Les champs absents sont laisses au moteur,
+ * qui retombe sur ses valeurs initiales.
+ */
+function migrateSaveV1ToV2(save) {
+  const data = save.data ?? save;
+  const svgState = data.svgState ?? {};
+  return {
+    format: SAVE_FORMAT,
+    version: 2,
+    savedAt: Number.isFinite(save.timestamp) ? new Date(save.timestamp).toISOString() : null,
+    game: {
+      seed: null,
+      placements: (data.placements || []).map((placement) => (placement
+        ? {
+          player: placement.player ?? null,
+          combo: cloneCombo(placement.combo),
+          rotationStep: placement.rotationStep ?? 0,
+          sideColors: Array.isArray(placement.sideColors) ? placement.sideColors.slice() : null,
+        }
+        : null)),
+      playerScores: data.playerScores,
+      colonPositions: data.colonPositions,
+      colonMoveRemaining: data.colonMoveRemaining,
+      colonPlacementUsed: data.colonPlacementUsed,
+      turnState: data.turnState,
+      overlayByJunction: svgState.overlayByJunction,
+      castleByJunction: svgState.castleByJunction,
+      outpostByJunction: svgState.outpostByJunction,
+      amenagementColorByKey: data.amenagementColorByKey,
+    },
+    settings: null,
+    palette: {
+      colors: svgState.colors ?? null,
+      typesPct: svgState.typesPct ?? null,
+      colorPct: svgState.colorPct ?? null,
+      combos: [],
+      selected: -1,
+    },
+  };
+}
+
+/**
+ * Version 3 : ajout du journal de partie (`events`). Les parties plus anciennes
+ * n'en ont pas ; leur relecture commence a l'etat charge.
+ */
+function migrateSaveV2ToV3(save) {
+  return { ...save, version: 3, events: [] };
+}
+
+/**
+ * Version 4 : le sac de tuiles et les tuiles proposees passent dans l'etat du moteur
+ * (`game.tileBag`, `game.paletteSlots`). Les parties plus anciennes n'ont pas de sac :
+ * un nouveau est tire au chargement.
+ */
+function migrateSaveV3ToV4(save) {
+  const { combos, ...palette } = save.palette ?? {};
+  return { ...save, version: 4, game: { ...save.game, tileBag: null, paletteSlots: null }, palette };
+}
+
+/**
+ * Version 5 : les joueurs de la partie (`game.players`, 2 a 6 avec nom et blason).
+ * Les parties plus anciennes se jouaient toujours a six joueurs.
+ */
+function migrateSaveV4ToV5(save) {
+  return { ...save, version: 5, game: { ...save.game, players: createPlayerProfiles(MAX_PLAYERS) } };
+}
+
+/**
+ * Version 6 : forme et rayon du plateau (`game.board`). Les parties plus anciennes
+ * se jouaient sur l'hexagone de rayon RADIUS.
+ */
+function migrateSaveV5ToV6(save) {
+  return { ...save, version: 6, game: { ...save.game, board: { ...DEFAULT_BOARD } } };
+}
+
+// Cle = version de depart ; chaque migration produit la version suivante.
+const SAVE_MIGRATIONS = {
+  1: migrateSaveV1ToV2,
+  2: migrateSaveV2ToV3,
+  3: migrateSaveV3ToV4,
+  4: migrateSaveV4ToV5,
+  5: migrateSaveV5ToV6,
+};
+
+/**
+ * Construit une sauvegarde complete de la partie courante.
+ * @param {Object} engine - Moteur cree par createGameEngine
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Reglages de partie
+ * @param {Object} [options.palette] - Couleurs, pourcentages et tuile selectionnee
+ * @returns {Object} Sauvegarde serialisable en JSON
+ */
+function createGameSave(engine, { settings = null, palette = {} } = {}) {
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    game: engine.exportState(),
+    events: engine.getEventLog(),
+    settings: settings ? JSON.parse(JSON.stringify(settings)) : null,
+    palette: {
+      colors: Array.isArray(palette.colors) ? palette.colors.slice() : null,
+      typesPct: Array.isArray(palette.typesPct) ? palette.typesPct.slice() : null,
+      colorPct: Array.isArray(palette.colorPct) ? palette.colorPct.slice() : null,
+      selected: Number.isInteger(palette.selected) ? palette.selected : -1,
+    },
+  };
+}
+
+/**
+ * Detecte la version d'une sauvegarde. Les photographies de synchronisation
+ * (sans champ `version`) sont traitees comme la version 1.
+ */
+function detectSaveVersion(save) {
+  if (Number.isInteger(save?.version)) return save.version;
+  if (Array.isArray(save?.data?.placements) || Array.isArray(save?.placements)) return 1;
+  return null;
+}
+
+/**
+ * Amene une sauvegarde a la version courante en appliquant les migrations successives.
+ * @param {Object} save - Sauvegarde brute (deja parsee)
+ * @returns {Object} Sauvegarde au format SAVE_SCHEMA_VERSION
+ */
+function migrateGameSave(save) {
+  let version = detectSaveVersion(save);
+  if (version == null) throw new Error('Fichier de sauvegarde non reconnu');
+  if (version > SAVE_SCHEMA_VERSION) {
+    throw new Error(`Sauvegarde en version ${version}, non prise en charge (max ${SAVE_SCHEMA_VERSION})`);
+  }
+  let current = save;
+  while (version < SAVE_SCHEMA_VERSION) {
+    const migrate = SAVE_MIGRATIONS[version];
+    if (!migrate) throw new Error(`Aucune migration depuis la version ${version}`);
+    current = migrate(current);
+    version = current.version;
+  }
+  if (current.format !== SAVE_FORMAT || !current.game) throw new Error('Fichier de sauvegarde non reconnu');
+  return current;
+}
+
+/**
+ * Lit le texte d'un fichier de sauvegarde.
+ * @param {string} text - Contenu JSON
+ * @returns {Object} Sauvegarde migree a la version courante
+ */
+function parseGameSave(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Fichier de sauvegarde illisible (JSON invalide)');
+  }
+  return migrateGameSave(raw);
+}
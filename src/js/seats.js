@@ -0,0 +1,188 @@
+// Fichier: src/js/seats.js
+// Description: Sieges des joueurs : quel poste (onglet ou client du relais) joue pour quel joueur, et role d'hote.
+
+// Poste sans coup joue depuis ce delai : l'hote peut l'exclure.
+const SEAT_IDLE_LIMIT_MS = 2 * 60 * 1000;
+
+function normalizeSeatList(seats) {
+  if (!Array.isArray(seats)) return [];
+  return [...new Set(seats.map(Number).filter(Number.isInteger))].sort((a, b) => a - b);
+}
+
+/**
+ * Registre des sieges. Chaque poste revendique des sieges ; un siege revient au poste
+ * arrive le plus tot parmi ceux qui le revendiquent. La regle ne depend que du contenu
+ * du registre : des onglets qui recoivent les memes annonces en tirent le meme resultat.
+ * L'hote est le poste present arrive le plus tot.
+ * @returns {Object} Registre (upsert, remove, ownerOf, seatsOf, controlledBy, hostId, assign, list...)
+ */
+function createSeatRoster() {
+  const clients = new Map();
+
+  function compareArrival(a, b) {
+    return a.joinedAt - b.joinedAt || String(a.id).localeCompare(String(b.id));
+  }
+
+  function sortedClients() {
+    return [...clients.values()].sort(compareArrival);
+  }
+
+  /**
+   * Ajoute ou met a jour un poste.
+   * @param {string|number} id
+   * @param {Object} [record]
+   * @param {number[]} [record.claims] - Sieges revendiques
+   * @param {number} [record.joinedAt] - Arrivee du poste (ordre de priorite)
+   * @param {number} [record.lastActiveAt] - Dernier coup joue
+   * @param {number} [record.lastSeenAt] - Derniere annonce recue
+   */
+  function upsert(id, record = {}) {
+    const previous = clients.get(id);
+    const now = Date.now();
+    const joinedAt = record.joinedAt ?? previous?.joinedAt ?? now;
+    clients.set(id, {
+      id,
+      claims: normalizeSeatList(record.claims ?? previous?.claims),
+      joinedAt,
+      lastActiveAt: record.lastActiveAt ?? previous?.lastActiveAt ?? joinedAt,
+      lastSeenAt: record.lastSeenAt ?? now,
+    });
+  }
+
+  function remove(id) {
+    return clients.delete(id);
+  }
+
+  function has(id) {
+    return clients.has(id);
+  }
+
+  function ownerOf(player) {
+    return sortedClients().find((client) => client.claims.includes(player))?.id ?? null;
+  }
+
+  function seatsOf(id) {
+    const client = clients.get(id);
+    return client ? client.claims.filter((player) => ownerOf(player) === id) : [];
+  }
+
+  function claimsOf(id) {
+    return clients.get(id)?.claims.slice() ?? [];
+  }
+
+  function hasOwners() {
+    return [...clients.values()].some((client) => client.claims.length > 0);
+  }
+
+  /**
+   * Joueurs pour lesquels un poste peut jouer. Tant qu'aucun siege n'est revendique, chaque
+   * poste joue pour tous ; ensuite seulement pour ses sieges (aucun : spectateur).
+   * @param {string|number} id
+   * @returns {?number[]} null : tous les joueurs
+   */
+  function controlledBy(id) {
+    return hasOwners() ? seatsOf(id) : null;
+  }
+
+  function hostId() {
+    return sortedClients()[0]?.id ?? null;
+  }
+
+  /**
+   * Remplace les revendications d'un poste ; les sieges deja tenus par un autre poste sont ignores.
+   * @param {string|number} id
+   * @param {number[]} seats
+   * @returns {number[]} Sieges revendiques apres l'appel
+   */
+  function claim(id, seats) {
+    if (!clients.has(id)) return [];
+    const granted = normalizeSeatList(seats).filter((player) => {
+      const owner = ownerOf(player);
+      return owner === null || owner === id;
+    });
+    clients.get(id).claims = granted;
+    return granted.slice();
+  }
+
+  /**
+   * Donne des sieges a un poste (decision de l'hote) : ils sont retires aux autres postes.
+   * @param {string|number} targetId
+   * @param {number[]} seats - Sieges du poste apres attribution
+   * @returns {boolean} false si le poste est inconnu
+   */
+  function assign(targetId, seats) {
+    const target = clients.get(targetId);
+    if (!target) return false;
+    const list = normalizeSeatList(seats);
+    clients.forEach((client) => {
+      if (client.id !== targetId) client.claims = client.claims.filter((player) => !list.includes(player));
+    });
+    target.claims = list;
+    return true;
+  }
+
+  function touch(id, at = Date.now()) {
+    const client = clients.get(id);
+    if (client) client.lastActiveAt = at;
+  }
+
+  function isIdle(id, now = Date.now(), limitMs = SEAT_IDLE_LIMIT_MS) {
+    const client = clients.get(id);
+    return Boolean(client) && now - client.lastActiveAt >= limitMs;
+  }
+
+  // Retire les postes muets depuis `timeoutMs` (onglet ferme sans au revoir)
+  function prune(now, timeoutMs) {
+    const removed = [];
+    clients.forEach((client, id) => {
+      if (now - client.lastSeenAt > timeoutMs) removed.push(id);
+    });
+    removed.forEach((id) => clients.delete(id));
+    return removed;
+  }
+
+  /**
+   * Vue du registre pour l'affichage et l'envoi aux postes.
+   * @param {number} [now]
+   * @returns {{id, claims: number[], seats: number[], host: boolean, joinedAt: number, lastActiveAt: number, idle: boolean}[]}
+   */
+  function list(now = Date.now()) {
+    const host = hostId();
+    return sortedClients().map((client) => ({
+      id: client.id,
+      claims: client.claims.slice(),
+      seats: seatsOf(client.id),
+      host: client.id === host,
+      joinedAt: client.joinedAt,
+      lastActiveAt: client.lastActiveAt,
+      idle: isIdle(client.id, now),
+    }));
+  }
+
+  // Remplace le registre par une vue recue (registre tenu par le relais)
+  function load(entries, now = Date.now()) {
+    clients.clear();
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      upsert(entry.id, { claims: entry.claims, joinedAt: entry.joinedAt, lastActiveAt: entry.lastActiveAt, lastSeenAt: now });
+    });
+  }
+
+  return {
+    upsert,
+    remove,
+    has,
+    ownerOf,
+    seatsOf,
+    claimsOf,
+    hasOwners,
+    controlledBy,
+    hostId,
+    claim,
+    assign,
+    touch,
+    isIdle,
+    prune,
+    list,
+    load,
+  };
+}
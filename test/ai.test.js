@@ -0,0 +1,72 @@
+/**
+ * Computer players: every generated move is legal and the chosen move is one of them.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+const noise = () => 0.5;
+
+// Game advanced by the easy AI, so that structures, colons and the market come into play,
+// stopped at the start of a turn
+function midGameEngine(actions = 24) {
+  const engine = runtime.createGameEngine({ seed: 31, players: 2 });
+  engine.reset();
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  for (let count = 0; count < actions; count++) {
+    const move = runtime.chooseAiMove(engine, 'easy', { random: noise });
+    if (move) runtime.applyAiMove(engine, engine.state.turnState.activePlayer, move);
+    else engine.endTurn();
+  }
+  engine.endTurn();
+  return engine;
+}
+
+test('every generated move is accepted by the engine', () => {
+  const engine = midGameEngine();
+  const player = engine.state.turnState.activePlayer;
+  const moves = runtime.generateLegalMoves(engine, player);
+  const types = new Set(moves.map((move) => move.type));
+  assert.ok(types.has('placeTile') && types.has('moveColon'), `move types: ${[...types]}`);
+
+  const saved = engine.exportState();
+  const replica = runtime.createGameEngine({ seed: 31, players: 2, recordHistory: false });
+  moves.forEach((move) => {
+    replica.importState(saved);
+    const result = runtime.applyAiMove(replica, player, move);
+    assert.equal(result.ok, true, `${JSON.stringify(move)}: ${result.reason}`);
+  });
+});
+
+test('no move is offered to a waiting player or after the game is over', () => {
+  const engine = midGameEngine(4);
+  const waiting = engine.playerIds.find((player) => player !== engine.state.turnState.activePlayer);
+  assert.deepEqual([...runtime.generateLegalMoves(engine, waiting)], []);
+
+  engine.settings.endCondition = 'turnLimit';
+  engine.settings.endTurnLimit = 1;
+  engine.endTurn();
+  assert.equal(engine.isGameOver(), true);
+  assert.deepEqual([...runtime.generateLegalMoves(engine)], []);
+  assert.equal(runtime.chooseAiMove(engine, 'hard'), null);
+});
+
+test('each level chooses one of the legal moves', () => {
+  const engine = midGameEngine();
+  const player = engine.state.turnState.activePlayer;
+  const legal = runtime.generateLegalMoves(engine, player).map((move) => JSON.stringify({ ...move }));
+  const before = JSON.stringify(engine.exportState());
+  runtime.PLAYER_AI_LEVELS.forEach((level) => {
+    const move = runtime.chooseAiMove(engine, level, { random: noise });
+    assert.ok(move === null || legal.includes(JSON.stringify({ ...move })), `${level}: ${JSON.stringify(move)}`);
+  });
+  assert.equal(JSON.stringify(engine.exportState()), before, 'the search does not touch the game');
+});
+
+test('an unknown move is refused', () => {
+  const engine = runtime.createGameEngine({ seed: 31, players: 2 });
+  assert.deepEqual({ ...runtime.applyAiMove(engine, 1, { type: 'teleport' }) }, { ok: false, reason: 'ai-unknown-move' });
+});
@@ -0,0 +1,63 @@
+/**
+ * Autosave records and their per-game retention cap, on the localStorage fallback store.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+// In-memory Storage (getItem / setItem), enough for the fallback store
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+function savedAt(minute) {
+  return new Date(Date.UTC(2024, 0, 1, 12, minute)).toISOString();
+}
+
+test('an autosave record summarizes the save it holds', () => {
+  const engine = runtime.createGameEngine({ seed: 9, players: 2 });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  engine.placeTile(engine.centerTileIdx, engine.state.paletteSlots[0], { paletteSlot: 0, rotationStep: 0 });
+  engine.endTurn();
+  const save = runtime.createGameSave(engine);
+
+  const record = runtime.createAutosaveRecord('game-a', save);
+  assert.deepEqual(
+    { gameId: record.gameId, seed: record.seed, turnNumber: record.turnNumber, activePlayer: record.activePlayer, placedCount: record.placedCount },
+    { gameId: 'game-a', seed: 9, turnNumber: 1, activePlayer: 2, placedCount: 1 },
+  );
+  assert.equal(record.savedAt, save.savedAt);
+  assert.equal(record.save, save);
+});
+
+test('the store keeps the newest autosaves of a game up to the retention cap', async () => {
+  const store = runtime.createAutosaveStore({ indexedDB: null, storage: createMemoryStorage() });
+  assert.equal(store.kind, 'localstorage');
+  const cap = runtime.AUTOSAVE_RETENTION_PER_GAME;
+
+  for (let minute = 0; minute < cap + 3; minute++) {
+    await store.put({ gameId: 'game-a', savedAt: savedAt(minute) });
+    await store.prune('game-a', cap);
+  }
+  await store.put({ gameId: 'game-b', savedAt: savedAt(0) });
+  await store.prune('game-a', cap);
+
+  const records = [...(await store.list())];
+  const gameA = records.filter((record) => record.gameId === 'game-a');
+  assert.equal(gameA.length, cap);
+  assert.deepEqual(gameA.map((record) => record.savedAt), Array.from({ length: cap }, (_, idx) => savedAt(cap + 2 - idx)));
+  assert.equal(records.filter((record) => record.gameId === 'game-b').length, 1, 'other games are kept');
+  assert.equal(records[0].savedAt, savedAt(cap + 2), 'newest first');
+});
+
+test('without IndexedDB nor localStorage there is no autosave store', () => {
+  assert.equal(runtime.createAutosaveStore({ indexedDB: null, storage: null }), null);
+});
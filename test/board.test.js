@@ -0,0 +1,79 @@
+/**
+ * Board shapes and radius: tile counts, normalization of board specs and boards in a game.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+const EXPECTED_TILE_COUNTS = {
+  hexagon: (radius) => 3 * radius * (radius + 1) + 1,
+  triangle: (radius) => ((2 * radius + 3) * (2 * radius + 4)) / 2,
+  rhombus: (radius) => (2 * radius - 1) ** 2,
+};
+
+test('each regular shape has the expected number of distinct tiles at every radius', () => {
+  Object.entries(EXPECTED_TILE_COUNTS).forEach(([shape, count]) => {
+    for (let radius = runtime.MIN_BOARD_RADIUS; radius <= runtime.MAX_BOARD_RADIUS; radius++) {
+      const tiles = runtime.generateBoardTiles({ shape, radius });
+      assert.equal(tiles.length, count(radius), `${shape} ${radius}`);
+      assert.equal(new Set(tiles.map((tile) => `${tile.q},${tile.r}`)).size, tiles.length);
+      assert.ok(tiles.every((tile) => tile.q + tile.r + tile.s === 0));
+    }
+  });
+});
+
+test('board specs are clamped and unknown or too small boards fall back to the hexagon', () => {
+  const spec = (board) => ({ ...runtime.normalizeBoardSpec(board) });
+  assert.deepEqual(spec({ shape: 'triangle', radius: 1 }), { shape: 'triangle', radius: runtime.MIN_BOARD_RADIUS });
+  assert.deepEqual(spec({ shape: 'rhombus', radius: 99 }), { shape: 'rhombus', radius: runtime.MAX_BOARD_RADIUS });
+  assert.deepEqual(spec({ shape: 'star', radius: 5 }), { shape: 'hexagon', radius: 5 });
+  assert.deepEqual(spec(null), { ...runtime.DEFAULT_BOARD });
+  assert.deepEqual(spec({ shape: 'custom', radius: 5, cells: [[0, 0], [1, 0], [0, 1]] }), { shape: 'hexagon', radius: 5 });
+
+  const cells = [[0, 0], [1, 0], [0, 1], [1, 0], [-1, 1], [-1, 0], [0, -1], [1, -1], { q: 2, r: -1 }];
+  const custom = runtime.normalizeBoardSpec({ shape: 'custom', radius: 5, cells });
+  assert.equal(custom.cells.length, 8, 'duplicate cells are dropped');
+  assert.equal(runtime.generateBoardTiles(custom).length, 8);
+});
+
+test('a game on a triangle board starts its colons on the most central tile', () => {
+  const board = { shape: 'triangle', radius: 4 };
+  const engine = runtime.createGameEngine({ seed: 2, players: 2, board });
+  assert.equal(engine.tiles.length, EXPECTED_TILE_COUNTS.triangle(4));
+  assert.deepEqual({ ...engine.state.board }, board);
+
+  const distance = (tile) => Math.max(Math.abs(tile.q), Math.abs(tile.r), Math.abs(tile.s));
+  const closest = Math.min(...engine.tiles.map(distance));
+  assert.equal(distance(engine.tiles[engine.centerTileIdx]), closest);
+  assert.deepEqual([...engine.state.colonPositions], [engine.centerTileIdx, engine.centerTileIdx]);
+
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  assert.equal(engine.state.tileBag.length + engine.state.paletteSlots.length, engine.tiles.length);
+});
+
+test('neighbors are mutual on every shape', () => {
+  ['hexagon', 'triangle', 'rhombus'].forEach((shape) => {
+    const { neighbors } = runtime.buildNeighborData(runtime.generateBoardTiles({ shape, radius: 4 }));
+    neighbors.forEach((list, tileIdx) => {
+      list.forEach((neighborIdx, dir) => {
+        if (neighborIdx >= 0) assert.equal(neighbors[neighborIdx][(dir + 3) % 6], tileIdx, `${shape} ${tileIdx}`);
+      });
+    });
+  });
+});
+
+test('reset with another board rebuilds the grid and empties it', () => {
+  const engine = runtime.createGameEngine({ seed: 2, players: 2 });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  engine.placeTile(engine.centerTileIdx, engine.state.paletteSlots[0], { paletteSlot: 0, rotationStep: 0 });
+
+  assert.equal(engine.reset({ board: { shape: 'rhombus', radius: 5 } }).ok, true);
+  assert.equal(engine.tiles.length, EXPECTED_TILE_COUNTS.rhombus(5));
+  assert.equal(engine.state.placements.length, engine.tiles.length);
+  assert.equal(engine.state.placedCount, 0);
+  assert.equal(engine.state.emptyTiles.size, engine.tiles.length);
+});
@@ -0,0 +1,75 @@
+/**
+ * Per-player resource capacity and influence radius, both raised by buildings.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+const GRANARY = 'building-granary';
+const GUILD_HOUSE = 'building-guild-house';
+const HARBOR = 'building-harbor';
+
+// Closest tile distance between two junctions, as the influence rules measure it
+function junctionDistance(engine, keyA, keyB) {
+  const tilesA = engine.junctionMap.get(keyA).tiles;
+  const tilesB = engine.junctionMap.get(keyB).tiles;
+  return Math.min(...tilesA.flatMap((a) => tilesB.map((b) => engine.hexDistance(a, b))));
+}
+
+test('the granary raises the bread capacity and the stock is read within the capacity', () => {
+  const engine = runtime.createGameEngine({ seed: 4, players: 2 });
+  const { BREAD, WOOD } = runtime.RESOURCE_TYPES;
+  const record = engine.getPlayerRecord(1);
+  record.stock[BREAD] = 10;
+
+  assert.equal(engine.getPlayerResourceCapacity(1)[BREAD], 6);
+  assert.equal(engine.getPlayerResourceStock(1)[BREAD], 6);
+
+  record.buildings.add(GRANARY);
+  assert.equal(engine.getPlayerResourceCapacity(1)[BREAD], 8);
+  assert.equal(engine.getPlayerResourceCapacity(1)[WOOD], 6, 'other resources keep the base capacity');
+  assert.equal(engine.getPlayerResourceStock(1)[BREAD], 8);
+  assert.equal(engine.getPlayerResourceCapacity(2)[BREAD], 6, 'only the owner benefits');
+});
+
+test('a conversion into a full resource is refused', () => {
+  const engine = runtime.createGameEngine({ seed: 4, players: 2 });
+  const { WOOD, FABRIC } = runtime.RESOURCE_TYPES;
+  const record = engine.getPlayerRecord(1);
+  record.buildings.add(HARBOR);
+  record.stock[WOOD] = 2;
+  record.stock[FABRIC] = 6;
+
+  assert.equal(engine.evaluateConversion(1, HARBOR).reason, 'conversion-capacity-full');
+  assert.equal(engine.convertResource(1, HARBOR).reason, 'conversion-capacity-full');
+  record.stock[FABRIC] = 5;
+  assert.equal(engine.convertResource(1, HARBOR).ok, true);
+  assert.equal(engine.getPlayerResourceStock(1)[FABRIC], 6);
+});
+
+test('the guild house extends the influence radius around the castle', () => {
+  const engine = runtime.createGameEngine({ seed: 4, players: 2 });
+  const keys = [...engine.junctionMap.keys()];
+  const castleKey = keys[0];
+  const targetKey = keys.find((key) => junctionDistance(engine, castleKey, key) === 2);
+  engine.state.castleByJunction.set(castleKey, 1);
+  const target = engine.junctionMap.get(targetKey);
+
+  assert.equal(engine.getInfluenceRadius(1), runtime.DEFAULT_GAME_SETTINGS.influenceRadius);
+  assert.equal(engine.playerHasInfluenceForEntry(1, target), false);
+
+  engine.getPlayerRecord(1).buildings.add(GUILD_HOUSE);
+  assert.equal(engine.getInfluenceRadius(1), runtime.DEFAULT_GAME_SETTINGS.influenceRadius + 1);
+  assert.equal(engine.playerHasInfluenceForEntry(1, target), true);
+  assert.equal(engine.getInfluenceRadius(2), runtime.DEFAULT_GAME_SETTINGS.influenceRadius);
+});
+
+test('the influence radius starts from the game setting', () => {
+  const engine = runtime.createGameEngine({ seed: 4, players: 2, settings: runtime.createGameSettings({ influenceRadius: 3 }) });
+  engine.getPlayerRecord(1).buildings.add(GUILD_HOUSE);
+  assert.equal(engine.getInfluenceRadius(1), 4);
+  assert.equal(engine.getInfluenceRadius(2), 3);
+});
@@ -0,0 +1,70 @@
+/**
+ * Colon grants of purchased buildings: bonus steps (Loge) and a one-off deployment (Garnison).
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+const EXPEDITION_HALL = 'building-expedition-hall';
+const GARRISON = 'building-garrison';
+
+// Player 1 holds the contract and everything needed to build it
+function engineWithContract(cardId) {
+  const engine = runtime.createGameEngine({ seed: 3, players: 2 });
+  const record = engine.getPlayerRecord(1);
+  record.contracts.add(cardId);
+  Object.values(runtime.RESOURCE_TYPES).forEach((resource) => { record.stock[resource] = 2; });
+  engine.state.playerScores[0] = 10;
+  return engine;
+}
+
+function tileAtDistance(engine, player, distance) {
+  const origin = engine.state.colonPositions[engine.playerIndex(player)];
+  return engine.getColonDestinations(player).find((tileIdx) => engine.hexDistance(origin, tileIdx) === distance);
+}
+
+test('the Loge adds two colon steps to the turn', () => {
+  const engine = engineWithContract(EXPEDITION_HALL);
+  const steps = runtime.DEFAULT_GAME_SETTINGS.colonStepsPerTurn;
+  assert.equal(engine.getColonReach(1), steps);
+
+  assert.equal(engine.buildContract(1, EXPEDITION_HALL).ok, true);
+  const grant = engine.getEventLog().at(-1).notes.find((note) => note.reason === 'colonGrant');
+  assert.deepEqual({ ...grant }, { reason: 'colonGrant', card: EXPEDITION_HALL, grant: 'steps' });
+  assert.equal(engine.getColonReach(1), steps + 2);
+
+  const moved = engine.moveColon(1, tileAtDistance(engine, 1, steps + 2));
+  assert.deepEqual({ ...moved }, { ok: true, reason: '', distance: steps + 2, mode: 'steps' });
+  const neighbor = engine.neighbors[engine.state.colonPositions[0]].find((tileIdx) => tileIdx >= 0);
+  assert.equal(engine.moveColon(1, neighbor).reason, 'colon-exhausted');
+});
+
+test('the Garnison deploys the colon once at range 2 after the regular steps are spent', () => {
+  const engine = engineWithContract(GARRISON);
+  assert.equal(engine.buildContract(1, GARRISON).ok, true);
+  assert.equal(engine.getPlayerScore(1), 10 - 6 + 8, 'the building costs 6 PV and rewards 8');
+
+  assert.equal(engine.moveColon(1, tileAtDistance(engine, 1, 2)).ok, true);
+  assert.equal(engine.getColonReach(1), 2, 'the deployment is still available');
+  const deployed = engine.moveColon(1, tileAtDistance(engine, 1, 2));
+  assert.deepEqual({ ...deployed }, { ok: true, reason: '', distance: 2, mode: 'deploy' });
+  assert.equal(engine.getColonReach(1), 0);
+});
+
+test('unused colon grants expire at the end of the turn', () => {
+  const engine = engineWithContract(GARRISON);
+  engine.getPlayerRecord(1).contracts.add(EXPEDITION_HALL);
+  assert.equal(engine.buildContract(1, GARRISON).ok, true);
+  assert.equal(engine.buildContract(1, EXPEDITION_HALL).ok, true);
+  assert.equal(engine.state.colonDeployRange[0], 2);
+  assert.equal(engine.state.colonBonusSteps[0], 2);
+
+  engine.endTurn();
+  engine.endTurn();
+  assert.equal(engine.state.colonDeployRange[0], 0);
+  assert.equal(engine.state.colonBonusSteps[0], 0);
+  assert.equal(engine.getColonReach(1), runtime.DEFAULT_GAME_SETTINGS.colonStepsPerTurn);
+});
@@ -0,0 +1,84 @@
+/**
+ * Edge-matching rules: exact, majority, wildcard color and one tolerated mismatch for a cost.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+const mono = (color) => ({ type: 1, colors: [color], units: [3], rotationStep: 0 });
+const sides = (color) => new Array(6).fill(color);
+
+/**
+ * Board where the target tile touches three placed tiles of colors 0, 0 and 1.
+ * The board is laid out under the tolerant `oneMismatch` rule, then the rule under test applies.
+ */
+function threeNeighborBoard(overrides) {
+  const engine = runtime.createGameEngine({ seed: 6, players: 2, settings: runtime.createGameSettings(overrides) });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  const center = engine.centerTileIdx;
+  const [first, target, third] = engine.neighbors[center];
+  const rule = engine.settings.edgeMatchRule;
+  engine.settings.edgeMatchRule = 'oneMismatch';
+  [[center, 0], [first, 0], [third, 1]].forEach(([tileIdx, color]) => {
+    assert.equal(engine.placeTile(tileIdx, mono(color), { player: null, trackResources: false }).ok, true);
+  });
+  engine.settings.edgeMatchRule = rule;
+  engine.state.playerScores[0] = 5;
+  return { engine, target };
+}
+
+test('the exact rule refuses any mismatched side', () => {
+  const { engine, target } = threeNeighborBoard({ edgeMatchRule: 'exact' });
+  const validation = engine.validatePlacement(target, sides(0));
+  assert.equal(validation.reason, 'side-mismatch');
+  assert.equal(validation.issues.length, 1);
+  assert.equal(validation.issues[0].expected, 1);
+});
+
+test('the majority rule accepts a strict majority of matching sides', () => {
+  const { engine, target } = threeNeighborBoard({ edgeMatchRule: 'majority' });
+  const accepted = engine.validatePlacement(target, sides(0));
+  assert.equal(accepted.ok, true);
+  assert.equal(accepted.tolerated.length, 1);
+  assert.equal(accepted.cost, 0);
+
+  const refused = engine.validatePlacement(target, sides(1));
+  assert.equal(refused.reason, 'edge-rule');
+  assert.deepEqual({ ...refused.issues[0] }, { reason: 'edge-rule', tileIdx: target, rule: 'majority', shared: 3, mismatched: 2 });
+  assert.deepEqual([...refused.issues].slice(1).map((issue) => issue.reason), ['side-mismatch', 'side-mismatch']);
+});
+
+test('the wildcard color matches every other color', () => {
+  const { engine, target } = threeNeighborBoard({ edgeMatchRule: 'wildcard', wildcardColor: 1 });
+  assert.equal(engine.validatePlacement(target, sides(0)).ok, true, 'the wildcard neighbor matches color 0');
+  assert.equal(engine.validatePlacement(target, sides(1)).ok, true, 'a wildcard tile matches everything');
+  assert.equal(engine.validatePlacement(target, sides(2)).reason, 'side-mismatch');
+});
+
+test('the oneMismatch rule tolerates a single mismatch and charges its cost', () => {
+  const { engine, target } = threeNeighborBoard({ edgeMatchRule: 'oneMismatch', mismatchCost: 3 });
+  assert.equal(engine.validatePlacement(target, sides(1)).reason, 'edge-rule');
+  assert.equal(engine.validatePlacement(target, sides(0)).cost, 3);
+
+  const ledgerSize = engine.state.scoreLedger.length;
+  const result = engine.placeTile(target, mono(0), { player: 1 });
+  assert.equal(result.ok, true);
+  const penalty = [...engine.state.scoreLedger].slice(ledgerSize).find((entry) => entry.source === 'edge-mismatch');
+  assert.equal(penalty.delta, -3);
+  assert.equal(penalty.player, 1);
+});
+
+test('the mismatch cost is capped at the score of the player', () => {
+  const { engine, target } = threeNeighborBoard({ edgeMatchRule: 'oneMismatch', mismatchCost: 9 });
+  const result = engine.placeTile(target, mono(0), { player: 1 });
+  assert.equal(result.ok, true);
+  // 5 points before the placement, plus the points for three neighbors, all lost to the penalty
+  const earned = runtime.DEFAULT_GAME_SETTINGS.neighborPoints[3];
+  assert.equal(engine.state.scoreLedger.find((entry) => entry.source === 'edge-mismatch').delta, -(5 + earned));
+  assert.equal(engine.getPlayerScore(1), 0);
+  assert.equal(result.points, -5, 'the placement reports its points net of the penalty');
+});
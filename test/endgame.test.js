@@ -0,0 +1,72 @@
+/**
+ * End conditions and the final scoring of endgame building effects.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+function createEngine(overrides) {
+  return runtime.createGameEngine({ seed: 5, players: 2, settings: runtime.createGameSettings(overrides) });
+}
+
+// A turn number covers one round: every player ends a turn
+function playRound(engine) {
+  engine.playerIds.forEach(() => engine.endTurn());
+}
+
+test('the turn limit ends the game once the last round is over', () => {
+  const engine = createEngine({ endCondition: 'turnLimit', endTurnLimit: 2 });
+  playRound(engine);
+  engine.endTurn();
+  assert.equal(engine.isGameOver(), false);
+  engine.endTurn();
+  assert.equal(engine.isGameOver(), true);
+  assert.equal(engine.state.endState.reason, 'turnLimit');
+  assert.equal(engine.getEventLog().at(-1).notes.at(-1).reason, 'gameOver');
+
+  const result = engine.endTurn();
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'game-over');
+});
+
+test('the score threshold ends the game and ranks players by score', () => {
+  const engine = createEngine({ endCondition: 'scoreThreshold', endScoreThreshold: 10 });
+  engine.state.playerScores[1] = 9;
+  engine.endTurn();
+  assert.equal(engine.isGameOver(), false);
+
+  engine.state.playerScores[1] = 10;
+  engine.endTurn();
+  assert.equal(engine.state.endState.reason, 'scoreThreshold');
+  assert.deepEqual([...engine.state.endState.ranking], [2, 1]);
+  assert.deepEqual([...engine.state.endState.finalScores], [0, 10]);
+});
+
+test('endgame building effects are scored into the final scores', () => {
+  const engine = createEngine({ endCondition: 'turnLimit', endTurnLimit: 1 });
+  const buildings = engine.getPlayerRecord(1).buildings;
+  // The weaver counts the other fabric cards; the harvest hall wants three green tiles
+  buildings.add('building-weaver');
+  buildings.add('building-arsenal-annex');
+  buildings.add('building-harvest-hall');
+
+  playRound(engine);
+  const { scoring, finalScores } = engine.state.endState;
+  assert.deepEqual([...scoring].map((entry) => ({ ...entry })), [
+    { player: 1, source: 'building-weaver', points: 2 },
+    { player: 1, source: 'building-harvest-hall', points: 0 },
+  ]);
+  assert.deepEqual([...finalScores], [2, 0]);
+  assert.equal(engine.getPlayerScore(1), 2);
+});
+
+test('ties on score are broken by crowns', () => {
+  const engine = createEngine({ endCondition: 'turnLimit', endTurnLimit: 1 });
+  engine.getPlayerRecord(2).crowns = 1;
+  playRound(engine);
+  assert.deepEqual([...engine.state.endState.ranking], [2, 1]);
+});
@@ -0,0 +1,86 @@
+/**
+ * Undo/redo commands: exact inverse and forward changes of each action (undo / redo).
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+const snapshot = (engine) => JSON.stringify(engine.exportState());
+
+// Seeded game played by the easy AI; returns the state after each accepted action
+function playActions(engine, count) {
+  const states = [snapshot(engine)];
+  while (states.length <= count) {
+    const player = engine.state.turnState.activePlayer;
+    const move = runtime.chooseAiMove(engine, 'easy', { random: () => 0.5 });
+    const result = move ? runtime.applyAiMove(engine, player, move) : engine.endTurn();
+    if (result.ok) states.push(snapshot(engine));
+  }
+  return states;
+}
+
+function createGame() {
+  const engine = runtime.createGameEngine({ seed: 7, players: 3 });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  return engine;
+}
+
+test('undo steps back through the exact states of the game, redo replays them', () => {
+  const engine = createGame();
+  const states = playActions(engine, 20);
+  const types = new Set();
+
+  for (let idx = states.length - 2; idx >= 0; idx--) {
+    const result = engine.undo();
+    assert.equal(result.ok, true, result.reason);
+    types.add(result.entry.type);
+    assert.equal(snapshot(engine), states[idx]);
+  }
+  assert.equal(engine.undo().reason, 'history-empty');
+  assert.ok(types.has('placeTile') && types.has('endTurn'), 'placements and turn ends were undone');
+
+  for (let idx = 1; idx < states.length; idx++) {
+    assert.equal(engine.redo().ok, true);
+    assert.equal(snapshot(engine), states[idx]);
+  }
+  assert.equal(engine.redo().reason, 'history-empty');
+});
+
+test('a command keeps only the parts of the state its action changed', () => {
+  const engine = createGame();
+  const combo = engine.state.paletteSlots[0];
+  const bag = engine.state.tileBag.length;
+  assert.equal(engine.placeTile(engine.centerTileIdx, combo, { player: 1, paletteSlot: 0, rotationStep: 0 }).ok, true);
+
+  const { entry } = engine.undo();
+  const keys = entry.undo.map((change) => change.key);
+  assert.ok(keys.includes('placements') && keys.includes('tileBag') && keys.includes('paletteSlots'));
+  ['board', 'players', 'marketState'].forEach((key) => assert.ok(!keys.includes(key), `${key} is untouched`));
+  const placements = entry.undo.find((change) => change.key === 'placements');
+  assert.deepEqual({ start: placements.start, remove: placements.remove }, { start: engine.centerTileIdx, remove: 1 });
+  const tileBag = entry.redo.find((change) => change.key === 'tileBag');
+  assert.deepEqual({ remove: tileBag.remove, insert: tileBag.insert.length }, { remove: 1, insert: 0 });
+  assert.equal(engine.state.tileBag.length, bag, 'the drawn tile is back in the bag');
+});
+
+test('a new action clears the redo stack', () => {
+  const engine = createGame();
+  playActions(engine, 2);
+  engine.undo();
+  assert.equal(engine.canRedo(), true);
+  playActions(engine, 1);
+  assert.equal(engine.canRedo(), false);
+});
+
+test('diffExportedState and patchExportedState round-trip two states', () => {
+  const from = { list: [1, 2, 3, 4], value: { a: 1 }, same: [5] };
+  const to = { list: [1, 9, 9, 4, 7], value: { a: 2 }, same: [5] };
+  const forward = runtime.diffExportedState(from, to);
+  assert.equal(forward.length, 2, 'unchanged keys are left out');
+  assert.equal(JSON.stringify(runtime.patchExportedState(from, forward)), JSON.stringify(to));
+  assert.equal(JSON.stringify(runtime.patchExportedState(to, runtime.diffExportedState(to, from))), JSON.stringify(from));
+  assert.deepEqual(from.list, [1, 2, 3, 4], 'the source state is not modified');
+});
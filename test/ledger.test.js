@@ -0,0 +1,104 @@
+/**
+ * Score ledger: every score movement is recorded, charted by turn and broken down by source.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+function playedEngine(actions = 40) {
+  const engine = runtime.createGameEngine({ seed: 77, players: 2 });
+  engine.reset();
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  for (let count = 0; count < actions && !engine.isGameOver(); count++) {
+    const move = runtime.chooseAiMove(engine, 'easy', { random: () => 0.5 });
+    if (move) runtime.applyAiMove(engine, engine.state.turnState.activePlayer, move);
+    else engine.endTurn();
+  }
+  return engine;
+}
+
+// Engine whose ledger is loaded from a hand-written state
+function engineWithLedger(scoreLedger, turnNumber) {
+  const engine = runtime.createGameEngine({ seed: 77, players: 2 });
+  const data = engine.exportState();
+  data.scoreLedger = scoreLedger;
+  data.turnState.turnNumber = turnNumber;
+  engine.importState(data);
+  return engine;
+}
+
+test('the ledger adds up to the scores and to the score deltas of the event log', () => {
+  const engine = playedEngine();
+  const ledger = [...engine.state.scoreLedger];
+  assert.ok(ledger.length > 0, 'points were scored');
+  engine.playerIds.forEach((player) => {
+    const total = ledger.filter((entry) => entry.player === player).reduce((sum, entry) => sum + entry.delta, 0);
+    assert.equal(total, engine.getPlayerScore(player));
+  });
+
+  engine.getEventLog().forEach((event) => {
+    const fromSources = {};
+    (event.scoreSources ?? []).forEach(({ player, delta }) => { fromSources[player] = (fromSources[player] ?? 0) + delta; });
+    Object.keys(fromSources).forEach((player) => { if (fromSources[player] === 0) delete fromSources[player]; });
+    assert.deepEqual(fromSources, { ...event.scoreDeltas }, `event ${event.seq} ${event.type}`);
+  });
+});
+
+test('the timeline gives the score of each player at the end of each turn', () => {
+  const engine = engineWithLedger([
+    { turn: 1, player: 1, delta: 3, source: 'neighbor:2' },
+    { turn: 1, player: 2, delta: 2, source: 'build:building-bakery' },
+    { turn: 3, player: 1, delta: -1, source: 'mulligan' },
+    { turn: 3, player: 1, delta: 4, source: 'neighbor:4' },
+    { turn: 3, player: 9, delta: 50, source: 'neighbor:1' },
+  ], 4);
+  assert.equal(engine.state.scoreLedger.length, 4, 'entries of unknown players are dropped');
+
+  const { turns, scores } = engine.getScoreTimeline();
+  assert.deepEqual([...turns], [0, 1, 2, 3, 4]);
+  assert.deepEqual([...scores[1]], [0, 3, 3, 6, 6]);
+  assert.deepEqual([...scores[2]], [0, 2, 2, 2, 2]);
+});
+
+test('the breakdown groups points earned and spent by source category', () => {
+  const engine = engineWithLedger([
+    { turn: 1, player: 1, delta: 3, source: 'neighbor:2' },
+    { turn: 2, player: 1, delta: -1, source: 'mulligan' },
+    { turn: 2, player: 1, delta: 4, source: 'neighbor:4' },
+    { turn: 2, player: 1, delta: -2, source: 'market-plan' },
+    { turn: 2, player: 1, delta: 2, source: 'final:building-weaver' },
+    { turn: 2, player: 2, delta: 6, source: 'build:building-bakery' },
+  ], 2);
+  assert.deepEqual([...engine.getScoreBreakdown(1)].map((row) => ({ ...row })), [
+    { category: 'neighbor', earned: 7, spent: 0 },
+    { category: 'market-plan', earned: 0, spent: 2 },
+    { category: 'final', earned: 2, spent: 0 },
+    { category: 'mulligan', earned: 0, spent: 1 },
+  ]);
+  assert.deepEqual([...engine.getScoreBreakdown(2)].map((row) => ({ ...row })), [{ category: 'build', earned: 6, spent: 0 }]);
+});
+
+test('undo removes the ledger entries of the undone action and a save keeps the ledger', () => {
+  const engine = playedEngine(12);
+  engine.endTurn();
+  const player = engine.state.turnState.activePlayer;
+  const before = JSON.stringify(engine.state.scoreLedger);
+  const move = runtime.generateLegalMoves(engine, player, { types: ['placeTile'] })
+    .find((candidate) => engine.previewPlacement(candidate.tileIdx, engine.state.paletteSlots[candidate.paletteSlot], candidate).points > 0);
+  assert.ok(move, 'a scoring placement exists');
+
+  assert.equal(runtime.applyAiMove(engine, player, move).ok, true);
+  assert.notEqual(JSON.stringify(engine.state.scoreLedger), before);
+  engine.undo();
+  assert.equal(JSON.stringify(engine.state.scoreLedger), before);
+  engine.redo();
+
+  const restored = runtime.createGameEngine({ seed: 77, players: 2 });
+  restored.importState(engine.exportState());
+  assert.equal(JSON.stringify(restored.state.scoreLedger), JSON.stringify(engine.state.scoreLedger));
+  assert.equal(JSON.stringify(restored.getScoreTimeline()), JSON.stringify(engine.getScoreTimeline()));
+});
@@ -0,0 +1,41 @@
+/**
+ * Market card effects and contract construction, on the engine loaded in Node.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+const ARSENAL = 'building-arsenal-annex';
+
+test('Annexe de l\'Arsenal sets the castle cost of its owner to 15 PV', () => {
+  const settings = runtime.createGameSettings({ castleCost: 20 });
+  const engine = runtime.createGameEngine({ seed: 1, settings });
+  assert.equal(engine.getCastleCost(1), 20);
+
+  engine.getPlayerRecord(1).buildings.add(ARSENAL);
+  assert.equal(engine.getCastleCost(1), 15);
+  assert.equal(engine.getCastleCost(2), 20, 'other players keep the base cost');
+});
+
+test('modifiers fix a value before adding to it and capping it', () => {
+  const effects = runtime.MARKET_CARD_DEFINITIONS.find((def) => def.id === ARSENAL).effects;
+  assert.deepEqual([...effects].map((effect) => ({ ...effect })), [{ kind: 'modifier', target: 'castleCost', set: 15 }]);
+  assert.equal(runtime.applyCardModifiers('castleCost', 20, [ARSENAL]), 15);
+  assert.equal(runtime.applyCardModifiers('castleCost', 20, []), 20);
+});
+
+test('buildContract refuses with a reason code when resources are missing', () => {
+  const engine = runtime.createGameEngine({ seed: 1 });
+  engine.getPlayerRecord(1).contracts.add(ARSENAL);
+
+  const status = engine.evaluateContractBuildAvailability(1, runtime.getMarketCardDefinition(ARSENAL));
+  assert.deepEqual({ ...status }, { canBuild: false, reason: 'contract-insufficient-resources' });
+
+  const result = engine.buildContract(1, ARSENAL);
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'contract-insufficient-resources');
+  assert.ok(engine.getPlayerRecord(1).contracts.has(ARSENAL), 'the contract stays in hand');
+});
@@ -0,0 +1,76 @@
+/**
+ * Dead palettes: mulligan rules, their cost, and the blocked board that ends the game.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+const mono = (color) => ({ type: 1, colors: [color], units: [3], rotationStep: 0 });
+const comboKey = (combo) => JSON.stringify({ type: combo.type, colors: [...combo.colors] });
+
+// A color-0 tile in the center, then a palette of color-1 tiles that fit nowhere
+function deadPaletteEngine(overrides = {}) {
+  const engine = runtime.createGameEngine({ seed: 12, players: 2, settings: runtime.createGameSettings(overrides) });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  engine.state.paletteSlots[0] = mono(0);
+  assert.equal(engine.placeTile(engine.centerTileIdx, engine.state.paletteSlots[0], { paletteSlot: 0, rotationStep: 0 }).ok, true);
+  engine.state.paletteSlots.forEach((_, slotIdx) => { engine.state.paletteSlots[slotIdx] = mono(1); });
+  engine.state.playerScores[0] = 3;
+  return engine;
+}
+
+test('a palette that fits nowhere is dead but not blocked while the bag can help', () => {
+  const engine = deadPaletteEngine();
+  assert.equal(engine.isPaletteDead(), true);
+  assert.equal(engine.isTilePlayBlocked(), false);
+
+  engine.state.paletteSlots[2] = mono(0);
+  assert.equal(engine.isPaletteDead(), false);
+  assert.equal(engine.mulligan(1, 0).reason, 'mulligan-palette-playable');
+});
+
+test('discardSlot sends one tile under the bag and draws the next for the mulligan cost', () => {
+  const engine = deadPaletteEngine();
+  const head = comboKey(engine.state.tileBag[0]);
+  const bagSize = engine.state.tileBag.length;
+
+  assert.equal(engine.mulligan(1, null).reason, 'mulligan-slot-invalid');
+  assert.equal(engine.mulligan(2, 0).reason, 'mulligan-not-active');
+  const result = engine.mulligan(1, 0);
+  assert.deepEqual({ ...result }, { ok: true, reason: '', rule: 'discardSlot', cost: 1 });
+  assert.equal(comboKey(engine.state.paletteSlots[0]), head);
+  assert.equal(comboKey(engine.state.paletteSlots[1]), comboKey(mono(1)), 'other slots are kept');
+  assert.equal(comboKey(engine.state.tileBag.at(-1)), comboKey(mono(1)));
+  assert.equal(engine.state.tileBag.length, bagSize);
+  assert.equal(engine.getPlayerScore(1), 2);
+});
+
+test('redrawPalette replaces all four tiles', () => {
+  const engine = deadPaletteEngine({ mulliganRule: 'redrawPalette', mulliganCost: 2 });
+  const heads = engine.state.tileBag.slice(0, 4).map(comboKey);
+  assert.equal(engine.mulligan(1).ok, true);
+  assert.deepEqual(engine.state.paletteSlots.map(comboKey), heads);
+  assert.equal(engine.getPlayerScore(1), 1);
+});
+
+test('a mulligan is refused when disabled or unaffordable', () => {
+  assert.equal(deadPaletteEngine({ mulliganRule: 'none' }).mulligan(1, 0).reason, 'mulligan-disabled');
+  const engine = deadPaletteEngine({ mulliganCost: 5 });
+  assert.equal(engine.mulligan(1, 0).reason, 'mulligan-insufficient-pv');
+  assert.equal(engine.getPlayerScore(1), 3);
+});
+
+test('a dead palette with an unplayable bag blocks the board and ends the game', () => {
+  const engine = deadPaletteEngine();
+  engine.state.tileBag.splice(0, engine.state.tileBag.length, mono(2));
+  assert.equal(engine.isTilePlayBlocked(), true);
+  assert.equal(engine.mulligan(1, 0).reason, 'tiles-blocked');
+
+  engine.endTurn();
+  assert.equal(engine.isGameOver(), true);
+  assert.equal(engine.state.endState.reason, 'boardBlocked');
+});
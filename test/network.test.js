@@ -0,0 +1,120 @@
+/**
+ * Network turn-order checks shared by the relay (checkNetworkTurnOrder).
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+function check(event, seats = null, options = {}) {
+  const engine = runtime.createGameEngine({ seed: 1 });
+  return runtime.checkNetworkTurnOrder(engine, event, seats, options).reason;
+}
+
+test('malformed events are refused instead of throwing', () => {
+  assert.equal(check(null), 'event-invalid');
+  assert.equal(check('endTurn'), 'event-invalid');
+  assert.equal(check({ type: 'placeTile', payload: 'x' }), 'event-invalid');
+  assert.equal(check({ type: 'endTurn', payload: 7 }), 'event-invalid');
+  assert.equal(check({ type: 'endTurn', payload: [] }), 'event-invalid');
+  assert.equal(check({ payload: {} }), 'event-invalid');
+});
+
+test('system events are reserved to the host', () => {
+  ['reset', 'importState', 'applySettings', 'fillTileBag'].forEach((type) => {
+    assert.equal(check({ type, payload: {} }, [], { host: false }), 'not-host');
+    assert.equal(check({ type, payload: {} }, [1], { host: true }), '');
+  });
+});
+
+test('only a host load may carry a full state', () => {
+  assert.equal(check({ type: 'undo', payload: { state: {} } }), 'state-refused');
+  assert.equal(check({ type: 'redo', payload: { entryId: 'a:1', state: {} } }), 'state-refused');
+  assert.equal(check({ type: 'remoteHistory', payload: { state: {} } }), 'event-local');
+  assert.equal(check({ type: 'undo', payload: { entryId: 'a:1' } }, [1]), '');
+});
+
+test('moves follow the active player and the sender seats', () => {
+  assert.equal(check({ type: 'endTurn', payload: {} }, [1]), '');
+  assert.equal(check({ type: 'endTurn', payload: {} }, [2]), 'not-your-turn');
+  assert.equal(check({ type: 'moveColon', payload: { player: 2, tileIdx: 0 } }), 'turn-order');
+});
+
+test('private hands of other seats and the bag are masked for a client', () => {
+  const settings = runtime.createGameSettings({ privateHands: true });
+  const engine = runtime.createGameEngine({ seed: 4, players: 3, settings });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  const state = engine.exportState();
+
+  const redacted = runtime.redactHiddenHands(state, [2], { visibleBagTiles: 1 });
+  assert.deepEqual(redacted.playerHands[1], state.playerHands[1]);
+  [0, 2].forEach((idx) => assert.ok(redacted.playerHands[idx].every((combo) => combo.hidden && !combo.colors.length)));
+  assert.ok(redacted.paletteSlots.every((combo) => combo.hidden), 'player 1 is active: the palette shows their hand');
+  assert.deepEqual(redacted.tileBag[0], state.tileBag[0]);
+  assert.ok(redacted.tileBag.slice(1).every((combo) => combo.hidden));
+  assert.equal(redacted.tileBag.length, state.tileBag.length);
+
+  assert.equal(runtime.redactHiddenHands(state, null), state, 'hot-seat: nothing to hide');
+  const viewer = runtime.createGameEngine({ players: 3, settings });
+  assert.equal(viewer.importState(redacted).ok, true);
+  assert.equal(viewer.isTilePlayBlocked(), false);
+});
+
+test('placements take their tile from the palette and keep resource tracking', () => {
+  const engine = runtime.createGameEngine({ seed: 1 });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  const combo = { ...engine.state.paletteSlots[0] };
+  const forged = { type: combo.type, colors: combo.colors.map((color) => (color + 1) % 4), rotationStep: 0 };
+  const placement = (payload) => runtime.checkNetworkTurnOrder(engine, { type: 'placeTile', payload }, [1]).reason;
+  const base = { tileIdx: engine.centerTileIdx, player: 1, rotationStep: 0 };
+
+  assert.equal(placement({ ...base, combo, paletteSlot: 0, trackResources: false }), 'placement-untracked');
+  assert.equal(placement({ ...base, combo }), 'placement-slot-required');
+  assert.equal(placement({ ...base, combo: forged, paletteSlot: 0 }), 'placement-slot-mismatch');
+  assert.equal(placement({ ...base, combo, paletteSlot: 0 }), '');
+  assert.equal(placement({ ...base, paletteSlot: 0 }), '', 'the relay reads the tile from the slot');
+});
+
+test('removals only target pieces of the active player', () => {
+  const engine = runtime.createGameEngine({ seed: 1 });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  const tileIdx = engine.centerTileIdx;
+  assert.equal(engine.placeTile(tileIdx, engine.state.paletteSlots[0], { player: 1, paletteSlot: 0, rotationStep: 0 }).ok, true);
+  engine.state.castleByJunction.set('castle-key', 1);
+  engine.state.overlayByJunction.set('amenagement-key', 1);
+  const removal = (type, payload, seats) => runtime.checkNetworkTurnOrder(engine, { type, payload }, seats).reason;
+
+  assert.equal(removal('removeTile', { tileIdx }, [1]), '');
+  assert.equal(removal('removeStructure', { key: 'castle-key' }, [1]), '');
+  engine.endTurn();
+  assert.equal(removal('removeTile', { tileIdx }, [2]), 'not-owner');
+  assert.equal(removal('removeTile', { tileIdx: tileIdx + 1 }, [2]), 'not-owner', 'nothing to remove');
+  assert.equal(removal('removeStructure', { key: 'castle-key' }, [2]), 'not-owner');
+  assert.equal(removal('releaseAmenagement', { key: 'amenagement-key' }, [2]), 'not-owner');
+});
+
+test('with private hands, a placement must use a tile of the sender hand', () => {
+  const settings = runtime.createGameSettings({ privateHands: true });
+  const engine = runtime.createGameEngine({ seed: 4, players: 3, settings });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  const [own, other] = engine.state.playerHands;
+  const forged = other.find((combo) => !runtime.sameComboTile(combo, own[0]));
+  const placement = (combo) => runtime.checkNetworkTurnOrder(engine, {
+    type: 'placeTile',
+    payload: { tileIdx: engine.centerTileIdx, player: 1, combo, rotationStep: 0, paletteSlot: 0 },
+  }, [1]).reason;
+
+  assert.ok(forged, 'another seat holds a different tile');
+  assert.equal(placement({ ...forged }), 'placement-slot-mismatch');
+  assert.equal(placement({ ...own[0] }), '');
+
+  const result = runtime.applyGameEvent(engine, {
+    type: 'placeTile',
+    payload: { tileIdx: engine.centerTileIdx, player: 1, combo: { ...forged }, rotationStep: 0, paletteSlot: 0 },
+  });
+  assert.equal(result.reason, 'placement-slot-mismatch');
+  assert.equal(engine.state.placedCount, 0);
+});
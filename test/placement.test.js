@@ -0,0 +1,103 @@
+/**
+ * Placement validation and previews (board hints), on the engine loaded in Node.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+const mono = (color) => ({ type: 1, colors: [color], units: [3], rotationStep: 0 });
+const sides = (color) => new Array(6).fill(color);
+
+// Without tiles to draw the board counts as blocked after the first placement and the game ends
+function filledEngine() {
+  const engine = runtime.createGameEngine({ seed: 9, players: 2 });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  return engine;
+}
+
+// Tiles placed without an owner nor turn accounting, as the autofill does
+function placeFree(engine, tileIdx, combo) {
+  const result = engine.placeTile(tileIdx, combo, { player: null, trackResources: false });
+  assert.equal(result.ok, true, result.reason);
+}
+
+test('validatePlacement reports invalid, occupied and isolated tiles', () => {
+  const engine = filledEngine();
+  const center = engine.centerTileIdx;
+  assert.equal(engine.validatePlacement(center, sides(0)).ok, true, 'the first tile goes anywhere');
+
+  placeFree(engine, center, mono(0));
+  assert.equal(engine.validatePlacement(-1, sides(0)).reason, 'tile-invalid');
+  assert.equal(engine.validatePlacement(engine.neighbors[center][0], [0, 0, 0]).reason, 'tile-invalid');
+  assert.deepEqual({ ...engine.validatePlacement(center, sides(0)).issues[0] }, { reason: 'tile-occupied', tileIdx: center });
+
+  const far = engine.tiles.findIndex((_, tileIdx) => engine.hexDistance(center, tileIdx) === 2);
+  assert.equal(engine.validatePlacement(far, sides(0)).reason, 'tile-isolated');
+});
+
+test('validatePlacement lists every mismatched side with the expected and proposed colors', () => {
+  const engine = filledEngine();
+  const center = engine.centerTileIdx;
+  const [first, target] = engine.neighbors[center];
+  placeFree(engine, center, mono(0));
+  placeFree(engine, first, mono(0));
+  assert.ok(engine.neighbors[target].includes(first), 'the target touches both placed tiles');
+
+  const validation = engine.validatePlacement(target, sides(2));
+  assert.equal(validation.ok, false);
+  assert.equal(validation.reason, 'side-mismatch');
+  const issues = [...validation.issues].map((issue) => ({ ...issue }));
+  assert.deepEqual(issues.map((issue) => issue.neighborIdx).sort((a, b) => a - b), [center, first].sort((a, b) => a - b));
+  issues.forEach((issue) => {
+    assert.equal(issue.tileIdx, target);
+    assert.equal(issue.neighborSide, (issue.side + 3) % 6);
+    assert.equal(engine.neighbors[target][issue.side], issue.neighborIdx);
+    assert.equal(issue.expected, 0);
+    assert.equal(issue.actual, 2);
+  });
+  assert.equal(engine.validatePlacement(target, sides(2), { firstOnly: true }).issues.length, 1);
+  assert.equal(engine.canPlace(target, sides(0)), true);
+});
+
+test('placeTile refuses an invalid placement with the detailed issues', () => {
+  const engine = filledEngine();
+  const center = engine.centerTileIdx;
+  placeFree(engine, center, mono(0));
+
+  const result = engine.placeTile(engine.neighbors[center][0], mono(1), { player: null, trackResources: false });
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'tile-placement-invalid');
+  assert.equal(result.issues[0].reason, 'side-mismatch');
+  assert.equal(engine.getEventLog().at(-1).details.issues.length, 1, 'the refusal is logged with its issues');
+  assert.equal(engine.state.placedCount, 1);
+});
+
+test('previewPlacement matches the points placeTile awards, region scoring included', () => {
+  const settings = runtime.createGameSettings({ regionScoring: 'size', edgeMatchRule: 'oneMismatch' });
+  const engine = runtime.createGameEngine({ seed: 9, players: 3, settings });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  while (engine.state.placedCount < 20) {
+    const player = engine.state.turnState.activePlayer;
+    const move = runtime.chooseAiMove(engine, 'easy', { random: () => 0.5 });
+    if (move) runtime.applyAiMove(engine, player, move);
+    else engine.endTurn();
+  }
+  engine.endTurn();
+
+  const slot = engine.state.paletteSlots.findIndex(Boolean);
+  const combo = engine.state.paletteSlots[slot];
+  const before = JSON.stringify(engine.exportState());
+  const candidate = [...engine.state.emptyTiles].flatMap((tileIdx) => runtime.rotationStepsForCombo(combo)
+    .map((rotationStep) => ({ tileIdx, rotationStep, preview: engine.previewPlacement(tileIdx, combo, { rotationStep }) })))
+    .find(({ preview }) => preview.ok);
+  assert.ok(candidate, 'a legal placement exists');
+  assert.equal(JSON.stringify(engine.exportState()), before, 'the preview leaves the game untouched');
+
+  const result = engine.placeTile(candidate.tileIdx, combo, { rotationStep: candidate.rotationStep, paletteSlot: slot });
+  assert.equal(result.ok, true);
+  assert.equal(result.points, candidate.preview.points);
+});
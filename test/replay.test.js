@@ -0,0 +1,91 @@
+/**
+ * Game event log replayed on a separate engine (createGameReplay / applyGameEvent).
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+// Seeded game opened by a logged reset, so that the replay draws the same bag
+function playGame(turns) {
+  const engine = runtime.createGameEngine({ seed: 4, players: 2 });
+  engine.reset({ seed: 4, players: engine.state.players });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  while (engine.state.turnState.turnNumber <= turns && !engine.isGameOver()) {
+    const player = engine.state.turnState.activePlayer;
+    const move = runtime.chooseAiMove(engine, 'easy', { random: () => 0.5 });
+    if (move) runtime.applyAiMove(engine, player, move);
+    else engine.endTurn();
+  }
+  return engine;
+}
+
+function replayOf(engine, events = engine.getEventLog()) {
+  return runtime.createGameReplay(events, { board: engine.state.board, players: engine.state.players });
+}
+
+test('a replayed log ends on the live state, also after seeking backwards', () => {
+  const engine = playGame(4);
+  const replay = replayOf(engine);
+  const last = replay.steps.length - 1;
+  const live = JSON.stringify(engine.exportState());
+
+  assert.equal(JSON.stringify(replay.seek(last)), live);
+  assert.notEqual(JSON.stringify(replay.seek(2)), live);
+  assert.equal(JSON.stringify(replay.seek(last)), live);
+});
+
+test('refused actions are not steps and undone moves replay through the undo stack', () => {
+  const engine = runtime.createGameEngine({ seed: 8, players: 2, board: { shape: 'rhombus', radius: 4 } });
+  engine.reset({ seed: 8, players: engine.state.players });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  engine.placeTile(engine.centerTileIdx, engine.state.paletteSlots[0], { paletteSlot: 0 });
+  assert.equal(engine.moveColon(2, engine.centerTileIdx).ok, false);
+  engine.undo();
+  engine.redo();
+  engine.undo();
+  engine.endTurn();
+
+  const events = engine.getEventLog();
+  const replay = replayOf(engine, events);
+  assert.equal(replay.steps.length, events.filter((event) => !event.rejected).length);
+  assert.ok(replay.steps.length < events.length, 'the refused colon move is left out');
+  assert.deepEqual([...replay.steps].map((event) => event.type).slice(-4), ['undo', 'redo', 'undo', 'endTurn']);
+  const start = JSON.stringify(replay.seek(0));
+  assert.equal(JSON.stringify(replay.seek(replay.steps.length - 1)), JSON.stringify(engine.exportState()));
+  assert.equal(JSON.stringify(replay.seek(0)), start, 'seeking back replays from the start');
+  assert.equal(runtime.applyGameEvent(engine, { type: 'teleport', payload: {} }).reason, 'replay-unknown-event');
+});
+
+test('a placement whose combo does not match its palette slot is not replayed', () => {
+  const engine = playGame(1);
+  const events = engine.getEventLog().map((event) => JSON.parse(JSON.stringify(event)));
+  const placement = events.find((event) => event.type === 'placeTile' && !event.rejected);
+  const colors = placement.payload.combo.colors;
+  placement.payload.combo = { ...placement.payload.combo, colors: colors.map((color) => (color + 1) % 4) };
+
+  const target = runtime.createGameEngine({ board: engine.state.board, players: engine.state.players });
+  const before = events.slice(0, events.indexOf(placement));
+  before.forEach((event) => runtime.applyGameEvent(target, event));
+  const result = runtime.applyGameEvent(target, placement);
+  assert.deepEqual({ ...result }, { ok: false, reason: 'placement-slot-mismatch' });
+  assert.equal(target.state.placedCount, 0);
+});
+
+test('a scored placement must name its palette slot and track resources', () => {
+  const engine = playGame(0);
+  const combo = engine.state.paletteSlots[0];
+  const payload = { tileIdx: engine.centerTileIdx, player: 1, combo, rotationStep: 0 };
+
+  const missing = runtime.applyGameEvent(engine, { type: 'placeTile', payload });
+  assert.equal(missing.reason, 'placement-slot-required');
+  const untracked = runtime.applyGameEvent(engine, { type: 'placeTile', payload: { ...payload, paletteSlot: 0, trackResources: false } });
+  assert.equal(untracked.reason, 'placement-untracked');
+  assert.equal(engine.state.placedCount, 0);
+
+  const played = runtime.applyGameEvent(engine, { type: 'placeTile', payload: { ...payload, paletteSlot: 0 } });
+  assert.equal(played.ok, true, played.reason);
+});
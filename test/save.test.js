@@ -0,0 +1,107 @@
+/**
+ * Saves round-tripped between engines (createGameSave / parseGameSave / importState)
+ * and older save versions migrated to the current schema (migrateGameSave).
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+// Seeded game where every player places tiles (easy AI, fixed noise)
+function playGame(players, turns) {
+  const engine = runtime.createGameEngine({ seed: 11, players });
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  while (engine.state.turnState.turnNumber <= turns && !engine.isGameOver()) {
+    const player = engine.state.turnState.activePlayer;
+    const move = runtime.chooseAiMove(engine, 'easy', { random: () => 0.5 });
+    if (move) runtime.applyAiMove(engine, player, move);
+    else engine.endTurn();
+  }
+  return engine;
+}
+
+function roundTrip(source, target) {
+  const text = JSON.stringify(runtime.createGameSave(source));
+  const result = target.importState(runtime.parseGameSave(text).game);
+  assert.equal(result.ok, true, result.reason);
+}
+
+for (const [savedPlayers, loadingPlayers] of [[3, 2], [2, 6]]) {
+  test(`a ${savedPlayers}-player save loads into a ${loadingPlayers}-player engine`, () => {
+    const source = playGame(savedPlayers, 3);
+    const owners = source.state.placements.map((placement) => placement?.player ?? null);
+    assert.ok(
+      source.playerIds.every((player) => owners.includes(player)),
+      'every player owns a tile before saving',
+    );
+
+    const target = runtime.createGameEngine({ seed: 2, players: loadingPlayers });
+    roundTrip(source, target);
+
+    assert.deepEqual([...target.playerIds], [...source.playerIds]);
+    assert.deepEqual(target.state.placements.map((placement) => placement?.player ?? null), owners);
+    assert.deepEqual([...target.state.playerScores], [...source.state.playerScores]);
+    assert.deepEqual([...target.state.colonPositions], [...source.state.colonPositions]);
+    assert.deepEqual(target.exportState(), source.exportState());
+  });
+}
+
+test('a save round-trips the whole game and its event log', () => {
+  const source = playGame(3, 2);
+  const save = runtime.parseGameSave(JSON.stringify(runtime.createGameSave(source, { palette: { selected: 2 } })));
+  assert.equal(save.version, runtime.SAVE_SCHEMA_VERSION);
+  assert.equal(save.palette.selected, 2);
+
+  const target = runtime.createGameEngine({ seed: 5, players: 3 });
+  assert.equal(target.importState(save.game).ok, true);
+  assert.equal(target.restoreEventLog(save.events), true);
+  assert.equal(JSON.stringify(target.exportState()), JSON.stringify(source.exportState()));
+  assert.equal(target.getEventLog().length, source.getEventLog().length);
+});
+
+test('a version 1 sync snapshot migrates step by step to the current version', () => {
+  const source = playGame(6, 1);
+  const state = source.exportState();
+  const legacy = {
+    timestamp: Date.UTC(2024, 0, 2),
+    data: {
+      placements: state.placements,
+      playerScores: state.playerScores,
+      colonPositions: state.colonPositions,
+      colonMoveRemaining: state.colonMoveRemaining,
+      colonPlacementUsed: state.colonPlacementUsed,
+      turnState: state.turnState,
+      amenagementColorByKey: state.amenagementColorByKey,
+      svgState: { overlayByJunction: state.overlayByJunction, castleByJunction: state.castleByJunction, outpostByJunction: [] },
+    },
+  };
+
+  const save = runtime.migrateGameSave(JSON.parse(JSON.stringify(legacy)));
+  assert.equal(save.version, runtime.SAVE_SCHEMA_VERSION);
+  assert.equal(save.savedAt, '2024-01-02T00:00:00.000Z');
+  assert.deepEqual([...save.events], [], 'version 3 adds an empty event log');
+  assert.equal(save.game.tileBag, null, 'version 4 leaves the bag to be drawn again');
+  assert.equal(save.game.players.length, runtime.MAX_PLAYERS, 'version 5: older games had six players');
+  assert.deepEqual({ ...save.game.board }, { ...runtime.DEFAULT_BOARD }, 'version 6: the default board');
+
+  const target = runtime.createGameEngine({ seed: 3, players: 2 });
+  assert.equal(target.importState(save.game).ok, true);
+  assert.equal(target.playerIds.length, runtime.MAX_PLAYERS);
+  assert.deepEqual(
+    target.state.placements.map((placement) => placement?.player ?? null),
+    state.placements.map((placement) => placement?.player ?? null),
+  );
+  assert.deepEqual([...target.state.playerScores], [...state.playerScores]);
+});
+
+test('unreadable, unknown and newer saves are refused', () => {
+  assert.throws(() => runtime.parseGameSave('{'), /JSON invalide/);
+  assert.throws(() => runtime.migrateGameSave({ hello: 'world' }), /non reconnu/);
+  assert.throws(
+    () => runtime.migrateGameSave({ format: 'pairleroy-save', version: runtime.SAVE_SCHEMA_VERSION + 1, game: {} }),
+    /non prise en charge/,
+  );
+});
@@ -0,0 +1,74 @@
+/**
+ * Seat roster: which client plays which player, host election and idle clients.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+test('every client plays every player until a seat is claimed', () => {
+  const roster = runtime.createSeatRoster();
+  roster.upsert('a', { joinedAt: 1 });
+  roster.upsert('b', { joinedAt: 2 });
+  assert.equal(roster.controlledBy('a'), null);
+  assert.equal(roster.hostId(), 'a');
+
+  assert.deepEqual([...roster.claim('b', [2, 2, '1'])], [1, 2]);
+  assert.deepEqual([...roster.controlledBy('b')], [1, 2]);
+  assert.deepEqual([...roster.controlledBy('a')], [], 'a client without seats watches');
+});
+
+test('a seat goes to the earliest client claiming it', () => {
+  const roster = runtime.createSeatRoster();
+  roster.upsert('late', { joinedAt: 20, claims: [1] });
+  roster.upsert('early', { joinedAt: 10, claims: [1, 2] });
+  assert.equal(roster.ownerOf(1), 'early');
+  assert.deepEqual([...roster.seatsOf('late')], []);
+  assert.deepEqual([...roster.claimsOf('late')], [1], 'the claim stays on record');
+
+  assert.deepEqual([...roster.claim('late', [1, 3])], [3], 'seats held by another client are not granted');
+
+  roster.remove('early');
+  assert.equal(roster.hostId(), 'late');
+  assert.equal(roster.ownerOf(1), null);
+});
+
+test('the host assignment moves seats away from other clients', () => {
+  const roster = runtime.createSeatRoster();
+  roster.upsert('host', { joinedAt: 1, claims: [1, 2] });
+  roster.upsert('guest', { joinedAt: 2 });
+  assert.equal(roster.assign('guest', [2]), true);
+  assert.deepEqual([...roster.seatsOf('host')], [1]);
+  assert.deepEqual([...roster.seatsOf('guest')], [2]);
+  assert.equal(roster.assign('missing', [1]), false);
+});
+
+test('idle and silent clients are reported and pruned', () => {
+  const roster = runtime.createSeatRoster();
+  const limit = runtime.SEAT_IDLE_LIMIT_MS;
+  roster.upsert('a', { joinedAt: 0, lastSeenAt: 0 });
+  roster.upsert('b', { joinedAt: 0, lastSeenAt: 4000 });
+  roster.touch('b', limit);
+
+  assert.equal(roster.isIdle('a', limit), true);
+  assert.equal(roster.isIdle('b', limit), false);
+  assert.deepEqual([...roster.list(limit)].map((entry) => [entry.id, entry.host, entry.idle]), [['a', true, true], ['b', false, false]]);
+
+  assert.deepEqual([...roster.prune(5000, 2000)], ['a']);
+  assert.equal(roster.has('a'), false);
+  assert.equal(roster.hostId(), 'b');
+});
+
+test('a roster loaded from the relay view rebuilds the same seats', () => {
+  const source = runtime.createSeatRoster();
+  source.upsert('a', { joinedAt: 1, claims: [2] });
+  source.upsert('b', { joinedAt: 2, claims: [1, 2] });
+  const copy = runtime.createSeatRoster();
+  copy.load(source.list());
+  assert.deepEqual(JSON.stringify(copy.list(0)), JSON.stringify(source.list(0)));
+  assert.equal(copy.ownerOf(2), 'a');
+  assert.equal(copy.ownerOf(1), 'b');
+});
@@ -0,0 +1,73 @@
+/**
+ * One game seed drives every random stream: tile bag, palette and market shuffles.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+
+// Seeded game played by the easy AI with fixed noise, so that only the seed varies
+function playSeededGame(seed, actions = 30) {
+  const engine = runtime.createGameEngine({ seed, players: 3 });
+  engine.reset();
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  for (let count = 0; count < actions && !engine.isGameOver(); count++) {
+    const player = engine.state.turnState.activePlayer;
+    const move = runtime.chooseAiMove(engine, 'easy', { random: () => 0.5 });
+    if (move) runtime.applyAiMove(engine, player, move);
+    else engine.endTurn();
+  }
+  return engine;
+}
+
+test('the same seed and the same actions rebuild the same game', () => {
+  const first = playSeededGame(123);
+  const second = playSeededGame(123);
+  assert.equal(first.state.seed, 123);
+  assert.equal(JSON.stringify(second.exportState()), JSON.stringify(first.exportState()));
+});
+
+test('another seed draws another bag and another market deck', () => {
+  // reset deals the market from the seed
+  const market = (seed) => {
+    const engine = runtime.createGameEngine({ seed });
+    engine.reset();
+    const { drawPile, slots } = engine.exportState().marketState;
+    return JSON.stringify({ drawPile, slots });
+  };
+  assert.equal(market(1), market(1));
+  assert.notEqual(market(2), market(1));
+
+  const bag = (seed) => {
+    const engine = runtime.createGameEngine({ seed });
+    engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+    return JSON.stringify(engine.exportState().tileBag);
+  };
+  assert.equal(bag(1), bag(1));
+  assert.notEqual(bag(2), bag(1));
+});
+
+test('reset replays the seed of the game, or takes a new one', () => {
+  const engine = runtime.createGameEngine({ seed: 77, players: 2 });
+  engine.reset();
+  const opening = JSON.stringify(engine.exportState());
+  engine.fillTileBag({ typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] });
+  engine.endTurn();
+
+  engine.reset();
+  assert.equal(JSON.stringify(engine.exportState()), opening);
+  engine.reset({ seed: '78' });
+  assert.equal(engine.state.seed, 78);
+  assert.notEqual(JSON.stringify(engine.exportState().marketState), JSON.stringify(JSON.parse(opening).marketState));
+});
+
+test('seeds are 32-bit unsigned integers and each stream gets its own derived seed', () => {
+  assert.equal(runtime.normalizeSeed(' 42 '), 42);
+  assert.equal(runtime.normalizeSeed('abc'), null);
+  assert.equal(runtime.normalizeSeed(2 ** 32), null);
+  assert.notEqual(runtime.deriveSeed(42, 'tiles'), runtime.deriveSeed(42, 'market'));
+  assert.equal(runtime.deriveSeed(42, 'tiles'), runtime.deriveSeed(42, 'tiles'));
+});
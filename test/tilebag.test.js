@@ -0,0 +1,60 @@
+/**
+ * The finite tile bag: quota-built fill, draws into the palette and the observatory preview.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+const BAG_MIX = { typesPct: [40, 40, 20], colorPct: [25, 25, 25, 25] };
+const OBSERVATORY = 'building-observatory';
+
+function filledEngine(seed = 7) {
+  const engine = runtime.createGameEngine({ seed, players: 2 });
+  engine.fillTileBag(BAG_MIX);
+  return engine;
+}
+
+const comboKey = (combo) => JSON.stringify({ type: combo.type, colors: [...combo.colors] });
+
+test('the bag holds one tile per board cell, split by the type quotas', () => {
+  const engine = filledEngine();
+  const all = [...engine.state.paletteSlots, ...engine.state.tileBag];
+  assert.equal(all.length, engine.tiles.length);
+  assert.equal(engine.state.tileBag.length, engine.tiles.length - engine.state.paletteSlots.length);
+
+  const byType = [1, 2, 3].map((type) => all.filter((combo) => combo.type === type).length);
+  // 127 tiles at 40 / 40 / 20 %: largest remainders go to the first two types
+  assert.deepEqual(byType, [51, 51, 25]);
+});
+
+test('an invalid bag mix is refused', () => {
+  const engine = runtime.createGameEngine({ seed: 7, players: 2 });
+  assert.equal(engine.fillTileBag({ typesPct: [40, 40, 20] }).reason, 'tile-bag-invalid');
+});
+
+test('a placed palette tile is replaced by the head of the bag', () => {
+  const engine = filledEngine();
+  const head = comboKey(engine.state.tileBag[0]);
+  const remaining = engine.state.tileBag.length;
+
+  const placed = engine.placeTile(engine.centerTileIdx, engine.state.paletteSlots[1], { paletteSlot: 1, rotationStep: 0 });
+  assert.equal(placed.ok, true);
+  assert.equal(comboKey(engine.state.paletteSlots[1]), head);
+  assert.equal(engine.state.tileBag.length, remaining - 1);
+});
+
+test('the observatory reveals copies of the next two tiles of the bag', () => {
+  const engine = filledEngine();
+  assert.deepEqual([...engine.getTileBagPreview(1)], []);
+
+  engine.getPlayerRecord(1).buildings.add(OBSERVATORY);
+  const preview = engine.getTileBagPreview(1);
+  assert.deepEqual([...preview.map(comboKey)], [...engine.state.tileBag.slice(0, 2).map(comboKey)]);
+  assert.deepEqual([...engine.getTileBagPreview(2)], [], 'only the owner sees the preview');
+
+  preview[0].colors[0] = 99;
+  assert.notEqual(engine.state.tileBag[0].colors[0], 99, 'the preview does not expose the bag');
+});
@@ -0,0 +1,72 @@
+/**
+ * End-of-turn production and once-per-turn conversions from building effects.
+ * Run with `npm test` (node:test, no dependency).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadEngineRuntime } from '../scripts/engine-runtime.js';
+
+const runtime = loadEngineRuntime();
+const BAKERY = 'building-bakery';
+const HARBOR = 'building-harbor';
+
+// Two junctions sharing a board tile: a castle and an amenagement next to it
+function adjacentJunctions(engine) {
+  const entries = [...engine.junctionMap.entries()];
+  for (const [castleKey, castle] of entries) {
+    const near = entries.find(([key, entry]) => key !== castleKey && entry.tiles.some((tileIdx) => castle.tiles.includes(tileIdx)));
+    if (near) return [castleKey, near[0]];
+  }
+  return null;
+}
+
+test('the upkeep phase produces bread for a bakery with an amenagement next to the castle', () => {
+  const engine = runtime.createGameEngine({ seed: 1, players: 2 });
+  const [castleKey, amenagementKey] = adjacentJunctions(engine);
+  engine.getPlayerRecord(1).buildings.add(BAKERY);
+  engine.state.castleByJunction.set(castleKey, 1);
+  const bread = () => engine.getPlayerResourceStock(1)[runtime.RESOURCE_TYPES.BREAD];
+
+  engine.endTurn();
+  assert.equal(bread(), 0, 'no amenagement near the castle: no production');
+  engine.endTurn();
+
+  engine.state.overlayByJunction.set(amenagementKey, 1);
+  engine.endTurn();
+  assert.equal(bread(), 1);
+  const notes = engine.getEventLog().at(-1).notes;
+  assert.deepEqual([...notes].map((note) => ({ ...note })), [{ reason: 'production', player: 1, resource: runtime.RESOURCE_TYPES.BREAD, amount: 1, source: BAKERY }]);
+
+  engine.endTurn();
+  assert.equal(bread(), 1, 'only the player ending their turn produces');
+});
+
+test('a conversion is used once per turn and refused with reason codes', () => {
+  const engine = runtime.createGameEngine({ seed: 1, players: 2 });
+  const { WOOD, FABRIC } = runtime.RESOURCE_TYPES;
+  const record = engine.getPlayerRecord(1);
+  record.buildings.add(HARBOR);
+  record.stock[WOOD] = 2;
+
+  assert.equal(engine.evaluateConversion(2, HARBOR).reason, 'conversion-missing');
+  assert.equal(engine.convertResource(1, HARBOR).ok, true);
+  assert.equal(engine.getPlayerResourceStock(1)[WOOD], 1);
+  assert.equal(engine.getPlayerResourceStock(1)[FABRIC], 1);
+
+  const again = engine.convertResource(1, HARBOR);
+  assert.deepEqual({ ...again }, { ok: false, reason: 'conversion-already-used' });
+  const refused = engine.getEventLog().at(-1);
+  assert.equal(refused.reason, 'conversion-already-used');
+  assert.deepEqual({ ...refused.details }, { player: 1, card: HARBOR });
+
+  engine.endTurn();
+  assert.equal(engine.evaluateConversion(1, HARBOR).reason, 'conversion-not-your-turn');
+  engine.endTurn();
+  assert.equal(engine.evaluateConversion(1, HARBOR).canConvert, true, 'a new turn frees the conversion');
+  assert.equal(engine.convertResource(1, HARBOR).ok, true);
+  assert.equal(engine.evaluateConversion(1, HARBOR).reason, 'conversion-already-used');
+  engine.endTurn();
+  engine.endTurn();
+  assert.equal(engine.evaluateConversion(1, HARBOR).reason, 'conversion-insufficient-resources');
+});
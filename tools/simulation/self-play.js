@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+/**
+ * Self-play simulator for rules balancing: plays seeded games between scripted greedy
+ * players on the DOM-free engine and reports win rate by seat, average score by source,
+ * card purchase frequency and game length.
+ * Options:
+ *   --games <n>        : number of games (default 1000)
+ *   --players <n>      : players per game, MIN_PLAYERS..MAX_PLAYERS (default 2)
+ *   --seed <n>         : seed of the first game, the next ones follow (default 1)
+ *   --max-turns <n>    : turns after which an unfinished game is stopped (default 400); a game
+ *                        also stops after a full round without any tile placed (stalled)
+ *   --types <a,b,c>    : mono / bi / tri tile percentages (default 40,40,20)
+ *   --colors <a,b,c,d> : color percentages (default 25,25,25,25)
+ *   --shape <s>        : board shape, hexagon (default), triangle or rhombus
+ *   --radius <n>       : board radius, MIN_BOARD_RADIUS..MAX_BOARD_RADIUS (default 6)
+ *   --config <file>    : JSON overrides { settings: {...}, cards: { <cardId>: { cost, reward } }, board: {...} }
+ *                        (`board` replaces --shape / --radius, e.g. a custom mask { shape: "custom", cells })
+ *   --format <f>       : json (default) or csv
+ *   --out <file>       : write the report to a file instead of stdout
+ *   --help             : print the options and exit
+ * An unknown option or an invalid value stops the run with exit code 1.
+ *
+ * Example: node tools/simulation/self-play.js --games 2000 --players 3 --format csv --out balance.csv
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadEngineRuntime } from '../../scripts/engine-runtime.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Points kept in reserve before buying an outpost or a market card.
+const POINT_RESERVE = 3;
+// Contracts held at once before the players stop claiming market cards.
+const MAX_PENDING_CONTRACTS = 2;
+
+const REPORT_FORMATS = ['json', 'csv'];
+const USAGE = `Usage: node tools/simulation/self-play.js [options]
+  --games <n>        number of games (default 1000)
+  --players <n>      players per game (default 2)
+  --seed <n>         seed of the first game, the next ones follow (default 1)
+  --max-turns <n>    turns after which an unfinished game is stopped (default 400)
+  --types <a,b,c>    mono / bi / tri tile percentages (default 40,40,20)
+  --colors <a,b,c,d> color percentages (default 25,25,25,25)
+  --shape <s>        board shape: hexagon (default), triangle or rhombus
+  --radius <n>       board radius (default 6)
+  --config <file>    JSON overrides { settings, cards, board }
+  --format <f>       report format: json (default) or csv
+  --out <file>       write the report to a file instead of stdout
+  --help             print this help
+`;
+const VALUE_OPTIONS = ['games', 'players', 'seed', 'max-turns', 'types', 'colors', 'shape', 'radius', 'config', 'format', 'out'];
+
+/**
+ * Reads `--name value` command line options.
+ * @param {string[]} args
+ * @returns {Object} Options, or `{ help: true }` for --help / -h
+ * @throws {Error} Unknown option, missing value or invalid value
+ */
+function parseOptions(args) {
+  if (args.includes('--help') || args.includes('-h')) return { help: true };
+  const values = {};
+  for (let idx = 0; idx < args.length; idx += 2) {
+    const name = args[idx].startsWith('--') ? args[idx].slice(2) : null;
+    if (!VALUE_OPTIONS.includes(name)) throw new Error(`Unknown option: ${args[idx]}`);
+    if (args[idx + 1] === undefined || args[idx + 1].startsWith('--')) throw new Error(`Missing value for --${name}`);
+    values[name] = args[idx + 1];
+  }
+  const readInteger = (name, fallback, min) => {
+    const value = Number(values[name] ?? fallback);
+    if (!Number.isInteger(value) || value < min) throw new Error(`--${name} must be an integer >= ${min}`);
+    return value;
+  };
+  const readList = (name, fallback, length) => {
+    const list = (values[name] ?? fallback).split(',').map(Number);
+    if (list.length !== length || list.some((value) => !Number.isFinite(value) || value < 0)) {
+      throw new Error(`--${name} must list ${length} non-negative numbers`);
+    }
+    return list;
+  };
+  const format = values.format ?? 'json';
+  if (!REPORT_FORMATS.includes(format)) throw new Error(`--format must be one of ${REPORT_FORMATS.join(', ')}`);
+  return {
+    games: readInteger('games', 1000, 1),
+    players: readInteger('players', 2, 1),
+    seed: readInteger('seed', 1, 0) >>> 0,
+    maxTurns: readInteger('max-turns', 400, 1),
+    typesPct: readList('types', '40,40,20', 3),
+    colorPct: readList('colors', '25,25,25,25', 4),
+    board: { shape: values.shape ?? 'hexagon', radius: readInteger('radius', 6, 1) },
+    config: values.config ?? null,
+    format,
+    out: values.out ?? null,
+  };
+}
+
+/**
+ * Applies card overrides to the runtime definitions (shared by every engine of the run).
+ * @param {Object} runtime
+ * @param {Object} cards - { <cardId>: { cost, reward, ... } }
+ */
+function applyCardOverrides(runtime, cards = {}) {
+  Object.entries(cards).forEach(([cardId, patch]) => {
+    const def = runtime.getMarketCardDefinition(cardId);
+    if (!def) throw new Error(`Unknown card in config: ${cardId}`);
+    Object.assign(def, patch);
+  });
+}
+
+function pickBest(moves, scoreOf, random) {
+  let best = null;
+  let bestScore = -Infinity;
+  moves.forEach((move) => {
+    // Random tie-break so that identical seats do not always pick the same tile
+    const score = scoreOf(move) + random() * 1e-3;
+    if (score > bestScore) {
+      best = move;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Scripted greedy turn: build contracts, mulligan a dead palette, use the colon's free placement,
+ * place the tile scoring the most neighbor points, build a castle or an outpost, then claim a market card.
+ * @param {Object} runtime
+ * @param {Object} engine
+ * @param {Function} random
+ * @param {string[]} claimed - Receives the id of each market card claimed
+ */
+function playGreedyTurn(runtime, engine, random, claimed) {
+  const player = engine.state.turnState.activePlayer;
+  const pIdx = engine.playerIndex(player);
+  const movesOf = (type) => runtime.generateLegalMoves(engine, player, { types: [type] });
+  const play = (move) => {
+    if (!move || !runtime.applyAiMove(engine, player, move).ok) return false;
+    if (move.type === 'claimMarketSlot') claimed.push(move.cardId);
+    return true;
+  };
+  // Neighbor points, minus the cost of a tolerated mismatched edge (edgeMatchRule oneMismatch)
+  const placementPoints = (move) => {
+    const combo = engine.state.paletteSlots[move.paletteSlot];
+    const sides = combo ? runtime.orientedSideColors(combo, move.rotationStep) : null;
+    const cost = sides ? engine.validatePlacement(move.tileIdx, sides).cost : 0;
+    return engine.pointsForNeighborCount(engine.neighborPlacementCount(move.tileIdx)) - cost;
+  };
+
+  movesOf('buildContract').forEach(play);
+
+  // No palette tile fits anywhere: discard or redraw (mulliganRule) until one does
+  for (let guard = 0; guard < 8 && engine.isPaletteDead(); guard++) {
+    if (!play(pickBest(movesOf('mulligan'), () => 0, random))) break;
+  }
+
+  // The colon's tile can be filled once per turn outside the placement limit
+  if (!engine.state.colonPlacementUsed[pIdx]) {
+    const reachable = new Set(movesOf('moveColon').map((move) => move.tileIdx));
+    const target = pickBest(
+      movesOf('placeTile').filter((move) => reachable.has(move.tileIdx)),
+      placementPoints,
+      random,
+    );
+    if (target) play({ type: 'moveColon', tileIdx: target.tileIdx });
+  }
+  for (let guard = 0; guard < 4; guard++) {
+    if (!play(pickBest(movesOf('placeTile'), placementPoints, random))) break;
+  }
+
+  const hasCastle = Array.from(engine.state.castleByJunction.values()).includes(player);
+  if (!hasCastle || engine.getPlayerScore(player) >= engine.settings.outpostCost + POINT_RESERVE) {
+    play(pickBest(movesOf('buildCastle'), () => 0, random));
+  }
+
+  if (engine.getPlayerRecord(player).contracts.size < MAX_PENDING_CONTRACTS) {
+    const affordable = movesOf('claimMarketSlot').filter((move) => (
+      (engine.computeMarketDistance(move.slotIdx, player) ?? 0) + POINT_RESERVE <= engine.getPlayerScore(player)
+    ));
+    play(pickBest(affordable, (move) => (
+      Number(runtime.getMarketCardDefinition(move.cardId)?.reward?.points) || 0
+    ) - (engine.computeMarketDistance(move.slotIdx, player) ?? 0), random));
+    movesOf('buildContract').forEach(play);
+  }
+
+  engine.endTurn({ reason: 'simulation' });
+}
+
+/**
+ * Plays one seeded game to its end (or to maxTurns).
+ * @returns {Object} Per-game result
+ */
+function playGame(runtime, board, settings, options, seed) {
+  const engine = runtime.createGameEngine({
+    board,
+    seed,
+    players: options.players,
+    settings: runtime.createGameSettings(settings),
+    recordHistory: false,
+  });
+  engine.reset({ seed, players: options.players });
+  engine.fillTileBag({ typesPct: options.typesPct, colorPct: options.colorPct });
+  const random = runtime.xorshift32(runtime.deriveSeed(seed, 'self-play'));
+  const claimed = [];
+  // A full round without any placement means no tile of the palette fits anymore: the board cannot fill up
+  let turnsWithoutPlacement = 0;
+  while (!engine.isGameOver() && engine.state.turnState.turnNumber <= options.maxTurns
+    && turnsWithoutPlacement < engine.playerIds.length) {
+    const placedBefore = engine.state.placedCount;
+    playGreedyTurn(runtime, engine, random, claimed);
+    turnsWithoutPlacement = engine.state.placedCount > placedBefore ? 0 : turnsWithoutPlacement + 1;
+  }
+
+  const events = engine.getEventLog().filter((event) => !event.rejected);
+  const scoreBySource = {};
+  events.forEach((event) => {
+    (event.scoreSources || []).forEach(({ source, delta }) => {
+      scoreBySource[source] = (scoreBySource[source] ?? 0) + delta;
+    });
+  });
+  const scores = engine.state.playerScores.slice();
+  // Unfinished game: current scores decide
+  const ranking = engine.state.endState?.ranking
+    ?? engine.playerIds.slice().sort((a, b) => scores[engine.playerIndex(b)] - scores[engine.playerIndex(a)]);
+  return {
+    seed,
+    finished: engine.isGameOver(),
+    stalled: turnsWithoutPlacement >= engine.playerIds.length,
+    blocked: engine.state.endState?.reason === 'boardBlocked',
+    mulligans: events.filter((event) => event.type === 'mulligan').length,
+    placedTiles: engine.state.placedCount,
+    turns: engine.state.endState?.turn ?? engine.state.turnState.turnNumber,
+    actions: events.length,
+    winner: ranking[0],
+    scores,
+    scoreBySource,
+    claimed,
+    built: events.filter((event) => event.type === 'buildContract').map((event) => event.payload.cardId),
+  };
+}
+
+/**
+ * Aggregates per-game results.
+ * @param {Object[]} games
+ * @param {number} playerCount
+ * @returns {Object} Report
+ */
+function summarize(games, playerCount) {
+  const total = games.length;
+  const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const frequency = (lists) => {
+    const counts = {};
+    lists.flat().forEach((cardId) => {
+      counts[cardId] = (counts[cardId] ?? 0) + 1;
+    });
+    return Object.fromEntries(Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([cardId, count]) => [cardId, round(count / total)]));
+  };
+  const sources = {};
+  games.forEach((game) => {
+    Object.entries(game.scoreBySource).forEach(([source, points]) => {
+      sources[source] = (sources[source] ?? 0) + points;
+    });
+  });
+  const turns = games.map((game) => game.turns);
+  return {
+    games: total,
+    players: playerCount,
+    finished: games.filter((game) => game.finished).length,
+    // Stopped because no tile could be placed anymore
+    stalled: games.filter((game) => game.stalled).length,
+    // Ended on a board where no tile can be placed anymore (boardFull condition)
+    blocked: games.filter((game) => game.blocked).length,
+    winRateBySeat: Object.fromEntries(Array.from({ length: playerCount }, (_, idx) => [
+      idx + 1,
+      round(games.filter((game) => game.winner === idx + 1).length / total),
+    ])),
+    averageScoreBySeat: Object.fromEntries(Array.from({ length: playerCount }, (_, idx) => [
+      idx + 1,
+      round(average(games.map((game) => game.scores[idx] ?? 0))),
+    ])),
+    // Points per player and per game; spending (castles, market, contracts) is negative
+    averageScoreBySource: Object.fromEntries(Object.entries(sources)
+      .sort((a, b) => b[1] - a[1])
+      .map(([source, points]) => [source, round(points / (total * playerCount))])),
+    // Cards per game
+    cardsClaimed: frequency(games.map((game) => game.claimed)),
+    cardsBuilt: frequency(games.map((game) => game.built)),
+    gameLength: {
+      averageTurns: round(average(turns)),
+      minTurns: Math.min(...turns),
+      maxTurns: Math.max(...turns),
+      averageActions: round(average(games.map((game) => game.actions))),
+      averagePlacedTiles: round(average(games.map((game) => game.placedTiles))),
+      averageMulligans: round(average(games.map((game) => game.mulligans))),
+    },
+  };
+}
+
+/**
+ * Flattens a report into `section,key,value` CSV rows.
+ * @param {Object} report
+ * @returns {string}
+ */
+function toCsv(report) {
+  const rows = [['section', 'key', 'value']];
+  Object.entries(report).forEach(([section, value]) => {
+    if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, entry]) => rows.push([section, key, entry]));
+    } else {
+      rows.push(['summary', section, value]);
+    }
+  });
+  return `${rows.map((row) => row.map((cell) => (/[",\n]/.test(String(cell)) ? `"${String(cell).replace(/"/g, '""')}"` : cell)).join(',')).join('\n')}\n`;
+}
+
+function main() {
+  const options = parseOptions(process.argv.slice(2));
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  const runtime = loadEngineRuntime();
+  if (options.players < runtime.MIN_PLAYERS || options.players > runtime.MAX_PLAYERS) {
+    throw new Error(`--players must be between ${runtime.MIN_PLAYERS} and ${runtime.MAX_PLAYERS}`);
+  }
+  // Custom masks need their cells: they only come from --config
+  const shapes = runtime.BOARD_SHAPES.filter((shape) => shape !== 'custom');
+  if (!shapes.includes(options.board.shape)) throw new Error(`--shape must be one of ${shapes.join(', ')}`);
+  const { radius } = options.board;
+  if (radius < runtime.MIN_BOARD_RADIUS || radius > runtime.MAX_BOARD_RADIUS) {
+    throw new Error(`--radius must be between ${runtime.MIN_BOARD_RADIUS} and ${runtime.MAX_BOARD_RADIUS}`);
+  }
+  const config = options.config ? JSON.parse(fs.readFileSync(path.resolve(options.config), 'utf8')) : {};
+  applyCardOverrides(runtime, config.cards);
+  const settings = runtime.createGameSettings(config.settings);
+  const board = runtime.normalizeBoardSpec(config.board ?? options.board);
+
+  const games = [];
+  for (let idx = 0; idx < options.games; idx++) {
+    games.push(playGame(runtime, board, settings, options, (options.seed + idx) >>> 0));
+    if (process.stderr.isTTY && (idx + 1) % 50 === 0) process.stderr.write(`\r${idx + 1}/${options.games}`);
+  }
+  if (process.stderr.isTTY) process.stderr.write('\n');
+
+  const report = { ...summarize(games, options.players), board, settings };
+  const output = options.format === 'csv' ? toCsv(report) : `${JSON.stringify(report, null, 2)}\n`;
+  if (options.out) fs.writeFileSync(path.resolve(options.out), output);
+  else process.stdout.write(output);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`[self-play] ${error.message} (see --help)`);
+    process.exit(1);
+  }
+}